@@ -0,0 +1,8 @@
+// Where background jobs are worked: inside each API process, or only by the separate worker app
+module.exports = {
+  IN_PROCESS: process.env.JOB_WORKERS_IN_PROCESS !== 'false',
+  // Queues this process works; all of them unless narrowed, e.g. JOB_QUEUES=email,notification
+  QUEUES: process.env.JOB_QUEUES
+    ? process.env.JOB_QUEUES.split(',').map(queue => queue.trim()).filter(Boolean)
+    : null
+};
@@ -0,0 +1,13 @@
+// LTI 1.3 tool settings. TOOL_URL is the public base of the /api/lti routes that platforms call.
+const TOOL_URL = (process.env.LTI_TOOL_URL || 'http://localhost:5000/api/lti').replace(/\/$/, '');
+
+module.exports = {
+  ENABLED: process.env.ENABLE_LTI_INTEGRATION === 'true',
+  TOOL_URL,
+  LOGIN_URL: `${TOOL_URL}/login`,
+  LAUNCH_URL: process.env.LTI_LAUNCH_URL || `${TOOL_URL}/launch`,
+  JWKS_URL: `${TOOL_URL}/jwks`,
+  // PEM-encoded RSA key the tool signs with; env files usually hold it with escaped newlines
+  PRIVATE_KEY: process.env.LTI_PRIVATE_KEY ? process.env.LTI_PRIVATE_KEY.replace(/\\n/g, '\n') : null,
+  KEY_ID: process.env.LTI_KEY_ID || null
+};
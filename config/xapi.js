@@ -0,0 +1,11 @@
+// Learning Record Store that simulation events are sent to as xAPI statements
+const ENDPOINT = process.env.XAPI_LRS_ENDPOINT ? process.env.XAPI_LRS_ENDPOINT.replace(/\/?$/, '/') : null;
+
+module.exports = {
+  ENABLED: process.env.ENABLE_XAPI === 'true' && Boolean(ENDPOINT),
+  ENDPOINT,
+  USERNAME: process.env.XAPI_LRS_USERNAME || '',
+  PASSWORD: process.env.XAPI_LRS_PASSWORD || '',
+  // Activity IRIs and learner accounts are identified under this URL
+  ACTIVITY_BASE_URL: (process.env.XAPI_ACTIVITY_BASE_URL || process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '')
+};
@@ -1,7 +1,12 @@
 // controllers/adminController.js
-const { User, Case, Progress, Review } = require('../models');
+const { User, Case, Progress } = require('../models');
 const analyticsService = require('../services/analyticsService');
+const caseWorkflowService = require('../services/caseWorkflowService');
+const courseService = require('../services/courseService');
+const xapiService = require('../services/xapiService');
+const jobQueue = require('../services/jobQueue');
 const logger = require('../utils/logger');
+const { JOBS } = require('../utils/constants');
 const fs = require('fs').promises;
 const path = require('path');
 
@@ -59,12 +64,15 @@ const adminController = {
         role,
         institution,
         search,
+        courseId,
         sortBy = 'createdAt',
         sortOrder = 'desc'
       } = req.query;
 
-      // Build filter
+      // Build filter; instructors only ever see the students of their own courses
       const filter = {};
+      const learnerIds = await courseService.getScopedLearnerIds(req.user, courseId);
+      if (learnerIds) filter._id = { $in: learnerIds };
       if (role) filter.role = role;
       if (institution) filter['profile.institution'] = new RegExp(institution, 'i');
       if (search) {
@@ -101,8 +109,8 @@ const adminController = {
 
     } catch (error) {
       logger.error('Get users error:', error);
-      res.status(500).json({
-        error: 'Failed to retrieve users',
+      res.status(error.status || 500).json({
+        error: error.status ? error.message : 'Failed to retrieve users',
         code: 'USERS_FETCH_ERROR'
       });
     }
@@ -237,11 +245,16 @@ const adminController = {
     try {
       const pendingCases = await Case.find({ 'metadata.status': 'review' })
         .populate('metadata.author', 'profile.firstName profile.lastName email')
-        .sort({ createdAt: -1 })
+        .populate('metadata.reviewers', 'profile.firstName profile.lastName email')
+        .sort({ 'metadata.submittedAt': 1 })
         .lean();
 
       res.json({
-        cases: pendingCases,
+        cases: pendingCases.map(case_obj => ({
+          ...case_obj,
+          approvals: case_obj.metadata.approvals.length,
+          requiredApprovals: caseWorkflowService.getRequiredApprovals(case_obj)
+        })),
         count: pendingCases.length
       });
 
@@ -257,53 +270,203 @@ const adminController = {
   async reviewCase(req, res) {
     try {
       const { id } = req.params;
-      const { status, comments, criteria } = req.body;
+      const result = await caseWorkflowService.review(id, req.user, req.body);
 
-      const validStatuses = ['approved', 'rejected', 'needs_revision'];
-      if (!validStatuses.includes(status)) {
-        return res.status(400).json({
-          error: 'Invalid review status',
-          code: 'INVALID_STATUS'
-        });
-      }
+      await caseWorkflowService.notifyAuthor(result.case);
 
-      // Create review record
-      const review = new Review({
-        caseId: id,
-        reviewerId: req.user._id,
-        reviewType: 'expert',
-        status,
-        comments,
-        criteria,
-        overallScore: criteria ? Object.values(criteria).reduce((sum, c) => sum + c.score, 0) / Object.keys(criteria).length : 0
+      logger.info(`Case reviewed: ${id} -> ${result.decision} by admin: ${req.user.email}`);
+
+      res.json({
+        message: 'Case review completed successfully',
+        ...result
       });
 
-      await review.save();
+    } catch (error) {
+      logger.error('Review case error:', error);
+      res.status(error.status || 500).json({
+        error: error.status ? error.message : 'Failed to review case',
+        code: 'CASE_REVIEW_ERROR'
+      });
+    }
+  },
 
-      // Update case status
-      const newCaseStatus = status === 'approved' ? 'published' : 'review';
-      const case_obj = await Case.findByIdAndUpdate(
-        id,
-        { 
-          'metadata.status': newCaseStatus,
-          $push: { 'metadata.reviewers': req.user._id }
-        },
-        { new: true }
-      );
+  async assignReviewers(req, res) {
+    try {
+      const { id } = req.params;
+      const { reviewerIds, requiredApprovals } = req.body;
 
-      logger.info(`Case reviewed: ${id} -> ${status} by admin: ${req.user.email}`);
+      const result = await caseWorkflowService.assignReviewers(id, reviewerIds, req.user, { requiredApprovals });
+
+      await caseWorkflowService.notifyReviewers(result.case, result.added);
 
       res.json({
-        message: 'Case review completed successfully',
-        review,
+        message: 'Reviewers assigned successfully',
+        case: result.case
+      });
+
+    } catch (error) {
+      logger.error('Assign reviewers error:', error);
+      res.status(error.status || 500).json({
+        error: error.status ? error.message : 'Failed to assign reviewers',
+        code: 'REVIEWER_ASSIGN_ERROR'
+      });
+    }
+  },
+
+  async unassignReviewer(req, res) {
+    try {
+      const { id, reviewerId } = req.params;
+      const case_obj = await caseWorkflowService.unassignReviewer(id, reviewerId, req.user);
+
+      res.json({
+        message: 'Reviewer removed successfully',
         case: case_obj
       });
 
     } catch (error) {
-      logger.error('Review case error:', error);
+      logger.error('Unassign reviewer error:', error);
+      res.status(error.status || 500).json({
+        error: error.status ? error.message : 'Failed to remove reviewer',
+        code: 'REVIEWER_UNASSIGN_ERROR'
+      });
+    }
+  },
+
+  async getXapiStatus(req, res) {
+    try {
+      res.json(await xapiService.getQueueStatus());
+
+    } catch (error) {
+      logger.error('Get xAPI status error:', error);
       res.status(500).json({
-        error: 'Failed to review case',
-        code: 'CASE_REVIEW_ERROR'
+        error: 'Failed to retrieve xAPI queue status',
+        code: 'XAPI_STATUS_ERROR'
+      });
+    }
+  },
+
+  async getXapiDeadLetters(req, res) {
+    try {
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+      res.json(await xapiService.listDeadLetters({ page, limit }));
+
+    } catch (error) {
+      logger.error('Get xAPI dead letters error:', error);
+      res.status(500).json({
+        error: 'Failed to retrieve xAPI dead letters',
+        code: 'XAPI_DEAD_LETTERS_ERROR'
+      });
+    }
+  },
+
+  async requeueXapiDeadLetters(req, res) {
+    try {
+      const requeued = await xapiService.requeueDeadLetters(req.validatedData.ids || null);
+
+      logger.info(`xAPI dead letters requeued by admin: ${req.user.email}`);
+
+      res.json({
+        message: 'Dead letters requeued successfully',
+        requeued
+      });
+
+    } catch (error) {
+      logger.error('Requeue xAPI dead letters error:', error);
+      res.status(500).json({
+        error: 'Failed to requeue xAPI dead letters',
+        code: 'XAPI_REQUEUE_ERROR'
+      });
+    }
+  },
+
+  async backfillAchievements(req, res) {
+    try {
+      const job = await jobQueue.add(JOBS.QUEUES.ACHIEVEMENT, 'backfill', { notify: req.validatedData.notify }, { attempts: 1 });
+
+      logger.info(`Achievement backfill queued by admin: ${req.user.email}`);
+
+      res.status(202).json({
+        message: 'Achievement backfill queued',
+        job: { id: job.id, status: job.status }
+      });
+
+    } catch (error) {
+      logger.error('Queue achievement backfill error:', error);
+      res.status(500).json({
+        error: 'Failed to queue achievement backfill',
+        code: 'ACHIEVEMENT_BACKFILL_ERROR'
+      });
+    }
+  },
+
+  async recomputeProgression(req, res) {
+    try {
+      const job = await jobQueue.add(JOBS.QUEUES.PROGRESSION, 'recompute', { userId: req.validatedData.userId }, { attempts: 1 });
+
+      logger.info(`XP recompute queued by admin: ${req.user.email}`);
+
+      res.status(202).json({
+        message: 'XP recompute queued',
+        job: { id: job.id, status: job.status }
+      });
+
+    } catch (error) {
+      logger.error('Queue XP recompute error:', error);
+      res.status(500).json({
+        error: 'Failed to queue XP recompute',
+        code: 'PROGRESSION_RECOMPUTE_ERROR'
+      });
+    }
+  },
+
+  async getJobStatus(req, res) {
+    try {
+      res.json(await jobQueue.getStatus());
+
+    } catch (error) {
+      logger.error('Get job status error:', error);
+      res.status(500).json({
+        error: 'Failed to retrieve job queue status',
+        code: 'JOB_STATUS_ERROR'
+      });
+    }
+  },
+
+  async getJobDeadLetters(req, res) {
+    try {
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+      res.json(await jobQueue.listDeadLetters(req.params.queue, { page, limit }));
+
+    } catch (error) {
+      logger.error('Get job dead letters error:', error);
+      res.status(error.status || 500).json({
+        error: error.status ? error.message : 'Failed to retrieve job dead letters',
+        code: 'JOB_DEAD_LETTERS_ERROR'
+      });
+    }
+  },
+
+  async retryJobDeadLetters(req, res) {
+    try {
+      const { queue } = req.params;
+      const retried = await jobQueue.retryDeadLetters(queue, req.validatedData.ids || null);
+
+      logger.info(`${queue} job dead letters retried by admin: ${req.user.email}`);
+
+      res.json({
+        message: 'Dead letters queued for retry',
+        retried
+      });
+
+    } catch (error) {
+      logger.error('Retry job dead letters error:', error);
+      res.status(error.status || 500).json({
+        error: error.status ? error.message : 'Failed to retry job dead letters',
+        code: 'JOB_RETRY_ERROR'
       });
     }
   },
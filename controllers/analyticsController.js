@@ -1,5 +1,19 @@
+const mongoose = require('mongoose');
 const analyticsService = require('../services/analyticsService');
+const courseService = require('../services/courseService');
+const certificateService = require('../services/certificateService');
+const streakService = require('../services/streakService');
 const logger = require('../utils/logger');
+const dateUtils = require('../utils/dateUtils');
+
+const sendPdf = (res, buffer, filename) => {
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Content-Length': buffer.length
+  });
+  res.send(buffer);
+};
 
 const analyticsController = {
   async getUserDashboard(req, res) {
@@ -31,28 +45,188 @@ const analyticsController = {
     }
   },
 
+  async getStreak(req, res) {
+    try {
+      const streak = await streakService.getStreak(req.user._id);
+      res.json({ streak });
+    } catch (error) {
+      logger.error('Get streak error:', error);
+      res.status(error.status || 500).json({
+        error: error.status ? error.message : 'Failed to get streak',
+        code: 'STREAK_ERROR'
+      });
+    }
+  },
+
+  async updateStreakSettings(req, res) {
+    try {
+      const streak = await streakService.updateSettings(req.user._id, req.validatedData);
+      res.json({
+        message: 'Streak settings updated successfully',
+        streak
+      });
+    } catch (error) {
+      logger.error('Update streak settings error:', error);
+      res.status(error.status || 500).json({
+        error: error.status ? error.message : 'Failed to update streak settings',
+        code: 'STREAK_SETTINGS_ERROR'
+      });
+    }
+  },
+
+  async getActivityCalendar(req, res) {
+    try {
+      const { from, to } = req.query;
+      const calendar = await streakService.getActivityCalendar(req.user._id, { from, to });
+      res.json(calendar);
+    } catch (error) {
+      logger.error('Get activity calendar error:', error);
+      res.status(error.status || 500).json({
+        error: error.status ? error.message : 'Failed to get activity calendar',
+        code: error.status === 400 ? 'INVALID_DATE_RANGE' : 'ACTIVITY_CALENDAR_ERROR'
+      });
+    }
+  },
+
   async getCaseAnalytics(req, res) {
     try {
       const { caseId } = req.params;
-      const analytics = await analyticsService.getCaseAnalytics(caseId);
+      const { courseId } = req.query;
+
+      // Course figures are for the course's instructors
+      if (courseId) {
+        await courseService.getScopedLearnerIds(req.user, courseId);
+      }
+
+      const analytics = await analyticsService.getCaseAnalytics(caseId, { courseId });
       res.json(analytics);
     } catch (error) {
       logger.error('Get case analytics error:', error);
-      res.status(500).json({
-        error: 'Failed to get case analytics',
+      res.status(error.status || 500).json({
+        error: error.status ? error.message : 'Failed to get case analytics',
         code: 'CASE_ANALYTICS_ERROR'
       });
     }
   },
 
+  async getCertificate(req, res) {
+    try {
+      const { sessionId } = req.params;
+
+      const credential = await certificateService.issueCertificate(sessionId, req.user._id);
+
+      if (!credential) {
+        return res.status(404).json({
+          error: 'Completed session not found',
+          code: 'SESSION_NOT_FOUND'
+        });
+      }
+
+      const pdf = await certificateService.renderCertificate(credential);
+      sendPdf(res, pdf, `certificate-${credential.code}.pdf`);
+    } catch (error) {
+      logger.error('Get certificate error:', error);
+      res.status(500).json({
+        error: 'Failed to generate certificate',
+        code: 'CERTIFICATE_ERROR'
+      });
+    }
+  },
+
+  async getTranscript(req, res) {
+    try {
+      const { from, to, userId } = req.query;
+
+      if (userId && !mongoose.Types.ObjectId.isValid(userId)) {
+        return res.status(400).json({
+          error: 'Invalid user id',
+          code: 'INVALID_USER_ID'
+        });
+      }
+
+      // Instructors can pull the transcript of a student in their courses for portfolio review; admins, anyone's
+      if (userId && userId !== req.user._id.toString()) {
+        const learnerIds = ['instructor', 'admin'].includes(req.user.role)
+          ? await courseService.getScopedLearnerIds(req.user)
+          : [];
+        if (learnerIds && !learnerIds.includes(String(userId))) {
+          return res.status(403).json({
+            error: 'Not authorized to view this transcript',
+            code: 'INSUFFICIENT_PERMISSIONS'
+          });
+        }
+      }
+
+      const range = {
+        from: from ? dateUtils.getStartOfDay(new Date(from)) : null,
+        to: to ? dateUtils.getEndOfDay(new Date(to)) : null
+      };
+
+      if ((range.from && isNaN(range.from)) || (range.to && isNaN(range.to)) ||
+          (range.from && range.to && range.from > range.to)) {
+        return res.status(400).json({
+          error: 'Invalid date range',
+          code: 'INVALID_DATE_RANGE'
+        });
+      }
+
+      const credential = await certificateService.issueTranscript(userId || req.user._id, range);
+
+      if (!credential) {
+        return res.status(404).json({
+          error: 'User not found',
+          code: 'USER_NOT_FOUND'
+        });
+      }
+
+      const pdf = await certificateService.renderTranscript(credential);
+      sendPdf(res, pdf, `transcript-${credential.code}.pdf`);
+    } catch (error) {
+      logger.error('Get transcript error:', error);
+      res.status(500).json({
+        error: 'Failed to generate transcript',
+        code: 'TRANSCRIPT_ERROR'
+      });
+    }
+  },
+
+  async verifyCredential(req, res) {
+    try {
+      const verification = await certificateService.verify(req.params.code);
+
+      if (!verification) {
+        return res.status(404).json({
+          valid: false,
+          error: 'Verification code not found',
+          code: 'CREDENTIAL_NOT_FOUND'
+        });
+      }
+
+      res.json(verification);
+    } catch (error) {
+      logger.error('Verify credential error:', error);
+      res.status(500).json({
+        error: 'Failed to verify credential',
+        code: 'VERIFICATION_ERROR'
+      });
+    }
+  },
+
   async getSystemAnalytics(req, res) {
     try {
-      const analytics = await analyticsService.getSystemAnalytics();
+      const { courseId } = req.query;
+      if (courseId) {
+        await courseService.getScopedLearnerIds(req.user, courseId);
+      }
+
+      const analytics = courseId
+        ? await analyticsService.getSystemAnalytics({ courseId })
+        : await analyticsService.getCachedSystemAnalytics();
       res.json(analytics);
     } catch (error) {
       logger.error('Get system analytics error:', error);
-      res.status(500).json({
-        error: 'Failed to get system analytics',
+      res.status(error.status || 500).json({
+        error: error.status ? error.message : 'Failed to get system analytics',
         code: 'SYSTEM_ANALYTICS_ERROR'
       });
     }
@@ -0,0 +1,116 @@
+// controllers/assignmentController.js
+const assignmentService = require('../services/assignmentService');
+const logger = require('../utils/logger');
+
+// Assignment errors carry their own HTTP status (403, 404, 409...)
+const sendAssignmentError = (res, error, fallback, code) => {
+  res.status(error.status || 500).json({
+    error: error.status ? error.message : fallback,
+    code
+  });
+};
+
+const assignmentController = {
+  async getMyAssignments(req, res) {
+    try {
+      const assignments = await assignmentService.listForStudent(req.user);
+      res.json({ assignments });
+
+    } catch (error) {
+      logger.error('Get my assignments error:', error);
+      sendAssignmentError(res, error, 'Failed to retrieve assignments', 'ASSIGNMENTS_FETCH_ERROR');
+    }
+  },
+
+  async getCourseAssignments(req, res) {
+    try {
+      const assignments = await assignmentService.listForCourse(req.params.id, req.user);
+      res.json({ assignments });
+
+    } catch (error) {
+      logger.error('Get course assignments error:', error);
+      sendAssignmentError(res, error, 'Failed to retrieve assignments', 'ASSIGNMENTS_FETCH_ERROR');
+    }
+  },
+
+  async createAssignment(req, res) {
+    try {
+      const assignment = await assignmentService.createAssignment(req.user, req.validatedData);
+
+      res.status(201).json({
+        message: 'Assignment created successfully',
+        assignment: assignmentService.describe(assignment)
+      });
+
+    } catch (error) {
+      logger.error('Create assignment error:', error);
+      sendAssignmentError(res, error, 'Failed to create assignment', 'ASSIGNMENT_CREATE_ERROR');
+    }
+  },
+
+  async getAssignment(req, res) {
+    try {
+      const assignment = await assignmentService.getAssignment(req.params.id, req.user);
+      res.json({ assignment });
+
+    } catch (error) {
+      logger.error('Get assignment error:', error);
+      sendAssignmentError(res, error, 'Failed to retrieve assignment', 'ASSIGNMENT_FETCH_ERROR');
+    }
+  },
+
+  async updateAssignment(req, res) {
+    try {
+      const assignment = await assignmentService.updateAssignment(req.params.id, req.user, req.validatedData);
+
+      res.json({
+        message: 'Assignment updated successfully',
+        assignment: assignmentService.describe(assignment)
+      });
+
+    } catch (error) {
+      logger.error('Update assignment error:', error);
+      sendAssignmentError(res, error, 'Failed to update assignment', 'ASSIGNMENT_UPDATE_ERROR');
+    }
+  },
+
+  async deleteAssignment(req, res) {
+    try {
+      await assignmentService.deleteAssignment(req.params.id, req.user);
+      res.json({ message: 'Assignment deleted successfully' });
+
+    } catch (error) {
+      logger.error('Delete assignment error:', error);
+      sendAssignmentError(res, error, 'Failed to delete assignment', 'ASSIGNMENT_DELETE_ERROR');
+    }
+  },
+
+  async startCase(req, res) {
+    try {
+      const { id, caseId } = req.params;
+      const session = await assignmentService.startCase(id, caseId, req.user);
+
+      res.status(201).json({
+        message: 'Simulation started successfully',
+        ...session
+      });
+
+    } catch (error) {
+      logger.error('Start assignment case error:', error);
+      sendAssignmentError(res, error, 'Failed to start simulation', 'ASSIGNMENT_START_ERROR');
+    }
+  },
+
+  async getGradebook(req, res) {
+    try {
+      const gradebook = await assignmentService.getGradebook(req.params.id, req.user);
+      res.json(gradebook);
+
+    } catch (error) {
+      logger.error('Get gradebook error:', error);
+      sendAssignmentError(res, error, 'Failed to retrieve gradebook', 'GRADEBOOK_FETCH_ERROR');
+    }
+  }
+};
+
+module.exports = assignmentController;
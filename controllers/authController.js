@@ -1,9 +1,10 @@
 const User = require('../models/User');
 const { generateToken, generateRefreshToken, verifyToken } = require('../utils/auth');
-const { sendWelcomeEmail, sendPasswordResetEmail } = require('../utils/email');
+const jobQueue = require('../services/jobQueue');
 const logger = require('../utils/logger');
 const helpers = require('../utils/helpers');
 const { JWT_REFRESH_SECRET } = require('../config/auth');
+const { JOBS } = require('../utils/constants');
 
 const register = async (req, res) => {
   try {
@@ -40,7 +41,7 @@ const register = async (req, res) => {
     await user.save();
 
     // Send welcome email
-    await sendWelcomeEmail(user);
+    await jobQueue.add(JOBS.QUEUES.EMAIL, 'welcome', { userId: user._id });
 
     logger.info(`New user registered: ${user.email}`);
     res.status(201).json({
@@ -180,7 +181,7 @@ const forgotPassword = async (req, res) => {
     await user.save();
 
     // Send password reset email
-    await sendPasswordResetEmail(user, resetToken);
+    await jobQueue.add(JOBS.QUEUES.EMAIL, 'password-reset', { userId: user._id });
 
     res.json({ message: 'Password reset email sent' });
   } catch (error) {
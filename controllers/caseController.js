@@ -1,8 +1,31 @@
 const Case = require('../models/Case');
 const Progress = require('../models/Progress');
 const Review = require('../models/Review');
+const caseVersionService = require('../services/caseVersionService');
+const caseWorkflowService = require('../services/caseWorkflowService');
+const caseBundleService = require('../services/caseBundleService');
+const caseSpreadsheetService = require('../services/caseSpreadsheetService');
+const courseService = require('../services/courseService');
+const achievementService = require('../services/achievementService');
 const logger = require('../utils/logger');
 
+const sendZip = (res, buffer, filename) => {
+  res.set({
+    'Content-Type': 'application/zip',
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Content-Length': buffer.length
+  });
+  res.send(buffer);
+};
+
+// Workflow errors carry their own HTTP status (403, 404, 409...)
+const sendWorkflowError = (res, error, fallback, code) => {
+  res.status(error.status || 500).json({
+    error: error.message || fallback,
+    code
+  });
+};
+
 const getCases = async (req, res) => {
   try {
     const {
@@ -27,6 +50,10 @@ const getCases = async (req, res) => {
       filter.$text = { $search: search };
     }
 
+    // Course-only cases are listed for members of the courses that use them
+    const visibleFilter = await courseService.getVisibleCaseFilter(req.user);
+    if (visibleFilter) Object.assign(filter, visibleFilter);
+
     const sort = {};
     sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
 
@@ -78,7 +105,7 @@ const getCaseById = async (req, res) => {
       case_data.metadata.author._id.toString() === req.user._id.toString() ||
       ['instructor', 'admin'].includes(req.user.role);
 
-    if (!canAccess) {
+    if (!canAccess || !(await courseService.canAccessCase(req.user, case_data))) {
       return res.status(403).json({
         error: 'Access denied to this case',
         code: 'CASE_ACCESS_DENIED'
@@ -113,6 +140,7 @@ const createCase = async (req, res) => {
 
     const newCase = new Case(caseData);
     await newCase.save();
+    await achievementService.recordCasesCreated(req.user._id);
 
     logger.info(`New case created: ${newCase._id} by user: ${req.user._id}`);
     res.status(201).json({
@@ -131,19 +159,46 @@ const createCase = async (req, res) => {
 const updateCase = async (req, res) => {
   try {
     const { id } = req.params;
-    const case_obj = await Case.findByIdAndUpdate(
-      id,
-      req.body,
-      { new: true, runValidators: true }
-    );
+    const existing = await Case.findById(id);
 
-    if (!case_obj) {
+    if (!existing) {
       return res.status(404).json({
         error: 'Case not found',
         code: 'CASE_NOT_FOUND'
       });
     }
 
+    // Published cases stay as published; edits go to a draft revision
+    if (existing.metadata.status === 'published') {
+      const draft = await caseVersionService.saveDraftRevision(existing, req.body);
+
+      logger.info(`Draft revision saved for case: ${id} by user: ${req.user._id}`);
+      return res.json({
+        message: 'Draft revision saved; the published case is unchanged until it is published',
+        case: draft
+      });
+    }
+
+    if (!caseWorkflowService.isEditable(existing)) {
+      return res.status(409).json({
+        error: `A case in ${existing.metadata.status} status cannot be edited; withdraw or restore it to draft first`,
+        code: 'CASE_LOCKED'
+      });
+    }
+
+    // Update metadata fields individually so author, status and revision links are kept
+    const { metadata = {}, ...content } = req.body;
+    const update = { ...content };
+    Object.entries(metadata).forEach(([key, value]) => {
+      update[`metadata.${key}`] = value;
+    });
+
+    const case_obj = await Case.findByIdAndUpdate(
+      id,
+      update,
+      { new: true, runValidators: true }
+    );
+
     logger.info(`Case updated: ${id} by user: ${req.user._id}`);
     res.json({
       message: 'Case updated successfully',
@@ -151,8 +206,8 @@ const updateCase = async (req, res) => {
     });
   } catch (error) {
     logger.error('Update case error:', error);
-    res.status(500).json({
-      error: 'Failed to update case',
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to update case',
       code: 'CASE_UPDATE_ERROR'
     });
   }
@@ -187,41 +242,23 @@ const deleteCase = async (req, res) => {
 const publishCase = async (req, res) => {
   try {
     const { id } = req.params;
-    const case_obj = await Case.findByIdAndUpdate(
-      id,
-      { 'metadata.status': 'published' },
-      { new: true }
-    );
+    const case_obj = await caseWorkflowService.publish(id, req.user, req.body && req.body.changeNote);
 
-    if (!case_obj) {
-      return res.status(404).json({
-        error: 'Case not found',
-        code: 'CASE_NOT_FOUND'
-      });
-    }
-
-    logger.info(`Case published: ${id} by user: ${req.user._id}`);
+    logger.info(`Case published: ${case_obj._id} (version ${case_obj.metadata.version}) by user: ${req.user._id}`);
     res.json({
       message: 'Case published successfully',
       case: case_obj
     });
   } catch (error) {
     logger.error('Publish case error:', error);
-    res.status(500).json({
-      error: 'Failed to publish case',
-      code: 'CASE_PUBLISH_ERROR'
-    });
+    sendWorkflowError(res, error, 'Failed to publish case', 'CASE_PUBLISH_ERROR');
   }
 };
 
 const archiveCase = async (req, res) => {
   try {
     const { id } = req.params;
-    const case_obj = await Case.findByIdAndUpdate(
-      id,
-      { 'metadata.status': 'archived' },
-      { new: true }
-    );
+    const case_obj = await caseWorkflowService.archive(id, req.user, req.body && req.body.note);
 
     res.json({
       message: 'Case archived successfully',
@@ -229,13 +266,162 @@ const archiveCase = async (req, res) => {
     });
   } catch (error) {
     logger.error('Archive case error:', error);
+    sendWorkflowError(res, error, 'Failed to archive case', 'CASE_ARCHIVE_ERROR');
+  }
+};
+
+const restoreCase = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const case_obj = await caseWorkflowService.restore(id, req.user, req.body && req.body.note);
+
+    res.json({
+      message: 'Case restored to draft',
+      case: case_obj
+    });
+  } catch (error) {
+    logger.error('Restore case error:', error);
+    sendWorkflowError(res, error, 'Failed to restore case', 'CASE_RESTORE_ERROR');
+  }
+};
+
+const submitCase = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const case_obj = await caseWorkflowService.submitForReview(id, req.user, req.body && req.body.note);
+
+    res.json({
+      message: 'Case submitted for review',
+      case: case_obj
+    });
+  } catch (error) {
+    logger.error('Submit case error:', error);
+    sendWorkflowError(res, error, 'Failed to submit case for review', 'CASE_SUBMIT_ERROR');
+  }
+};
+
+const withdrawCase = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const case_obj = await caseWorkflowService.withdraw(id, req.user, req.body && req.body.note);
+
+    res.json({
+      message: 'Case withdrawn from review',
+      case: case_obj
+    });
+  } catch (error) {
+    logger.error('Withdraw case error:', error);
+    sendWorkflowError(res, error, 'Failed to withdraw case', 'CASE_WITHDRAW_ERROR');
+  }
+};
+
+const reviewCase = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await caseWorkflowService.review(id, req.user, req.body);
+
+    await caseWorkflowService.notifyAuthor(result.case);
+
+    res.json({
+      message: result.decision === 'approve' ? 'Approval recorded' : 'Changes requested',
+      ...result
+    });
+  } catch (error) {
+    logger.error('Review case error:', error);
+    sendWorkflowError(res, error, 'Failed to review case', 'CASE_REVIEW_ERROR');
+  }
+};
+
+const getReviewQueue = async (req, res) => {
+  try {
+    const cases = await caseWorkflowService.getReviewQueue(req.user);
+
+    res.json({
+      cases,
+      count: cases.length
+    });
+  } catch (error) {
+    logger.error('Get review queue error:', error);
     res.status(500).json({
-      error: 'Failed to archive case',
-      code: 'CASE_ARCHIVE_ERROR'
+      error: 'Failed to retrieve review queue',
+      code: 'REVIEW_QUEUE_ERROR'
     });
   }
 };
 
+const setCaseVisibility = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const case_obj = await caseWorkflowService.setVisibility(id, req.user, req.validatedData.visibility);
+
+    res.json({
+      message: 'Case visibility updated',
+      visibility: case_obj.metadata.visibility
+    });
+  } catch (error) {
+    logger.error('Set case visibility error:', error);
+    sendWorkflowError(res, error, 'Failed to update case visibility', 'CASE_VISIBILITY_ERROR');
+  }
+};
+
+const getCaseComments = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { stepId, resolved } = req.query;
+    const comments = await caseWorkflowService.getComments(id, {
+      stepId,
+      resolved: resolved === undefined ? undefined : resolved === 'true'
+    });
+
+    res.json({ comments });
+  } catch (error) {
+    logger.error('Get case comments error:', error);
+    sendWorkflowError(res, error, 'Failed to retrieve comments', 'CASE_COMMENTS_ERROR');
+  }
+};
+
+const addCaseComment = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const comment = await caseWorkflowService.addComment(id, req.user, req.body);
+
+    res.status(201).json({
+      message: 'Comment added',
+      comment
+    });
+  } catch (error) {
+    logger.error('Add case comment error:', error);
+    sendWorkflowError(res, error, 'Failed to add comment', 'CASE_COMMENT_ERROR');
+  }
+};
+
+const resolveCaseComment = async (req, res) => {
+  try {
+    const { id, commentId } = req.params;
+    const comment = await caseWorkflowService.resolveComment(id, commentId, req.user);
+
+    res.json({
+      message: 'Comment resolved',
+      comment
+    });
+  } catch (error) {
+    logger.error('Resolve case comment error:', error);
+    sendWorkflowError(res, error, 'Failed to resolve comment', 'CASE_COMMENT_ERROR');
+  }
+};
+
+const getCaseHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const history = await caseWorkflowService.getHistory(id);
+
+    res.json({ history });
+  } catch (error) {
+    logger.error('Get case history error:', error);
+    sendWorkflowError(res, error, 'Failed to retrieve case history', 'CASE_HISTORY_ERROR');
+  }
+};
+
 const getCaseStatistics = async (req, res) => {
   try {
     const { id } = req.params;
@@ -287,9 +473,11 @@ const duplicateCase = async (req, res) => {
     duplicateData.metadata.author = req.user._id;
     duplicateData.metadata.status = 'draft';
     duplicateData.metadata.version = 1;
+    delete duplicateData.metadata.revisionOf;
 
     const duplicateCase = new Case(duplicateData);
     await duplicateCase.save();
+    await achievementService.recordCasesCreated(req.user._id);
 
     logger.info(`Case duplicated: ${id} -> ${duplicateCase._id} by user: ${req.user._id}`);
     res.status(201).json({
@@ -305,6 +493,235 @@ const duplicateCase = async (req, res) => {
   }
 };
 
+const getCaseVersions = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const versions = await caseVersionService.listVersions(id);
+
+    if (!versions) {
+      return res.status(404).json({
+        error: 'Case not found',
+        code: 'CASE_NOT_FOUND'
+      });
+    }
+
+    res.json(versions);
+  } catch (error) {
+    logger.error('Get case versions error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve case versions',
+      code: 'CASE_VERSIONS_ERROR'
+    });
+  }
+};
+
+const getCaseVersion = async (req, res) => {
+  try {
+    const { id, version } = req.params;
+    const snapshot = await caseVersionService.getVersion(id, version);
+
+    if (!snapshot) {
+      return res.status(404).json({
+        error: 'Case version not found',
+        code: 'CASE_VERSION_NOT_FOUND'
+      });
+    }
+
+    res.json(snapshot);
+  } catch (error) {
+    logger.error('Get case version error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve case version',
+      code: 'CASE_VERSION_FETCH_ERROR'
+    });
+  }
+};
+
+const diffCaseVersions = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { from, to } = req.query;
+
+    if (!from || !to) {
+      return res.status(400).json({
+        error: 'Both from and to versions are required',
+        code: 'VERSION_RANGE_REQUIRED'
+      });
+    }
+
+    const diff = await caseVersionService.diffVersions(id, from, to);
+    res.json(diff);
+  } catch (error) {
+    logger.error('Diff case versions error:', error);
+    res.status(error.status || 500).json({
+      error: error.message || 'Failed to diff case versions',
+      code: 'CASE_VERSION_DIFF_ERROR'
+    });
+  }
+};
+
+const rollbackCase = async (req, res) => {
+  try {
+    const { id, version } = req.params;
+    const case_obj = await caseVersionService.rollback(id, version, req.user);
+
+    if (!case_obj) {
+      return res.status(404).json({
+        error: 'Case not found',
+        code: 'CASE_NOT_FOUND'
+      });
+    }
+
+    await caseWorkflowService.logEvent(case_obj, 'rollback', req.user._id, {
+      from: 'published',
+      to: 'published',
+      details: { restoredVersion: Number(version), version: case_obj.metadata.version }
+    });
+
+    logger.info(`Case rolled back: ${id} to version ${version} by user: ${req.user._id}`);
+    res.json({
+      message: `Case rolled back to version ${version}`,
+      case: case_obj
+    });
+  } catch (error) {
+    logger.error('Rollback case error:', error);
+    res.status(error.status || 500).json({
+      error: error.message || 'Failed to roll back case',
+      code: 'CASE_ROLLBACK_ERROR'
+    });
+  }
+};
+
+const exportCase = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const case_obj = await Case.findById(id);
+
+    if (!case_obj) {
+      return res.status(404).json({
+        error: 'Case not found',
+        code: 'CASE_NOT_FOUND'
+      });
+    }
+
+    if (!(await caseBundleService.canExport(req.user, case_obj))) {
+      return res.status(403).json({
+        error: 'Access denied to this case',
+        code: 'CASE_ACCESS_DENIED'
+      });
+    }
+
+    const bundle = await caseBundleService.exportBundle([case_obj]);
+
+    logger.info(`Case exported: ${id} by user: ${req.user._id}`);
+    sendZip(res, bundle, `case-${id}-v${case_obj.metadata.version}.zip`);
+  } catch (error) {
+    logger.error('Export case error:', error);
+    res.status(500).json({
+      error: 'Failed to export case',
+      code: 'CASE_EXPORT_ERROR'
+    });
+  }
+};
+
+const exportCases = async (req, res) => {
+  try {
+    const { specialty, tags, status } = req.query;
+    const cases = await caseBundleService.findCasesForExport(req.user, { specialty, tags, status });
+
+    if (cases.length === 0) {
+      return res.status(404).json({
+        error: 'No cases match the export filter',
+        code: 'NO_CASES_TO_EXPORT'
+      });
+    }
+
+    const bundle = await caseBundleService.exportBundle(cases);
+
+    logger.info(`${cases.length} cases exported by user: ${req.user._id}`);
+    sendZip(res, bundle, `cases-${new Date().toISOString().slice(0, 10)}.zip`);
+  } catch (error) {
+    logger.error('Export cases error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to export cases',
+      code: 'CASE_EXPORT_ERROR'
+    });
+  }
+};
+
+const importCases = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'A case bundle file is required',
+        code: 'BUNDLE_REQUIRED'
+      });
+    }
+
+    const result = await caseBundleService.importBundle(req.file.buffer, req.user);
+    await achievementService.recordCasesCreated(req.user._id, result.imported.length);
+
+    res.status(201).json({
+      message: `${result.imported.length} case(s) imported as drafts`,
+      ...result
+    });
+  } catch (error) {
+    logger.error('Import cases error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to import cases',
+      code: error.status ? 'INVALID_BUNDLE' : 'CASE_IMPORT_ERROR',
+      details: error.details || undefined
+    });
+  }
+};
+
+const importSpreadsheet = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'A .csv or .xlsx file is required',
+        code: 'SPREADSHEET_REQUIRED'
+      });
+    }
+
+    const dryRun = req.query.dryRun === 'true' || req.body.dryRun === 'true';
+    const report = await caseSpreadsheetService.importSpreadsheet(req.file, req.user, { dryRun });
+
+    if (!report.valid && !dryRun) {
+      return res.status(400).json({
+        error: 'Spreadsheet has errors; nothing was imported',
+        code: 'SPREADSHEET_INVALID',
+        report
+      });
+    }
+
+    if (report.imported) {
+      await achievementService.recordCasesCreated(req.user._id, report.summary.cases);
+    }
+
+    res.status(report.imported ? 201 : 200).json({
+      message: report.imported
+        ? `${report.summary.cases} case(s) imported as drafts`
+        : 'Dry run complete; nothing was imported',
+      report
+    });
+  } catch (error) {
+    logger.error('Import spreadsheet error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to import spreadsheet',
+      code: error.status ? 'INVALID_SPREADSHEET' : 'SPREADSHEET_IMPORT_ERROR'
+    });
+  }
+};
+
+const getSpreadsheetTemplate = async (req, res) => {
+  res.set({
+    'Content-Type': 'text/csv',
+    'Content-Disposition': 'attachment; filename="case-import-template.csv"'
+  });
+  res.send(caseSpreadsheetService.getTemplate());
+};
+
 module.exports = {
   getCases,
   getCaseById,
@@ -313,6 +730,25 @@ module.exports = {
   deleteCase,
   publishCase,
   archiveCase,
+  restoreCase,
+  submitCase,
+  withdrawCase,
+  reviewCase,
+  getReviewQueue,
+  setCaseVisibility,
+  getCaseComments,
+  addCaseComment,
+  resolveCaseComment,
+  getCaseHistory,
   getCaseStatistics,
-  duplicateCase
+  duplicateCase,
+  getCaseVersions,
+  getCaseVersion,
+  diffCaseVersions,
+  rollbackCase,
+  exportCase,
+  exportCases,
+  importCases,
+  importSpreadsheet,
+  getSpreadsheetTemplate
 };
\ No newline at end of file
@@ -0,0 +1,195 @@
+// controllers/courseController.js
+const courseService = require('../services/courseService');
+const analyticsService = require('../services/analyticsService');
+const logger = require('../utils/logger');
+
+// Course errors carry their own HTTP status (403, 404, 409...)
+const sendCourseError = (res, error, fallback, code) => {
+  res.status(error.status || 500).json({
+    error: error.status ? error.message : fallback,
+    code
+  });
+};
+
+const courseController = {
+  async getCourses(req, res) {
+    try {
+      const courses = await courseService.listCourses(req.user, {
+        includeArchived: req.query.includeArchived === 'true'
+      });
+      res.json({ courses });
+
+    } catch (error) {
+      logger.error('Get courses error:', error);
+      sendCourseError(res, error, 'Failed to retrieve courses', 'COURSES_FETCH_ERROR');
+    }
+  },
+
+  async createCourse(req, res) {
+    try {
+      const course = await courseService.createCourse(req.user, req.validatedData);
+
+      res.status(201).json({
+        message: 'Course created successfully',
+        course: courseService.summarize(course, req.user)
+      });
+
+    } catch (error) {
+      logger.error('Create course error:', error);
+      sendCourseError(res, error, 'Failed to create course', 'COURSE_CREATE_ERROR');
+    }
+  },
+
+  async getCourse(req, res) {
+    try {
+      const course = await courseService.getCourse(req.params.id, req.user);
+      res.json({ course });
+
+    } catch (error) {
+      logger.error('Get course error:', error);
+      sendCourseError(res, error, 'Failed to retrieve course', 'COURSE_FETCH_ERROR');
+    }
+  },
+
+  async updateCourse(req, res) {
+    try {
+      const course = await courseService.updateCourse(req.params.id, req.user, req.validatedData);
+
+      res.json({
+        message: 'Course updated successfully',
+        course
+      });
+
+    } catch (error) {
+      logger.error('Update course error:', error);
+      sendCourseError(res, error, 'Failed to update course', 'COURSE_UPDATE_ERROR');
+    }
+  },
+
+  async regenerateJoinCode(req, res) {
+    try {
+      const result = await courseService.regenerateJoinCode(req.params.id, req.user);
+      res.json(result);
+
+    } catch (error) {
+      logger.error('Regenerate join code error:', error);
+      sendCourseError(res, error, 'Failed to regenerate join code', 'JOIN_CODE_ERROR');
+    }
+  },
+
+  async joinCourse(req, res) {
+    try {
+      const course = await courseService.joinByCode(req.validatedData.joinCode, req.user);
+
+      res.json({
+        message: 'Enrolled in course',
+        course
+      });
+
+    } catch (error) {
+      logger.error('Join course error:', error);
+      sendCourseError(res, error, 'Failed to join course', 'COURSE_JOIN_ERROR');
+    }
+  },
+
+  async inviteStudents(req, res) {
+    try {
+      const report = await courseService.inviteStudents(req.params.id, req.user, req.validatedData.emails);
+
+      res.status(201).json({
+        message: `${report.invited.length} invitation(s) sent`,
+        ...report
+      });
+
+    } catch (error) {
+      logger.error('Invite students error:', error);
+      sendCourseError(res, error, 'Failed to send invitations', 'COURSE_INVITE_ERROR');
+    }
+  },
+
+  async acceptInvitation(req, res) {
+    try {
+      const course = await courseService.acceptInvitation(req.params.token, req.user);
+
+      res.json({
+        message: 'Enrolled in course',
+        course
+      });
+
+    } catch (error) {
+      logger.error('Accept invitation error:', error);
+      sendCourseError(res, error, 'Failed to accept invitation', 'INVITATION_ERROR');
+    }
+  },
+
+  async getRoster(req, res) {
+    try {
+      const roster = await courseService.getRoster(req.params.id, req.user);
+      res.json(roster);
+
+    } catch (error) {
+      logger.error('Get roster error:', error);
+      sendCourseError(res, error, 'Failed to retrieve roster', 'ROSTER_FETCH_ERROR');
+    }
+  },
+
+  async removeStudent(req, res) {
+    try {
+      await courseService.removeStudent(req.params.id, req.user, req.params.userId);
+      res.json({ message: 'Student removed from course' });
+
+    } catch (error) {
+      logger.error('Remove student error:', error);
+      sendCourseError(res, error, 'Failed to remove student', 'ROSTER_UPDATE_ERROR');
+    }
+  },
+
+  async leaveCourse(req, res) {
+    try {
+      await courseService.leaveCourse(req.params.id, req.user);
+      res.json({ message: 'Left course' });
+
+    } catch (error) {
+      logger.error('Leave course error:', error);
+      sendCourseError(res, error, 'Failed to leave course', 'COURSE_LEAVE_ERROR');
+    }
+  },
+
+  async addCases(req, res) {
+    try {
+      const result = await courseService.addCases(req.params.id, req.user, req.validatedData.caseIds);
+      res.json(result);
+
+    } catch (error) {
+      logger.error('Add course cases error:', error);
+      sendCourseError(res, error, 'Failed to add cases', 'COURSE_CASES_ERROR');
+    }
+  },
+
+  async removeCase(req, res) {
+    try {
+      const result = await courseService.removeCase(req.params.id, req.user, req.params.caseId);
+      res.json(result);
+
+    } catch (error) {
+      logger.error('Remove course case error:', error);
+      sendCourseError(res, error, 'Failed to remove case', 'COURSE_CASES_ERROR');
+    }
+  },
+
+  async getCourseAnalytics(req, res) {
+    try {
+      const course = await courseService.loadCourse(req.params.id);
+      courseService.assertCanManage(course, req.user);
+
+      const analytics = await analyticsService.getCourseAnalytics(course);
+      res.json(analytics);
+
+    } catch (error) {
+      logger.error('Get course analytics error:', error);
+      sendCourseError(res, error, 'Failed to get course analytics', 'COURSE_ANALYTICS_ERROR');
+    }
+  }
+};
+
+module.exports = courseController;
@@ -1,23 +1,32 @@
 // controllers/discussionController.js
 const { Discussion, Case, User } = require('../models');
 const notificationService = require('../services/notificationService');
+const courseService = require('../services/courseService');
+const webhookService = require('../services/webhookService');
+const achievementService = require('../services/achievementService');
 const logger = require('../utils/logger');
 
 const discussionController = {
   async getDiscussions(req, res) {
     try {
-      const { page = 1, limit = 20, sortBy = 'createdAt', sortOrder = 'desc', caseId } = req.query;
+      const { page = 1, limit = 20, sortBy = 'createdAt', sortOrder = 'desc', caseId, courseId } = req.query;
 
       const skip = (page - 1) * limit;
       const sortObj = { [sortBy]: sortOrder === 'desc' ? -1 : 1 };
 
-      // Build filter
+      // Build filter; course threads are only listed for the course's members
       const filter = { parentId: null };
       if (caseId) filter.caseId = caseId;
+      if (courseId) {
+        await courseService.assertCourseAccess(courseId, req.user);
+        filter.courseId = courseId;
+      } else {
+        Object.assign(filter, await courseService.getVisibleDiscussionFilter(req.user));
+      }
 
       const [discussions, totalCount] = await Promise.all([
         Discussion.find(filter)
-          .populate('userId', 'profile.firstName profile.lastName role')
+          .populate('author', 'profile.firstName profile.lastName role')
           .populate('caseId', 'title specialty')
           .sort(sortObj)
           .skip(skip)
@@ -29,7 +38,7 @@ const discussionController = {
       // Get replies for each discussion
       for (let discussion of discussions) {
         const replies = await Discussion.find({ parentId: discussion._id })
-          .populate('userId', 'profile.firstName profile.lastName role')
+          .populate('author', 'profile.firstName profile.lastName role')
           .sort({ createdAt: 1 })
           .lean();
         discussion.replies = replies;
@@ -50,8 +59,8 @@ const discussionController = {
 
     } catch (error) {
       logger.error('Get discussions error:', error);
-      res.status(500).json({
-        error: 'Failed to retrieve discussions',
+      res.status(error.status || 500).json({
+        error: error.status ? error.message : 'Failed to retrieve discussions',
         code: 'DISCUSSIONS_FETCH_ERROR'
       });
     }
@@ -62,7 +71,7 @@ const discussionController = {
       const { id } = req.params;
 
       const discussion = await Discussion.findById(id)
-        .populate('userId', 'profile.firstName profile.lastName role')
+        .populate('author', 'profile.firstName profile.lastName role')
         .populate('caseId', 'title specialty')
         .lean();
 
@@ -73,9 +82,13 @@ const discussionController = {
         });
       }
 
+      if (discussion.courseId) {
+        await courseService.assertCourseAccess(discussion.courseId, req.user);
+      }
+
       // Get replies
       const replies = await Discussion.find({ parentId: id })
-        .populate('userId', 'profile.firstName profile.lastName role')
+        .populate('author', 'profile.firstName profile.lastName role')
         .sort({ createdAt: 1 })
         .lean();
 
@@ -87,8 +100,8 @@ const discussionController = {
 
     } catch (error) {
       logger.error('Get discussion by ID error:', error);
-      res.status(500).json({
-        error: 'Failed to retrieve discussion',
+      res.status(error.status || 500).json({
+        error: error.status ? error.message : 'Failed to retrieve discussion',
         code: 'DISCUSSION_FETCH_ERROR'
       });
     }
@@ -108,9 +121,14 @@ const discussionController = {
         });
       }
 
+      if (parentDiscussion.courseId) {
+        await courseService.assertCourseAccess(parentDiscussion.courseId, req.user);
+      }
+
       const reply = new Discussion({
         caseId: parentDiscussion.caseId,
-        userId: req.user._id,
+        courseId: parentDiscussion.courseId,
+        author: req.user._id,
         content,
         type: 'reply',
         parentId: id,
@@ -118,12 +136,13 @@ const discussionController = {
       });
 
       await reply.save();
-      await reply.populate('userId', 'profile.firstName profile.lastName role');
+      await reply.populate('author', 'profile.firstName profile.lastName role');
 
       // Send real-time notification
       const io = req.app.get('io');
       if (io) {
-        io.to(`discussion_${parentDiscussion.caseId}`).emit('reply_added', {
+        const room = parentDiscussion.courseId ? `course_${parentDiscussion.courseId}` : `discussion_${parentDiscussion.caseId}`;
+        io.to(room).emit('reply_added', {
           reply,
           parentId: id,
           user: {
@@ -134,6 +153,16 @@ const discussionController = {
         });
       }
 
+      await achievementService.recordDiscussionPost(req.user._id);
+      await webhookService.emit('discussion.created', {
+        discussionId: String(reply._id),
+        parentId: String(id),
+        caseId: reply.caseId ? String(reply.caseId) : null,
+        courseId: reply.courseId ? String(reply.courseId) : null,
+        authorId: String(req.user._id),
+        content: reply.content
+      });
+
       logger.info(`Reply created: ${reply._id} by user: ${req.user._id}`);
 
       res.status(201).json({
@@ -143,8 +172,8 @@ const discussionController = {
 
     } catch (error) {
       logger.error('Reply to discussion error:', error);
-      res.status(500).json({
-        error: 'Failed to create reply',
+      res.status(error.status || 500).json({
+        error: error.status ? error.message : 'Failed to create reply',
         code: 'REPLY_CREATE_ERROR'
       });
     }
@@ -157,21 +186,22 @@ const discussionController = {
 
       const skip = (page - 1) * limit;
       const sortObj = { [sortBy]: sortOrder === 'desc' ? -1 : 1 };
+      const filter = { caseId, parentId: null, ...(await courseService.getVisibleDiscussionFilter(req.user)) };
 
       const [discussions, totalCount] = await Promise.all([
-        Discussion.find({ caseId, parentId: null })
-          .populate('userId', 'profile.firstName profile.lastName role')
+        Discussion.find(filter)
+          .populate('author', 'profile.firstName profile.lastName role')
           .sort(sortObj)
           .skip(skip)
           .limit(parseInt(limit))
           .lean(),
-        Discussion.countDocuments({ caseId, parentId: null })
+        Discussion.countDocuments(filter)
       ]);
 
       // Get replies for each discussion
       for (let discussion of discussions) {
         const replies = await Discussion.find({ parentId: discussion._id })
-          .populate('userId', 'profile.firstName profile.lastName role')
+          .populate('author', 'profile.firstName profile.lastName role')
           .sort({ createdAt: 1 })
           .lean();
         discussion.replies = replies;
@@ -201,7 +231,7 @@ const discussionController = {
 
   async createDiscussion(req, res) {
     try {
-      const { caseId, content, type = 'comment', parentId } = req.body;
+      const { caseId, courseId, content, type = 'comment', parentId } = req.body;
 
       // Verify case exists
       const case_obj = await Case.findById(caseId);
@@ -212,9 +242,14 @@ const discussionController = {
         });
       }
 
+      if (courseId) {
+        await courseService.assertCourseAccess(courseId, req.user);
+      }
+
       const discussion = new Discussion({
         caseId,
-        userId: req.user._id,
+        courseId,
+        author: req.user._id,
         content,
         type,
         parentId,
@@ -222,12 +257,12 @@ const discussionController = {
       });
 
       await discussion.save();
-      await discussion.populate('userId', 'profile.firstName profile.lastName role');
+      await discussion.populate('author', 'profile.firstName profile.lastName role');
 
       // Send real-time notification
       const io = req.app.get('io');
       if (io) {
-        io.to(`discussion_${caseId}`).emit('discussion_added', {
+        io.to(courseId ? `course_${courseId}` : `discussion_${caseId}`).emit('discussion_added', {
           discussion,
           user: {
             id: req.user._id,
@@ -237,6 +272,16 @@ const discussionController = {
         });
       }
 
+      await achievementService.recordDiscussionPost(req.user._id);
+      await webhookService.emit('discussion.created', {
+        discussionId: String(discussion._id),
+        parentId: discussion.parentId ? String(discussion.parentId) : null,
+        caseId: String(caseId),
+        courseId: courseId ? String(courseId) : null,
+        authorId: String(req.user._id),
+        content: discussion.content
+      });
+
       logger.info(`Discussion created: ${discussion._id} by user: ${req.user._id}`);
 
       res.status(201).json({
@@ -246,8 +291,8 @@ const discussionController = {
 
     } catch (error) {
       logger.error('Create discussion error:', error);
-      res.status(500).json({
-        error: 'Failed to create discussion',
+      res.status(error.status || 500).json({
+        error: error.status ? error.message : 'Failed to create discussion',
         code: 'DISCUSSION_CREATE_ERROR'
       });
     }
@@ -267,6 +312,7 @@ const discussionController = {
       }
 
       const userId = req.user._id;
+      const hadUpvoted = discussion.votes.upvotes.some(id => id.equals(userId));
 
       // Remove existing votes by this user
       discussion.votes.upvotes = discussion.votes.upvotes.filter(id => !id.equals(userId));
@@ -280,6 +326,8 @@ const discussionController = {
       }
 
       await discussion.save();
+      const upvoteChange = (voteType === 'upvote' ? 1 : 0) - (hadUpvoted ? 1 : 0);
+      await achievementService.recordUpvote(discussion.author, userId, upvoteChange);
 
       const voteScore = discussion.votes.upvotes.length - discussion.votes.downvotes.length;
 
@@ -313,7 +361,7 @@ const discussionController = {
       }
 
       // Check if user owns the discussion
-      if (discussion.userId.toString() !== req.user._id.toString()) {
+      if (discussion.author.toString() !== req.user._id.toString()) {
         return res.status(403).json({
           error: 'Access denied - not discussion owner',
           code: 'NOT_OWNER'
@@ -358,7 +406,7 @@ const discussionController = {
       }
 
       // Check if user owns the discussion or is admin/instructor
-      const canDelete = discussion.userId.toString() === req.user._id.toString() ||
+      const canDelete = discussion.author.toString() === req.user._id.toString() ||
                        ['admin', 'instructor'].includes(req.user.role);
 
       if (!canDelete) {
@@ -0,0 +1,33 @@
+// controllers/leaderboardController.js
+const leaderboardService = require('../services/leaderboardService');
+const logger = require('../utils/logger');
+const { LEADERBOARD } = require('../utils/constants');
+
+const leaderboardController = {
+  async getLeaderboard(req, res) {
+    try {
+      const { window, scope, specialty, courseId } = req.query;
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || LEADERBOARD.PAGE_SIZE, 1), LEADERBOARD.MAX_PAGE_SIZE);
+      const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+      const leaderboard = await leaderboardService.getLeaderboard(req.user, {
+        window,
+        scope,
+        specialty,
+        courseId,
+        limit,
+        offset
+      });
+      res.json(leaderboard);
+
+    } catch (error) {
+      logger.error('Get leaderboard error:', error);
+      res.status(error.status || 500).json({
+        error: error.status ? error.message : 'Failed to get leaderboard',
+        code: error.status === 400 ? 'INVALID_LEADERBOARD' : 'LEADERBOARD_ERROR'
+      });
+    }
+  }
+};
+
+module.exports = leaderboardController;
@@ -0,0 +1,109 @@
+// controllers/ltiController.js
+const ltiService = require('../services/ltiService');
+const logger = require('../utils/logger');
+
+// LTI errors carry their own HTTP status (400, 401, 403, 404...)
+const sendLtiError = (res, error, fallback, code) => {
+  res.status(error.status || 500).json({
+    error: error.status ? error.message : fallback,
+    code
+  });
+};
+
+const ltiController = {
+  getJwks(req, res) {
+    res.json(ltiService.getJwks());
+  },
+
+  getToolConfiguration(req, res) {
+    res.json(ltiService.getToolConfiguration());
+  },
+
+  // Platforms may start the login with either GET or a form POST
+  async login(req, res) {
+    try {
+      const params = req.method === 'GET' ? req.query : req.body;
+      res.redirect(302, await ltiService.startLogin(params));
+
+    } catch (error) {
+      logger.error('LTI login error:', error);
+      sendLtiError(res, error, 'Failed to start LTI login', 'LTI_LOGIN_ERROR');
+    }
+  },
+
+  async launch(req, res) {
+    try {
+      const { redirectUrl } = await ltiService.handleLaunch(req.body);
+      res.redirect(302, redirectUrl);
+
+    } catch (error) {
+      logger.error('LTI launch error:', error);
+      sendLtiError(res, error, 'Failed to launch from LMS', 'LTI_LAUNCH_ERROR');
+    }
+  },
+
+  async submitDeepLink(req, res) {
+    try {
+      const response = await ltiService.createDeepLinkResponse(req.params.id, req.user, req.validatedData.caseIds);
+      res.json(response);
+
+    } catch (error) {
+      logger.error('LTI deep linking error:', error);
+      sendLtiError(res, error, 'Failed to link cases', 'LTI_DEEP_LINK_ERROR');
+    }
+  },
+
+  async getPlatforms(req, res) {
+    try {
+      const platforms = await ltiService.listPlatforms();
+      res.json({ platforms });
+
+    } catch (error) {
+      logger.error('Get LTI platforms error:', error);
+      sendLtiError(res, error, 'Failed to retrieve LTI platforms', 'LTI_PLATFORMS_FETCH_ERROR');
+    }
+  },
+
+  async createPlatform(req, res) {
+    try {
+      const platform = await ltiService.createPlatform(req.user, req.validatedData);
+
+      res.status(201).json({
+        message: 'LTI platform registered successfully',
+        platform
+      });
+
+    } catch (error) {
+      logger.error('Create LTI platform error:', error);
+      sendLtiError(res, error, 'Failed to register LTI platform', 'LTI_PLATFORM_CREATE_ERROR');
+    }
+  },
+
+  async updatePlatform(req, res) {
+    try {
+      const platform = await ltiService.updatePlatform(req.params.id, req.validatedData);
+
+      res.json({
+        message: 'LTI platform updated successfully',
+        platform
+      });
+
+    } catch (error) {
+      logger.error('Update LTI platform error:', error);
+      sendLtiError(res, error, 'Failed to update LTI platform', 'LTI_PLATFORM_UPDATE_ERROR');
+    }
+  },
+
+  async deletePlatform(req, res) {
+    try {
+      await ltiService.deletePlatform(req.params.id);
+      res.json({ message: 'LTI platform removed successfully' });
+
+    } catch (error) {
+      logger.error('Delete LTI platform error:', error);
+      sendLtiError(res, error, 'Failed to remove LTI platform', 'LTI_PLATFORM_DELETE_ERROR');
+    }
+  }
+};
+
+module.exports = ltiController;
@@ -0,0 +1,43 @@
+// controllers/monitoringController.js
+const monitoringService = require('../services/monitoringService');
+const logger = require('../utils/logger');
+
+const monitoringController = {
+  async getLiveSessions(req, res) {
+    try {
+      const { caseId, courseId, institution, learnerIds } = req.query;
+
+      const feed = await monitoringService.getLiveSessions({ caseId, courseId, institution, learnerIds }, new Date(), req.user);
+      res.json(feed);
+
+    } catch (error) {
+      logger.error('Get live sessions error:', error);
+      res.status(error.status || 500).json({
+        error: error.status ? error.message : 'Failed to retrieve live sessions',
+        code: 'MONITORING_FETCH_ERROR'
+      });
+    }
+  },
+
+  async intervene(req, res) {
+    try {
+      const { sessionId } = req.params;
+
+      const outcome = await monitoringService.intervene(req.app.get('io'), req.user, sessionId, req.validatedData);
+
+      res.status(201).json({
+        message: 'Intervention applied',
+        ...outcome
+      });
+
+    } catch (error) {
+      logger.error('Intervention error:', error);
+      res.status(error.status || 500).json({
+        error: error.status ? error.message : 'Failed to apply intervention',
+        code: 'INTERVENTION_ERROR'
+      });
+    }
+  }
+};
+
+module.exports = monitoringController;
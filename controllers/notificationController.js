@@ -0,0 +1,135 @@
+// controllers/notificationController.js
+const notificationService = require('../services/notificationService');
+const logger = require('../utils/logger');
+const { NOTIFICATION, NOTIFICATION_TYPES } = require('../utils/constants');
+
+const sendNotificationError = (res, error, fallback, code) => {
+  res.status(error.status || 500).json({
+    error: error.status ? error.message : fallback,
+    code
+  });
+};
+
+// Keep the badge in the user's other open tabs in step with REST changes
+const pushUnreadCount = async (req) => {
+  const io = req.app.get('io');
+  if (!io) return;
+
+  const count = await notificationService.getUnreadCount(req.user._id);
+  io.to(`user_${req.user._id}`).emit('unread_count', { count });
+};
+
+const notificationController = {
+  async getNotifications(req, res) {
+    try {
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || NOTIFICATION.PAGE_SIZE, 1), NOTIFICATION.MAX_PAGE_SIZE);
+      const type = NOTIFICATION_TYPES.includes(req.query.type) ? req.query.type : null;
+
+      const result = await notificationService.listNotifications(req.user._id, {
+        page,
+        limit,
+        type,
+        unreadOnly: req.query.unread === 'true'
+      });
+      res.json(result);
+
+    } catch (error) {
+      logger.error('Get notifications error:', error);
+      sendNotificationError(res, error, 'Failed to retrieve notifications', 'NOTIFICATIONS_FETCH_ERROR');
+    }
+  },
+
+  async getUnreadCount(req, res) {
+    try {
+      const count = await notificationService.getUnreadCount(req.user._id);
+      res.json({ count });
+
+    } catch (error) {
+      logger.error('Get unread count error:', error);
+      sendNotificationError(res, error, 'Failed to retrieve unread count', 'UNREAD_COUNT_ERROR');
+    }
+  },
+
+  async markAsRead(req, res) {
+    try {
+      const notification = await notificationService.markAsRead(req.user._id, req.params.id);
+      if (!notification) {
+        return res.status(404).json({
+          error: 'Notification not found',
+          code: 'NOTIFICATION_NOT_FOUND'
+        });
+      }
+
+      await pushUnreadCount(req);
+      res.json({ notification });
+
+    } catch (error) {
+      logger.error('Mark notification read error:', error);
+      sendNotificationError(res, error, 'Failed to mark notification as read', 'NOTIFICATION_READ_ERROR');
+    }
+  },
+
+  async markAllAsRead(req, res) {
+    try {
+      const marked = await notificationService.markAllAsRead(req.user._id);
+
+      await pushUnreadCount(req);
+      res.json({
+        message: 'All notifications marked as read',
+        marked
+      });
+
+    } catch (error) {
+      logger.error('Mark all notifications read error:', error);
+      sendNotificationError(res, error, 'Failed to mark notifications as read', 'NOTIFICATION_READ_ALL_ERROR');
+    }
+  },
+
+  async deleteNotification(req, res) {
+    try {
+      const deleted = await notificationService.deleteNotification(req.user._id, req.params.id);
+      if (!deleted) {
+        return res.status(404).json({
+          error: 'Notification not found',
+          code: 'NOTIFICATION_NOT_FOUND'
+        });
+      }
+
+      await pushUnreadCount(req);
+      res.json({ message: 'Notification deleted successfully' });
+
+    } catch (error) {
+      logger.error('Delete notification error:', error);
+      sendNotificationError(res, error, 'Failed to delete notification', 'NOTIFICATION_DELETE_ERROR');
+    }
+  },
+
+  async getPreferences(req, res) {
+    try {
+      const preferences = await notificationService.getPreferences(req.user._id);
+      res.json({ preferences });
+
+    } catch (error) {
+      logger.error('Get notification preferences error:', error);
+      sendNotificationError(res, error, 'Failed to retrieve notification preferences', 'NOTIFICATION_PREFERENCES_ERROR');
+    }
+  },
+
+  async updatePreferences(req, res) {
+    try {
+      const preferences = await notificationService.updatePreferences(req.user._id, req.validatedData);
+
+      res.json({
+        message: 'Notification preferences updated successfully',
+        preferences
+      });
+
+    } catch (error) {
+      logger.error('Update notification preferences error:', error);
+      sendNotificationError(res, error, 'Failed to update notification preferences', 'NOTIFICATION_PREFERENCES_ERROR');
+    }
+  }
+};
+
+module.exports = notificationController;
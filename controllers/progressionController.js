@@ -0,0 +1,48 @@
+// controllers/progressionController.js
+const progressionService = require('../services/progressionService');
+const logger = require('../utils/logger');
+const { PROGRESSION } = require('../utils/constants');
+
+const sendProgressionError = (res, error, fallback, code) => {
+  res.status(error.status || 500).json({
+    error: error.status ? error.message : fallback,
+    code
+  });
+};
+
+const progressionController = {
+  async getSummary(req, res) {
+    try {
+      res.json(await progressionService.getSummary(req.user._id));
+
+    } catch (error) {
+      logger.error('Get progression error:', error);
+      sendProgressionError(res, error, 'Failed to get progression', 'PROGRESSION_ERROR');
+    }
+  },
+
+  async getLedger(req, res) {
+    try {
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || PROGRESSION.LEDGER_PAGE_SIZE, 1), PROGRESSION.LEDGER_MAX_PAGE_SIZE);
+
+      res.json(await progressionService.getLedger(req.user._id, { page, limit }));
+
+    } catch (error) {
+      logger.error('Get XP ledger error:', error);
+      sendProgressionError(res, error, 'Failed to get XP ledger', 'XP_LEDGER_ERROR');
+    }
+  },
+
+  async getSkillTree(req, res) {
+    try {
+      res.json(await progressionService.getSkillTree(req.user._id));
+
+    } catch (error) {
+      logger.error('Get skill tree error:', error);
+      sendProgressionError(res, error, 'Failed to get skill tree', 'SKILL_TREE_ERROR');
+    }
+  }
+};
+
+module.exports = progressionController;
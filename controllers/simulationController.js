@@ -18,9 +18,10 @@ const simulationController = {
 
     } catch (error) {
       logger.error('Start simulation error:', error);
-      res.status(500).json({
+      res.status(error.status || 500).json({
         error: error.message || 'Failed to start simulation',
-        code: 'SIMULATION_START_ERROR'
+        code: error.status === 403 ? 'CASE_LOCKED' : 'SIMULATION_START_ERROR',
+        ...(error.details && { details: error.details })
       });
     }
   },
@@ -28,20 +29,21 @@ const simulationController = {
   async processStep(req, res) {
     try {
       const { sessionId } = req.params;
-      const { currentStepId, selectedOption, timeSpent } = req.body;
+      const { currentStepId, selectedOption, timeSpent, orders } = req.body;
 
       const result = await simulationService.processSimulationStep(
         sessionId, 
         currentStepId, 
         selectedOption, 
-        timeSpent
+        timeSpent,
+        orders
       );
 
       res.json(result);
 
     } catch (error) {
       logger.error('Process simulation step error:', error);
-      res.status(500).json({
+      res.status(error.status || 500).json({
         error: error.message || 'Failed to process simulation step',
         code: 'SIMULATION_STEP_ERROR'
       });
@@ -54,7 +56,7 @@ const simulationController = {
       const userId = req.user._id;
 
       const progress = await Progress.findOne({ sessionId, userId })
-        .populate('caseId', 'title description metadata.estimatedDuration metadata.maxScore');
+        .populate('caseId', 'title description metadata.estimatedDuration metadata.maxScore physiology diagnostics.labResults');
 
       if (!progress) {
         return res.status(404).json({
@@ -71,7 +73,8 @@ const simulationController = {
           currentScore: progress.score,
           timeSpent: progress.timeSpent,
           status: progress.status
-        }
+        },
+        monitor: progress.caseId ? simulationService.getPatientMonitor(progress, progress.caseId) : null
       });
 
     } catch (error) {
@@ -134,6 +137,110 @@ const simulationController = {
     }
   },
 
+  async orderTests(req, res) {
+    try {
+      const { sessionId } = req.params;
+      const { tests } = req.validatedData;
+      const userId = req.user._id;
+
+      const workup = await simulationService.orderDiagnosticTests(sessionId, userId, tests);
+
+      if (!workup) {
+        return res.status(404).json({
+          error: 'Session not found',
+          code: 'SESSION_NOT_FOUND'
+        });
+      }
+
+      res.status(201).json({
+        message: 'Diagnostic tests ordered successfully',
+        ...workup
+      });
+
+    } catch (error) {
+      logger.error('Order diagnostic tests error:', error);
+      res.status(500).json({
+        error: error.message || 'Failed to order diagnostic tests',
+        code: 'DIAGNOSTIC_ORDER_ERROR'
+      });
+    }
+  },
+
+  async getTests(req, res) {
+    try {
+      const { sessionId } = req.params;
+      const userId = req.user._id;
+
+      const workup = await simulationService.getDiagnosticTests(sessionId, userId);
+
+      if (!workup) {
+        return res.status(404).json({
+          error: 'Session not found',
+          code: 'SESSION_NOT_FOUND'
+        });
+      }
+
+      res.json(workup);
+
+    } catch (error) {
+      logger.error('Get diagnostic tests error:', error);
+      res.status(500).json({
+        error: 'Failed to retrieve diagnostic tests',
+        code: 'DIAGNOSTIC_FETCH_ERROR'
+      });
+    }
+  },
+
+  async revealHint(req, res) {
+    try {
+      const { sessionId } = req.params;
+      const userId = req.user._id;
+
+      const hint = await simulationService.revealHint(sessionId, userId);
+
+      if (!hint) {
+        return res.status(404).json({
+          error: 'Session not found',
+          code: 'SESSION_NOT_FOUND'
+        });
+      }
+
+      res.json(hint);
+
+    } catch (error) {
+      logger.error('Reveal hint error:', error);
+      res.status(500).json({
+        error: error.message || 'Failed to reveal hint',
+        code: 'HINT_ERROR'
+      });
+    }
+  },
+
+  async getDebrief(req, res) {
+    try {
+      const { sessionId } = req.params;
+      const userId = req.user._id;
+
+      const debrief = await simulationService.getDebrief(sessionId, userId);
+
+      if (!debrief) {
+        return res.status(404).json({
+          error: 'Session not found',
+          code: 'SESSION_NOT_FOUND'
+        });
+      }
+
+      res.json({ debrief });
+
+    } catch (error) {
+      logger.error('Get debrief error:', error);
+      res.status(500).json({
+        error: error.message || 'Failed to retrieve debrief',
+        code: 'DEBRIEF_FETCH_ERROR'
+      });
+    }
+  },
+
   async submitFeedback(req, res) {
     try {
       const { sessionId } = req.params;
@@ -0,0 +1,125 @@
+// controllers/teamSessionController.js
+const teamSessionService = require('../services/teamSessionService');
+const logger = require('../utils/logger');
+
+// Team errors carry their own HTTP status (403, 404, 409...)
+const sendTeamError = (res, error, fallback, code) => {
+  res.status(error.status || 500).json({
+    error: error.status ? error.message : fallback,
+    code
+  });
+};
+
+const teamSessionController = {
+  async startTeamSession(req, res) {
+    try {
+      const { caseId } = req.params;
+      const { decisionRule, role } = req.validatedData;
+
+      const session = await teamSessionService.createTeamSession(req.user, caseId, { decisionRule, role });
+
+      res.status(201).json({
+        message: 'Team session started successfully',
+        ...session
+      });
+
+    } catch (error) {
+      logger.error('Start team session error:', error);
+      res.status(error.status || 500).json({
+        error: error.message || 'Failed to start team session',
+        code: 'TEAM_SESSION_START_ERROR'
+      });
+    }
+  },
+
+  async joinTeamSession(req, res) {
+    try {
+      const { joinCode, role } = req.validatedData;
+
+      const state = await teamSessionService.joinTeamSession(joinCode, req.user, role);
+      teamSessionService.broadcast(state.sessionId, state);
+
+      res.json({
+        message: 'Joined team session',
+        team: state
+      });
+
+    } catch (error) {
+      logger.error('Join team session error:', error);
+      sendTeamError(res, error, 'Failed to join team session', 'TEAM_SESSION_JOIN_ERROR');
+    }
+  },
+
+  async getTeamSession(req, res) {
+    try {
+      const team = await teamSessionService.getState(req.params.sessionId, req.user);
+      res.json({ team });
+
+    } catch (error) {
+      logger.error('Get team session error:', error);
+      sendTeamError(res, error, 'Failed to retrieve team session', 'TEAM_SESSION_FETCH_ERROR');
+    }
+  },
+
+  async leaveTeamSession(req, res) {
+    try {
+      const { sessionId } = req.params;
+
+      const state = await teamSessionService.leaveTeamSession(sessionId, req.user);
+      teamSessionService.broadcast(sessionId, state);
+
+      res.json({ message: 'Left team session' });
+
+    } catch (error) {
+      logger.error('Leave team session error:', error);
+      sendTeamError(res, error, 'Failed to leave team session', 'TEAM_SESSION_LEAVE_ERROR');
+    }
+  },
+
+  async changeRole(req, res) {
+    try {
+      const { sessionId } = req.params;
+
+      const state = await teamSessionService.changeRole(sessionId, req.user, req.validatedData.role);
+      teamSessionService.broadcast(sessionId, state);
+
+      res.json({ team: state });
+
+    } catch (error) {
+      logger.error('Change team role error:', error);
+      sendTeamError(res, error, 'Failed to change role', 'TEAM_ROLE_ERROR');
+    }
+  },
+
+  async propose(req, res) {
+    try {
+      const { sessionId } = req.params;
+
+      const outcome = await teamSessionService.propose(sessionId, req.user, req.validatedData);
+      teamSessionService.broadcast(sessionId, outcome);
+
+      res.json(outcome);
+
+    } catch (error) {
+      logger.error('Team proposal error:', error);
+      sendTeamError(res, error, 'Failed to record proposal', 'TEAM_PROPOSAL_ERROR');
+    }
+  },
+
+  async confirm(req, res) {
+    try {
+      const { sessionId } = req.params;
+
+      const outcome = await teamSessionService.confirm(sessionId, req.user, req.validatedData);
+      teamSessionService.broadcast(sessionId, outcome);
+
+      res.json(outcome);
+
+    } catch (error) {
+      logger.error('Team confirm error:', error);
+      sendTeamError(res, error, 'Failed to confirm answer', 'TEAM_CONFIRM_ERROR');
+    }
+  }
+};
+
+module.exports = teamSessionController;
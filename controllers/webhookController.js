@@ -0,0 +1,122 @@
+// controllers/webhookController.js
+const webhookService = require('../services/webhookService');
+const logger = require('../utils/logger');
+const { WEBHOOK } = require('../utils/constants');
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+const sendWebhookError = (res, error, fallback, code) => {
+  res.status(error.status || 500).json({
+    error: error.status ? error.message : fallback,
+    code
+  });
+};
+
+const webhookController = {
+  async getEndpoints(req, res) {
+    try {
+      const endpoints = await webhookService.listEndpoints();
+      res.json({ endpoints, events: WEBHOOK.EVENTS });
+
+    } catch (error) {
+      logger.error('Get webhook endpoints error:', error);
+      sendWebhookError(res, error, 'Failed to retrieve webhook endpoints', 'WEBHOOKS_FETCH_ERROR');
+    }
+  },
+
+  async createEndpoint(req, res) {
+    try {
+      const { endpoint, secret } = await webhookService.createEndpoint(req.validatedData, req.user);
+
+      res.status(201).json({
+        message: 'Webhook endpoint registered. Store the secret now: it is not shown again.',
+        endpoint,
+        secret
+      });
+
+    } catch (error) {
+      logger.error('Create webhook endpoint error:', error);
+      sendWebhookError(res, error, 'Failed to register webhook endpoint', 'WEBHOOK_CREATE_ERROR');
+    }
+  },
+
+  async updateEndpoint(req, res) {
+    try {
+      const { endpoint, secret } = await webhookService.updateEndpoint(req.params.id, req.validatedData);
+
+      logger.info(`Webhook endpoint ${endpoint._id} updated by admin: ${req.user.email}`);
+
+      res.json({
+        message: 'Webhook endpoint updated successfully',
+        endpoint,
+        ...(secret && { secret })
+      });
+
+    } catch (error) {
+      logger.error('Update webhook endpoint error:', error);
+      sendWebhookError(res, error, 'Failed to update webhook endpoint', 'WEBHOOK_UPDATE_ERROR');
+    }
+  },
+
+  async deleteEndpoint(req, res) {
+    try {
+      await webhookService.deleteEndpoint(req.params.id);
+
+      logger.info(`Webhook endpoint ${req.params.id} deleted by admin: ${req.user.email}`);
+      res.json({ message: 'Webhook endpoint deleted successfully' });
+
+    } catch (error) {
+      logger.error('Delete webhook endpoint error:', error);
+      sendWebhookError(res, error, 'Failed to delete webhook endpoint', 'WEBHOOK_DELETE_ERROR');
+    }
+  },
+
+  async getDeliveries(req, res) {
+    try {
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+      res.json(await webhookService.listDeliveries({
+        endpoint: req.query.endpoint,
+        status: DELIVERY_STATUSES.includes(req.query.status) ? req.query.status : null,
+        event: WEBHOOK.EVENTS.includes(req.query.event) ? req.query.event : null,
+        page,
+        limit
+      }));
+
+    } catch (error) {
+      logger.error('Get webhook deliveries error:', error);
+      sendWebhookError(res, error, 'Failed to retrieve webhook deliveries', 'WEBHOOK_DELIVERIES_ERROR');
+    }
+  },
+
+  async getDelivery(req, res) {
+    try {
+      const delivery = await webhookService.getDelivery(req.params.id);
+      res.json({ delivery });
+
+    } catch (error) {
+      logger.error('Get webhook delivery error:', error);
+      sendWebhookError(res, error, 'Failed to retrieve webhook delivery', 'WEBHOOK_DELIVERY_ERROR');
+    }
+  },
+
+  async redeliver(req, res) {
+    try {
+      const delivery = await webhookService.redeliver(req.params.id);
+
+      logger.info(`Webhook delivery ${req.params.id} redelivered by admin: ${req.user.email}`);
+
+      res.status(202).json({
+        message: 'Webhook delivery queued',
+        delivery
+      });
+
+    } catch (error) {
+      logger.error('Redeliver webhook error:', error);
+      sendWebhookError(res, error, 'Failed to redeliver webhook', 'WEBHOOK_REDELIVER_ERROR');
+    }
+  }
+};
+
+module.exports = webhookController;
@@ -6,13 +6,16 @@ module.exports = {
     exec_mode: 'cluster',
     
     // Environment variables
+    // Background jobs are left to medical-simulator-worker below
     env: {
       NODE_ENV: 'development',
-      PORT: 5000
+      PORT: 5000,
+      JOB_WORKERS_IN_PROCESS: 'false'
     },
     env_production: {
       NODE_ENV: 'production',
-      PORT: process.env.PORT || 10000
+      PORT: process.env.PORT || 10000,
+      JOB_WORKERS_IN_PROCESS: 'false'
     },
     
     // Logging
@@ -47,6 +50,34 @@ module.exports = {
     
     // Instance variables
     instance_var: 'INSTANCE_ID'
+  }, {
+    // Works the Redis job queues (email, notifications, analytics) the API instances fill
+    name: 'medical-simulator-worker',
+    script: 'workers/index.js',
+    instances: 1,
+    exec_mode: 'fork',
+
+    env: {
+      NODE_ENV: 'development'
+    },
+    env_production: {
+      NODE_ENV: 'production'
+    },
+
+    error_file: './logs/worker-err.log',
+    out_file: './logs/worker-out.log',
+    log_file: './logs/worker-combined.log',
+    time: true,
+    log_date_format: 'YYYY-MM-DD HH:mm:ss Z',
+
+    max_memory_restart: '512M',
+    autorestart: true,
+    watch: false,
+    max_restarts: 10,
+    min_uptime: '10s',
+
+    // Time for running jobs to finish on reload
+    kill_timeout: 30000
   }],
 
   // Deployment configuration
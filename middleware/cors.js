@@ -53,4 +53,12 @@ const corsOptions = {
   optionsSuccessStatus: 204
 };
 
-module.exports = cors(corsOptions);
\ No newline at end of file
+const corsHandler = cors(corsOptions);
+
+// LTI logins and launches are cross-site form posts from an LMS page rather than API calls;
+// they are checked against the platform's signed id_token instead of the request origin
+const LTI_BROWSER_PATHS = ['/api/lti/login', '/api/lti/launch'];
+
+module.exports = (req, res, next) => (LTI_BROWSER_PATHS.includes(req.path)
+  ? next()
+  : corsHandler(req, res, next));
\ No newline at end of file
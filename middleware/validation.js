@@ -1,5 +1,7 @@
 const Joi = require('joi');
 const logger = require('../utils/logger');
+const dateUtils = require('../utils/dateUtils');
+const { TEAM_ROLES, TEAM_SESSION, INTERVENTION_TYPES, COURSE, CASE_VISIBILITY, ASSIGNMENT, NOTIFICATION_TYPES, WEBHOOK } = require('../utils/constants');
 
 // Validation schemas
 const schemas = {
@@ -32,6 +34,8 @@ const schemas = {
     bodySystem: Joi.array().items(Joi.string()).required(),
     difficulty: Joi.string().valid('beginner', 'intermediate', 'advanced').required(),
     tags: Joi.array().items(Joi.string()),
+    estimatedDuration: Joi.number().integer().min(5).max(240),
+    maxScore: Joi.number().min(0),
     patient: Joi.object({
       name: Joi.string().required(),
       age: Joi.number().integer().min(0).max(120).required(),
@@ -47,12 +51,49 @@ const schemas = {
       historyOfPresentIllness: Joi.string().required()
     }).required(),
     simulationSteps: Joi.array().items(Joi.object()),
+    endings: Joi.array().items(Joi.object({
+      endingId: Joi.string().required(),
+      title: Joi.string().required(),
+      description: Joi.string(),
+      outcome: Joi.string().valid('favorable', 'neutral', 'unfavorable')
+    })),
+    physiology: Joi.object({
+      vitals: Joi.object().pattern(Joi.string(), Joi.number()),
+      symptoms: Joi.object().pattern(Joi.string(), Joi.boolean()),
+      driftRules: Joi.array().items(Joi.object({
+        parameter: Joi.string().required(),
+        ratePerMinute: Joi.number().required(),
+        startAfter: Joi.number().min(0),
+        min: Joi.number(),
+        max: Joi.number(),
+        whileSymptom: Joi.string()
+      }))
+    }),
+    scoring: Joi.object({
+      hintPenalties: Joi.array().items(Joi.number().min(0).max(1)).max(10)
+    }),
     diagnostics: Joi.object({
-      finalDiagnosis: Joi.string().required()
+      finalDiagnosis: Joi.string().required(),
+      icdCode: Joi.string(),
+      differentialDiagnosis: Joi.array().items(Joi.object({
+        diagnosis: Joi.string().required(),
+        probability: Joi.number().min(0).max(100),
+        reasoning: Joi.string()
+      })),
+      diagnosticTests: Joi.array().items(Joi.object()),
+      imaging: Joi.array().items(Joi.object({
+        type: Joi.string().valid('xray', 'ct', 'mri', 'ultrasound', 'pet', 'nuclear', 'other'),
+        bodyPart: Joi.string(),
+        findings: Joi.string(),
+        images: Joi.array().items(Joi.string()),
+        radiologistReport: Joi.string()
+      })),
+      labResults: Joi.object()
     }).required(),
     treatment: Joi.object().required(),
     metadata: Joi.object({
-      estimatedDuration: Joi.number().integer().min(5).max(240).required()
+      estimatedDuration: Joi.number().integer().min(5).max(240).required(),
+      maxScore: Joi.number().min(0)
     })
   }),
 
@@ -69,8 +110,206 @@ const schemas = {
     tags: Joi.string()
   }),
 
-  // Discussion post
+  // Diagnostic test order during a simulation (test ids or names)
+  diagnosticTestOrder: Joi.object({
+    tests: Joi.array().items(Joi.string().trim().min(1)).min(1).max(20).required()
+  }),
+
+  // Team simulation sessions
+  teamSession: Joi.object({
+    decisionRule: Joi.string().valid(...TEAM_SESSION.DECISION_RULES).default('vote'),
+    role: Joi.string().valid(...TEAM_ROLES).default('team_leader')
+  }),
+
+  teamJoin: Joi.object({
+    joinCode: Joi.string().trim().length(TEAM_SESSION.JOIN_CODE_LENGTH).required(),
+    role: Joi.string().valid(...TEAM_ROLES)
+  }),
+
+  teamRole: Joi.object({
+    role: Joi.string().valid(...TEAM_ROLES).required()
+  }),
+
+  teamAnswer: Joi.object({
+    stepId: Joi.string().required(),
+    selectedOption: Joi.string(),
+    orders: Joi.array().items(Joi.string().trim().min(1)).min(1).max(20)
+  }).or('selectedOption', 'orders'),
+
+  // Instructor action on a running session
+  intervention: Joi.object({
+    type: Joi.string().valid(...INTERVENTION_TYPES).required(),
+    message: Joi.string().trim().max(1000).when('type', {
+      is: Joi.valid('hint', 'message'),
+      then: Joi.required()
+    }),
+    stepId: Joi.string()
+  }),
+
+  // Reviewer decision on a case in review
+  caseReview: Joi.object({
+    decision: Joi.string().valid('approve', 'request_changes').required(),
+    comment: Joi.string().trim().max(2000).allow(''),
+    stepComments: Joi.array().items(Joi.object({
+      stepId: Joi.string().required(),
+      body: Joi.string().trim().min(1).max(2000).required()
+    })).max(50)
+  }),
+
+  // Comment on a case, optionally pinned to a step
+  caseComment: Joi.object({
+    stepId: Joi.string(),
+    body: Joi.string().trim().min(1).max(2000).required()
+  }),
+
+  reviewerAssignment: Joi.object({
+    reviewerIds: Joi.array().items(Joi.string().hex().length(24)).min(1).max(10).required(),
+    requiredApprovals: Joi.number().integer().min(1).max(10)
+  }),
+
+  // Courses
+  course: Joi.object({
+    title: Joi.string().trim().min(1).max(200).required(),
+    code: Joi.string().trim().max(40),
+    description: Joi.string().trim().max(2000).allow(''),
+    institution: Joi.string().trim(),
+    term: Joi.string().trim(),
+    startDate: Joi.date(),
+    endDate: Joi.date().min(Joi.ref('startDate'))
+  }),
+
+  courseUpdate: Joi.object({
+    title: Joi.string().trim().min(1).max(200),
+    code: Joi.string().trim().max(40),
+    description: Joi.string().trim().max(2000).allow(''),
+    institution: Joi.string().trim(),
+    term: Joi.string().trim(),
+    startDate: Joi.date(),
+    endDate: Joi.date(),
+    joinCodeEnabled: Joi.boolean(),
+    isArchived: Joi.boolean(),
+    instructorIds: Joi.array().items(Joi.string().hex().length(24)).max(10)
+  }).min(1),
+
+  courseJoin: Joi.object({
+    joinCode: Joi.string().trim().length(COURSE.JOIN_CODE_LENGTH).required()
+  }),
+
+  courseInvite: Joi.object({
+    emails: Joi.array().items(Joi.string().trim().email()).min(1).max(COURSE.MAX_INVITATIONS).required()
+  }),
+
+  courseCases: Joi.object({
+    caseIds: Joi.array().items(Joi.string().hex().length(24)).min(1).max(100).required()
+  }),
+
+  // Course assignments
+  assignment: Joi.object({
+    courseId: Joi.string().hex().length(24).required(),
+    title: Joi.string().trim().min(1).max(200).required(),
+    instructions: Joi.string().trim().max(4000).allow(''),
+    caseIds: Joi.array().items(Joi.string().hex().length(24)).min(1).max(20).required(),
+    openAt: Joi.date(),
+    dueAt: Joi.date().required(),
+    allowLateSubmissions: Joi.boolean(),
+    attemptLimit: Joi.number().integer().min(1).max(20),
+    gradingPolicy: Joi.string().valid(...ASSIGNMENT.GRADING_POLICIES)
+  }),
+
+  assignmentUpdate: Joi.object({
+    title: Joi.string().trim().min(1).max(200),
+    instructions: Joi.string().trim().max(4000).allow(''),
+    caseIds: Joi.array().items(Joi.string().hex().length(24)).min(1).max(20),
+    openAt: Joi.date(),
+    dueAt: Joi.date(),
+    allowLateSubmissions: Joi.boolean(),
+    attemptLimit: Joi.number().integer().min(1).max(20).allow(null),
+    gradingPolicy: Joi.string().valid(...ASSIGNMENT.GRADING_POLICIES)
+  }).min(1),
+
+  // LTI platform registrations and deep linking picks
+  ltiPlatform: Joi.object({
+    name: Joi.string().trim().min(1).max(200).required(),
+    issuer: Joi.string().trim().uri().required(),
+    clientId: Joi.string().trim().min(1).max(200).required(),
+    deploymentIds: Joi.array().items(Joi.string().trim().min(1)).max(50),
+    authLoginUrl: Joi.string().trim().uri().required(),
+    authTokenUrl: Joi.string().trim().uri().required(),
+    keysetUrl: Joi.string().trim().uri().required(),
+    isActive: Joi.boolean()
+  }),
+
+  ltiPlatformUpdate: Joi.object({
+    name: Joi.string().trim().min(1).max(200),
+    deploymentIds: Joi.array().items(Joi.string().trim().min(1)).max(50),
+    authLoginUrl: Joi.string().trim().uri(),
+    authTokenUrl: Joi.string().trim().uri(),
+    keysetUrl: Joi.string().trim().uri(),
+    isActive: Joi.boolean()
+  }).min(1),
+
+  ltiDeepLink: Joi.object({
+    caseIds: Joi.array().items(Joi.string().hex().length(24)).min(1).max(20).required()
+  }),
+
+  // Dead-lettered xAPI statements to send again; all of them when ids is left out
+  xapiRequeue: Joi.object({
+    ids: Joi.array().items(Joi.string().hex().length(24)).min(1).max(500)
+  }),
+
+  notificationPreferences: Joi.object({
+    email: Joi.boolean(),
+    push: Joi.boolean(),
+    types: Joi.object().pattern(
+      Joi.string().valid(...NOTIFICATION_TYPES),
+      Joi.object({
+        inApp: Joi.boolean(),
+        email: Joi.boolean()
+      }).min(1)
+    )
+  }).min(1),
+
+  jobRetry: Joi.object({
+    ids: Joi.array().items(Joi.string().trim().max(200)).min(1).max(500)
+  }),
+
+  streakSettings: Joi.object({
+    timezone: Joi.string().trim().max(100).custom((value, helpers) => (
+      dateUtils.isValidTimezone(value) ? value : helpers.message('"timezone" must be an IANA timezone such as America/Chicago')
+    )),
+    freezesEnabled: Joi.boolean()
+  }).min(1),
+
+  achievementBackfill: Joi.object({
+    notify: Joi.boolean().default(false)
+  }),
+
+  progressionRecompute: Joi.object({
+    userId: Joi.string().hex().length(24)
+  }),
+
+  webhookEndpoint: Joi.object({
+    url: Joi.string().trim().uri({ scheme: ['http', 'https'] }).max(2000).required(),
+    events: Joi.array().items(Joi.string().valid(...WEBHOOK.EVENTS)).min(1).unique().required(),
+    description: Joi.string().trim().max(500).allow('')
+  }),
+
+  webhookEndpointUpdate: Joi.object({
+    url: Joi.string().trim().uri({ scheme: ['http', 'https'] }).max(2000),
+    events: Joi.array().items(Joi.string().valid(...WEBHOOK.EVENTS)).min(1).unique(),
+    description: Joi.string().trim().max(500).allow(''),
+    isActive: Joi.boolean(),
+    rotateSecret: Joi.boolean()
+  }).min(1),
+
+  caseVisibility: Joi.object({
+    visibility: Joi.string().valid(...Object.values(CASE_VISIBILITY)).required()
+  }),
+
+  // Discussion post, optionally about a case and/or limited to a course
   discussionPost: Joi.object({
+    caseId: Joi.string().hex().length(24),
+    courseId: Joi.string().hex().length(24),
     title: Joi.string().trim().min(1).max(200).required(),
     content: Joi.string().trim().min(1).required(),
     tags: Joi.array().items(Joi.string()),
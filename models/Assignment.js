@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+const { ASSIGNMENT } = require('../utils/constants');
+
+// Cases a course's students must complete between openAt and dueAt, graded from their attempts
+const assignmentSchema = new mongoose.Schema({
+  course: { type: mongoose.Schema.Types.ObjectId, ref: 'Course', required: true },
+  title: { type: String, required: true, trim: true, maxlength: 200 },
+  instructions: { type: String, maxlength: 4000 },
+  cases: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Case' }],
+    validate: [cases => cases.length > 0, 'An assignment needs at least one case']
+  },
+
+  openAt: { type: Date, default: Date.now },
+  dueAt: { type: Date, required: true },
+  allowLateSubmissions: { type: Boolean, default: true },
+  attemptLimit: { type: Number, min: 1 }, // per case; unset means unlimited
+  gradingPolicy: { type: String, enum: ASSIGNMENT.GRADING_POLICIES, default: 'best' },
+
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+
+  // Attempts started per student and case, keyed `userId:caseId`; reserved before each session is created
+  attempts: { type: Map, of: Number, default: {} },
+
+  // One entry per reminder sent, so each student gets each kind at most once
+  reminders: [{
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    kind: { type: String, enum: ['due_soon', 'overdue'], required: true },
+    sentAt: { type: Date, default: Date.now }
+  }]
+}, {
+  timestamps: true
+});
+
+assignmentSchema.index({ course: 1, dueAt: 1 });
+assignmentSchema.index({ dueAt: 1 });
+
+module.exports = mongoose.model('Assignment', assignmentSchema);
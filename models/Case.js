@@ -1,4 +1,12 @@
 const mongoose = require('mongoose');
+const { SIMULATION_STEP_TYPES, TIME_LIMIT_POLICIES, CASE_STATUS, CASE_VISIBILITY } = require('../utils/constants');
+
+// Changes to the live patient state, e.g. { parameter: 'vitals.heartRate', delta: -20 }
+const effectSchema = new mongoose.Schema({
+  parameter: { type: String, required: true },
+  delta: Number,
+  value: mongoose.Schema.Types.Mixed
+}, { _id: false });
 
 const caseSchema = new mongoose.Schema({
   title: { type: String, required: true, trim: true, maxlength: 200 },
@@ -31,6 +39,7 @@ const caseSchema = new mongoose.Schema({
   // Simulation Steps
   simulationSteps: [{
     stepId: { type: String, required: true },
+    stepType: { type: String, enum: SIMULATION_STEP_TYPES, default: 'question' },
     title: { type: String, required: true },
     description: { type: String, required: true },
     question: { type: String, required: true },
@@ -38,12 +47,40 @@ const caseSchema = new mongoose.Schema({
       optionId: { type: String, required: true },
       text: { type: String, required: true },
       explanation: String,
-      isCorrect: { type: Boolean, required: true }
+      isCorrect: { type: Boolean, required: true },
+      points: Number, // overrides the step score for this option
+
+      // Routing (defaults to the next available step on the current branch)
+      nextStepId: String, // jump to a specific step
+      endingId: String, // finish the simulation with one of the case endings
+      triggersDeterioration: { type: Boolean, default: false }, // enter the deterioration branch
+
+      effects: [effectSchema] // interventions applied to the live patient state
     }],
-    correctAnswer: { type: String, required: true },
+    correctAnswer: {
+      type: String,
+      required: function() { return this.stepType !== 'order_entry'; }
+    },
     score: { type: Number, default: 1 },
     timeLimit: Number, // seconds
+    timeLimitPolicy: { type: String, enum: TIME_LIMIT_POLICIES, default: 'penalize' }, // what happens to late answers
     dependencies: [String], // stepIds that must be completed first
+    branch: { type: String, default: 'main' }, // steps only follow on from steps in the same branch
+
+    // Expected orders for 'order_entry' steps, matched against free-text learner orders
+    orderSet: {
+      items: [{
+        itemId: { type: String, required: true },
+        name: { type: String, required: true },
+        category: { type: String, enum: ['lab', 'imaging', 'medication', 'procedure', 'consult', 'other'] },
+        synonyms: [String],
+        requirement: { type: String, enum: ['required', 'optional', 'harmful'], default: 'optional' },
+        points: { type: Number, default: 1 }, // credit when required, penalty when harmful
+        dose: String, // e.g. '325 mg'
+        route: String, // e.g. 'PO'
+        effects: [effectSchema]
+      }]
+    },
     hints: [String],
     media: [{
       type: { type: String, enum: ['image', 'video', 'audio', 'document', 'animation'] },
@@ -60,6 +97,41 @@ const caseSchema = new mongoose.Schema({
     }
   }],
 
+  // Patient physiology at the start of a session and how it drifts over time
+  physiology: {
+    vitals: {
+      heartRate: Number,
+      systolicBP: Number,
+      diastolicBP: Number,
+      respiratoryRate: Number,
+      oxygenSaturation: Number,
+      temperature: Number
+    },
+    symptoms: { type: Map, of: Boolean },
+    driftRules: [{
+      parameter: { type: String, required: true }, // e.g. 'vitals.systolicBP' or 'labs.other.lactate'
+      ratePerMinute: { type: Number, required: true },
+      startAfter: { type: Number, default: 0 }, // seconds into the session
+      min: Number,
+      max: Number,
+      whileSymptom: String // only drift while this symptom flag is set
+    }]
+  },
+
+  // Possible outcomes reached through option routing
+  endings: [{
+    endingId: { type: String, required: true },
+    title: { type: String, required: true },
+    description: String,
+    outcome: { type: String, enum: ['favorable', 'neutral', 'unfavorable'], default: 'neutral' }
+  }],
+
+  // Scoring rules
+  scoring: {
+    // Share of the step score lost after the 1st, 2nd, ... hint; the last entry applies beyond the curve
+    hintPenalties: [{ type: Number, min: 0, max: 1 }]
+  },
+
   // Diagnostic Information
   diagnostics: {
     differentialDiagnosis: [{
@@ -76,7 +148,9 @@ const caseSchema = new mongoose.Schema({
       interpretation: String,
       cost: Number,
       availability: String,
-      urgency: { type: String, enum: ['stat', 'urgent', 'routine'] }
+      urgency: { type: String, enum: ['stat', 'urgent', 'routine'] },
+      turnaroundMinutes: Number, // overrides the default turnaround for the urgency
+      indicated: { type: Boolean, default: true } // false marks the test as unnecessary for this case
     }],
     imaging: [{
       type: { type: String, enum: ['xray', 'ct', 'mri', 'ultrasound', 'pet', 'nuclear', 'other'] },
@@ -136,15 +210,28 @@ const caseSchema = new mongoose.Schema({
   // Educational Metadata
   metadata: {
     author: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-    reviewers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
-    status: { type: String, enum: ['draft', 'review', 'approved', 'published', 'archived'], default: 'draft' },
-    version: { type: Number, default: 1 },
+    reviewers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }], // assigned reviewers
+    requiredApprovals: { type: Number, min: 1 }, // REQUIRED_APPROVALS when unset
+    approvals: [{
+      reviewer: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+      approvedAt: { type: Date, default: Date.now },
+      comment: String
+    }],
+    submittedAt: Date,
+    status: { type: String, enum: Object.values(CASE_STATUS), default: CASE_STATUS.DRAFT },
+    version: { type: Number, default: 1 }, // latest published version, see CaseVersion
+    revisionOf: { type: mongoose.Schema.Types.ObjectId, ref: 'Case' }, // draft revision of a published case
+    visibility: { type: String, enum: Object.values(CASE_VISIBILITY), default: CASE_VISIBILITY.PUBLIC },
     estimatedDuration: { type: Number, required: true }, // minutes
     maxScore: { type: Number, default: 100 },
 
     // Analytics
     completionRate: { type: Number, default: 0 },
     averageScore: { type: Number, default: 0 },
+    averageTime: { type: Number, default: 0 }, // seconds
+    completionCount: { type: Number, default: 0 },
+    totalScore: { type: Number, default: 0 }, // sums behind the averages, kept in the same update
+    totalTime: { type: Number, default: 0 },
     viewCount: { type: Number, default: 0 },
     lastReviewed: Date,
     reviewCount: { type: Number, default: 0 }
@@ -160,6 +247,24 @@ caseSchema.virtual('totalSteps').get(function() {
   return this.simulationSteps.length;
 });
 
+// Reject routing that points at steps or endings the case does not define
+caseSchema.pre('validate', function(next) {
+  const stepIds = new Set(this.simulationSteps.map(step => step.stepId));
+  const endingIds = new Set((this.endings || []).map(ending => ending.endingId));
+
+  for (const step of this.simulationSteps) {
+    for (const option of step.options) {
+      if (option.nextStepId && !stepIds.has(option.nextStepId)) {
+        this.invalidate('simulationSteps', `Option ${step.stepId}/${option.optionId} routes to unknown step ${option.nextStepId}`);
+      }
+      if (option.endingId && !endingIds.has(option.endingId)) {
+        this.invalidate('simulationSteps', `Option ${step.stepId}/${option.optionId} routes to unknown ending ${option.endingId}`);
+      }
+    }
+  }
+  next();
+});
+
 // Method to increment view count
 caseSchema.methods.incrementViewCount = async function() {
   this.metadata.viewCount += 1;
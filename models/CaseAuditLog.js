@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// One entry per editorial action on a case: status transitions, reviews, reviewer and visibility changes
+const caseAuditLogSchema = new mongoose.Schema({
+  caseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Case', required: true }, // the published case for revisions
+  revisionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Case' },
+  action: {
+    type: String,
+    enum: ['submit', 'withdraw', 'approve', 'request_changes', 'publish', 'archive', 'restore',
+      'assign_reviewer', 'unassign_reviewer', 'rollback', 'change_visibility'],
+    required: true
+  },
+  from: String,
+  to: String,
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  note: String,
+  details: Object
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+caseAuditLogSchema.index({ caseId: 1, createdAt: 1 });
+
+module.exports = mongoose.model('CaseAuditLog', caseAuditLogSchema);
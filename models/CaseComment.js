@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Reviewer feedback on a case, optionally pinned to one of its steps
+const caseCommentSchema = new mongoose.Schema({
+  caseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Case', required: true }, // the published case for revisions
+  revisionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Case' }, // draft revision the comment was made on
+  stepId: String,
+  author: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  body: { type: String, required: true, maxlength: 2000 },
+  type: { type: String, enum: ['change_request', 'comment'], default: 'comment' },
+
+  resolved: { type: Boolean, default: false },
+  resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  resolvedAt: Date
+}, {
+  timestamps: true
+});
+
+caseCommentSchema.index({ caseId: 1, stepId: 1, createdAt: 1 });
+
+module.exports = mongoose.model('CaseComment', caseCommentSchema);
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Immutable copy of a case's content taken each time it is published
+const caseVersionSchema = new mongoose.Schema({
+  caseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Case', required: true },
+  version: { type: Number, required: true },
+  snapshot: { type: Object, required: true }, // case content; metadata limited to content fields
+  publishedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  changeNote: String
+}, {
+  timestamps: { createdAt: 'publishedAt', updatedAt: false }
+});
+
+caseVersionSchema.index({ caseId: 1, version: 1 }, { unique: true });
+
+// Snapshots are written once; sessions pinned to a version rely on them never changing
+caseVersionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Case versions are immutable'));
+  }
+  next();
+});
+
+caseVersionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], function(next) {
+  next(new Error('Case versions are immutable'));
+});
+
+module.exports = mongoose.model('CaseVersion', caseVersionSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// A class or cohort: its instructors, student roster and the cases assigned to it
+const courseSchema = new mongoose.Schema({
+  title: { type: String, required: true, trim: true, maxlength: 200 },
+  code: { type: String, trim: true, maxlength: 40 }, // e.g. "MED-301"
+  description: { type: String, maxlength: 2000 },
+  institution: String,
+  term: String,
+  startDate: Date,
+  endDate: Date,
+
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  instructors: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }], // includes the owner
+
+  joinCode: String,
+  joinCodeEnabled: { type: Boolean, default: true },
+
+  students: [{
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    status: { type: String, enum: ['active', 'dropped'], default: 'active' },
+    source: { type: String, enum: ['join_code', 'invitation', 'instructor', 'lti'], required: true },
+    enrolledAt: { type: Date, default: Date.now },
+    droppedAt: Date
+  }],
+
+  invitations: [{
+    email: { type: String, required: true, lowercase: true, trim: true },
+    token: { type: String, required: true },
+    invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    invitedAt: { type: Date, default: Date.now },
+    expiresAt: Date,
+    acceptedAt: Date
+  }],
+
+  // Course library; cases with course visibility are only shown to members of courses listing them
+  cases: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Case' }],
+
+  // Set for courses created by an LTI launch from an LMS course
+  lti: {
+    platform: { type: mongoose.Schema.Types.ObjectId, ref: 'LtiPlatform' },
+    contextId: String
+  },
+
+  isArchived: { type: Boolean, default: false }
+}, {
+  timestamps: true
+});
+
+courseSchema.index({ joinCode: 1 }, { unique: true, sparse: true });
+courseSchema.index({ instructors: 1 });
+courseSchema.index({ 'students.userId': 1 });
+courseSchema.index({ 'invitations.token': 1 });
+courseSchema.index({ cases: 1 });
+courseSchema.index({ 'lti.platform': 1, 'lti.contextId': 1 }, { sparse: true });
+
+module.exports = mongoose.model('Course', courseSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Issued certificates and transcripts, looked up by verification code
+const credentialSchema = new mongoose.Schema({
+  code: { type: String, required: true, unique: true },
+  type: { type: String, enum: ['certificate', 'transcript'], required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  holderName: { type: String, required: true },
+
+  // Certificates cover one completed session
+  progressId: { type: mongoose.Schema.Types.ObjectId, ref: 'Progress' },
+
+  // Transcripts cover the completed sessions in a date range
+  range: {
+    from: Date,
+    to: Date
+  },
+  fingerprint: String, // hash of the sessions covered, so re-downloads reuse the code
+
+  // What the document certified at issue time
+  sessions: [{
+    sessionId: String,
+    caseTitle: String,
+    specialty: String,
+    percentageScore: Number,
+    timeSpent: Number, // seconds
+    completedAt: Date
+  }],
+
+  issuedAt: { type: Date, default: Date.now },
+  revoked: { type: Boolean, default: false }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Credential', credentialSchema);
@@ -2,6 +2,7 @@ const mongoose = require('mongoose');
 
 const discussionSchema = new mongoose.Schema({
   caseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Case' },
+  courseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Course' }, // only visible to the course's members
   parentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Discussion' }, // For replies
   author: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   title: { type: String, trim: true, maxlength: 200 },
@@ -50,4 +51,6 @@ discussionSchema.virtual('replyCount', {
   count: true
 });
 
+discussionSchema.index({ courseId: 1, createdAt: -1 });
+
 module.exports = mongoose.model('Discussion', discussionSchema);
\ No newline at end of file
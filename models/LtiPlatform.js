@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// An LMS registered with the tool: where to start OIDC logins, fetch its signing keys and request service tokens
+const ltiPlatformSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 200 },
+  issuer: { type: String, required: true, trim: true },
+  clientId: { type: String, required: true, trim: true }, // issued to this tool by the platform
+  deploymentIds: [String], // empty accepts any deployment
+  authLoginUrl: { type: String, required: true },
+  authTokenUrl: { type: String, required: true },
+  keysetUrl: { type: String, required: true },
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+ltiPlatformSchema.index({ issuer: 1, clientId: 1 }, { unique: true });
+
+module.exports = mongoose.model('LtiPlatform', ltiPlatformSchema);
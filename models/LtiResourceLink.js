@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// A placement of a case in an LMS course, with the gradebook column scores are posted to
+const ltiResourceLinkSchema = new mongoose.Schema({
+  platform: { type: mongoose.Schema.Types.ObjectId, ref: 'LtiPlatform', required: true },
+  resourceLinkId: { type: String, required: true },
+  deploymentId: String,
+  contextId: String,
+  course: { type: mongoose.Schema.Types.ObjectId, ref: 'Course' },
+  caseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Case' },
+  title: String,
+
+  // Assignment and Grade Services endpoint from the latest launch
+  lineItem: String,
+  lineItems: String,
+  scopes: [String],
+
+  lastLaunchAt: Date
+}, {
+  timestamps: true
+});
+
+ltiResourceLinkSchema.index({ platform: 1, resourceLinkId: 1 }, { unique: true });
+
+module.exports = mongoose.model('LtiResourceLink', ltiResourceLinkSchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+const { NOTIFICATION_TYPES, NOTIFICATION } = require('../utils/constants');
+
+// A user's notification inbox; socket pushes are copies of these records
+const notificationSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  type: { type: String, enum: NOTIFICATION_TYPES, required: true },
+  title: { type: String, required: true },
+  message: String,
+  data: { type: Object, default: {} },
+  priority: { type: String, enum: ['low', 'normal', 'high'], default: 'normal' },
+
+  read: { type: Boolean, default: false },
+  readAt: Date
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, read: 1 });
+notificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: NOTIFICATION.RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
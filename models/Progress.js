@@ -1,9 +1,20 @@
 const mongoose = require('mongoose');
+const { TEAM_ROLES, TEAM_SESSION, INTERVENTION_TYPES } = require('../utils/constants');
 
 const progressSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   caseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Case', required: true },
   sessionId: { type: String, required: true, unique: true },
+  caseVersion: Number, // published case version the session plays
+  assignmentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Assignment' }, // attempt counted toward this assignment
+  // Set for sessions started from an LMS; the score is posted back to the link's gradebook column on completion
+  lti: {
+    link: { type: mongoose.Schema.Types.ObjectId, ref: 'LtiResourceLink' },
+    subject: String, // the learner's user id on the platform
+    scoreStatus: { type: String, enum: ['pending', 'sent', 'failed', 'unavailable'] },
+    scoreSentAt: Date,
+    scoreError: String
+  },
   status: { type: String, enum: ['started', 'paused', 'completed', 'abandoned', 'expired'], default: 'started' },
 
   // Performance Metrics
@@ -14,14 +25,148 @@ const progressSchema = new mongoose.Schema({
   stepsCompleted: { type: Number, default: 0 },
   totalSteps: { type: Number, required: true },
 
+  // Branching
+  currentStepId: String, // step the learner is expected to answer next
+  branch: { type: String, default: 'main' },
+  deteriorationEvents: [{
+    stepId: String,
+    selectedOption: String,
+    timestamp: { type: Date, default: Date.now }
+  }],
+  ending: {
+    endingId: String,
+    title: String,
+    outcome: String
+  },
+
+  // Team play: userId is the host, and members answer through proposals decided by the team's rule
+  team: {
+    host: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    joinCode: String,
+    decisionRule: { type: String, enum: TEAM_SESSION.DECISION_RULES },
+    members: [{
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+      name: String,
+      role: { type: String, enum: TEAM_ROLES, required: true },
+      joinedAt: { type: Date, default: Date.now },
+      leftAt: Date
+    }],
+    // Open proposals for the current step, one per member
+    proposals: [{
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+      stepId: String,
+      selectedOption: String,
+      orders: [String],
+      proposedAt: { type: Date, default: Date.now }
+    }],
+    contributions: [{
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+      role: String,
+      stepId: String,
+      action: { type: String, enum: ['proposed', 'confirmed'] },
+      selectedOption: String,
+      orders: [String],
+      accepted: Boolean, // the proposal matched the team's decision
+      timestamp: { type: Date, default: Date.now }
+    }],
+    // The step being scored, claimed with a conditional update so each step is decided once across API workers
+    deciding: {
+      stepId: String,
+      claimedAt: Date
+    }
+  },
+
+  // Server-side timing
+  stepServedAt: Date, // when the current step was first served, shifted forward by pauses
+
+  // Hints revealed during the session, in order
+  hintsRevealed: [{
+    stepId: String,
+    hintIndex: Number,
+    timestamp: { type: Date, default: Date.now }
+  }],
+
+  // Diagnostic workup
+  orderedTests: [{
+    testId: mongoose.Schema.Types.ObjectId, // diagnostics.diagnosticTests entry on the case
+    name: String,
+    type: { type: String },
+    urgency: String,
+    cost: { type: Number, default: 0 },
+    orderedAt: Number, // simulated session seconds when ordered
+    availableAt: Number, // simulated session seconds when the result is released
+    unnecessary: { type: Boolean, default: false },
+    unnecessaryReason: { type: String, enum: ['not_indicated', 'duplicate'] },
+    timestamp: { type: Date, default: Date.now }
+  }],
+  diagnosticCost: { type: Number, default: 0 },
+  unnecessaryTests: { type: Number, default: 0 },
+
+  // Live patient physiology for this session
+  patientState: {
+    vitals: {
+      heartRate: Number,
+      systolicBP: Number,
+      diastolicBP: Number,
+      respiratoryRate: Number,
+      oxygenSaturation: Number,
+      temperature: Number
+    },
+    labs: Object,
+    symptoms: Object,
+    elapsedSeconds: { type: Number, default: 0 } // simulated time the state has been advanced to
+  },
+  patientStateHistory: [{
+    stepId: String,
+    selectedOption: String,
+    elapsedSeconds: Number,
+    vitals: Object,
+    timestamp: { type: Date, default: Date.now }
+  }],
+
+  // Instructor actions during the session; instructor hints count toward the step's hint penalty
+  interventions: [{
+    type: { type: String, enum: INTERVENTION_TYPES, required: true },
+    instructor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    stepId: String,
+    message: String,
+    timestamp: { type: Date, default: Date.now }
+  }],
+
+  // Debrief assembled from the case teaching content at completion
+  debrief: Object,
+
   // Detailed Step Performance
   stepPerformance: [{
     stepId: { type: String, required: true },
     selectedOption: String,
     isCorrect: { type: Boolean, required: true },
-    timeSpent: { type: Number, default: 0 }, // seconds
+    timeSpent: { type: Number, default: 0 }, // seconds, measured by the server
+    reportedTimeSpent: Number, // seconds, as reported by the client
+    timeLimit: Number,
+    late: { type: Boolean, default: false },
+    timedOut: { type: Boolean, default: false }, // late answer rejected by the step's time limit policy
+    overtimeSeconds: { type: Number, default: 0 },
     hintsUsed: { type: Number, default: 0 },
-    score: { type: Number, default: 0 }
+    hintPenalty: { type: Number, default: 0 }, // points lost to hints
+    instructorHints: { type: Number, default: 0 }, // hints pushed by an instructor, included in hintsUsed
+    unlockedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // instructor who moved the learner past the step
+    score: { type: Number, default: 0 },
+    timestamp: Date, // when the answer was recorded
+
+    // Order entry steps
+    orders: [{
+      text: String,
+      itemId: String,
+      name: String,
+      status: { type: String, enum: ['matched', 'partial', 'acceptable', 'harmful', 'duplicate', 'unrecognized'] },
+      points: Number
+    }],
+    missedOrders: [String],
+
+    // Team sessions
+    decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    decisionRule: String
   }],
 
   // Session Details
@@ -55,6 +200,11 @@ const progressSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+progressSchema.index({ 'team.joinCode': 1 }, { sparse: true });
+progressSchema.index({ 'team.members.userId': 1 });
+progressSchema.index({ assignmentId: 1, userId: 1 }, { sparse: true });
+progressSchema.index({ 'lti.link': 1, userId: 1 }, { sparse: true });
+
 // Virtuals
 progressSchema.virtual('completionPercentage').get(function() {
   return this.totalSteps > 0 ? Math.round((this.stepsCompleted / this.totalSteps) * 100) : 0;
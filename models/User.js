@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const { USER_ROLES, ACHIEVEMENTS } = require('../utils/constants');
+const dateUtils = require('../utils/dateUtils');
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -36,9 +37,25 @@ const userSchema = new mongoose.Schema({
     casesCompleted: { type: Number, default: 0 },
     averageScore: { type: Number, default: 0 },
     totalTimeSpent: { type: Number, default: 0 }, // in seconds
-    streakDays: { type: Number, default: 0 },
+    streakDays: { type: Number, default: 0 }, // maintained by services/streakService
+    longestStreak: { type: Number, default: 0 },
+    lastActivityDay: String, // YYYY-MM-DD in the user's timezone
+    streakFreezes: { type: Number, default: 0 }, // available to cover missed days
+    frozenDays: [String], // missed days a freeze covered
+    streakReminderDay: String, // local day the last at-risk reminder was sent
     lastActiveDate: { type: Date, default: Date.now },
-    loginCount: { type: Number, default: 0 }
+    loginCount: { type: Number, default: 0 },
+    // Kept up to date by services/achievementService for the ACHIEVEMENTS conditions
+    perfectScores: { type: Number, default: 0 },
+    fastestTime: Number, // seconds; unset until the first completed case
+    specialties: [String], // specialties of completed cases
+    specialtiesExplored: { type: Number, default: 0 },
+    discussionPosts: { type: Number, default: 0 },
+    discussionUpvotes: { type: Number, default: 0 }, // from other users
+    casesCreated: { type: Number, default: 0 },
+    // Totals of the XP ledger, kept by services/progressionService
+    xp: { type: Number, default: 0 },
+    level: { type: Number, default: 1 }
   },
   achievements: [{
     name: String,
@@ -53,6 +70,12 @@ const userSchema = new mongoose.Schema({
     expiresAt: Date,
     deviceInfo: String
   }],
+  // LMS accounts (issuer + subject) that sign in as this user through LTI launches
+  ltiIdentities: [{
+    issuer: { type: String, required: true },
+    subject: { type: String, required: true },
+    linkedAt: { type: Date, default: Date.now }
+  }],
   emailVerified: { type: Boolean, default: false },
   emailVerificationToken: String,
   passwordResetToken: String,
@@ -61,9 +84,21 @@ const userSchema = new mongoose.Schema({
   lastLogin: Date,
   preferences: {
     theme: { type: String, default: 'light' },
+    timezone: {
+      type: String,
+      default: 'UTC',
+      validate: { validator: timezone => dateUtils.isValidTimezone(timezone), message: 'Unknown timezone' }
+    },
+    streakFreezes: { type: Boolean, default: true }, // spend earned freezes on missed days automatically
     notifications: {
       email: { type: Boolean, default: true },
-      push: { type: Boolean, default: true }
+      push: { type: Boolean, default: true },
+      // Per NOTIFICATION_TYPES entry; a type left out follows the switches above
+      types: {
+        type: Map,
+        of: new mongoose.Schema({ inApp: Boolean, email: Boolean }, { _id: false }),
+        default: {}
+      }
     },
     privacy: {
       profileVisibility: { type: String, default: 'public' },
@@ -110,7 +145,7 @@ userSchema.methods.checkAchievements = function() {
         name: achievement.name,
         description: achievement.description,
         icon: achievement.icon,
-        category: 'general'
+        category: achievement.category
       });
     }
   });
@@ -118,4 +153,6 @@ userSchema.methods.checkAchievements = function() {
   return newAchievements;
 };
 
+userSchema.index({ 'ltiIdentities.issuer': 1, 'ltiIdentities.subject': 1 }, { sparse: true });
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
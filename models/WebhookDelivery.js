@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+const { WEBHOOK } = require('../utils/constants');
+
+// One event sent to one endpoint, with every attempt at delivering it
+const webhookDeliverySchema = new mongoose.Schema({
+  endpoint: { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookEndpoint', required: true },
+  event: { type: String, enum: WEBHOOK.EVENTS, required: true },
+  payload: { type: Object, required: true }, // the signed envelope, resent unchanged on redelivery
+
+  status: { type: String, enum: ['pending', 'delivered', 'failed'], default: 'pending' },
+  attempts: [{
+    attemptedAt: { type: Date, default: Date.now },
+    responseStatus: Number,
+    responseBody: String,
+    error: String,
+    durationMs: Number
+  }],
+  lastError: String,
+  deliveredAt: Date,
+  failedAt: Date
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ endpoint: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, createdAt: -1 });
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: WEBHOOK.DELIVERY_RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+const { WEBHOOK } = require('../utils/constants');
+
+// An external system subscribed to platform events; deliveries are signed with its secret
+const webhookEndpointSchema = new mongoose.Schema({
+  url: { type: String, required: true, trim: true },
+  events: {
+    type: [{ type: String, enum: WEBHOOK.EVENTS }],
+    validate: [events => events.length > 0, 'At least one event is required']
+  },
+  secret: { type: String, required: true, select: false }, // shown to the admin once, when created or rotated
+  description: { type: String, trim: true, maxlength: 500 },
+  isActive: { type: Boolean, default: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+webhookEndpointSchema.index({ events: 1, isActive: 1 });
+
+module.exports = mongoose.model('WebhookEndpoint', webhookEndpointSchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Outbox of xAPI statements for the LRS. Statements that keep failing stay here as dead letters.
+const xapiStatementSchema = new mongoose.Schema({
+  statementId: { type: String, required: true }, // derived from the session event, so replays don't duplicate
+  statement: { type: Object, required: true },
+  verb: { type: String, required: true }, // key into XAPI.VERBS
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  sessionId: String,
+
+  status: { type: String, enum: ['pending', 'sent', 'dead'], default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lastError: String,
+  sentAt: Date,
+  deadAt: Date
+}, {
+  timestamps: true
+});
+
+xapiStatementSchema.index({ statementId: 1 }, { unique: true });
+xapiStatementSchema.index({ status: 1, nextAttemptAt: 1 });
+xapiStatementSchema.index({ sessionId: 1 });
+
+module.exports = mongoose.model('XapiStatement', xapiStatementSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+const { DIFFICULTY_LEVELS } = require('../utils/constants');
+
+// XP ledger: entries are never edited. A completion is awarded once; rule changes add adjustments.
+const xpTransactionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  type: { type: String, enum: ['completion', 'adjustment'], required: true },
+  amount: { type: Number, required: true }, // adjustments can be negative
+  progressId: { type: mongoose.Schema.Types.ObjectId, ref: 'Progress' },
+  caseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Case' },
+  rulesVersion: { type: Number, required: true },
+
+  // How the XP for the session adds up under rulesVersion
+  breakdown: {
+    difficulty: { type: String, enum: Object.values(DIFFICULTY_LEVELS) },
+    baseXp: Number,
+    percentageScore: Number,
+    firstAttempt: Boolean,
+    total: Number // the session's XP under these rules, all of its entries included
+  },
+  reason: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+xpTransactionSchema.index({ userId: 1, createdAt: -1 });
+xpTransactionSchema.index({ progressId: 1 });
+xpTransactionSchema.index(
+  { progressId: 1, type: 1 },
+  { unique: true, partialFilterExpression: { type: 'completion' } }
+);
+
+module.exports = mongoose.model('XpTransaction', xpTransactionSchema);
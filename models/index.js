@@ -5,6 +5,19 @@ const Progress = require('./Progress');
 const Review = require('./Review');
 const Discussion = require('./Discussion');
 const Analytics = require('./Analytics');
+const Credential = require('./Credential');
+const CaseVersion = require('./CaseVersion');
+const CaseComment = require('./CaseComment');
+const CaseAuditLog = require('./CaseAuditLog');
+const Course = require('./Course');
+const Assignment = require('./Assignment');
+const LtiPlatform = require('./LtiPlatform');
+const LtiResourceLink = require('./LtiResourceLink');
+const XapiStatement = require('./XapiStatement');
+const Notification = require('./Notification');
+const WebhookEndpoint = require('./WebhookEndpoint');
+const WebhookDelivery = require('./WebhookDelivery');
+const XpTransaction = require('./XpTransaction');
 
 module.exports = {
   User,
@@ -12,5 +25,18 @@ module.exports = {
   Progress,
   Review,
   Discussion,
-  Analytics
+  Analytics,
+  Credential,
+  CaseVersion,
+  CaseComment,
+  CaseAuditLog,
+  Course,
+  Assignment,
+  LtiPlatform,
+  LtiResourceLink,
+  XapiStatement,
+  Notification,
+  WebhookEndpoint,
+  WebhookDelivery,
+  XpTransaction
 };
\ No newline at end of file
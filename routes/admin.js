@@ -1,15 +1,50 @@
 const express = require('express');
 const router = express.Router();
 const adminController = require('../controllers/adminController');
+const webhookController = require('../controllers/webhookController');
 const { authenticateToken } = require('../middleware/auth');
 const { authorize } = require('../middleware/authorization');
+const { validate } = require('../middleware/validation');
+
+// Instructors get the user list scoped to the students of their courses
+router.get('/users', authenticateToken, authorize('instructor', 'admin'), adminController.getUsers);
 
 router.use(authenticateToken, authorize('admin'));
 
-router.get('/users', adminController.getUsers);
 router.patch('/users/:id/role', adminController.updateUserRole);
 router.delete('/users/:id', adminController.deleteUser);
 router.get('/system-stats', adminController.getSystemStats);
 router.get('/health', adminController.getSystemHealth);
 
+// Case review
+router.get('/cases/pending', adminController.getPendingCases);
+router.post('/cases/:id/review', validate('caseReview'), adminController.reviewCase);
+router.post('/cases/:id/reviewers', validate('reviewerAssignment'), adminController.assignReviewers);
+router.delete('/cases/:id/reviewers/:reviewerId', adminController.unassignReviewer);
+
+// xAPI delivery to the LRS
+router.get('/xapi', adminController.getXapiStatus);
+router.get('/xapi/dead-letters', adminController.getXapiDeadLetters);
+router.post('/xapi/dead-letters/requeue', validate('xapiRequeue'), adminController.requeueXapiDeadLetters);
+
+// Background job queues
+router.get('/jobs', adminController.getJobStatus);
+router.get('/jobs/:queue/dead-letters', adminController.getJobDeadLetters);
+router.post('/jobs/:queue/dead-letters/retry', validate('jobRetry'), adminController.retryJobDeadLetters);
+
+// Award achievements earned before the counters behind them were tracked
+router.post('/achievements/backfill', validate('achievementBackfill'), adminController.backfillAchievements);
+
+// Re-score the XP ledger after the XP rules change
+router.post('/progression/recompute', validate('progressionRecompute'), adminController.recomputeProgression);
+
+// Outgoing webhooks and their delivery log
+router.get('/webhooks', webhookController.getEndpoints);
+router.post('/webhooks', validate('webhookEndpoint'), webhookController.createEndpoint);
+router.get('/webhooks/deliveries', webhookController.getDeliveries);
+router.get('/webhooks/deliveries/:id', webhookController.getDelivery);
+router.post('/webhooks/deliveries/:id/redeliver', webhookController.redeliver);
+router.patch('/webhooks/:id', validate('webhookEndpointUpdate'), webhookController.updateEndpoint);
+router.delete('/webhooks/:id', webhookController.deleteEndpoint);
+
 module.exports = router;
\ No newline at end of file
@@ -2,9 +2,18 @@ const express = require('express');
 const router = express.Router();
 const analyticsController = require('../controllers/analyticsController');
 const { authenticateToken } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
 
 router.get('/dashboard', authenticateToken, analyticsController.getUserDashboard);
 router.get('/performance', authenticateToken, analyticsController.getUserPerformance);
+router.get('/streak', authenticateToken, analyticsController.getStreak);
+router.put('/streak/settings', authenticateToken, validate('streakSettings'), analyticsController.updateStreakSettings);
+router.get('/activity-calendar', authenticateToken, analyticsController.getActivityCalendar);
 router.get('/case/:caseId', authenticateToken, analyticsController.getCaseAnalytics);
+router.get('/certificate/:sessionId', authenticateToken, analyticsController.getCertificate);
+router.get('/transcript', authenticateToken, analyticsController.getTranscript);
+
+// Public: lets portfolio reviewers check a certificate or transcript without an account
+router.get('/verify/:code', analyticsController.verifyCredential);
 
 module.exports = router;
\ No newline at end of file
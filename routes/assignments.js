@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const assignmentController = require('../controllers/assignmentController');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorization');
+const { validate } = require('../middleware/validation');
+
+router.use(authenticateToken);
+
+// The signed-in student's assignments across their courses, with status and grade
+router.get('/', assignmentController.getMyAssignments);
+router.post('/', authorize('instructor', 'admin'), validate('assignment'), assignmentController.createAssignment);
+
+router.get('/:id', assignmentController.getAssignment);
+router.patch('/:id', authorize('instructor', 'admin'), validate('assignmentUpdate'), assignmentController.updateAssignment);
+router.delete('/:id', authorize('instructor', 'admin'), assignmentController.deleteAssignment);
+
+// Attempts started here count toward the assignment
+router.post('/:id/cases/:caseId/start', assignmentController.startCase);
+
+module.exports = router;
@@ -1,9 +1,22 @@
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 const caseController = require('../controllers/caseController');
 const { authenticateToken, optionalAuth } = require('../middleware/auth');
 const { authorize, authorizeOwnership } = require('../middleware/authorization');
 const { validate, schemas } = require('../middleware/validation');
+const { CASE_BUNDLE, CASE_SPREADSHEET } = require('../utils/constants');
+
+// Case bundles are unpacked in memory and never stored as uploads
+const bundleUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: CASE_BUNDLE.MAX_BUNDLE_BYTES, files: 1 }
+});
+
+const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: CASE_SPREADSHEET.MAX_FILE_BYTES, files: 1 }
+});
 
 // Swagger documentation for get cases endpoint
 /**
@@ -63,6 +76,17 @@ router.get('/', optionalAuth, validate('queryParams'), caseController.getCases);
  *       404:
  *         description: Case not found
  */
+// Case bundles: bulk export (filter by specialty, tags, status) and import as drafts
+router.get('/export', authenticateToken, authorize('instructor', 'admin'), caseController.exportCases);
+router.post('/import', authenticateToken, authorize('instructor', 'admin'), bundleUpload.single('bundle'), caseController.importCases);
+
+// Spreadsheet import: one row per step, grouped into cases by case_key; ?dryRun=true only validates
+router.get('/import/template', authenticateToken, authorize('instructor', 'admin'), caseController.getSpreadsheetTemplate);
+router.post('/import/spreadsheet', authenticateToken, authorize('instructor', 'admin'), spreadsheetUpload.single('file'), caseController.importSpreadsheet);
+
+// Cases in review assigned to the current user
+router.get('/review-queue', authenticateToken, authorize('instructor', 'admin'), caseController.getReviewQueue);
+
 router.get('/:id', authenticateToken, caseController.getCaseById);
 
 // Create case
@@ -74,16 +98,37 @@ router.put('/:id', authenticateToken, authorizeOwnership(), validate('case'), ca
 // Delete case
 router.delete('/:id', authenticateToken, authorizeOwnership(), caseController.deleteCase);
 
-// Publish case
-router.patch('/:id/publish', authenticateToken, authorizeOwnership(), caseController.publishCase);
+// Editorial workflow: draft -> review -> approved -> published -> archived
+// The workflow service checks authorship and reviewer assignment
+router.post('/:id/submit', authenticateToken, authorize('instructor', 'admin'), caseController.submitCase);
+router.post('/:id/withdraw', authenticateToken, authorize('instructor', 'admin'), caseController.withdrawCase);
+router.post('/:id/review', authenticateToken, authorize('instructor', 'admin'), validate('caseReview'), caseController.reviewCase);
+router.patch('/:id/publish', authenticateToken, authorize('instructor', 'admin'), caseController.publishCase);
+router.patch('/:id/archive', authenticateToken, authorize('instructor', 'admin'), caseController.archiveCase);
+router.patch('/:id/restore', authenticateToken, authorize('instructor', 'admin'), caseController.restoreCase);
+router.get('/:id/history', authenticateToken, authorize('instructor', 'admin'), caseController.getCaseHistory);
+
+// Limit a case to the courses that include it, or open it to everyone
+router.patch('/:id/visibility', authenticateToken, authorize('instructor', 'admin'), validate('caseVisibility'), caseController.setCaseVisibility);
 
-// Archive case
-router.patch('/:id/archive', authenticateToken, authorizeOwnership(), caseController.archiveCase);
+// Review comments
+router.get('/:id/comments', authenticateToken, authorize('instructor', 'admin'), caseController.getCaseComments);
+router.post('/:id/comments', authenticateToken, authorize('instructor', 'admin'), validate('caseComment'), caseController.addCaseComment);
+router.patch('/:id/comments/:commentId/resolve', authenticateToken, authorize('instructor', 'admin'), caseController.resolveCaseComment);
 
 // Get case statistics
 router.get('/:id/statistics', authenticateToken, caseController.getCaseStatistics);
 
+// Export a single case bundle
+router.get('/:id/export', authenticateToken, authorize('instructor', 'admin'), caseController.exportCase);
+
 // Duplicate case
 router.post('/:id/duplicate', authenticateToken, authorize('instructor', 'admin'), caseController.duplicateCase);
 
+// Case versions
+router.get('/:id/versions', authenticateToken, authorize('instructor', 'admin'), caseController.getCaseVersions);
+router.get('/:id/versions/diff', authenticateToken, authorize('instructor', 'admin'), caseController.diffCaseVersions);
+router.get('/:id/versions/:version', authenticateToken, authorize('instructor', 'admin'), caseController.getCaseVersion);
+router.post('/:id/versions/:version/rollback', authenticateToken, authorize('instructor', 'admin'), caseController.rollbackCase);
+
 module.exports = router;
\ No newline at end of file
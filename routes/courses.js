@@ -0,0 +1,39 @@
+const express = require('express');
+const router = express.Router();
+const courseController = require('../controllers/courseController');
+const assignmentController = require('../controllers/assignmentController');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorization');
+const { validate } = require('../middleware/validation');
+
+router.use(authenticateToken);
+
+// Courses the user teaches or is enrolled in
+router.get('/', courseController.getCourses);
+router.post('/', authorize('instructor', 'admin'), validate('course'), courseController.createCourse);
+
+// Enrollment by join code or emailed invitation
+router.post('/join', validate('courseJoin'), courseController.joinCourse);
+router.post('/invitations/:token/accept', courseController.acceptInvitation);
+
+router.get('/:id', courseController.getCourse);
+router.patch('/:id', authorize('instructor', 'admin'), validate('courseUpdate'), courseController.updateCourse);
+router.post('/:id/join-code', authorize('instructor', 'admin'), courseController.regenerateJoinCode);
+router.post('/:id/leave', courseController.leaveCourse);
+
+// Roster
+router.get('/:id/roster', authorize('instructor', 'admin'), courseController.getRoster);
+router.post('/:id/invitations', authorize('instructor', 'admin'), validate('courseInvite'), courseController.inviteStudents);
+router.delete('/:id/students/:userId', authorize('instructor', 'admin'), courseController.removeStudent);
+
+// Course case library
+router.post('/:id/cases', authorize('instructor', 'admin'), validate('courseCases'), courseController.addCases);
+router.delete('/:id/cases/:caseId', authorize('instructor', 'admin'), courseController.removeCase);
+
+// Assignments and grades
+router.get('/:id/assignments', assignmentController.getCourseAssignments);
+router.get('/:id/gradebook', authorize('instructor', 'admin'), assignmentController.getGradebook);
+
+router.get('/:id/analytics', authorize('instructor', 'admin'), courseController.getCourseAnalytics);
+
+module.exports = router;
@@ -7,6 +7,14 @@ const analyticsRoutes = require('./analytics');
 const adminRoutes = require('./admin');
 const recommendationRoutes = require('./recommendations');
 const discussionRoutes = require('./discussions');
+const monitoringRoutes = require('./monitoring');
+const courseRoutes = require('./courses');
+const assignmentRoutes = require('./assignments');
+const notificationRoutes = require('./notifications');
+const leaderboardRoutes = require('./leaderboards');
+const progressionRoutes = require('./progression');
+const ltiRoutes = require('./lti');
+const ltiConfig = require('../config/lti');
 
 // Health check route (no auth required)
 router.get('/health', (req, res) => {
@@ -31,5 +39,15 @@ router.use('/analytics', analyticsRoutes);
 router.use('/admin', adminRoutes);
 router.use('/recommendations', recommendationRoutes);
 router.use('/discussions', discussionRoutes);
+router.use('/monitoring', monitoringRoutes);
+router.use('/courses', courseRoutes);
+router.use('/assignments', assignmentRoutes);
+router.use('/notifications', notificationRoutes);
+router.use('/leaderboards', leaderboardRoutes);
+router.use('/progression', progressionRoutes);
+
+if (ltiConfig.ENABLED) {
+  router.use('/lti', ltiRoutes);
+}
 
 module.exports = router;
\ No newline at end of file
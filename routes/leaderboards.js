@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const leaderboardController = require('../controllers/leaderboardController');
+const { authenticateToken } = require('../middleware/auth');
+
+// ?window=weekly|monthly|all_time&scope=global|specialty|course&specialty=&courseId=&limit=&offset=
+router.get('/', authenticateToken, leaderboardController.getLeaderboard);
+
+module.exports = router;
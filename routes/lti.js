@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const ltiController = require('../controllers/ltiController');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorization');
+const { validate } = require('../middleware/validation');
+
+// Called by LMS platforms and browsers mid-launch; launches are verified by their signed id_token
+router.get('/jwks', ltiController.getJwks);
+router.get('/config', ltiController.getToolConfiguration);
+router.get('/login', ltiController.login);
+router.post('/login', ltiController.login);
+router.post('/launch', ltiController.launch);
+
+// The instructor's case picks for a deep linking launch
+router.post('/deep-linking/:id', authenticateToken, authorize('instructor', 'admin'), validate('ltiDeepLink'), ltiController.submitDeepLink);
+
+// Platform registrations
+router.get('/platforms', authenticateToken, authorize('admin'), ltiController.getPlatforms);
+router.post('/platforms', authenticateToken, authorize('admin'), validate('ltiPlatform'), ltiController.createPlatform);
+router.patch('/platforms/:id', authenticateToken, authorize('admin'), validate('ltiPlatformUpdate'), ltiController.updatePlatform);
+router.delete('/platforms/:id', authenticateToken, authorize('admin'), ltiController.deletePlatform);
+
+module.exports = router;
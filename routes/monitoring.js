@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const monitoringController = require('../controllers/monitoringController');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorization');
+const { validate } = require('../middleware/validation');
+
+// Live console for instructors: running sessions by case, institution or learner list
+router.use(authenticateToken, authorize('instructor', 'admin'));
+
+router.get('/sessions', monitoringController.getLiveSessions);
+router.post('/sessions/:sessionId/interventions', validate('intervention'), monitoringController.intervene);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notificationController');
+const { authenticateToken } = require('../middleware/auth');
+const { validate } = require('../middleware/validation');
+
+// The signed-in user's notification inbox
+router.use(authenticateToken);
+
+router.get('/', notificationController.getNotifications);
+router.get('/unread-count', notificationController.getUnreadCount);
+router.patch('/read-all', notificationController.markAllAsRead);
+router.patch('/:id/read', notificationController.markAsRead);
+router.delete('/:id', notificationController.deleteNotification);
+
+router.get('/preferences', notificationController.getPreferences);
+router.put('/preferences', validate('notificationPreferences'), notificationController.updatePreferences);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const progressionController = require('../controllers/progressionController');
+const { authenticateToken } = require('../middleware/auth');
+
+// The signed-in user's XP, level, ledger and skill tree
+router.use(authenticateToken);
+
+router.get('/', progressionController.getSummary);
+router.get('/ledger', progressionController.getLedger);
+router.get('/skill-tree', progressionController.getSkillTree);
+
+module.exports = router;
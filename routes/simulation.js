@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const simulationController = require('../controllers/simulationController');
+const teamSessionController = require('../controllers/teamSessionController');
 const { authenticateToken } = require('../middleware/auth');
 const { validate, schemas } = require('../middleware/validation');
 
@@ -32,6 +33,19 @@ router.get('/session/:sessionId', authenticateToken, simulationController.getSes
 router.patch('/session/:sessionId/pause', authenticateToken, simulationController.pauseSession);
 router.patch('/session/:sessionId/resume', authenticateToken, simulationController.resumeSession);
 router.patch('/session/:sessionId/abandon', authenticateToken, simulationController.abandonSession);
+router.get('/session/:sessionId/tests', authenticateToken, simulationController.getTests);
+router.post('/session/:sessionId/tests', authenticateToken, validate('diagnosticTestOrder'), simulationController.orderTests);
+router.get('/session/:sessionId/debrief', authenticateToken, simulationController.getDebrief);
+router.post('/session/:sessionId/hint', authenticateToken, simulationController.revealHint);
 router.post('/session/:sessionId/feedback', authenticateToken, simulationController.submitFeedback);
 
+// Team sessions: the host starts, teammates join by code, and answers go through proposals
+router.post('/team/start/:caseId', authenticateToken, validate('teamSession'), teamSessionController.startTeamSession);
+router.post('/team/join', authenticateToken, validate('teamJoin'), teamSessionController.joinTeamSession);
+router.get('/team/:sessionId', authenticateToken, teamSessionController.getTeamSession);
+router.post('/team/:sessionId/leave', authenticateToken, teamSessionController.leaveTeamSession);
+router.patch('/team/:sessionId/role', authenticateToken, validate('teamRole'), teamSessionController.changeRole);
+router.post('/team/:sessionId/propose', authenticateToken, validate('teamAnswer'), teamSessionController.propose);
+router.post('/team/:sessionId/confirm', authenticateToken, validate('teamAnswer'), teamSessionController.confirm);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+
+/**
+ * xAPI Replay Script
+ * Queues xAPI statements for simulation sessions recorded before xAPI was enabled.
+ * Statement IDs come from the session events, so running it again queues nothing twice.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { connectDB } = require('../config/database');
+const xapiConfig = require('../config/xapi');
+const xapiService = require('../services/xapiService');
+
+const USAGE = 'Usage: node scripts/xapiReplay.js [--since=YYYY-MM-DD] [--until=YYYY-MM-DD] [--dry-run]';
+
+const parseArgs = (argv) => {
+  const options = { dryRun: false, since: null, until: null };
+
+  for (const arg of argv) {
+    const [name, value] = arg.split('=');
+    if (name === '--dry-run') {
+      options.dryRun = true;
+    } else if ((name === '--since' || name === '--until') && value && !Number.isNaN(Date.parse(value))) {
+      options[name.slice(2)] = new Date(value);
+    } else {
+      throw new Error(`Unknown or invalid option: ${arg}`);
+    }
+  }
+
+  return options;
+};
+
+const runReplay = async () => {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}\n${USAGE}`);
+    process.exit(1);
+  }
+
+  if (!xapiConfig.ENABLED && !options.dryRun) {
+    console.error('❌ Set ENABLE_XAPI=true and XAPI_LRS_ENDPOINT before queueing statements (or use --dry-run)');
+    process.exit(1);
+  }
+
+  try {
+    await connectDB();
+    console.log('📡 Connected to database\n');
+
+    const totals = await xapiService.replay(options);
+
+    console.log(`✅ ${totals.sessions} sessions, ${totals.statements} statements`);
+    console.log(options.dryRun
+      ? '   Dry run: nothing was queued'
+      : `   ${totals.queued} queued for the LRS (${totals.statements - totals.queued} were already queued)`);
+
+  } catch (error) {
+    console.error('💥 Replay failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+  }
+};
+
+module.exports = { parseArgs, runReplay };
+
+if (require.main === module) {
+  runReplay();
+}
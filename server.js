@@ -28,6 +28,17 @@ const apiRoutes = require('./routes');
 // Import services and utilities
 const logger = require('./utils/logger');
 const notificationService = require('./services/notificationService');
+const simulationService = require('./services/simulationService');
+const teamSessionService = require('./services/teamSessionService');
+const monitoringService = require('./services/monitoringService');
+const courseService = require('./services/courseService');
+const leaderboardService = require('./services/leaderboardService');
+const xapiService = require('./services/xapiService');
+const jobQueue = require('./services/jobQueue');
+const workers = require('./workers');
+const xapiConfig = require('./config/xapi');
+const jobsConfig = require('./config/jobs');
+const { SESSION_TIMING, MONITORING, XAPI, JOBS } = require('./utils/constants');
 
 // Initialize Express app
 const app = express();
@@ -149,6 +160,51 @@ io.on('connection', (socket) => {
     }
   });
 
+  // ===== TEAM SIMULATION EVENTS =====
+
+  // The server owns team state: clients send intents and every member receives the resulting state
+  const onTeamEvent = (event, handler) => {
+    socket.on(event, async (data = {}) => {
+      try {
+        await handler(data);
+      } catch (error) {
+        logger.error(`Team event ${event} error:`, error);
+        socket.emit('team_error', {
+          event,
+          error: error.status ? error.message : 'Team action failed'
+        });
+      }
+    });
+  };
+
+  onTeamEvent('join_team_session', async ({ sessionId }) => {
+    const state = await teamSessionService.getState(sessionId, socket.user);
+    socket.join(`team_${sessionId}`);
+    socket.currentTeamSession = sessionId;
+    socket.emit('team_state', state);
+  });
+
+  onTeamEvent('leave_team_session', async ({ sessionId }) => {
+    const state = await teamSessionService.leaveTeamSession(sessionId, socket.user);
+    socket.leave(`team_${sessionId}`);
+    socket.currentTeamSession = null;
+    teamSessionService.broadcast(sessionId, state);
+  });
+
+  onTeamEvent('team_change_role', async ({ sessionId, role }) => {
+    teamSessionService.broadcast(sessionId, await teamSessionService.changeRole(sessionId, socket.user, role));
+  });
+
+  onTeamEvent('team_propose', async ({ sessionId, stepId, selectedOption, orders }) => {
+    const outcome = await teamSessionService.propose(sessionId, socket.user, { stepId, selectedOption, orders });
+    teamSessionService.broadcast(sessionId, outcome);
+  });
+
+  onTeamEvent('team_confirm', async ({ sessionId, stepId, selectedOption, orders }) => {
+    const outcome = await teamSessionService.confirm(sessionId, socket.user, { stepId, selectedOption, orders });
+    teamSessionService.broadcast(sessionId, outcome);
+  });
+
   // ===== DISCUSSION EVENTS =====
   
   // Join case discussion room
@@ -180,6 +236,23 @@ io.on('connection', (socket) => {
     }
   });
   
+  // Course discussion room; only the course's members get its threads
+  socket.on('join_course', async (courseId) => {
+    try {
+      await courseService.assertCourseAccess(courseId, socket.user);
+      socket.join(`course_${courseId}`);
+    } catch (error) {
+      socket.emit('course_error', {
+        event: 'join_course',
+        error: error.status ? error.message : 'Failed to join course room'
+      });
+    }
+  });
+
+  socket.on('leave_course', (courseId) => {
+    if (courseId) socket.leave(`course_${courseId}`);
+  });
+
   // Handle new discussion posts
   socket.on('new_discussion', (data) => {
     const { caseId, discussionId, content, type } = data;
@@ -218,13 +291,38 @@ io.on('connection', (socket) => {
     }
   });
 
+  // ===== LEADERBOARD EVENTS =====
+
+  // Watch a board ({ scope, specialty, courseId }); leaderboard_updated tells the client to refetch it
+  socket.on('join_leaderboard', async (scope = {}) => {
+    try {
+      const { board } = await leaderboardService.resolveBoard(socket.user, scope);
+      socket.join(leaderboardService.roomFor(board));
+    } catch (error) {
+      socket.emit('leaderboard_error', {
+        event: 'join_leaderboard',
+        error: error.status ? error.message : 'Failed to join leaderboard'
+      });
+    }
+  });
+
+  socket.on('leave_leaderboard', async (scope = {}) => {
+    try {
+      const { board } = await leaderboardService.resolveBoard(socket.user, scope);
+      socket.leave(leaderboardService.roomFor(board));
+    } catch (error) {
+      logger.error('Leave leaderboard error:', error);
+    }
+  });
+
   // ===== NOTIFICATION EVENTS =====
   
   // Mark notification as read
   socket.on('mark_notification_read', async (notificationId) => {
     try {
-      await notificationService.markAsRead(socket.userId, notificationId);
-      socket.emit('notification_marked_read', { notificationId });
+      if (await notificationService.markAsRead(socket.userId, notificationId)) {
+        socket.emit('notification_marked_read', { notificationId });
+      }
     } catch (error) {
       logger.error('Mark notification read error:', error);
     }
@@ -257,22 +355,63 @@ io.on('connection', (socket) => {
     socket.join('instructors');
   }
   
-  // Handle instructor interventions
-  socket.on('instructor_intervention', (data) => {
-    const { sessionId, message, hint } = data;
-    if (['instructor', 'admin'].includes(socket.user.role) && sessionId) {
-      socket.to(`simulation_${sessionId}`).emit('instructor_message', {
-        message,
-        hint,
-        instructor: {
-          name: `${socket.user.profile.firstName} ${socket.user.profile.lastName}`,
-          role: socket.user.role
-        },
-        timestamp: new Date()
+  // Handle instructor interventions; recorded on the learner's progress and pushed to the learner
+  socket.on('instructor_intervention', async (data = {}) => {
+    const { sessionId, message, hint, type, stepId } = data;
+    if (!['instructor', 'admin'].includes(socket.user.role) || !sessionId) return;
+
+    try {
+      await monitoringService.intervene(io, socket.user, sessionId, {
+        type: type || (hint ? 'hint' : 'message'),
+        message: hint || message,
+        stepId
+      });
+    } catch (error) {
+      logger.error('Instructor intervention error:', error);
+      socket.emit('monitor_error', {
+        event: 'instructor_intervention',
+        error: error.status ? error.message : 'Intervention failed'
       });
     }
   });
 
+  // Live monitoring feed: a snapshot now and every MONITORING.REFRESH_MS until unsubscribed
+  const stopMonitoring = () => {
+    if (socket.monitorTimer) {
+      clearInterval(socket.monitorTimer);
+      socket.monitorTimer = null;
+    }
+  };
+
+  socket.on('monitor_subscribe', async (scope = {}) => {
+    if (!['instructor', 'admin'].includes(socket.user.role)) {
+      socket.emit('monitor_error', { event: 'monitor_subscribe', error: 'Instructor access required' });
+      return;
+    }
+
+    stopMonitoring();
+    const sendSnapshot = async () => {
+      try {
+        socket.emit('monitor_snapshot', await monitoringService.getLiveSessions(scope, new Date(), socket.user));
+        return true;
+      } catch (error) {
+        logger.error('Monitor snapshot error:', error);
+        if (!error.status) return true;
+
+        // Out-of-scope subscriptions (a course the instructor doesn't teach) are not retried
+        stopMonitoring();
+        socket.emit('monitor_error', { event: 'monitor_subscribe', error: error.message });
+        return false;
+      }
+    };
+
+    if (await sendSnapshot()) {
+      socket.monitorTimer = setInterval(sendSnapshot, MONITORING.REFRESH_MS);
+    }
+  });
+
+  socket.on('monitor_unsubscribe', stopMonitoring);
+
   // ===== ERROR HANDLING =====
   
   socket.on('error', (error) => {
@@ -283,6 +422,7 @@ io.on('connection', (socket) => {
   
   socket.on('disconnect', (reason) => {
     logger.info(`User disconnected: ${socket.user.email} (${reason})`);
+    stopMonitoring();
     
     // Notify simulation room if user was in one
     if (socket.currentSimulation) {
@@ -292,6 +432,15 @@ io.on('connection', (socket) => {
       });
     }
     
+    // Membership outlives the connection; teammates, on any API worker, only see the member go offline
+    const teamEmitter = socket.currentTeamSession && jobQueue.socketEmitter();
+    if (teamEmitter) {
+      teamEmitter.to(`team_${socket.currentTeamSession}`).emit('team_member_offline', {
+        userId: socket.userId,
+        timestamp: new Date()
+      });
+    }
+
     // Notify discussion room if user was in one
     if (socket.currentDiscussion) {
       socket.to(`discussion_${socket.currentDiscussion}`).emit('user_left_discussion', {
@@ -313,6 +462,7 @@ io.on('connection', (socket) => {
 
 // Make io available to routes and services
 app.set('io', io);
+jobQueue.setSocketServer(io);
 
 // ==================== MIDDLEWARE SETUP ====================
 
@@ -482,6 +632,43 @@ app.use('*', notFoundHandler);
 // Global error handler
 app.use(errorHandler);
 
+// ==================== BACKGROUND JOBS ====================
+
+let sessionSweeper = null;
+
+// Move idle simulation sessions to 'expired' and drop their cached state
+const startSessionSweeper = () => {
+  sessionSweeper = setInterval(() => {
+    simulationService.expireStaleSessions().catch(() => {
+      // Logged by the service; retried on the next sweep
+    });
+  }, SESSION_TIMING.SWEEP_INTERVAL_MS);
+  sessionSweeper.unref();
+};
+
+let xapiDelivery = null;
+
+// Send queued xAPI statements to the LRS
+const startXapiDelivery = () => {
+  if (!xapiConfig.ENABLED) return;
+
+  xapiDelivery = setInterval(() => {
+    xapiService.flush().catch(() => {
+      // Logged by the service; retried on the next run
+    });
+  }, XAPI.FLUSH_INTERVAL_MS);
+  xapiDelivery.unref();
+};
+
+// Email, notification and analytics jobs (assignment reminders included) are worked here
+// unless JOB_WORKERS_IN_PROCESS=false leaves them to the worker app
+const startJobWorkers = async () => {
+  await jobQueue.relaySocketEvents();
+  if (jobsConfig.IN_PROCESS) {
+    workers.start();
+  }
+};
+
 // ==================== DATABASE CONNECTION & SERVER START ====================
 
 const startServer = async () => {
@@ -500,6 +687,10 @@ const startServer = async () => {
       logger.warn('⚠️  Redis connection failed, continuing without caching');
     }
 
+    startSessionSweeper();
+    startXapiDelivery();
+    await startJobWorkers();
+
     // Start server
     const PORT = process.env.PORT || 5000;
     
@@ -521,6 +712,8 @@ const startServer = async () => {
       if (process.env.ENABLE_AI_RECOMMENDATIONS === 'true') features.push('AI Recommendations');
       if (process.env.ENABLE_GAMIFICATION === 'true') features.push('Gamification');
       if (process.env.ENABLE_LTI_INTEGRATION === 'true') features.push('LTI Integration');
+      if (xapiConfig.ENABLED) features.push('xAPI Statements');
+      if (jobsConfig.IN_PROCESS) features.push('In-process Job Workers');
       if (process.env.SENDGRID_API_KEY) features.push('Email Notifications');
       
       if (features.length > 0) {
@@ -532,17 +725,13 @@ const startServer = async () => {
       logger.info(`🔌 Socket.IO ready for real-time connections`);
       
       // Send startup notification to admin users
-      setTimeout(async () => {
-        try {
-          await notificationService.sendSystemNotification(io, {
-            title: 'System Started',
-            message: 'Medical Case Simulator Backend is online and ready',
-            priority: 'low'
-          });
-        } catch (error) {
-          // Silent fail for startup notification
-        }
-      }, 5000);
+      jobQueue.add(JOBS.QUEUES.NOTIFICATION, 'system', {
+        title: 'System Started',
+        message: 'Medical Case Simulator Backend is online and ready',
+        priority: 'low'
+      }, { delay: 5000, attempts: 1 }).catch(() => {
+        // Silent fail for startup notification
+      });
     });
 
   } catch (error) {
@@ -555,6 +744,16 @@ const startServer = async () => {
 
 const gracefulShutdown = async (signal) => {
   logger.info(`📴 Received ${signal}. Starting graceful shutdown...`);
+
+  if (sessionSweeper) {
+    clearInterval(sessionSweeper);
+  }
+  if (xapiDelivery) {
+    clearInterval(xapiDelivery);
+  }
+
+  // Let running jobs finish before their connections close
+  await workers.stop();
   
   // Stop accepting new connections
   server.close(async () => {
@@ -0,0 +1,208 @@
+// services/achievementService.js
+const { User, Progress, Discussion, Case } = require('../models');
+const jobQueue = require('./jobQueue');
+const notificationService = require('./notificationService');
+const webhookService = require('./webhookService');
+const logger = require('../utils/logger');
+const { JOBS } = require('../utils/constants');
+
+const BACKFILL_BATCH_SIZE = 500;
+
+const achievementService = {
+  // Counter updates are atomic and happen with the event; awarding runs as a job afterwards.
+  // None of these throw: a stats hiccup must not fail the session, post or case behind it.
+  async recordCompletion(progress, caseDoc) {
+    try {
+      const update = {
+        $min: { 'statistics.fastestTime': progress.timeSpent }
+      };
+      if (progress.percentageScore >= 100) {
+        update.$inc = { 'statistics.perfectScores': 1 };
+      }
+      if (caseDoc.specialty) {
+        update.$addToSet = { 'statistics.specialties': caseDoc.specialty };
+      }
+
+      await User.updateOne({ _id: progress.userId }, update);
+      await this.syncSpecialtiesExplored(progress.userId);
+      await this.queueEvaluation(progress.userId);
+    } catch (error) {
+      logger.error('Record completion achievements error:', error);
+    }
+  },
+
+  async recordDiscussionPost(userId) {
+    try {
+      await User.updateOne({ _id: userId }, { $inc: { 'statistics.discussionPosts': 1 } });
+      await this.queueEvaluation(userId);
+    } catch (error) {
+      logger.error('Record discussion post achievements error:', error);
+    }
+  },
+
+  // delta is +1 for a new upvote and -1 for one taken back; votes on your own posts don't count
+  async recordUpvote(authorId, voterId, delta) {
+    if (!delta || String(authorId) === String(voterId)) return;
+
+    try {
+      await User.updateOne({ _id: authorId }, { $inc: { 'statistics.discussionUpvotes': delta } });
+      if (delta > 0) {
+        await this.queueEvaluation(authorId);
+      }
+    } catch (error) {
+      logger.error('Record upvote achievements error:', error);
+    }
+  },
+
+  async recordCasesCreated(userId, count = 1) {
+    if (!count) return;
+
+    try {
+      await User.updateOne({ _id: userId }, { $inc: { 'statistics.casesCreated': count } });
+      await this.queueEvaluation(userId);
+    } catch (error) {
+      logger.error('Record case created achievements error:', error);
+    }
+  },
+
+  async syncSpecialtiesExplored(userId) {
+    await User.updateOne({ _id: userId }, [
+      { $set: { 'statistics.specialtiesExplored': { $size: { $ifNull: ['$statistics.specialties', []] } } } }
+    ]);
+  },
+
+  async queueEvaluation(userId) {
+    await jobQueue.add(JOBS.QUEUES.ACHIEVEMENT, 'evaluate', { userId: String(userId) });
+  },
+
+  // Award every achievement the user now qualifies for. Each award is a conditional push,
+  // so concurrent evaluations and the backfill can't award the same badge twice.
+  async evaluate(userId, { notify = true } = {}) {
+    const user = await User.findById(userId).select('email profile preferences statistics achievements');
+    if (!user) return [];
+
+    const awarded = [];
+    for (const candidate of user.checkAchievements()) {
+      const achievement = { ...candidate, earnedDate: new Date() };
+      const result = await User.updateOne(
+        { _id: user._id, 'achievements.name': { $ne: achievement.name } },
+        { $push: { achievements: achievement } }
+      );
+      if (result.modifiedCount !== 1) continue;
+
+      awarded.push(achievement);
+      logger.info(`Achievement "${achievement.name}" awarded to user ${user._id}`);
+
+      if (notify) {
+        await this.announce(user, achievement);
+      }
+    }
+
+    return awarded;
+  },
+
+  async announce(user, achievement) {
+    const io = jobQueue.socketEmitter();
+    if (io) {
+      await notificationService.sendAchievementNotification(io, user, achievement);
+    }
+
+    await webhookService.emit('achievement.earned', {
+      userId: String(user._id),
+      name: achievement.name,
+      description: achievement.description,
+      category: achievement.category,
+      icon: achievement.icon,
+      earnedAt: achievement.earnedDate.toISOString()
+    });
+  },
+
+  // Rebuild the counters from existing sessions, posts and cases, then award what they earn.
+  // Counters only move up ($max/$min), so posts or sessions deleted since are not taken back.
+  async backfill({ notify = false } = {}) {
+    const [completions, discussions, authored] = await Promise.all([
+      Progress.aggregate([
+        { $match: { status: 'completed' } },
+        { $lookup: { from: 'cases', localField: 'caseId', foreignField: '_id', as: 'case' } },
+        {
+          $group: {
+            _id: '$userId',
+            perfectScores: { $sum: { $cond: [{ $gte: ['$percentageScore', 100] }, 1, 0] } },
+            fastestTime: { $min: '$timeSpent' },
+            specialties: { $addToSet: { $arrayElemAt: ['$case.specialty', 0] } }
+          }
+        }
+      ]),
+      Discussion.aggregate([
+        {
+          $group: {
+            _id: '$author',
+            discussionPosts: { $sum: 1 },
+            discussionUpvotes: {
+              $sum: { $size: { $setDifference: [{ $ifNull: ['$votes.upvotes', []] }, ['$author']] } }
+            }
+          }
+        }
+      ]),
+      Case.aggregate([
+        { $match: { 'metadata.revisionOf': null } },
+        { $group: { _id: '$metadata.author', casesCreated: { $sum: 1 } } }
+      ])
+    ]);
+
+    const updates = new Map();
+    const updateFor = (userId) => {
+      const key = String(userId);
+      if (!updates.has(key)) updates.set(key, { _id: userId, $max: {} });
+      return updates.get(key);
+    };
+
+    for (const row of completions) {
+      const update = updateFor(row._id);
+      update.$max['statistics.perfectScores'] = row.perfectScores;
+      if (row.fastestTime != null) {
+        update.$min = { 'statistics.fastestTime': row.fastestTime };
+      }
+      const specialties = row.specialties.filter(Boolean);
+      if (specialties.length) {
+        update.$addToSet = { 'statistics.specialties': { $each: specialties } };
+      }
+    }
+    for (const row of discussions) {
+      const update = updateFor(row._id);
+      update.$max['statistics.discussionPosts'] = row.discussionPosts;
+      update.$max['statistics.discussionUpvotes'] = row.discussionUpvotes;
+    }
+    for (const row of authored) {
+      updateFor(row._id).$max['statistics.casesCreated'] = row.casesCreated;
+    }
+
+    // Posts and cases without an author group under null
+    const operations = [...updates.values()].filter(update => update._id).map(({ _id, ...update }) => ({ updateOne: { filter: { _id }, update } }));
+
+    for (let i = 0; i < operations.length; i += BACKFILL_BATCH_SIZE) {
+      await User.bulkWrite(operations.slice(i, i + BACKFILL_BATCH_SIZE), { ordered: false });
+    }
+
+    // Every user is evaluated, since badges like "First Steps" only need counters kept before this
+    let usersAwarded = 0;
+    let achievementsAwarded = 0;
+    const cursor = User.find().select('_id').lean().cursor();
+    for await (const { _id } of cursor) {
+      if (updates.has(String(_id))) {
+        await this.syncSpecialtiesExplored(_id);
+      }
+      const awarded = await this.evaluate(_id, { notify });
+      if (awarded.length) {
+        usersAwarded++;
+        achievementsAwarded += awarded.length;
+      }
+    }
+
+    logger.info(`Achievement backfill: ${operations.length} users' counters rebuilt, ${achievementsAwarded} achievements awarded to ${usersAwarded} users`);
+
+    return { usersUpdated: operations.length, usersAwarded, achievementsAwarded };
+  }
+};
+
+module.exports = achievementService;
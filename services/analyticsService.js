@@ -1,7 +1,11 @@
 // services/analyticsService.js
-const { User, Case, Progress, Review } = require('../models');
+const { User, Case, Progress, Review, Course } = require('../models');
+const courseService = require('./courseService');
 const logger = require('../utils/logger');
 const { redisUtils } = require('../config/redis');
+const { JOBS } = require('../utils/constants');
+
+const SYSTEM_ANALYTICS_KEY = 'analytics:system';
 
 const analyticsService = {
   async getUserAnalytics(userId) {
@@ -72,10 +76,12 @@ const analyticsService = {
     }
   },
 
-  async getCaseAnalytics(caseId) {
+  // Passing a courseId limits the figures to that course's students
+  async getCaseAnalytics(caseId, { courseId } = {}) {
     try {
-      const progressData = await Progress.find({ caseId, status: 'completed' }).lean();
-      const reviews = await Review.find({ caseId }).lean();
+      const learnerFilter = courseId ? { userId: { $in: await courseService.getLearnerIds([courseId]) } } : {};
+      const progressData = await Progress.find({ caseId, status: 'completed', ...learnerFilter }).lean();
+      const reviews = await Review.find({ caseId, ...learnerFilter }).lean();
 
       const analytics = {
         totalAttempts: progressData.length,
@@ -107,7 +113,9 @@ const analyticsService = {
             distribution[step.stepId] = {
               attempts: 0,
               correct: 0,
-              totalTime: 0
+              totalTime: 0,
+              hintsUsed: 0,
+              attemptsWithHints: 0
             };
           }
           distribution[step.stepId].attempts++;
@@ -115,6 +123,10 @@ const analyticsService = {
             distribution[step.stepId].correct++;
           }
           distribution[step.stepId].totalTime += step.timeSpent || 0;
+          distribution[step.stepId].hintsUsed += step.hintsUsed || 0;
+          if (step.hintsUsed > 0) {
+            distribution[step.stepId].attemptsWithHints++;
+          }
         });
       }
     });
@@ -124,22 +136,36 @@ const analyticsService = {
       const data = distribution[stepId];
       data.correctRate = data.attempts > 0 ? Math.round((data.correct / data.attempts) * 100) : 0;
       data.averageTime = data.attempts > 0 ? Math.round(data.totalTime / data.attempts) : 0;
+      data.averageHints = data.attempts > 0 ? Math.round((data.hintsUsed / data.attempts) * 100) / 100 : 0;
+      data.hintUsageRate = data.attempts > 0 ? Math.round((data.attemptsWithHints / data.attempts) * 100) : 0;
       delete data.correct;
       delete data.totalTime;
+      delete data.attemptsWithHints;
     });
 
     return distribution;
   },
 
-  async getSystemAnalytics() {
+  async getSystemAnalytics({ courseId } = {}) {
     try {
+      let userFilter = {};
+      let caseFilter = { 'metadata.status': 'published' };
+      let progressFilter = {};
+      if (courseId) {
+        const course = await Course.findById(courseId).select('students cases');
+        const learnerIds = course ? await courseService.getLearnerIds([course._id]) : [];
+        userFilter = { _id: { $in: learnerIds } };
+        caseFilter = { ...caseFilter, _id: { $in: course ? course.cases : [] } };
+        progressFilter = { userId: { $in: learnerIds } };
+      }
+
       const [totalUsers, totalCases, totalSessions] = await Promise.all([
-        User.countDocuments(),
-        Case.countDocuments({ 'metadata.status': 'published' }),
-        Progress.countDocuments()
+        User.countDocuments(userFilter),
+        Case.countDocuments(caseFilter),
+        Progress.countDocuments(progressFilter)
       ]);
 
-      const progressData = await Progress.find({ status: 'completed' })
+      const progressData = await Progress.find({ status: 'completed', ...progressFilter })
         .populate('caseId', 'specialty')
         .lean();
 
@@ -165,9 +191,9 @@ const analyticsService = {
       const monthAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
 
       const [dailyActive, weeklyActive, monthlyActive] = await Promise.all([
-        User.countDocuments({ 'statistics.lastActiveDate': { $gte: dayAgo } }),
-        User.countDocuments({ 'statistics.lastActiveDate': { $gte: weekAgo } }),
-        User.countDocuments({ 'statistics.lastActiveDate': { $gte: monthAgo } })
+        User.countDocuments({ ...userFilter, 'statistics.lastActiveDate': { $gte: dayAgo } }),
+        User.countDocuments({ ...userFilter, 'statistics.lastActiveDate': { $gte: weekAgo } }),
+        User.countDocuments({ ...userFilter, 'statistics.lastActiveDate': { $gte: monthAgo } })
       ]);
 
       return {
@@ -187,6 +213,92 @@ const analyticsService = {
       logger.error('Get system analytics error:', error);
       throw error;
     }
+  },
+
+  // Platform-wide figures are rebuilt by the analytics worker; requests read the latest snapshot
+  async getCachedSystemAnalytics() {
+    const snapshot = await redisUtils.get(SYSTEM_ANALYTICS_KEY);
+    return snapshot || this.refreshSystemAnalytics();
+  },
+
+  async refreshSystemAnalytics() {
+    const analytics = { ...(await this.getSystemAnalytics()), generatedAt: new Date() };
+    await redisUtils.set(SYSTEM_ANALYTICS_KEY, analytics, JOBS.SYSTEM_ANALYTICS_CACHE_SECONDS);
+    return analytics;
+  },
+
+  // Course gradebook view: how each enrolled student and each course case is doing
+  async getCourseAnalytics(course) {
+    try {
+      const learnerIds = await courseService.getLearnerIds([course._id]);
+      const caseIds = course.cases.map(String);
+
+      const [learners, cases, progressData] = await Promise.all([
+        User.find({ _id: { $in: learnerIds } }).select('email profile statistics.lastActiveDate').lean(),
+        Case.find({ _id: { $in: course.cases } }).select('title specialty difficulty').lean(),
+        Progress.find({ userId: { $in: learnerIds }, caseId: { $in: course.cases } }).lean()
+      ]);
+
+      const completed = progressData.filter(p => p.status === 'completed');
+      const average = (values) => (values.length > 0
+        ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length)
+        : 0);
+      const completedPairs = new Set(completed.map(p => `${p.userId}:${p.caseId}`));
+
+      const students = learners.map(learner => {
+        const own = completed.filter(p => String(p.userId) === String(learner._id));
+        const lastSession = progressData
+          .filter(p => String(p.userId) === String(learner._id))
+          .reduce((latest, p) => (!latest || p.updatedAt > latest ? p.updatedAt : latest), null);
+
+        return {
+          userId: learner._id,
+          name: learner.profile ? `${learner.profile.firstName} ${learner.profile.lastName}`.trim() : null,
+          email: learner.email,
+          casesCompleted: caseIds.filter(id => completedPairs.has(`${learner._id}:${id}`)).length,
+          averageScore: average(own.map(p => p.percentageScore || 0)),
+          totalTimeSpent: own.reduce((sum, p) => sum + (p.timeSpent || 0), 0),
+          lastActivity: lastSession || learner.statistics?.lastActiveDate || null
+        };
+      });
+
+      const caseRows = cases.map(case_data => {
+        const attempts = progressData.filter(p => String(p.caseId) === String(case_data._id));
+        const done = attempts.filter(p => p.status === 'completed');
+
+        return {
+          caseId: case_data._id,
+          title: case_data.title,
+          specialty: case_data.specialty,
+          difficulty: case_data.difficulty,
+          attempts: attempts.length,
+          studentsCompleted: learnerIds.filter(id => completedPairs.has(`${id}:${case_data._id}`)).length,
+          averageScore: average(done.map(p => p.percentageScore || 0))
+        };
+      });
+
+      const expected = learnerIds.length * caseIds.length;
+      const achieved = learnerIds.reduce((sum, id) =>
+        sum + caseIds.filter(caseId => completedPairs.has(`${id}:${caseId}`)).length, 0);
+
+      return {
+        courseId: course._id,
+        overview: {
+          students: learnerIds.length,
+          cases: caseIds.length,
+          sessions: progressData.length,
+          sessionsCompleted: completed.length,
+          averageScore: average(completed.map(p => p.percentageScore || 0)),
+          completionRate: expected > 0 ? Math.round((achieved / expected) * 100) : 0
+        },
+        students,
+        cases: caseRows
+      };
+
+    } catch (error) {
+      logger.error('Get course analytics error:', error);
+      throw error;
+    }
   }
 };
 
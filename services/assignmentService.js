@@ -0,0 +1,446 @@
+// services/assignmentService.js
+const mongoose = require('mongoose');
+const { Assignment, Case, Course, Progress, User } = require('../models');
+const courseService = require('./courseService');
+const simulationService = require('./simulationService');
+const notificationService = require('./notificationService');
+const logger = require('../utils/logger');
+const { ASSIGNMENT } = require('../utils/constants');
+
+const assignmentError = (status, message) => Object.assign(new Error(message), { status });
+
+const sameId = (a, b) => String(a && a._id ? a._id : a) === String(b && b._id ? b._id : b);
+
+const average = (values) => (values.length > 0
+  ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length)
+  : 0);
+
+const completedAt = (progress) => progress.endDate || progress.updatedAt;
+
+const assignmentService = {
+  async loadAssignment(assignmentId) {
+    const assignment = mongoose.Types.ObjectId.isValid(assignmentId)
+      ? await Assignment.findById(assignmentId)
+      : null;
+    if (!assignment) {
+      throw assignmentError(404, 'Assignment not found');
+    }
+    return assignment;
+  },
+
+  async loadManagedAssignment(assignmentId, user) {
+    const assignment = await this.loadAssignment(assignmentId);
+    courseService.assertCanManage(await courseService.loadCourse(assignment.course), user);
+    return assignment;
+  },
+
+  // Only published cases can be assigned; they join the course library so course-only cases open for students
+  async attachCases(course, caseIds) {
+    const unique = Array.from(new Set(caseIds.map(String)));
+    const cases = await Case.find({ _id: { $in: unique }, 'metadata.status': 'published' }).select('_id');
+    if (cases.length !== unique.length) {
+      throw assignmentError(400, 'Assignments can only contain published cases');
+    }
+
+    const missing = cases.filter(caseDoc => !course.cases.some(id => sameId(id, caseDoc._id)));
+    if (missing.length > 0) {
+      missing.forEach(caseDoc => course.cases.push(caseDoc._id));
+      await course.save();
+    }
+
+    return cases.map(caseDoc => caseDoc._id);
+  },
+
+  validateWindow({ openAt, dueAt }) {
+    if (openAt && dueAt && new Date(openAt) >= new Date(dueAt)) {
+      throw assignmentError(400, 'The due date must be after the open date');
+    }
+  },
+
+  async createAssignment(user, { courseId, caseIds, ...data }) {
+    try {
+      const course = await courseService.loadCourse(courseId);
+      courseService.assertCanManage(course, user);
+      this.validateWindow(data);
+
+      const assignment = new Assignment({
+        ...data,
+        course: course._id,
+        cases: await this.attachCases(course, caseIds),
+        createdBy: user._id
+      });
+      await assignment.save();
+
+      logger.info(`Assignment created: ${assignment._id} in course ${course._id} by user: ${user._id}`);
+
+      return assignment;
+
+    } catch (error) {
+      logger.error('Create assignment error:', error);
+      throw error;
+    }
+  },
+
+  async updateAssignment(assignmentId, user, { caseIds, ...updates }) {
+    try {
+      const assignment = await this.loadManagedAssignment(assignmentId, user);
+      this.validateWindow({ openAt: updates.openAt || assignment.openAt, dueAt: updates.dueAt || assignment.dueAt });
+
+      Object.assign(assignment, updates);
+      if (caseIds) {
+        assignment.cases = await this.attachCases(await courseService.loadCourse(assignment.course), caseIds);
+      }
+      // A new due date starts the reminder cycle again
+      if (updates.dueAt) {
+        assignment.reminders = [];
+      }
+      await assignment.save();
+
+      return assignment;
+
+    } catch (error) {
+      logger.error('Update assignment error:', error);
+      throw error;
+    }
+  },
+
+  async deleteAssignment(assignmentId, user) {
+    try {
+      const assignment = await this.loadManagedAssignment(assignmentId, user);
+      await Assignment.findByIdAndDelete(assignment._id);
+
+      logger.info(`Assignment deleted: ${assignment._id} by user: ${user._id}`);
+
+    } catch (error) {
+      logger.error('Delete assignment error:', error);
+      throw error;
+    }
+  },
+
+  // Grade for one case from the student's completed attempts, under the assignment's policy
+  gradeAttempts(attempts, policy) {
+    const completed = attempts
+      .filter(p => p.status === 'completed')
+      .sort((a, b) => completedAt(a) - completedAt(b));
+    if (completed.length === 0) return null;
+
+    const scores = completed.map(p => p.percentageScore || 0);
+    switch (policy) {
+      case 'last':
+        return scores[scores.length - 1];
+      case 'average':
+        return average(scores);
+      default:
+        return Math.max(...scores);
+    }
+  },
+
+  /**
+   * One student's standing on an assignment: per-case attempts and grades,
+   * the overall grade (missing cases count as 0) and a status:
+   * upcoming, not_started, in_progress, submitted, late or missing.
+   */
+  summarizeStudent(assignment, progressList, now = new Date()) {
+    const cases = assignment.cases.map(caseId => {
+      const attempts = progressList.filter(p => sameId(p.caseId, caseId));
+      const completed = attempts.filter(p => p.status === 'completed');
+      const firstCompletion = completed.map(completedAt).sort((a, b) => a - b)[0] || null;
+
+      return {
+        caseId,
+        attempts: attempts.length,
+        attemptsRemaining: assignment.attemptLimit ? Math.max(0, assignment.attemptLimit - attempts.length) : null,
+        grade: this.gradeAttempts(attempts, assignment.gradingPolicy),
+        completedAt: firstCompletion,
+        late: Boolean(firstCompletion && firstCompletion > assignment.dueAt)
+      };
+    });
+
+    const done = cases.filter(c => c.completedAt);
+    let status;
+    if (now < assignment.openAt) {
+      status = 'upcoming';
+    } else if (done.length === cases.length) {
+      status = cases.some(c => c.late) ? 'late' : 'submitted';
+    } else if (now > assignment.dueAt) {
+      status = 'missing';
+    } else {
+      status = progressList.length > 0 ? 'in_progress' : 'not_started';
+    }
+
+    return {
+      status,
+      grade: done.length > 0 ? average(cases.map(c => c.grade || 0)) : null,
+      casesCompleted: done.length,
+      cases
+    };
+  },
+
+  describe(assignment) {
+    return {
+      id: assignment._id,
+      courseId: assignment.course,
+      title: assignment.title,
+      instructions: assignment.instructions,
+      cases: assignment.cases,
+      openAt: assignment.openAt,
+      dueAt: assignment.dueAt,
+      allowLateSubmissions: assignment.allowLateSubmissions,
+      attemptLimit: assignment.attemptLimit || null,
+      gradingPolicy: assignment.gradingPolicy
+    };
+  },
+
+  // Assignments across the student's courses, soonest due first
+  async listForStudent(user, now = new Date()) {
+    try {
+      const courses = await Course.find({
+        isArchived: false,
+        students: { $elemMatch: { userId: user._id, status: 'active' } }
+      }).select('title');
+      const courseTitles = new Map(courses.map(course => [String(course._id), course.title]));
+
+      const assignments = await Assignment.find({ course: { $in: courses.map(c => c._id) } }).sort({ dueAt: 1 });
+      const progress = await Progress.find({
+        userId: user._id,
+        assignmentId: { $in: assignments.map(a => a._id) }
+      });
+
+      return assignments.map(assignment => ({
+        ...this.describe(assignment),
+        courseTitle: courseTitles.get(String(assignment.course)),
+        ...this.summarizeStudent(
+          assignment,
+          progress.filter(p => sameId(p.assignmentId, assignment._id)),
+          now
+        )
+      }));
+
+    } catch (error) {
+      logger.error('List student assignments error:', error);
+      throw error;
+    }
+  },
+
+  async listForCourse(courseId, user) {
+    try {
+      const course = await courseService.loadCourse(courseId);
+      courseService.assertCanView(course, user);
+
+      const assignments = await Assignment.find({ course: course._id }).sort({ dueAt: 1 });
+      return assignments.map(assignment => this.describe(assignment));
+
+    } catch (error) {
+      logger.error('List course assignments error:', error);
+      throw error;
+    }
+  },
+
+  async getAssignment(assignmentId, user, now = new Date()) {
+    try {
+      const assignment = await this.loadAssignment(assignmentId);
+      const course = await courseService.loadCourse(assignment.course);
+      courseService.assertCanView(course, user);
+
+      const details = this.describe(assignment);
+      if (courseService.isStudent(course, user)) {
+        const progress = await Progress.find({ userId: user._id, assignmentId: assignment._id });
+        Object.assign(details, this.summarizeStudent(assignment, progress, now));
+      }
+
+      return details;
+
+    } catch (error) {
+      logger.error('Get assignment error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Count an attempt against the assignment's per-case limit with a conditional $inc, so
+   * concurrent starts can't both pass the check. Unlimited assignments keep counting too, in case
+   * a limit is set later. Returns the counter path to release if the session can't be created.
+   */
+  async reserveAttempt(assignment, userId, caseId) {
+    const counter = `${userId}:${caseId}`;
+    const attemptKey = `attempts.${counter}`;
+
+    // Counters start from any attempts made before the assignment kept one
+    if (!assignment.attempts || !assignment.attempts.has(counter)) {
+      const existing = await Progress.countDocuments({ userId, assignmentId: assignment._id, caseId });
+      await Assignment.updateOne(
+        { _id: assignment._id, [attemptKey]: { $exists: false } },
+        { $set: { [attemptKey]: existing } }
+      );
+    }
+
+    const filter = { _id: assignment._id };
+    if (assignment.attemptLimit) {
+      filter[attemptKey] = { $lt: assignment.attemptLimit };
+    }
+    const reserved = await Assignment.updateOne(filter, { $inc: { [attemptKey]: 1 } });
+    if (reserved.modifiedCount === 0 && !assignment.attemptLimit) {
+      throw assignmentError(404, 'Assignment not found');
+    }
+    if (reserved.modifiedCount === 0) {
+      throw assignmentError(409, `Attempt limit of ${assignment.attemptLimit} reached for this case`);
+    }
+
+    return attemptKey;
+  },
+
+  // Start a simulation that counts toward the assignment, within its window and attempt limit
+  async startCase(assignmentId, caseId, user, now = new Date()) {
+    try {
+      const assignment = await this.loadAssignment(assignmentId);
+      const course = await courseService.loadCourse(assignment.course);
+
+      if (!courseService.isStudent(course, user)) {
+        throw assignmentError(403, 'Only enrolled students can work on this assignment');
+      }
+      if (!assignment.cases.some(id => sameId(id, caseId))) {
+        throw assignmentError(404, 'Case is not part of this assignment');
+      }
+      if (now < assignment.openAt) {
+        throw assignmentError(409, 'Assignment is not open yet');
+      }
+      if (now > assignment.dueAt && !assignment.allowLateSubmissions) {
+        throw assignmentError(409, 'Assignment is past its due date');
+      }
+
+      const attemptKey = await this.reserveAttempt(assignment, user._id, caseId);
+
+      let session;
+      try {
+        session = await simulationService.createSimulationSession(user._id, caseId, { assignmentId: assignment._id });
+      } catch (error) {
+        await Assignment.updateOne({ _id: assignment._id }, { $inc: { [attemptKey]: -1 } });
+        throw error;
+      }
+
+      logger.info(`Assignment ${assignment._id} attempt started by user ${user._id} on case ${caseId}`);
+
+      return { ...session, assignmentId: assignment._id };
+
+    } catch (error) {
+      logger.error('Start assignment case error:', error);
+      throw error;
+    }
+  },
+
+  // Students by assignments for a course, with every cell's status and grade
+  async getGradebook(courseId, user, now = new Date()) {
+    try {
+      const course = await courseService.loadCourse(courseId);
+      courseService.assertCanManage(course, user);
+
+      const studentIds = course.students.filter(s => s.status === 'active').map(s => s.userId);
+      const [assignments, learners] = await Promise.all([
+        Assignment.find({ course: course._id }).sort({ dueAt: 1 }),
+        User.find({ _id: { $in: studentIds } }).select('email profile')
+      ]);
+      const progress = await Progress.find({
+        userId: { $in: studentIds },
+        assignmentId: { $in: assignments.map(a => a._id) }
+      });
+
+      const rows = learners.map(learner => {
+        const own = progress.filter(p => sameId(p.userId, learner._id));
+        const results = assignments.map(assignment => {
+          const { status, grade, casesCompleted } = this.summarizeStudent(
+            assignment,
+            own.filter(p => sameId(p.assignmentId, assignment._id)),
+            now
+          );
+          return { assignmentId: assignment._id, status, grade, casesCompleted };
+        });
+        // Only work that is due, or already handed in, counts toward the running average
+        const graded = results.filter(r => r.grade !== null || r.status === 'missing');
+
+        return {
+          userId: learner._id,
+          name: learner.profile ? `${learner.profile.firstName} ${learner.profile.lastName}`.trim() : null,
+          email: learner.email,
+          average: graded.length > 0 ? average(graded.map(r => r.grade || 0)) : null,
+          missing: results.filter(r => r.status === 'missing').length,
+          late: results.filter(r => r.status === 'late').length,
+          assignments: results
+        };
+      });
+
+      return {
+        courseId: course._id,
+        assignments: assignments.map(a => ({
+          id: a._id,
+          title: a.title,
+          dueAt: a.dueAt,
+          gradingPolicy: a.gradingPolicy
+        })),
+        students: rows
+      };
+
+    } catch (error) {
+      logger.error('Get gradebook error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Remind students about unfinished work: once when an assignment is due soon,
+   * and once after it goes overdue. Returns how many reminders were sent.
+   */
+  async sendReminders(io, now = new Date()) {
+    try {
+      const dueSoonUntil = new Date(now.getTime() + ASSIGNMENT.DUE_SOON_HOURS * 60 * 60 * 1000);
+      const overdueSince = new Date(now.getTime() - ASSIGNMENT.OVERDUE_REMINDER_DAYS * 24 * 60 * 60 * 1000);
+
+      const assignments = await Assignment.find({
+        openAt: { $lte: now },
+        dueAt: { $gte: overdueSince, $lte: dueSoonUntil }
+      });
+
+      let sent = 0;
+      for (const assignment of assignments) {
+        const kind = assignment.dueAt > now ? 'due_soon' : 'overdue';
+        const course = await Course.findById(assignment.course).select('students isArchived');
+        if (!course || course.isArchived) continue;
+
+        const studentIds = course.students.filter(s => s.status === 'active').map(s => s.userId);
+        const progress = await Progress.find({ userId: { $in: studentIds }, assignmentId: assignment._id });
+
+        for (const userId of studentIds) {
+          const alreadySent = assignment.reminders.some(r => sameId(r.userId, userId) && r.kind === kind);
+          if (alreadySent) continue;
+
+          const { status } = this.summarizeStudent(
+            assignment,
+            progress.filter(p => sameId(p.userId, userId)),
+            now
+          );
+          if (['submitted', 'late'].includes(status)) continue;
+
+          if (await notificationService.sendAssignmentReminder(io, userId, assignment, kind)) {
+            assignment.reminders.push({ userId, kind, sentAt: now });
+            sent += 1;
+          }
+        }
+
+        if (assignment.isModified('reminders')) {
+          await assignment.save();
+        }
+      }
+
+      if (sent > 0) {
+        logger.info(`Sent ${sent} assignment reminder(s)`);
+      }
+
+      return sent;
+
+    } catch (error) {
+      logger.error('Send assignment reminders error:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = assignmentService;
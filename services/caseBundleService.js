@@ -0,0 +1,320 @@
+// services/caseBundleService.js
+const AdmZip = require('adm-zip');
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+const { Case } = require('../models');
+const caseVersionService = require('./caseVersionService');
+const courseService = require('./courseService');
+const { schemas } = require('../middleware/validation');
+const logger = require('../utils/logger');
+const { CASE_BUNDLE, CASE_STATUS } = require('../utils/constants');
+
+// Uploaded files are served from public/uploads at /uploads (see server.js)
+const UPLOAD_URL_PREFIX = '/uploads/';
+
+const uploadDir = () => path.join(process.cwd(), 'public/uploads');
+
+const sameId = (a, b) => String(a && a._id ? a._id : a) === String(b && b._id ? b._id : b);
+
+const bundleError = (message, details = null) => Object.assign(new Error(message), { status: 400, details });
+
+// Ids are deployment-specific; the importing deployment assigns its own
+const stripIds = (value) => {
+  if (Array.isArray(value)) return value.map(stripIds);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value)
+      .filter(([key]) => key !== '_id' && key !== 'id')
+      .map(([key, item]) => [key, stripIds(item)]));
+  }
+  return value;
+};
+
+// Rewrite every media reference in the case: step media and imaging studies
+const mapMediaUrls = (content, fn) => {
+  (content.simulationSteps || []).forEach(step => {
+    (step.media || []).forEach(item => {
+      if (item.url) item.url = fn(item.url);
+    });
+  });
+  ((content.diagnostics && content.diagnostics.imaging) || []).forEach(study => {
+    study.images = (study.images || []).map(url => fn(url));
+  });
+};
+
+const collectMediaUrls = (content) => {
+  const urls = new Set();
+  mapMediaUrls(content, url => {
+    urls.add(url);
+    return url;
+  });
+  return [...urls];
+};
+
+// Path of a /uploads URL on disk, or null for external URLs and paths outside the upload directory
+const localUploadPath = (url) => {
+  if (typeof url !== 'string' || !url.startsWith(UPLOAD_URL_PREFIX)) return null;
+
+  const root = uploadDir();
+  const filePath = path.resolve(root, decodeURIComponent(url.slice(UPLOAD_URL_PREFIX.length)));
+  return filePath.startsWith(root + path.sep) ? filePath : null;
+};
+
+// Bundle paths are relative to the case folder and must stay inside it
+const resolveBundlePath = (caseDir, relativePath) => {
+  if (typeof relativePath !== 'string') return null;
+  const resolved = path.posix.normalize(path.posix.join(caseDir, relativePath));
+  return resolved.startsWith(`${caseDir}/`) ? resolved : null;
+};
+
+const caseBundleService = {
+  // Zip one or more cases with their uploaded media
+  async exportBundle(cases) {
+    try {
+      const zip = new AdmZip();
+      const manifest = {
+        format: CASE_BUNDLE.FORMAT,
+        schemaVersion: CASE_BUNDLE.SCHEMA_VERSION,
+        exportedAt: new Date(),
+        cases: []
+      };
+
+      for (const [index, caseDoc] of cases.entries()) {
+        const caseDir = `cases/${index + 1}`;
+        const content = stripIds(JSON.parse(JSON.stringify(caseVersionService.getContent(caseDoc))));
+        const media = [];
+        const missingMedia = [];
+        const bundled = new Map();
+
+        for (const url of collectMediaUrls(content)) {
+          const filePath = localUploadPath(url);
+          if (!filePath) continue;
+
+          try {
+            const data = await fs.readFile(filePath);
+            const mediaPath = `media/${media.length + 1}-${path.basename(filePath)}`;
+
+            zip.addFile(`${caseDir}/${mediaPath}`, data);
+            media.push({
+              path: mediaPath,
+              originalUrl: url,
+              size: data.length,
+              sha256: crypto.createHash('sha256').update(data).digest('hex')
+            });
+            bundled.set(url, mediaPath);
+          } catch (error) {
+            missingMedia.push(url);
+          }
+        }
+
+        mapMediaUrls(content, url => bundled.get(url) || url);
+        zip.addFile(`${caseDir}/case.json`, Buffer.from(JSON.stringify(content, null, 2)));
+
+        manifest.cases.push({
+          path: `${caseDir}/case.json`,
+          title: caseDoc.title,
+          sourceId: String(caseDoc._id),
+          version: caseDoc.metadata.version,
+          status: caseDoc.metadata.status,
+          media,
+          missingMedia
+        });
+      }
+
+      zip.addFile('manifest.json', Buffer.from(JSON.stringify(manifest, null, 2)));
+
+      logger.info(`Exported case bundle with ${cases.length} case(s)`);
+
+      return zip.toBuffer();
+
+    } catch (error) {
+      logger.error('Export case bundle error:', error);
+      throw error;
+    }
+  },
+
+  // Cases matching the filter for a library backup; draft revisions travel with their published case
+  // Published cases the user can open, and unpublished ones only for their author or an admin
+  async canExport(user, caseDoc) {
+    if (caseDoc.metadata.status !== CASE_STATUS.PUBLISHED &&
+        user.role !== 'admin' && !sameId(caseDoc.metadata.author, user._id)) {
+      return false;
+    }
+    return courseService.canAccessCase(user, caseDoc);
+  },
+
+  async findCasesForExport(user, { specialty, tags, status } = {}) {
+    const filter = { 'metadata.revisionOf': { $exists: false } };
+    if (specialty) filter.specialty = specialty;
+    if (status) filter['metadata.status'] = status;
+    if (tags) filter.tags = { $in: String(tags).split(',').map(tag => tag.trim()).filter(Boolean) };
+    if (user.role !== 'admin') {
+      filter.$or = [{ 'metadata.status': CASE_STATUS.PUBLISHED }, { 'metadata.author': user._id }];
+    }
+
+    const cases = await Case.find(filter).sort({ createdAt: 1 }).limit(CASE_BUNDLE.MAX_CASES + 1);
+    if (cases.length > CASE_BUNDLE.MAX_CASES) {
+      throw bundleError(`More than ${CASE_BUNDLE.MAX_CASES} cases match; narrow the export by specialty, tag or status`);
+    }
+
+    const exportable = await Promise.all(cases.map(caseDoc => this.canExport(user, caseDoc)));
+    return cases.filter((caseDoc, index) => exportable[index]);
+  },
+
+  readManifest(zip) {
+    const entries = zip.getEntries().filter(entry => !entry.isDirectory);
+
+    const unpackedSize = entries.reduce((sum, entry) => sum + entry.header.size, 0);
+    if (unpackedSize > CASE_BUNDLE.MAX_UNPACKED_BYTES) {
+      throw bundleError('Bundle is too large once unpacked');
+    }
+
+    const manifestEntry = zip.getEntry('manifest.json');
+    let manifest;
+    try {
+      manifest = JSON.parse(manifestEntry.getData().toString('utf8'));
+    } catch (error) {
+      throw bundleError('Bundle manifest is missing or invalid');
+    }
+
+    if (manifest.format !== CASE_BUNDLE.FORMAT) {
+      throw bundleError('Not a case bundle');
+    }
+    if (!Number.isInteger(manifest.schemaVersion) || manifest.schemaVersion > CASE_BUNDLE.SCHEMA_VERSION) {
+      throw bundleError(`Unsupported bundle schema version ${manifest.schemaVersion}; ` +
+        `this deployment reads up to version ${CASE_BUNDLE.SCHEMA_VERSION}`);
+    }
+    if (!Array.isArray(manifest.cases) || manifest.cases.length === 0) {
+      throw bundleError('Bundle contains no cases');
+    }
+    if (manifest.cases.length > CASE_BUNDLE.MAX_CASES) {
+      throw bundleError(`Bundles are limited to ${CASE_BUNDLE.MAX_CASES} cases`);
+    }
+
+    return manifest;
+  },
+
+  // Parse and validate one manifest entry without touching the database or disk
+  prepareCase(zip, item, user) {
+    const errors = [];
+    const casePath = typeof item.path === 'string' ? path.posix.normalize(item.path) : null;
+    const entry = casePath && !casePath.startsWith('..') ? zip.getEntry(casePath) : null;
+    if (!entry) {
+      return { errors: [`Case file ${item.path} not found in bundle`] };
+    }
+
+    let content;
+    try {
+      content = stripIds(JSON.parse(entry.getData().toString('utf8')));
+    } catch (error) {
+      return { errors: [`${casePath} is not valid JSON`] };
+    }
+
+    const { error } = schemas.case.validate(content, { abortEarly: false });
+    if (error) {
+      errors.push(...error.details.map(detail => detail.message));
+    }
+
+    // Bundled media gets a fresh upload name; the URL rewrite happens now, the write after validation
+    const caseDir = path.posix.dirname(casePath);
+    const mediaFiles = [];
+    const urls = new Map();
+    (item.media || []).forEach(media => {
+      const bundlePath = resolveBundlePath(caseDir, media.path);
+      const extension = path.extname(media.path || '').toLowerCase();
+
+      if (!bundlePath || !zip.getEntry(bundlePath)) {
+        errors.push(`Media file ${media.path} not found in bundle`);
+        return;
+      }
+      if (!CASE_BUNDLE.MEDIA_EXTENSIONS.includes(extension)) {
+        errors.push(`Media file ${media.path} has an unsupported type`);
+        return;
+      }
+
+      const filename = `import-${Date.now()}-${crypto.randomBytes(6).toString('hex')}${extension}`;
+      mediaFiles.push({ bundlePath, filename });
+      urls.set(media.path, `${UPLOAD_URL_PREFIX}${filename}`);
+    });
+    mapMediaUrls(content, url => urls.get(url) || url);
+
+    if (errors.length > 0) {
+      return { errors };
+    }
+
+    const metadata = content.metadata || {};
+    const caseDoc = new Case({
+      ...content,
+      estimatedDuration: content.estimatedDuration || metadata.estimatedDuration,
+      metadata: {
+        estimatedDuration: metadata.estimatedDuration || content.estimatedDuration,
+        maxScore: metadata.maxScore,
+        author: user._id,
+        status: 'draft'
+      }
+    });
+
+    return { caseDoc, mediaFiles, errors };
+  },
+
+  // Import every case in the bundle as a draft owned by the importing user; nothing is created unless all are valid
+  async importBundle(buffer, user) {
+    try {
+      let zip;
+      try {
+        zip = new AdmZip(buffer);
+        zip.getEntries();
+      } catch (error) {
+        throw bundleError('Bundle is not a valid zip file');
+      }
+
+      const manifest = this.readManifest(zip);
+      const prepared = manifest.cases.map(item => ({ item, ...this.prepareCase(zip, item, user) }));
+
+      await Promise.all(prepared.filter(p => p.caseDoc).map(async p => {
+        try {
+          await p.caseDoc.validate();
+        } catch (error) {
+          p.errors.push(...Object.values(error.errors || {}).map(e => e.message));
+        }
+      }));
+
+      const invalid = prepared.filter(p => p.errors.length > 0);
+      if (invalid.length > 0) {
+        throw bundleError('Bundle failed validation', invalid.map(p => ({
+          path: p.item.path,
+          title: p.item.title,
+          errors: p.errors
+        })));
+      }
+
+      await fs.mkdir(uploadDir(), { recursive: true });
+
+      const imported = [];
+      for (const { item, caseDoc, mediaFiles } of prepared) {
+        for (const media of mediaFiles) {
+          await fs.writeFile(path.join(uploadDir(), media.filename), zip.getEntry(media.bundlePath).getData());
+        }
+        await caseDoc.save();
+
+        imported.push({
+          id: caseDoc._id,
+          title: caseDoc.title,
+          sourceId: item.sourceId,
+          media: mediaFiles.length,
+          missingMedia: item.missingMedia || []
+        });
+      }
+
+      logger.info(`Imported ${imported.length} case(s) from bundle by user: ${user._id}`);
+
+      return { imported, schemaVersion: manifest.schemaVersion };
+
+    } catch (error) {
+      logger.error('Import case bundle error:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = caseBundleService;
@@ -0,0 +1,399 @@
+// services/caseSpreadsheetService.js
+const csv = require('csv-parser');
+const ExcelJS = require('exceljs');
+const path = require('path');
+const { Readable } = require('stream');
+const { Case } = require('../models');
+const { schemas } = require('../middleware/validation');
+const logger = require('../utils/logger');
+const { CASE_SPREADSHEET, SIMULATION_STEP_TYPES } = require('../utils/constants');
+
+const optionColumns = CASE_SPREADSHEET.OPTION_LETTERS.reduce((columns, letter) =>
+  columns.concat([`option_${letter}`, `explanation_${letter}`]), []);
+
+// Column layout (documented in docs/API.md). One row per step; rows sharing a case_key form one case,
+// and case columns are read from the first row of each case. Lists are separated with semicolons.
+const COLUMNS = [
+  'case_key', 'title', 'description', 'specialty', 'body_system', 'difficulty', 'tags', 'estimated_duration',
+  'patient_name', 'patient_age', 'patient_gender', 'chief_complaint', 'history_of_present_illness', 'final_diagnosis',
+  'step_id', 'step_type', 'step_title', 'step_description', 'question', 'score', 'time_limit', 'hints',
+  'learning_objectives', 'key_points', 'correct', ...optionColumns
+];
+
+const REQUIRED_COLUMNS = ['case_key', 'question', 'correct', 'option_a', 'option_b'];
+
+const HEADER_ALIASES = {
+  hpi: 'history_of_present_illness',
+  diagnosis: 'final_diagnosis',
+  duration: 'estimated_duration',
+  body_systems: 'body_system',
+  correct_answer: 'correct'
+};
+
+// Case schema paths reported under the spreadsheet column they came from
+const FIELD_COLUMNS = {
+  title: 'title',
+  description: 'description',
+  specialty: 'specialty',
+  difficulty: 'difficulty',
+  tags: 'tags',
+  bodySystem: 'body_system',
+  estimatedDuration: 'estimated_duration',
+  'metadata.estimatedDuration': 'estimated_duration',
+  'patient.name': 'patient_name',
+  'patient.age': 'patient_age',
+  'patient.gender': 'patient_gender',
+  'presentation.chiefComplaint': 'chief_complaint',
+  'presentation.historyOfPresentIllness': 'history_of_present_illness',
+  'diagnostics.finalDiagnosis': 'final_diagnosis'
+};
+
+const spreadsheetError = (message) => Object.assign(new Error(message), { status: 400 });
+
+const normalizeHeader = (header) => {
+  const key = String(header || '')
+    .replace(/^\uFEFF/, '')
+    .trim()
+    .toLowerCase()
+    .replace(/[\s-]+/g, '_');
+  return HEADER_ALIASES[key] || key;
+};
+
+const text = (value) => {
+  const trimmed = String(value === undefined || value === null ? '' : value).trim();
+  return trimmed === '' ? undefined : trimmed;
+};
+
+const list = (value) => (text(value) ? text(value).split(';').map(item => item.trim()).filter(Boolean) : undefined);
+
+// Unparseable numbers pass through as text so the schema reports them against the row
+const number = (value) => {
+  const raw = text(value);
+  if (raw === undefined) return undefined;
+  return Number.isNaN(Number(raw)) ? raw : Number(raw);
+};
+
+const lower = (value) => (text(value) ? text(value).toLowerCase() : undefined);
+
+// Drop undefined keys so missing cells read as "required" rather than "empty"
+const compact = (object) => Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+
+const caseSpreadsheetService = {
+  columns: COLUMNS,
+
+  getFormat({ originalname = '', mimetype = '' }) {
+    const extension = path.extname(originalname).toLowerCase();
+    if (extension === '.xlsx' || mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') {
+      return 'xlsx';
+    }
+    if (extension === '.csv' || ['text/csv', 'application/csv'].includes(mimetype)) {
+      return 'csv';
+    }
+    return null;
+  },
+
+  parseCsv(buffer) {
+    return new Promise((resolve, reject) => {
+      let headers = [];
+      const rows = [];
+
+      Readable.from([buffer])
+        .pipe(csv({ mapHeaders: ({ header }) => normalizeHeader(header) }))
+        .on('headers', parsed => { headers = parsed; })
+        .on('data', values => rows.push({ row: rows.length + 2, values }))
+        .on('end', () => resolve({ headers, rows }))
+        .on('error', reject);
+    });
+  },
+
+  async parseXlsx(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    try {
+      await workbook.xlsx.load(buffer);
+    } catch (error) {
+      throw spreadsheetError('File is not a readable XLSX workbook');
+    }
+
+    const sheet = workbook.worksheets[0];
+    if (!sheet) {
+      return { headers: [], rows: [] };
+    }
+
+    const headers = [];
+    sheet.getRow(1).eachCell({ includeEmpty: true }, (cell, col) => {
+      headers[col - 1] = normalizeHeader(cell.text);
+    });
+
+    const rows = [];
+    sheet.eachRow((sheetRow, rowNumber) => {
+      if (rowNumber === 1) return;
+      const values = {};
+      headers.forEach((header, index) => {
+        if (header) values[header] = sheetRow.getCell(index + 1).text;
+      });
+      rows.push({ row: rowNumber, values });
+    });
+
+    return { headers: headers.filter(Boolean), rows };
+  },
+
+  buildStep(values, index) {
+    const correct = new Set((list(values.correct) || []).map(letter => letter.toLowerCase()));
+    const options = CASE_SPREADSHEET.OPTION_LETTERS
+      .filter(letter => text(values[`option_${letter}`]))
+      .map(letter => compact({
+        optionId: letter,
+        text: text(values[`option_${letter}`]),
+        explanation: text(values[`explanation_${letter}`]),
+        isCorrect: correct.has(letter)
+      }));
+
+    return compact({
+      stepId: text(values.step_id) || `step${index + 1}`,
+      stepType: lower(values.step_type),
+      title: text(values.step_title) || `Step ${index + 1}`,
+      description: text(values.step_description) || text(values.question),
+      question: text(values.question),
+      options,
+      correctAnswer: options.find(option => option.isCorrect)?.optionId,
+      score: number(values.score),
+      timeLimit: number(values.time_limit),
+      hints: list(values.hints),
+      clinicalReasoning: compact({
+        learningObjectives: list(values.learning_objectives),
+        keyPoints: list(values.key_points)
+      })
+    });
+  },
+
+  // Problems the case schema can't see, since it accepts any step object
+  checkStepRow(values, step, seenStepIds) {
+    const errors = [];
+    const correct = list(values.correct) || [];
+    const optionIds = step.options.map(option => option.optionId);
+
+    if (!step.question) errors.push('question is required');
+    if (step.options.length < 2) errors.push('at least two options (option_a, option_b) are required');
+    if (correct.length === 0) {
+      errors.push('correct must name the correct option letter(s)');
+    }
+    correct
+      .filter(letter => !optionIds.includes(letter.toLowerCase()))
+      .forEach(letter => errors.push(`correct refers to option ${letter}, which is empty`));
+    if (step.stepType && !SIMULATION_STEP_TYPES.includes(step.stepType)) {
+      errors.push(`step_type must be one of ${SIMULATION_STEP_TYPES.join(', ')}`);
+    }
+    if (step.stepType === 'order_entry') {
+      errors.push('order_entry steps need an order set; add them in the case editor after import');
+    }
+    if (seenStepIds.has(step.stepId)) {
+      errors.push(`duplicate step_id ${step.stepId}`);
+    }
+    seenStepIds.add(step.stepId);
+
+    return errors;
+  },
+
+  buildCase(rows) {
+    const first = rows[0].values;
+    const estimatedDuration = number(first.estimated_duration);
+    const steps = rows.map(({ values }, index) => this.buildStep(values, index));
+
+    return compact({
+      title: text(first.title),
+      description: text(first.description),
+      specialty: text(first.specialty),
+      bodySystem: list(first.body_system),
+      difficulty: lower(first.difficulty),
+      tags: list(first.tags),
+      estimatedDuration,
+      patient: compact({
+        name: text(first.patient_name),
+        age: number(first.patient_age),
+        gender: lower(first.patient_gender)
+      }),
+      presentation: compact({
+        chiefComplaint: text(first.chief_complaint),
+        historyOfPresentIllness: text(first.history_of_present_illness)
+      }),
+      simulationSteps: steps,
+      diagnostics: compact({ finalDiagnosis: text(first.final_diagnosis) }),
+      treatment: {},
+      metadata: compact({ estimatedDuration })
+    });
+  },
+
+  // Validate every case and attribute each problem to the spreadsheet row it came from
+  async validateCases(groups, user) {
+    const results = [];
+
+    for (const [caseKey, rows] of groups) {
+      const data = this.buildCase(rows);
+      const rowErrors = new Map(rows.map(({ row }) => [row, []]));
+      const rowForPath = (pathParts) => (pathParts[0] === 'simulationSteps' && rows[pathParts[1]]
+        ? rows[pathParts[1]].row
+        : rows[0].row);
+
+      const seenStepIds = new Set();
+      rows.forEach(({ row, values }, index) => {
+        rowErrors.get(row).push(...this.checkStepRow(values, data.simulationSteps[index], seenStepIds));
+      });
+
+      const { error } = schemas.case.validate(data, { abortEarly: false });
+      if (error) {
+        error.details.forEach(detail => {
+          const column = FIELD_COLUMNS[detail.path.join('.')];
+          const message = column ? detail.message.replace(`"${detail.context.label}"`, column) : detail.message;
+          rowErrors.get(rowForPath(detail.path)).push(message);
+        });
+      }
+
+      let caseDoc = null;
+      if (!error) {
+        caseDoc = new Case({
+          ...data,
+          metadata: { ...data.metadata, author: user._id, status: 'draft' }
+        });
+        try {
+          await caseDoc.validate();
+        } catch (validationError) {
+          Object.entries(validationError.errors || {}).forEach(([errorPath, detail]) => {
+            rowErrors.get(rowForPath(errorPath.split('.').map(part => (/^\d+$/.test(part) ? Number(part) : part))))
+              .push(detail.message);
+          });
+        }
+      }
+
+      results.push({ caseKey, title: data.title, steps: data.simulationSteps, rows, rowErrors, caseDoc });
+    }
+
+    return results;
+  },
+
+  // Parse, validate and (unless dry run or invalid) create one draft per case_key; all or nothing
+  async importSpreadsheet(file, user, { dryRun = false } = {}) {
+    try {
+      const format = this.getFormat(file);
+      if (!format) {
+        throw spreadsheetError('Upload a .csv or .xlsx file');
+      }
+
+      const { headers, rows } = format === 'xlsx'
+        ? await this.parseXlsx(file.buffer)
+        : await this.parseCsv(file.buffer);
+
+      const missingColumns = REQUIRED_COLUMNS.filter(column => !headers.includes(column));
+      if (missingColumns.length > 0) {
+        throw spreadsheetError(`Missing required columns: ${missingColumns.join(', ')}`);
+      }
+
+      const dataRows = rows.filter(({ values }) => Object.values(values).some(value => text(value)));
+      if (dataRows.length === 0) {
+        throw spreadsheetError('Spreadsheet has no data rows');
+      }
+      if (dataRows.length > CASE_SPREADSHEET.MAX_ROWS) {
+        throw spreadsheetError(`Spreadsheets are limited to ${CASE_SPREADSHEET.MAX_ROWS} rows`);
+      }
+
+      const report = [];
+      const groups = new Map();
+      dataRows.forEach(entry => {
+        const caseKey = text(entry.values.case_key);
+        if (!caseKey) {
+          report.push({ row: entry.row, caseKey: null, errors: ['case_key is required'] });
+          return;
+        }
+        if (!groups.has(caseKey)) groups.set(caseKey, []);
+        groups.get(caseKey).push(entry);
+      });
+
+      const results = await this.validateCases(groups, user);
+      results.forEach(result => {
+        result.rows.forEach(({ row }, index) => {
+          report.push({
+            row,
+            caseKey: result.caseKey,
+            stepId: result.steps[index].stepId,
+            errors: [...new Set(result.rowErrors.get(row))]
+          });
+        });
+      });
+      report.sort((a, b) => a.row - b.row);
+
+      const errorCount = report.reduce((sum, entry) => sum + entry.errors.length, 0);
+      const valid = errorCount === 0;
+
+      const cases = results.map(result => ({
+        caseKey: result.caseKey,
+        title: result.title,
+        steps: result.rows.length,
+        valid: [...result.rowErrors.values()].every(errors => errors.length === 0)
+      }));
+
+      if (valid && !dryRun) {
+        for (const [index, result] of results.entries()) {
+          await result.caseDoc.save();
+          cases[index].id = result.caseDoc._id;
+        }
+        logger.info(`Imported ${results.length} case(s) from spreadsheet by user: ${user._id}`);
+      }
+
+      return {
+        dryRun,
+        valid,
+        imported: valid && !dryRun,
+        summary: {
+          rows: dataRows.length,
+          cases: results.length,
+          rowsWithErrors: report.filter(entry => entry.errors.length > 0).length,
+          errors: errorCount
+        },
+        cases,
+        rows: report
+      };
+
+    } catch (error) {
+      logger.error('Import case spreadsheet error:', error);
+      throw error;
+    }
+  },
+
+  // Header row plus one example step, for educators starting a new sheet
+  getTemplate() {
+    const example = {
+      case_key: 'ACS-01',
+      title: 'Acute chest pain',
+      description: 'A 58-year-old presents with crushing chest pain',
+      specialty: 'Emergency Medicine',
+      body_system: 'Cardiovascular',
+      difficulty: 'intermediate',
+      tags: 'acs;ecg',
+      estimated_duration: '30',
+      patient_name: 'John Doe',
+      patient_age: '58',
+      patient_gender: 'male',
+      chief_complaint: 'Chest pain',
+      history_of_present_illness: 'Sudden onset 1 hour ago, radiating to the left arm',
+      final_diagnosis: 'Inferior STEMI',
+      step_id: 'step1',
+      step_type: 'question',
+      step_title: 'Initial workup',
+      question: 'What is your first investigation?',
+      score: '10',
+      correct: 'a',
+      option_a: '12-lead ECG',
+      explanation_a: 'An ECG within 10 minutes identifies STEMI',
+      option_b: 'Chest X-ray',
+      explanation_b: 'Useful, but should not delay the ECG'
+    };
+
+    const escape = (value) => (/[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+
+    return [
+      COLUMNS.join(','),
+      COLUMNS.map(column => escape(example[column] || '')).join(',')
+    ].join('\n') + '\n';
+  }
+};
+
+module.exports = caseSpreadsheetService;
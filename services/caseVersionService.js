@@ -0,0 +1,330 @@
+// services/caseVersionService.js
+const _ = require('lodash');
+const { Case, CaseVersion } = require('../models');
+const logger = require('../utils/logger');
+
+// Top-level fields that describe the case itself rather than its lifecycle
+const NON_CONTENT_FIELDS = ['_id', '__v', 'id', 'metadata', 'createdAt', 'updatedAt'];
+
+// Metadata that belongs to the content and travels with each version
+const CONTENT_METADATA_FIELDS = ['estimatedDuration', 'maxScore'];
+
+// Times to take the next version number again when a simultaneous publish claimed it first
+const PUBLISH_ATTEMPTS = 5;
+
+// Array entries matched by id when diffing, so inserting a step doesn't show every later step as changed
+const ARRAY_ID_FIELDS = ['stepId', 'optionId', 'endingId', 'itemId'];
+
+const arrayIdField = (items) => ARRAY_ID_FIELDS.find(field =>
+  items.length > 0 && items.every(item => _.isPlainObject(item) && item[field] !== undefined));
+
+const diffValues = (before, after, path, changes) => {
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const idField = arrayIdField([...before, ...after]);
+
+    if (idField) {
+      const beforeById = new Map(before.map(item => [item[idField], item]));
+      const afterById = new Map(after.map(item => [item[idField], item]));
+      const ids = [...new Set([...beforeById.keys(), ...afterById.keys()])];
+
+      ids.forEach(id => diffValues(beforeById.get(id), afterById.get(id), `${path}[${idField}=${id}]`, changes));
+      return;
+    }
+
+    for (let i = 0; i < Math.max(before.length, after.length); i++) {
+      diffValues(before[i], after[i], `${path}[${i}]`, changes);
+    }
+    return;
+  }
+
+  if (_.isPlainObject(before) && _.isPlainObject(after)) {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])].filter(key => key !== '_id');
+    keys.forEach(key => diffValues(before[key], after[key], path ? `${path}.${key}` : key, changes));
+    return;
+  }
+
+  if (!_.isEqual(before, after)) {
+    changes.push({
+      path,
+      type: before === undefined ? 'added' : (after === undefined ? 'removed' : 'changed'),
+      from: before,
+      to: after
+    });
+  }
+};
+
+const caseVersionService = {
+  // Plain copy of the case content, including content metadata, without lifecycle fields
+  getContent(caseDoc) {
+    const data = caseDoc.toObject({ virtuals: false, flattenMaps: true, depopulate: true });
+    const content = _.omit(data, NON_CONTENT_FIELDS);
+    content.metadata = _.pick(data.metadata || {}, CONTENT_METADATA_FIELDS);
+    return content;
+  },
+
+  // Replace the content of `caseDoc` with `content`, leaving lifecycle metadata alone
+  applyContent(caseDoc, content) {
+    const { metadata = {}, ...fields } = content;
+
+    caseDoc.schema.eachPath(path => {
+      const field = path.split('.')[0];
+      if (!NON_CONTENT_FIELDS.includes(field) && !(field in fields)) {
+        caseDoc.set(field, undefined);
+      }
+    });
+    caseDoc.set(fields);
+
+    CONTENT_METADATA_FIELDS.forEach(field => {
+      if (metadata[field] !== undefined) {
+        caseDoc.set(`metadata.${field}`, metadata[field]);
+      }
+    });
+  },
+
+  async getLatestVersion(caseId) {
+    const latest = await CaseVersion.findOne({ caseId }).sort({ version: -1 }).select('version').lean();
+    return latest ? latest.version : 0;
+  },
+
+  async createSnapshot(caseDoc, version, userId, changeNote) {
+    const snapshot = new CaseVersion({
+      caseId: caseDoc._id,
+      version,
+      snapshot: this.getContent(caseDoc),
+      publishedBy: userId,
+      changeNote
+    });
+    await snapshot.save();
+    return snapshot;
+  },
+
+  /**
+   * Snapshot the target's current content as its next version and make it live. The unique
+   * (caseId, version) index decides which of two simultaneous publishes gets a number; the
+   * other takes the next one.
+   */
+  async publishVersion(target, userId, changeNote) {
+    target.metadata.status = 'published';
+
+    let version;
+    for (let attempt = 1; !version; attempt++) {
+      const next = await this.getLatestVersion(target._id) + 1;
+      target.metadata.version = next;
+      await target.validate();
+
+      try {
+        await this.createSnapshot(target, next, userId, changeNote);
+        version = next;
+      } catch (error) {
+        if (error.code !== 11000 || attempt >= PUBLISH_ATTEMPTS) throw error;
+      }
+    }
+
+    await target.save();
+
+    logger.info(`Case ${target._id} published as version ${version}`);
+
+    return target;
+  },
+
+  // Cases published before versioning have no snapshot; keep what their sessions played
+  async ensureCurrentSnapshot(caseDoc, userId) {
+    if (caseDoc.metadata.status !== 'published') return;
+    if (await this.getLatestVersion(caseDoc._id) > 0) return;
+
+    await this.createSnapshot(caseDoc, caseDoc.metadata.version || 1, userId, 'Published before versioning');
+  },
+
+  // Publish a case, or publish a draft revision onto the case it revises
+  async publish(caseDoc, userId, changeNote) {
+    try {
+      if (!caseDoc.metadata.revisionOf) {
+        if (caseDoc.metadata.status === 'published') {
+          return caseDoc;
+        }
+        return await this.publishVersion(caseDoc, userId, changeNote);
+      }
+
+      const target = await Case.findById(caseDoc.metadata.revisionOf);
+      if (!target) {
+        throw new Error('Revised case not found');
+      }
+
+      await this.ensureCurrentSnapshot(target, userId);
+      this.applyContent(target, this.getContent(caseDoc));
+      await this.publishVersion(target, userId, changeNote);
+      await Case.findByIdAndDelete(caseDoc._id);
+
+      return target;
+
+    } catch (error) {
+      logger.error('Publish case version error:', error);
+      throw error;
+    }
+  },
+
+  // Edits to a published case go to its draft revision so the live version stays as published
+  async saveDraftRevision(liveCase, data) {
+    try {
+      const { metadata = {}, ...content } = data;
+
+      let draft = await Case.findOne({ 'metadata.revisionOf': liveCase._id });
+      if (draft && draft.metadata.status !== 'draft') {
+        throw Object.assign(new Error('The draft revision is in review and cannot be edited'), { status: 409 });
+      }
+      if (!draft) {
+        const liveContent = this.getContent(liveCase);
+        draft = new Case({
+          ...liveContent,
+          metadata: {
+            ...liveContent.metadata,
+            author: liveCase.metadata.author,
+            status: 'draft',
+            version: liveCase.metadata.version,
+            revisionOf: liveCase._id
+          }
+        });
+      }
+
+      draft.set(content);
+      CONTENT_METADATA_FIELDS.forEach(field => {
+        if (metadata[field] !== undefined) {
+          draft.set(`metadata.${field}`, metadata[field]);
+        }
+      });
+      await draft.save();
+
+      logger.info(`Draft revision ${draft._id} saved for case ${liveCase._id}`);
+
+      return draft;
+
+    } catch (error) {
+      logger.error('Save draft revision error:', error);
+      throw error;
+    }
+  },
+
+  async listVersions(caseId) {
+    try {
+      const caseDoc = await Case.findById(caseId).select('metadata');
+      if (!caseDoc) return null;
+
+      const [versions, draft] = await Promise.all([
+        CaseVersion.find({ caseId })
+          .select('-snapshot')
+          .sort({ version: -1 })
+          .populate('publishedBy', 'profile.firstName profile.lastName')
+          .lean(),
+        Case.findOne({ 'metadata.revisionOf': caseId }).select('_id updatedAt').lean()
+      ]);
+
+      return {
+        currentVersion: caseDoc.metadata.status === 'published' ? caseDoc.metadata.version : null,
+        versions: versions.map(v => ({
+          version: v.version,
+          publishedAt: v.publishedAt,
+          publishedBy: v.publishedBy,
+          changeNote: v.changeNote,
+          current: caseDoc.metadata.status === 'published' && v.version === caseDoc.metadata.version
+        })),
+        draftRevision: draft ? { id: draft._id, updatedAt: draft.updatedAt } : null
+      };
+
+    } catch (error) {
+      logger.error('List case versions error:', error);
+      throw error;
+    }
+  },
+
+  async getVersion(caseId, version) {
+    return CaseVersion.findOne({ caseId, version: Number(version) });
+  },
+
+  // Differences between two versions; `to` may be 'draft' for the pending draft revision
+  async diffVersions(caseId, from, to) {
+    try {
+      const before = await this.getVersion(caseId, from);
+      if (!before) {
+        throw Object.assign(new Error(`Version ${from} not found`), { status: 404 });
+      }
+
+      let afterContent;
+      if (to === 'draft') {
+        const draft = await Case.findOne({ 'metadata.revisionOf': caseId });
+        if (!draft) {
+          throw Object.assign(new Error('No draft revision for this case'), { status: 404 });
+        }
+        afterContent = JSON.parse(JSON.stringify(this.getContent(draft)));
+      } else {
+        const after = await this.getVersion(caseId, to);
+        if (!after) {
+          throw Object.assign(new Error(`Version ${to} not found`), { status: 404 });
+        }
+        afterContent = after.snapshot;
+      }
+
+      const changes = [];
+      diffValues(JSON.parse(JSON.stringify(before.snapshot)), JSON.parse(JSON.stringify(afterContent)), '', changes);
+
+      return { from: Number(from), to: to === 'draft' ? 'draft' : Number(to), changes };
+
+    } catch (error) {
+      logger.error('Diff case versions error:', error);
+      throw error;
+    }
+  },
+
+  // Restore an earlier version's content and publish it as a new version, as the case author or an admin
+  async rollback(caseId, version, user) {
+    try {
+      const caseDoc = await Case.findById(caseId);
+      if (!caseDoc) return null;
+
+      // Required here: caseWorkflowService publishes through this service
+      const caseWorkflowService = require('./caseWorkflowService');
+      caseWorkflowService.assertAuthorOrAdmin(caseDoc, user);
+
+      // Restored content was reviewed when first published, so it skips review; drafts and archived cases go through it
+      if (caseDoc.metadata.status !== 'published') {
+        throw Object.assign(new Error('Only published cases can be rolled back'), { status: 409 });
+      }
+
+      const snapshot = await this.getVersion(caseId, version);
+      if (!snapshot) {
+        throw Object.assign(new Error(`Version ${version} not found`), { status: 404 });
+      }
+
+      this.applyContent(caseDoc, snapshot.snapshot);
+      return await this.publishVersion(caseDoc, user._id, `Rolled back to version ${snapshot.version}`);
+
+    } catch (error) {
+      logger.error('Rollback case version error:', error);
+      throw error;
+    }
+  },
+
+  // Case content as it was for the version a session pinned
+  async loadCase(caseId, version = null) {
+    const live = await Case.findById(caseId);
+    if (!live || !version || live.metadata.version === version) {
+      return live;
+    }
+
+    const snapshot = await this.getVersion(caseId, version);
+    if (!snapshot) {
+      return live;
+    }
+
+    return new Case({
+      ...snapshot.snapshot,
+      _id: live._id,
+      metadata: {
+        ...live.toObject({ virtuals: false }).metadata,
+        ...snapshot.snapshot.metadata,
+        version
+      }
+    });
+  }
+};
+
+module.exports = caseVersionService;
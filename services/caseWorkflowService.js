@@ -0,0 +1,490 @@
+// services/caseWorkflowService.js
+const { Case, User, CaseComment, CaseAuditLog } = require('../models');
+const caseVersionService = require('./caseVersionService');
+const jobQueue = require('./jobQueue');
+const webhookService = require('./webhookService');
+const logger = require('../utils/logger');
+const { CASE_STATUS, CASE_TRANSITIONS, REQUIRED_APPROVALS, JOBS } = require('../utils/constants');
+
+// Errors carry the HTTP status the controllers answer with
+const workflowError = (message, status = 409) => Object.assign(new Error(message), { status });
+
+const sameId = (a, b) => String(a && a._id ? a._id : a) === String(b && b._id ? b._id : b);
+
+const isAdmin = (user) => user.role === 'admin';
+
+const isAuthor = (caseDoc, user) => sameId(caseDoc.metadata.author, user._id);
+
+// Audit entries and comments on a draft revision are filed under the published case
+const rootId = (caseDoc) => caseDoc.metadata.revisionOf || caseDoc._id;
+
+const caseWorkflowService = {
+  canTransition(from, to) {
+    return (CASE_TRANSITIONS[from] || []).includes(to);
+  },
+
+  // Only drafts are edited in place; a case in review keeps the content its reviewers are approving
+  isEditable(caseDoc) {
+    return caseDoc.metadata.status === CASE_STATUS.DRAFT;
+  },
+
+  getRequiredApprovals(caseDoc) {
+    return caseDoc.metadata.requiredApprovals || REQUIRED_APPROVALS;
+  },
+
+  async loadCase(caseId) {
+    const caseDoc = await Case.findById(caseId);
+    if (!caseDoc) {
+      throw workflowError('Case not found', 404);
+    }
+    return caseDoc;
+  },
+
+  assertAuthorOrAdmin(caseDoc, user) {
+    if (!isAuthor(caseDoc, user) && !isAdmin(user)) {
+      throw workflowError('Only the case author or an admin can do this', 403);
+    }
+  },
+
+  async logEvent(caseDoc, action, actor, { from, to, note, details } = {}) {
+    const entry = new CaseAuditLog({
+      caseId: rootId(caseDoc),
+      revisionId: caseDoc.metadata.revisionOf ? caseDoc._id : undefined,
+      action,
+      from,
+      to,
+      actor,
+      note,
+      details
+    });
+    await entry.save();
+    return entry;
+  },
+
+  // Move the case to `to` if the lifecycle allows it and record the transition
+  async transition(caseDoc, to, user, action, { note, details } = {}) {
+    const from = caseDoc.metadata.status;
+    if (!this.canTransition(from, to)) {
+      throw workflowError(`Cannot move a case from ${from} to ${to}`);
+    }
+
+    caseDoc.metadata.status = to;
+    await caseDoc.save();
+    await this.logEvent(caseDoc, action, user._id, { from, to, note, details });
+
+    logger.info(`Case ${caseDoc._id} ${from} -> ${to} (${action}) by user: ${user._id}`);
+
+    return caseDoc;
+  },
+
+  async submitForReview(caseId, user, note) {
+    try {
+      const caseDoc = await this.loadCase(caseId);
+      this.assertAuthorOrAdmin(caseDoc, user);
+
+      await caseDoc.validate();
+      caseDoc.metadata.approvals = [];
+      caseDoc.metadata.submittedAt = new Date();
+
+      return await this.transition(caseDoc, CASE_STATUS.REVIEW, user, 'submit', { note });
+
+    } catch (error) {
+      logger.error('Submit case for review error:', error);
+      throw error;
+    }
+  },
+
+  // The author takes a case back out of review to keep editing it
+  async withdraw(caseId, user, note) {
+    try {
+      const caseDoc = await this.loadCase(caseId);
+      this.assertAuthorOrAdmin(caseDoc, user);
+
+      if (![CASE_STATUS.REVIEW, CASE_STATUS.APPROVED].includes(caseDoc.metadata.status)) {
+        throw workflowError('Only a case in review or approved can be withdrawn');
+      }
+
+      caseDoc.metadata.approvals = [];
+      return await this.transition(caseDoc, CASE_STATUS.DRAFT, user, 'withdraw', { note });
+
+    } catch (error) {
+      logger.error('Withdraw case error:', error);
+      throw error;
+    }
+  },
+
+  async assignReviewers(caseId, reviewerIds, user, { requiredApprovals } = {}) {
+    try {
+      const caseDoc = await this.loadCase(caseId);
+
+      if (![CASE_STATUS.DRAFT, CASE_STATUS.REVIEW].includes(caseDoc.metadata.status)) {
+        throw workflowError('Reviewers can only be assigned to a draft or a case in review');
+      }
+
+      const reviewers = await User.find({ _id: { $in: reviewerIds }, role: { $in: ['instructor', 'admin'] } });
+      if (reviewers.length !== new Set(reviewerIds.map(String)).size) {
+        throw workflowError('Reviewers must be existing instructors or admins', 400);
+      }
+      if (reviewers.some(reviewer => isAuthor(caseDoc, reviewer))) {
+        throw workflowError('The case author cannot review their own case', 400);
+      }
+
+      const added = reviewers.filter(reviewer =>
+        !caseDoc.metadata.reviewers.some(id => sameId(id, reviewer._id)));
+      added.forEach(reviewer => caseDoc.metadata.reviewers.push(reviewer._id));
+      if (requiredApprovals) {
+        caseDoc.metadata.requiredApprovals = requiredApprovals;
+      }
+      await caseDoc.save();
+
+      await Promise.all(added.map(reviewer =>
+        this.logEvent(caseDoc, 'assign_reviewer', user._id, { details: { reviewer: reviewer._id } })));
+
+      return { case: caseDoc, added: added.map(reviewer => reviewer._id) };
+
+    } catch (error) {
+      logger.error('Assign reviewers error:', error);
+      throw error;
+    }
+  },
+
+  async unassignReviewer(caseId, reviewerId, user) {
+    try {
+      const caseDoc = await this.loadCase(caseId);
+
+      if (!caseDoc.metadata.reviewers.some(id => sameId(id, reviewerId))) {
+        throw workflowError('Reviewer is not assigned to this case', 404);
+      }
+
+      caseDoc.metadata.reviewers = caseDoc.metadata.reviewers.filter(id => !sameId(id, reviewerId));
+      caseDoc.metadata.approvals = caseDoc.metadata.approvals.filter(a => !sameId(a.reviewer, reviewerId));
+      await caseDoc.save();
+      await this.logEvent(caseDoc, 'unassign_reviewer', user._id, { details: { reviewer: reviewerId } });
+
+      return caseDoc;
+
+    } catch (error) {
+      logger.error('Unassign reviewer error:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Record an approval with a single conditional update, so simultaneous approvals each see the
+   * others' in the returned list. Only the update that moves the case out of review logs the transition.
+   */
+  async approve(caseDoc, user, comment) {
+    const approved = await Case.findOneAndUpdate(
+      {
+        _id: caseDoc._id,
+        'metadata.status': CASE_STATUS.REVIEW,
+        'metadata.approvals.reviewer': { $ne: user._id }
+      },
+      {
+        $push: { 'metadata.approvals': { reviewer: user._id, comment } },
+        $set: { 'metadata.lastReviewed': new Date() },
+        $inc: { 'metadata.reviewCount': 1 }
+      },
+      { new: true }
+    );
+
+    if (!approved) {
+      const current = await this.loadCase(caseDoc._id);
+      if (current.metadata.status !== CASE_STATUS.REVIEW) {
+        throw workflowError('Case is not in review');
+      }
+      throw workflowError('You have already approved this case');
+    }
+
+    const requiredApprovals = this.getRequiredApprovals(approved);
+    const details = { approvals: approved.metadata.approvals.length, requiredApprovals };
+
+    let to = CASE_STATUS.REVIEW;
+    if (details.approvals >= requiredApprovals) {
+      const moved = await Case.updateOne(
+        { _id: approved._id, 'metadata.status': CASE_STATUS.REVIEW },
+        { $set: { 'metadata.status': CASE_STATUS.APPROVED } }
+      );
+
+      if (moved.modifiedCount > 0) {
+        to = CASE_STATUS.APPROVED;
+        approved.metadata.status = to;
+        logger.info(`Case ${approved._id} ${CASE_STATUS.REVIEW} -> ${to} (approve) by user: ${user._id}`);
+      } else {
+        // A simultaneous review already moved the case on
+        approved.metadata.status = (await this.loadCase(approved._id)).metadata.status;
+      }
+    }
+
+    await this.logEvent(approved, 'approve', user._id, { from: CASE_STATUS.REVIEW, to, note: comment, details });
+
+    return { case: approved, decision: 'approve', comments: [], ...details };
+  },
+
+  // Approve, or send the case back to draft with change requests, as an assigned reviewer or admin
+  async review(caseId, user, { decision, comment, stepComments = [] }) {
+    try {
+      const caseDoc = await this.loadCase(caseId);
+
+      if (caseDoc.metadata.status !== CASE_STATUS.REVIEW) {
+        throw workflowError('Case is not in review');
+      }
+      if (isAuthor(caseDoc, user)) {
+        throw workflowError('The case author cannot review their own case', 403);
+      }
+      if (!isAdmin(user) && !caseDoc.metadata.reviewers.some(id => sameId(id, user._id))) {
+        throw workflowError('You are not assigned to review this case', 403);
+      }
+
+      if (decision === 'approve') {
+        return await this.approve(caseDoc, user, comment);
+      }
+
+      caseDoc.metadata.lastReviewed = new Date();
+      caseDoc.metadata.reviewCount += 1;
+
+      if (!comment && stepComments.length === 0) {
+        throw workflowError('Describe the changes you are requesting', 400);
+      }
+
+      const stepIds = new Set(caseDoc.simulationSteps.map(step => step.stepId));
+      const unknown = stepComments.find(c => !stepIds.has(c.stepId));
+      if (unknown) {
+        throw workflowError(`Unknown step: ${unknown.stepId}`, 400);
+      }
+
+      const comments = await Promise.all([
+        ...(comment ? [{ body: comment }] : []),
+        ...stepComments
+      ].map(c => this.createComment(caseDoc, user, { ...c, type: 'change_request' })));
+
+      caseDoc.metadata.approvals = [];
+      await this.transition(caseDoc, CASE_STATUS.DRAFT, user, 'request_changes', {
+        note: comment,
+        details: { comments: comments.length }
+      });
+
+      return {
+        case: caseDoc,
+        decision,
+        comments,
+        approvals: 0,
+        requiredApprovals: this.getRequiredApprovals(caseDoc)
+      };
+
+    } catch (error) {
+      logger.error('Review case error:', error);
+      throw error;
+    }
+  },
+
+  async publish(caseId, user, changeNote) {
+    try {
+      const caseDoc = await this.loadCase(caseId);
+      this.assertAuthorOrAdmin(caseDoc, user);
+
+      if (caseDoc.metadata.status !== CASE_STATUS.APPROVED) {
+        throw workflowError('Only approved cases can be published');
+      }
+
+      // Log before publishing: publishing a revision deletes the revision document
+      const event = await this.logEvent(caseDoc, 'publish', user._id, {
+        from: CASE_STATUS.APPROVED,
+        to: CASE_STATUS.PUBLISHED,
+        note: changeNote
+      });
+
+      const published = await caseVersionService.publish(caseDoc, user._id, changeNote);
+
+      event.details = { version: published.metadata.version };
+      await event.save();
+
+      await webhookService.emit('case.published', {
+        caseId: String(published._id),
+        title: published.title,
+        specialty: published.specialty,
+        difficulty: published.difficulty,
+        version: published.metadata.version,
+        publishedBy: String(user._id)
+      });
+
+      return published;
+
+    } catch (error) {
+      logger.error('Publish case error:', error);
+      throw error;
+    }
+  },
+
+  async archive(caseId, user, note) {
+    try {
+      const caseDoc = await this.loadCase(caseId);
+      this.assertAuthorOrAdmin(caseDoc, user);
+
+      return await this.transition(caseDoc, CASE_STATUS.ARCHIVED, user, 'archive', { note });
+
+    } catch (error) {
+      logger.error('Archive case error:', error);
+      throw error;
+    }
+  },
+
+  // Visibility belongs to the published case, so a revision changes it on the case it revises
+  async setVisibility(caseId, user, visibility) {
+    try {
+      const caseDoc = await this.loadCase(caseId);
+      this.assertAuthorOrAdmin(caseDoc, user);
+
+      const target = caseDoc.metadata.revisionOf ? await this.loadCase(rootId(caseDoc)) : caseDoc;
+      const from = target.metadata.visibility;
+      target.metadata.visibility = visibility;
+      await target.save();
+      await this.logEvent(target, 'change_visibility', user._id, { from, to: visibility });
+
+      return target;
+
+    } catch (error) {
+      logger.error('Set case visibility error:', error);
+      throw error;
+    }
+  },
+
+  async restore(caseId, user, note) {
+    try {
+      const caseDoc = await this.loadCase(caseId);
+      this.assertAuthorOrAdmin(caseDoc, user);
+
+      caseDoc.metadata.approvals = [];
+      return await this.transition(caseDoc, CASE_STATUS.DRAFT, user, 'restore', { note });
+
+    } catch (error) {
+      logger.error('Restore case error:', error);
+      throw error;
+    }
+  },
+
+  // Tell the author where their case stands after a review decision
+  async notifyAuthor(caseDoc) {
+    await jobQueue.add(JOBS.QUEUES.NOTIFICATION, 'case-review-decision', {
+      caseId: caseDoc._id,
+      title: caseDoc.title,
+      status: caseDoc.metadata.status,
+      authorId: caseDoc.metadata.author
+    });
+  },
+
+  async notifyReviewers(caseDoc, reviewerIds) {
+    if (reviewerIds.length === 0) return;
+
+    await jobQueue.add(JOBS.QUEUES.NOTIFICATION, 'reviewers-assigned', {
+      caseId: caseDoc._id,
+      title: caseDoc.title,
+      reviewerIds
+    });
+  },
+
+  async createComment(caseDoc, user, { stepId, body, type = 'comment' }) {
+    const comment = new CaseComment({
+      caseId: rootId(caseDoc),
+      revisionId: caseDoc.metadata.revisionOf ? caseDoc._id : undefined,
+      stepId,
+      author: user._id,
+      body,
+      type
+    });
+    await comment.save();
+    return comment;
+  },
+
+  async addComment(caseId, user, { stepId, body }) {
+    try {
+      const caseDoc = await this.loadCase(caseId);
+
+      if (stepId && !caseDoc.simulationSteps.some(step => step.stepId === stepId)) {
+        throw workflowError(`Unknown step: ${stepId}`, 400);
+      }
+
+      return await this.createComment(caseDoc, user, { stepId, body });
+
+    } catch (error) {
+      logger.error('Add case comment error:', error);
+      throw error;
+    }
+  },
+
+  async getComments(caseId, { stepId, resolved } = {}) {
+    try {
+      const caseDoc = await this.loadCase(caseId);
+
+      const filter = { caseId: rootId(caseDoc) };
+      if (stepId) filter.stepId = stepId;
+      if (resolved !== undefined) filter.resolved = resolved;
+
+      return await CaseComment.find(filter)
+        .populate('author', 'profile.firstName profile.lastName')
+        .sort({ createdAt: 1 })
+        .lean();
+
+    } catch (error) {
+      logger.error('Get case comments error:', error);
+      throw error;
+    }
+  },
+
+  async resolveComment(caseId, commentId, user) {
+    try {
+      const caseDoc = await this.loadCase(caseId);
+      const comment = await CaseComment.findOne({ _id: commentId, caseId: rootId(caseDoc) });
+      if (!comment) {
+        throw workflowError('Comment not found', 404);
+      }
+
+      if (!sameId(comment.author, user._id)) {
+        this.assertAuthorOrAdmin(caseDoc, user);
+      }
+
+      comment.resolved = true;
+      comment.resolvedBy = user._id;
+      comment.resolvedAt = new Date();
+      await comment.save();
+
+      return comment;
+
+    } catch (error) {
+      logger.error('Resolve case comment error:', error);
+      throw error;
+    }
+  },
+
+  async getHistory(caseId) {
+    try {
+      const caseDoc = await this.loadCase(caseId);
+
+      return await CaseAuditLog.find({ caseId: rootId(caseDoc) })
+        .populate('actor', 'profile.firstName profile.lastName')
+        .sort({ createdAt: 1 })
+        .lean();
+
+    } catch (error) {
+      logger.error('Get case history error:', error);
+      throw error;
+    }
+  },
+
+  // Cases in review assigned to this reviewer
+  async getReviewQueue(user) {
+    try {
+      return await Case.find({ 'metadata.status': CASE_STATUS.REVIEW, 'metadata.reviewers': user._id })
+        .select('title specialty difficulty metadata')
+        .populate('metadata.author', 'profile.firstName profile.lastName')
+        .sort({ 'metadata.submittedAt': 1 })
+        .lean();
+
+    } catch (error) {
+      logger.error('Get review queue error:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = caseWorkflowService;
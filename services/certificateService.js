@@ -0,0 +1,276 @@
+// services/certificateService.js
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const { Progress, User, Credential } = require('../models');
+const logger = require('../utils/logger');
+const dateUtils = require('../utils/dateUtils');
+const encryption = require('../utils/encryption');
+
+// 32 characters without look-alikes (0/O, 1/I), so each random byte maps without bias
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const generateVerificationCode = () => {
+  const chars = Array.from(crypto.randomBytes(12), byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+  return `MCS-${chars.slice(0, 4)}-${chars.slice(4, 8)}-${chars.slice(8)}`;
+};
+
+const holderName = (user) => `${user.profile.firstName} ${user.profile.lastName}`;
+
+const toSessionEntry = (progress) => ({
+  sessionId: progress.sessionId,
+  caseTitle: progress.caseId ? progress.caseId.title : 'Unknown case',
+  specialty: progress.caseId ? progress.caseId.specialty : '',
+  percentageScore: progress.percentageScore,
+  timeSpent: progress.timeSpent,
+  completedAt: progress.endDate || progress.updatedAt
+});
+
+const renderPdf = (options, draw) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50, ...options });
+  const chunks = [];
+
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  draw(doc);
+  doc.end();
+});
+
+const verificationLine = (code) => (process.env.FRONTEND_URL
+  ? `Verification code: ${code} (verify at ${process.env.FRONTEND_URL}/verify/${code})`
+  : `Verification code: ${code}`);
+
+const certificateService = {
+  summarize(sessions) {
+    return {
+      sessionCount: sessions.length,
+      averageScore: sessions.length > 0
+        ? Math.round(sessions.reduce((sum, s) => sum + (s.percentageScore || 0), 0) / sessions.length)
+        : 0,
+      totalTime: sessions.reduce((sum, s) => sum + (s.timeSpent || 0), 0)
+    };
+  },
+
+  // One certificate per completed session; downloading again returns the same code
+  async issueCertificate(sessionId, userId) {
+    try {
+      const progress = await Progress.findOne({ sessionId, userId, status: 'completed' })
+        .populate('caseId', 'title specialty');
+      if (!progress) return null;
+
+      const existing = await Credential.findOne({ type: 'certificate', progressId: progress._id });
+      if (existing) return existing;
+
+      const user = await User.findById(userId);
+      if (!user) return null;
+
+      const credential = new Credential({
+        code: generateVerificationCode(),
+        type: 'certificate',
+        userId,
+        holderName: holderName(user),
+        progressId: progress._id,
+        sessions: [toSessionEntry(progress)]
+      });
+      await credential.save();
+
+      logger.info(`Certificate issued: ${credential.code} for session ${sessionId}`);
+
+      return credential;
+
+    } catch (error) {
+      logger.error('Issue certificate error:', error);
+      throw error;
+    }
+  },
+
+  // Transcript of completed sessions in a date range; the same sessions reuse the same code
+  async issueTranscript(userId, { from = null, to = null } = {}) {
+    try {
+      const user = await User.findById(userId);
+      if (!user) return null;
+
+      const progressData = await Progress.find({ userId, status: 'completed' })
+        .populate('caseId', 'title specialty')
+        .sort({ createdAt: 1 });
+
+      const sessions = progressData
+        .map(toSessionEntry)
+        .filter(s => (!from || s.completedAt >= from) && (!to || s.completedAt <= to));
+
+      const fingerprint = encryption.hash(JSON.stringify({
+        userId: String(userId),
+        from,
+        to,
+        sessions: sessions.map(s => s.sessionId)
+      }));
+
+      const existing = await Credential.findOne({ type: 'transcript', userId, fingerprint });
+      if (existing) return existing;
+
+      const credential = new Credential({
+        code: generateVerificationCode(),
+        type: 'transcript',
+        userId,
+        holderName: holderName(user),
+        range: { from, to },
+        fingerprint,
+        sessions
+      });
+      await credential.save();
+
+      logger.info(`Transcript issued: ${credential.code} for user ${userId} (${sessions.length} sessions)`);
+
+      return credential;
+
+    } catch (error) {
+      logger.error('Issue transcript error:', error);
+      throw error;
+    }
+  },
+
+  // Public check of a verification code
+  async verify(code) {
+    try {
+      const credential = await Credential.findOne({ code: String(code).trim().toUpperCase() });
+      if (!credential) return null;
+
+      return {
+        valid: !credential.revoked,
+        code: credential.code,
+        type: credential.type,
+        holderName: credential.holderName,
+        issuedAt: credential.issuedAt,
+        range: credential.type === 'transcript' ? credential.range : undefined,
+        sessions: credential.sessions.map(s => ({
+          caseTitle: s.caseTitle,
+          specialty: s.specialty,
+          percentageScore: s.percentageScore,
+          timeSpent: s.timeSpent,
+          completedAt: s.completedAt
+        })),
+        summary: this.summarize(credential.sessions)
+      };
+
+    } catch (error) {
+      logger.error('Verify credential error:', error);
+      throw error;
+    }
+  },
+
+  renderCertificate(credential) {
+    const session = credential.sessions[0];
+
+    return renderPdf({ layout: 'landscape' }, doc => {
+      const width = doc.page.width - 100;
+
+      doc.rect(25, 25, doc.page.width - 50, doc.page.height - 50).lineWidth(2).stroke('#1f4e79');
+
+      doc.moveDown(2);
+      doc.font('Helvetica-Bold').fontSize(30).fillColor('#1f4e79')
+        .text('Certificate of Completion', 50, doc.y, { width, align: 'center' });
+      doc.moveDown(1.5);
+      doc.font('Helvetica').fontSize(14).fillColor('black')
+        .text('This certifies that', { width, align: 'center' });
+      doc.moveDown(0.5);
+      doc.font('Helvetica-Bold').fontSize(24).text(credential.holderName, { width, align: 'center' });
+      doc.moveDown(0.5);
+      doc.font('Helvetica').fontSize(14).text('has completed the simulation case', { width, align: 'center' });
+      doc.moveDown(0.5);
+      doc.font('Helvetica-Bold').fontSize(20).text(session.caseTitle, { width, align: 'center' });
+      doc.moveDown(1.5);
+
+      doc.font('Helvetica').fontSize(12)
+        .text(`Specialty: ${session.specialty || 'General'}`, { width, align: 'center' })
+        .text(`Score: ${session.percentageScore}%`, { width, align: 'center' })
+        .text(`Time: ${dateUtils.formatDuration(session.timeSpent || 0)}`, { width, align: 'center' })
+        .text(`Completed: ${dateUtils.formatDate(session.completedAt, 'MMMM D, YYYY')}`, { width, align: 'center' });
+
+      doc.font('Helvetica').fontSize(9).fillColor('#555555')
+        .text(
+          `${verificationLine(credential.code)}. Issued ${dateUtils.formatDate(credential.issuedAt, 'MMMM D, YYYY')}.`,
+          50,
+          doc.page.height - 80,
+          { width, align: 'center' }
+        );
+    });
+  },
+
+  renderTranscript(credential) {
+    const columns = [
+      { label: 'Completed', x: 50, width: 75 },
+      { label: 'Case', x: 130, width: 210 },
+      { label: 'Specialty', x: 345, width: 100 },
+      { label: 'Score', x: 450, width: 40 },
+      { label: 'Time', x: 495, width: 50 }
+    ];
+    const summary = this.summarize(credential.sessions);
+    const { from, to } = credential.range || {};
+    const rangeText = from || to
+      ? `${from ? dateUtils.formatDate(from) : 'start'} to ${to ? dateUtils.formatDate(to) : 'present'}`
+      : 'All completed sessions';
+
+    return renderPdf({}, doc => {
+      const bottom = doc.page.height - doc.page.margins.bottom - 20;
+
+      const drawHeader = () => {
+        doc.font('Helvetica-Bold').fontSize(9).fillColor('black');
+        const y = doc.y;
+        columns.forEach(col => doc.text(col.label, col.x, y, { width: col.width }));
+        doc.moveTo(50, doc.y + 2).lineTo(545, doc.y + 2).stroke();
+        doc.moveDown(0.5);
+      };
+
+      doc.font('Helvetica-Bold').fontSize(20).fillColor('#1f4e79').text('Simulation Transcript');
+      doc.moveDown(0.5);
+      doc.font('Helvetica').fontSize(11).fillColor('black')
+        .text(`Name: ${credential.holderName}`)
+        .text(`Period: ${rangeText}`)
+        .text(`Issued: ${dateUtils.formatDate(credential.issuedAt, 'MMMM D, YYYY')}`)
+        .text(verificationLine(credential.code));
+      doc.moveDown();
+
+      drawHeader();
+      doc.font('Helvetica').fontSize(9);
+
+      credential.sessions.forEach(session => {
+        if (doc.y > bottom) {
+          doc.addPage();
+          drawHeader();
+          doc.font('Helvetica').fontSize(9);
+        }
+
+        const y = doc.y;
+        const cells = [
+          dateUtils.formatDate(session.completedAt),
+          session.caseTitle,
+          session.specialty || '',
+          `${session.percentageScore}%`,
+          dateUtils.formatDuration(session.timeSpent || 0)
+        ];
+        let rowBottom = y;
+        cells.forEach((text, i) => {
+          doc.text(text, columns[i].x, y, { width: columns[i].width });
+          rowBottom = Math.max(rowBottom, doc.y);
+        });
+        doc.y = rowBottom + 4;
+      });
+
+      if (credential.sessions.length === 0) {
+        doc.text('No completed sessions in this period.', 50, doc.y);
+      }
+
+      doc.moveDown();
+      doc.font('Helvetica-Bold').fontSize(10)
+        .text(
+          `Cases completed: ${summary.sessionCount}   Average score: ${summary.averageScore}%   ` +
+          `Total time: ${dateUtils.formatDuration(summary.totalTime)}`,
+          50,
+          doc.y
+        );
+    });
+  }
+};
+
+module.exports = certificateService;
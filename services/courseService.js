@@ -0,0 +1,542 @@
+// services/courseService.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { Course, Case, User } = require('../models');
+const jobQueue = require('./jobQueue');
+const logger = require('../utils/logger');
+const { COURSE, CASE_VISIBILITY, JOBS } = require('../utils/constants');
+
+// Unambiguous characters for codes written on a whiteboard
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const courseError = (status, message) => Object.assign(new Error(message), { status });
+
+const sameId = (a, b) => String(a && a._id ? a._id : a) === String(b && b._id ? b._id : b);
+
+const isAdmin = (user) => Boolean(user) && user.role === 'admin';
+
+const activeStudents = (course) => course.students.filter(student => student.status === 'active');
+
+const courseService = {
+  generateJoinCode() {
+    const bytes = crypto.randomBytes(COURSE.JOIN_CODE_LENGTH);
+    return Array.from(bytes, byte => JOIN_CODE_ALPHABET[byte % JOIN_CODE_ALPHABET.length]).join('');
+  },
+
+  async generateUniqueJoinCode() {
+    let joinCode = this.generateJoinCode();
+    while (await Course.exists({ joinCode })) {
+      joinCode = this.generateJoinCode();
+    }
+    return joinCode;
+  },
+
+  isInstructor(course, user) {
+    return course.instructors.some(id => sameId(id, user._id));
+  },
+
+  isStudent(course, user) {
+    return activeStudents(course).some(student => sameId(student.userId, user._id));
+  },
+
+  isMember(course, user) {
+    return this.isInstructor(course, user) || this.isStudent(course, user);
+  },
+
+  async loadCourse(courseId) {
+    const course = mongoose.Types.ObjectId.isValid(courseId) ? await Course.findById(courseId) : null;
+    if (!course) {
+      throw courseError(404, 'Course not found');
+    }
+    return course;
+  },
+
+  // Admins manage every course; instructors only the ones they teach
+  assertCanManage(course, user) {
+    if (!isAdmin(user) && !this.isInstructor(course, user)) {
+      throw courseError(403, 'Only the course instructors can do this');
+    }
+  },
+
+  assertCanView(course, user) {
+    if (!isAdmin(user) && !this.isMember(course, user)) {
+      throw courseError(403, 'You are not a member of this course');
+    }
+  },
+
+  async getMemberCourseIds(userId) {
+    const courses = await Course.find({
+      isArchived: false,
+      $or: [
+        { instructors: userId },
+        { students: { $elemMatch: { userId, status: 'active' } } }
+      ]
+    }).select('_id');
+    return courses.map(course => course._id);
+  },
+
+  async getEnrolledCourseIds(userId) {
+    const courses = await Course.find({
+      isArchived: false,
+      students: { $elemMatch: { userId, status: 'active' } }
+    }).select('_id');
+    return courses.map(course => course._id);
+  },
+
+  async getTaughtCourseIds(userId) {
+    const courses = await Course.find({ instructors: userId }).select('_id');
+    return courses.map(course => course._id);
+  },
+
+  // Active students across the given courses, without duplicates
+  async getLearnerIds(courseIds) {
+    const courses = await Course.find({ _id: { $in: courseIds } }).select('students');
+    const ids = new Set();
+    courses.forEach(course => activeStudents(course).forEach(student => ids.add(String(student.userId))));
+    return Array.from(ids);
+  },
+
+  /**
+   * Learners a user may see in rosters, analytics and monitoring.
+   * Returns null when nothing needs filtering (an admin without a course).
+   */
+  async getScopedLearnerIds(user, courseId = null) {
+    if (courseId) {
+      const course = await this.loadCourse(courseId);
+      this.assertCanManage(course, user);
+      return activeStudents(course).map(student => String(student.userId));
+    }
+
+    if (isAdmin(user)) return null;
+    if (user.role !== 'instructor') {
+      throw courseError(403, 'Instructor access required');
+    }
+
+    return this.getLearnerIds(await this.getTaughtCourseIds(user._id));
+  },
+
+  // Course-only cases are open to their author, instructors, admins and members of a course listing them
+  async canAccessCase(userOrId, caseDoc) {
+    const visibility = caseDoc.metadata && caseDoc.metadata.visibility;
+    if (visibility !== CASE_VISIBILITY.COURSE) return true;
+    if (!userOrId) return false;
+
+    const user = userOrId.role ? userOrId : await User.findById(userOrId).select('role');
+    if (!user) return false;
+    if (['instructor', 'admin'].includes(user.role) || sameId(caseDoc.metadata.author, user._id)) {
+      return true;
+    }
+
+    return Boolean(await Course.exists({
+      cases: caseDoc._id,
+      isArchived: false,
+      $or: [
+        { instructors: user._id },
+        { students: { $elemMatch: { userId: user._id, status: 'active' } } }
+      ]
+    }));
+  },
+
+  // Case query clause hiding course-only cases the user can't open; null when everything is visible
+  async getVisibleCaseFilter(user) {
+    if (user && ['instructor', 'admin'].includes(user.role)) return null;
+
+    const clauses = [{ 'metadata.visibility': { $ne: CASE_VISIBILITY.COURSE } }];
+    if (user) {
+      const courses = await Course.find({ _id: { $in: await this.getMemberCourseIds(user._id) } }).select('cases');
+      const caseIds = courses.reduce((ids, course) => ids.concat(course.cases), []);
+      clauses.push({ _id: { $in: caseIds } }, { 'metadata.author': user._id });
+    }
+
+    return { $or: clauses };
+  },
+
+  // Discussion query clause: open threads plus threads of the user's courses; null for admins
+  async getVisibleDiscussionFilter(user) {
+    if (isAdmin(user)) return null;
+
+    const courseIds = await this.getMemberCourseIds(user._id);
+    return { $or: [{ courseId: null }, { courseId: { $in: courseIds } }] };
+  },
+
+  async assertCourseAccess(courseId, user) {
+    const course = await this.loadCourse(courseId);
+    this.assertCanView(course, user);
+    return course;
+  },
+
+  async createCourse(user, data) {
+    try {
+      const course = new Course({
+        ...data,
+        institution: data.institution || (user.profile && user.profile.institution),
+        owner: user._id,
+        instructors: [user._id],
+        joinCode: await this.generateUniqueJoinCode()
+      });
+
+      await course.save();
+
+      logger.info(`Course created: ${course._id} by instructor: ${user._id}`);
+
+      return course;
+
+    } catch (error) {
+      logger.error('Create course error:', error);
+      throw error;
+    }
+  },
+
+  async listCourses(user, { includeArchived = false } = {}) {
+    try {
+      const filter = {};
+      if (!includeArchived) filter.isArchived = false;
+      if (!isAdmin(user)) {
+        filter.$or = [
+          { instructors: user._id },
+          { students: { $elemMatch: { userId: user._id, status: 'active' } } }
+        ];
+      }
+
+      const courses = await Course.find(filter)
+        .populate('instructors', 'profile.firstName profile.lastName email')
+        .sort({ createdAt: -1 });
+
+      return courses.map(course => this.summarize(course, user));
+
+    } catch (error) {
+      logger.error('List courses error:', error);
+      throw error;
+    }
+  },
+
+  // Students see the course without its roster, join code or invitations
+  summarize(course, user) {
+    const canManage = isAdmin(user) || this.isInstructor(course, user);
+    const summary = {
+      id: course._id,
+      title: course.title,
+      code: course.code,
+      description: course.description,
+      institution: course.institution,
+      term: course.term,
+      startDate: course.startDate,
+      endDate: course.endDate,
+      instructors: course.instructors,
+      studentCount: activeStudents(course).length,
+      caseCount: course.cases.length,
+      isArchived: course.isArchived,
+      role: canManage ? 'instructor' : 'student'
+    };
+
+    if (canManage) {
+      summary.joinCode = course.joinCodeEnabled ? course.joinCode : null;
+      summary.pendingInvitations = course.invitations.filter(invite => !invite.acceptedAt).length;
+    }
+
+    return summary;
+  },
+
+  async getCourse(courseId, user) {
+    try {
+      const course = await this.assertCourseAccess(courseId, user);
+      await course.populate([
+        { path: 'instructors', select: 'profile.firstName profile.lastName email' },
+        { path: 'cases', select: 'title specialty difficulty metadata.status metadata.visibility' }
+      ]);
+
+      return { ...this.summarize(course, user), cases: course.cases };
+
+    } catch (error) {
+      logger.error('Get course error:', error);
+      throw error;
+    }
+  },
+
+  async updateCourse(courseId, user, updates) {
+    try {
+      const course = await this.loadCourse(courseId);
+      this.assertCanManage(course, user);
+
+      const { instructorIds, ...fields } = updates;
+      Object.assign(course, fields);
+
+      if (instructorIds) {
+        const instructors = await User.find({ _id: { $in: instructorIds }, role: { $in: ['instructor', 'admin'] } })
+          .select('_id');
+        if (instructors.length !== new Set(instructorIds.map(String)).size) {
+          throw courseError(400, 'Co-instructors must be existing instructor accounts');
+        }
+        // The owner always keeps teaching the course
+        course.instructors = [course.owner, ...instructors.map(i => i._id).filter(id => !sameId(id, course.owner))];
+      }
+
+      await course.save();
+      return this.summarize(course, user);
+
+    } catch (error) {
+      logger.error('Update course error:', error);
+      throw error;
+    }
+  },
+
+  async regenerateJoinCode(courseId, user) {
+    try {
+      const course = await this.loadCourse(courseId);
+      this.assertCanManage(course, user);
+
+      course.joinCode = await this.generateUniqueJoinCode();
+      course.joinCodeEnabled = true;
+      await course.save();
+
+      return { joinCode: course.joinCode };
+
+    } catch (error) {
+      logger.error('Regenerate join code error:', error);
+      throw error;
+    }
+  },
+
+  // Add or reactivate a student; returns false when they were already enrolled
+  enroll(course, userId, source) {
+    const existing = course.students.find(student => sameId(student.userId, userId));
+    if (existing && existing.status === 'active') return false;
+
+    if (existing) {
+      Object.assign(existing, { status: 'active', source, enrolledAt: new Date(), droppedAt: undefined });
+    } else {
+      course.students.push({ userId, source, status: 'active', enrolledAt: new Date() });
+    }
+    return true;
+  },
+
+  async joinByCode(joinCode, user) {
+    try {
+      const course = await Course.findOne({
+        joinCode: String(joinCode || '').trim().toUpperCase(),
+        joinCodeEnabled: true,
+        isArchived: false
+      });
+      if (!course) {
+        throw courseError(404, 'No open course matches that join code');
+      }
+      if (this.isInstructor(course, user)) {
+        throw courseError(409, 'Instructors of a course cannot enroll in it');
+      }
+      if (!this.enroll(course, user._id, 'join_code')) {
+        throw courseError(409, 'Already enrolled in this course');
+      }
+
+      await course.save();
+
+      logger.info(`User ${user._id} joined course ${course._id} with join code`);
+
+      return this.summarize(course, user);
+
+    } catch (error) {
+      logger.error('Join course error:', error);
+      throw error;
+    }
+  },
+
+  async inviteStudents(courseId, user, emails) {
+    try {
+      const course = await this.loadCourse(courseId);
+      this.assertCanManage(course, user);
+
+      const unique = Array.from(new Set(emails.map(email => String(email).trim().toLowerCase())));
+      if (unique.length > COURSE.MAX_INVITATIONS) {
+        throw courseError(400, `At most ${COURSE.MAX_INVITATIONS} invitations can be sent at once`);
+      }
+
+      const existingUsers = await User.find({ email: { $in: unique } }).select('_id email');
+      const enrolledEmails = new Set(existingUsers
+        .filter(existing => this.isStudent(course, existing))
+        .map(existing => existing.email));
+
+      const now = new Date();
+      const expiresAt = new Date(now.getTime() + COURSE.INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000);
+      const report = { invited: [], alreadyEnrolled: [] };
+
+      for (const email of unique) {
+        if (enrolledEmails.has(email)) {
+          report.alreadyEnrolled.push(email);
+          continue;
+        }
+
+        // Re-inviting refreshes the pending invitation instead of stacking a second one
+        course.invitations = course.invitations.filter(invite => invite.email !== email || invite.acceptedAt);
+        const invitation = {
+          email,
+          token: crypto.randomBytes(24).toString('hex'),
+          invitedBy: user._id,
+          invitedAt: now,
+          expiresAt
+        };
+        course.invitations.push(invitation);
+        report.invited.push(email);
+      }
+
+      await course.save();
+
+      // Queued once saved, since the email job reads the invitation back from the course
+      for (const email of report.invited) {
+        await jobQueue.add(JOBS.QUEUES.EMAIL, 'course-invitation', { courseId: course._id, email });
+      }
+
+      logger.info(`${report.invited.length} invitation(s) sent for course ${course._id} by user: ${user._id}`);
+
+      return report;
+
+    } catch (error) {
+      logger.error('Invite students error:', error);
+      throw error;
+    }
+  },
+
+  async acceptInvitation(token, user) {
+    try {
+      const course = await Course.findOne({ 'invitations.token': token, isArchived: false });
+      const invitation = course && course.invitations.find(invite => invite.token === token);
+      if (!invitation) {
+        throw courseError(404, 'Invitation not found');
+      }
+      if (invitation.acceptedAt) {
+        throw courseError(409, 'Invitation has already been used');
+      }
+      if (invitation.expiresAt && invitation.expiresAt < new Date()) {
+        throw courseError(410, 'Invitation has expired');
+      }
+      if (invitation.email !== String(user.email).toLowerCase()) {
+        throw courseError(403, 'This invitation was sent to a different email address');
+      }
+
+      this.enroll(course, user._id, 'invitation');
+      invitation.acceptedAt = new Date();
+      await course.save();
+
+      logger.info(`User ${user._id} accepted invitation to course ${course._id}`);
+
+      return this.summarize(course, user);
+
+    } catch (error) {
+      logger.error('Accept invitation error:', error);
+      throw error;
+    }
+  },
+
+  async getRoster(courseId, user) {
+    try {
+      const course = await this.loadCourse(courseId);
+      this.assertCanManage(course, user);
+
+      const learners = await User.find({ _id: { $in: course.students.map(s => s.userId) } })
+        .select('email profile statistics.lastActiveDate');
+      const learnerById = new Map(learners.map(learner => [String(learner._id), learner]));
+
+      return {
+        courseId: course._id,
+        students: course.students.map(student => {
+          const learner = learnerById.get(String(student.userId));
+          return {
+            userId: student.userId,
+            name: learner && learner.profile ? `${learner.profile.firstName} ${learner.profile.lastName}`.trim() : null,
+            email: learner ? learner.email : null,
+            status: student.status,
+            source: student.source,
+            enrolledAt: student.enrolledAt,
+            droppedAt: student.droppedAt
+          };
+        }),
+        invitations: course.invitations
+          .filter(invite => !invite.acceptedAt)
+          .map(({ email, invitedAt, expiresAt }) => ({ email, invitedAt, expiresAt }))
+      };
+
+    } catch (error) {
+      logger.error('Get roster error:', error);
+      throw error;
+    }
+  },
+
+  async dropStudent(course, userId) {
+    const student = activeStudents(course).find(s => sameId(s.userId, userId));
+    if (!student) {
+      throw courseError(404, 'Student is not enrolled in this course');
+    }
+
+    student.status = 'dropped';
+    student.droppedAt = new Date();
+    await course.save();
+  },
+
+  async removeStudent(courseId, user, studentId) {
+    try {
+      const course = await this.loadCourse(courseId);
+      this.assertCanManage(course, user);
+
+      await this.dropStudent(course, studentId);
+
+      logger.info(`Student ${studentId} removed from course ${course._id} by user: ${user._id}`);
+
+    } catch (error) {
+      logger.error('Remove student error:', error);
+      throw error;
+    }
+  },
+
+  async leaveCourse(courseId, user) {
+    try {
+      const course = await this.loadCourse(courseId);
+      await this.dropStudent(course, user._id);
+
+    } catch (error) {
+      logger.error('Leave course error:', error);
+      throw error;
+    }
+  },
+
+  async addCases(courseId, user, caseIds) {
+    try {
+      const course = await this.loadCourse(courseId);
+      this.assertCanManage(course, user);
+
+      const cases = await Case.find({ _id: { $in: caseIds } }).select('_id');
+      if (cases.length !== new Set(caseIds.map(String)).size) {
+        throw courseError(404, 'One or more cases were not found');
+      }
+
+      cases.forEach(caseDoc => {
+        if (!course.cases.some(id => sameId(id, caseDoc._id))) course.cases.push(caseDoc._id);
+      });
+      await course.save();
+
+      return { cases: course.cases };
+
+    } catch (error) {
+      logger.error('Add course cases error:', error);
+      throw error;
+    }
+  },
+
+  async removeCase(courseId, user, caseId) {
+    try {
+      const course = await this.loadCourse(courseId);
+      this.assertCanManage(course, user);
+
+      if (!course.cases.some(id => sameId(id, caseId))) {
+        throw courseError(404, 'Case is not part of this course');
+      }
+      course.cases = course.cases.filter(id => !sameId(id, caseId));
+      await course.save();
+
+      return { cases: course.cases };
+
+    } catch (error) {
+      logger.error('Remove course case error:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = courseService;
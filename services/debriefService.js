@@ -0,0 +1,128 @@
+// services/debriefService.js
+
+const normalizeText = (text) => String(text || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9\s]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// "Acute inferior STEMI" matches a differential of "STEMI" and the other way round
+const diagnosisMatches = (choice, diagnosis) => {
+  const a = normalizeText(choice);
+  const b = normalizeText(diagnosis);
+  return Boolean(a && b) && (a.includes(b) || b.includes(a));
+};
+
+const toPlain = (doc) => (doc && doc.toObject ? doc.toObject() : doc);
+
+const describeOption = (option) => (option ? {
+  optionId: option.optionId,
+  text: option.text,
+  explanation: option.explanation || null
+} : null);
+
+const debriefService = {
+  // Assemble the debrief from the case's own teaching content and the learner's answers
+  buildDebrief(progress, case_data, { performance, recommendations = [] } = {}) {
+    const steps = case_data.simulationSteps || [];
+    const performances = progress.stepPerformance || [];
+    const correctAnswers = performances.filter(p => p.isCorrect).length;
+
+    const missedSteps = [];
+    const correctSteps = [];
+
+    performances.forEach(perf => {
+      const step = steps.find(s => s.stepId === perf.stepId);
+      if (!step) return;
+
+      if (perf.isCorrect) {
+        correctSteps.push({ stepId: step.stepId, title: step.title });
+        return;
+      }
+
+      missedSteps.push(this.describeMissedStep(step, perf));
+    });
+
+    return {
+      sessionId: progress.sessionId,
+      caseTitle: case_data.title,
+      generatedAt: new Date(),
+      overview: {
+        finalScore: progress.score,
+        maxScore: progress.maxPossibleScore,
+        percentageScore: progress.percentageScore,
+        performance: performance || null,
+        accuracy: performances.length > 0 ? Math.round((correctAnswers / performances.length) * 100) : 0,
+        timeSpent: progress.timeSpent,
+        ending: progress.ending && progress.ending.endingId ? toPlain(progress.ending) : null
+      },
+      missedSteps,
+      correctSteps,
+      differential: this.compareDifferential(progress, case_data),
+      learningObjectives: [...new Set(steps.reduce((all, step) =>
+        all.concat((step.clinicalReasoning && step.clinicalReasoning.learningObjectives) || []), []))],
+      recommendations
+    };
+  },
+
+  describeMissedStep(step, perf) {
+    const options = step.options || [];
+    const reasoning = step.clinicalReasoning || {};
+    const correctOption = options.find(o => o.isCorrect) ||
+      options.find(o => o.optionId === step.correctAnswer);
+
+    const missed = {
+      stepId: step.stepId,
+      title: step.title,
+      question: step.question,
+      yourAnswer: describeOption(options.find(o => o.optionId === perf.selectedOption)),
+      correctAnswer: describeOption(correctOption),
+      timedOut: Boolean(perf.timedOut),
+      hintsUsed: perf.hintsUsed || 0,
+      keyPoints: [...(reasoning.keyPoints || [])],
+      commonMistakes: [...(reasoning.commonMistakes || [])],
+      references: [...(reasoning.references || [])]
+    };
+
+    if (step.stepType === 'order_entry') {
+      missed.missedOrders = [...(perf.missedOrders || [])];
+      missed.harmfulOrders = (perf.orders || []).filter(o => o.status === 'harmful').map(o => o.name);
+    }
+
+    return missed;
+  },
+
+  // Case differential against the diagnoses the learner picked on diagnosis steps
+  compareDifferential(progress, case_data) {
+    const diagnostics = case_data.diagnostics || {};
+    const steps = case_data.simulationSteps || [];
+
+    const learnerChoices = (progress.stepPerformance || [])
+      .map(perf => {
+        const step = steps.find(s => s.stepId === perf.stepId);
+        if (!step || step.stepType !== 'diagnosis') return null;
+        const option = (step.options || []).find(o => o.optionId === perf.selectedOption);
+        return option ? option.text : null;
+      })
+      .filter(Boolean);
+
+    const expected = (diagnostics.differentialDiagnosis || []).map(entry => ({
+      diagnosis: entry.diagnosis,
+      probability: entry.probability,
+      reasoning: entry.reasoning || null,
+      considered: learnerChoices.some(choice => diagnosisMatches(choice, entry.diagnosis))
+    }));
+
+    const known = [diagnostics.finalDiagnosis, ...expected.map(e => e.diagnosis)].filter(Boolean);
+
+    return {
+      finalDiagnosis: diagnostics.finalDiagnosis || null,
+      identifiedFinalDiagnosis: learnerChoices.some(choice => diagnosisMatches(choice, diagnostics.finalDiagnosis)),
+      expected,
+      learnerChoices,
+      unlistedChoices: learnerChoices.filter(choice => !known.some(d => diagnosisMatches(choice, d)))
+    };
+  }
+};
+
+module.exports = debriefService;
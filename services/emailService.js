@@ -41,6 +41,16 @@ const emailService = {
       logger.error('Case review email error:', error);
       throw error;
     }
+  },
+
+  async sendCourseInvitation(email, course, invitation) {
+    try {
+      logger.info(`Mock: Sending course invitation to ${email} for ${course.title}`);
+      return { success: true, messageId: 'mock-invitation-' + Date.now() };
+    } catch (error) {
+      logger.error('Course invitation email error:', error);
+      throw error;
+    }
   }
 };
 
@@ -89,6 +99,26 @@ try {
       logger.info(`Password reset email sent to ${user.email}`);
       return result;
     };
+
+    emailService.sendCourseInvitation = async (email, course, invitation) => {
+      const acceptUrl = `${process.env.FRONTEND_URL}/courses/invitations/${invitation.token}`;
+
+      const msg = {
+        to: email,
+        from: process.env.FROM_EMAIL || 'noreply@medicalsimulator.com',
+        subject: `You're invited to ${course.title}`,
+        html: `
+          <h1>Join ${course.title}</h1>
+          <p>Your instructor has invited you to their course on Medical Case Simulator.</p>
+          <a href="${acceptUrl}" style="background: #007bff; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Accept Invitation</a>
+          <p>The invitation expires on ${invitation.expiresAt.toDateString()}.</p>
+        `
+      };
+
+      const result = await sgMail.send(msg);
+      logger.info(`Course invitation sent to ${email}`);
+      return result;
+    };
   }
 } catch (error) {
   logger.warn('SendGrid not available, using mock email service');
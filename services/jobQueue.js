@@ -0,0 +1,493 @@
+// services/jobQueue.js
+const crypto = require('crypto');
+const { getRedisClient } = require('../config/redis');
+const jobsConfig = require('../config/jobs');
+const logger = require('../utils/logger');
+const { JOBS } = require('../utils/constants');
+
+// Per queue: "scheduled" and "active" sorted sets scored by run time and lease expiry, and a
+// "dead" set scored by failure time. Each job is a JSON string under jobs:job:<id>.
+const key = (...parts) => [JOBS.KEY_PREFIX, ...parts].join(':');
+const jobKey = (id) => key('job', id);
+
+const handlers = new Map();
+const repeatables = [];
+
+let pollTimer = null;
+let currentTick = null;
+let workedQueues = [];
+let socketServer = null;
+let socketSubscriber = null;
+
+const jobError = (message, status) => Object.assign(new Error(message), { status });
+
+const backoffMs = (attempts) => Math.min(JOBS.BACKOFF_BASE_MS * 2 ** (attempts - 1), JOBS.BACKOFF_MAX_MS);
+
+// Standard five-field cron: minute hour day-of-month month day-of-week (Sunday is 0 or 7)
+const CRON_FIELDS = [
+  { min: 0, max: 59 },
+  { min: 0, max: 23 },
+  { min: 1, max: 31 },
+  { min: 1, max: 12 },
+  { min: 0, max: 7, wrap: 7 }
+];
+
+const parseCronField = (field, { min, max, wrap }) => {
+  const values = new Set();
+
+  for (const part of field.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    let [from, to] = range === '*' ? [min, max] : range.split('-').map(Number);
+    if (to === undefined) to = stepText === undefined ? from : max;
+
+    if (![from, to, step].every(Number.isInteger) || step < 1 || from < min || to > max || from > to) {
+      throw jobError(`Invalid cron field "${field}"`, 400);
+    }
+
+    for (let value = from; value <= to; value += step) {
+      values.add(wrap ? value % wrap : value);
+    }
+  }
+
+  return values;
+};
+
+const parseCron = (expression) => {
+  const fields = String(expression).trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw jobError(`Cron expression "${expression}" must have five fields`, 400);
+  }
+
+  const [minutes, hours, days, months, weekdays] = fields.map((field, i) => parseCronField(field, CRON_FIELDS[i]));
+  return { minutes, hours, days, months, weekdays, anyDay: fields[2] === '*', anyWeekday: fields[4] === '*' };
+};
+
+// As in cron, a restricted day-of-month and day-of-week match when either one does
+const cronDayMatches = (cron, time) => {
+  const dayOfMonth = cron.days.has(time.getUTCDate());
+  const dayOfWeek = cron.weekdays.has(time.getUTCDay());
+  if (cron.anyDay) return dayOfWeek;
+  if (cron.anyWeekday) return dayOfMonth;
+  return dayOfMonth || dayOfWeek;
+};
+
+// First minute after `after` the expression fires at, in UTC
+const nextCronTime = (expression, after) => {
+  const cron = parseCron(expression);
+  const time = new Date(after);
+  time.setUTCSeconds(0, 0);
+  time.setUTCMinutes(time.getUTCMinutes() + 1);
+
+  // Far enough ahead to reach a 29 February
+  const limit = time.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+
+  while (time.getTime() <= limit) {
+    if (!cron.months.has(time.getUTCMonth() + 1) || !cronDayMatches(cron, time)) {
+      time.setUTCHours(24, 0, 0, 0);
+    } else if (!cron.hours.has(time.getUTCHours())) {
+      time.setUTCMinutes(60, 0, 0);
+    } else if (!cron.minutes.has(time.getUTCMinutes())) {
+      time.setUTCMinutes(time.getUTCMinutes() + 1);
+    } else {
+      return time;
+    }
+  }
+
+  throw jobError(`Cron expression "${expression}" never fires`, 400);
+};
+
+// Interval runs land on multiples of the interval, so every process picks the same slots
+const nextRunTime = (schedule, after) => (schedule.cron
+  ? nextCronTime(schedule.cron, after)
+  : new Date((Math.floor(after.getTime() / schedule.every) + 1) * schedule.every));
+
+const jobQueue = {
+  parseCron,
+  nextCronTime,
+  nextRunTime,
+
+  // Called by the modules in workers/ to say how each named job is done
+  define(queue, name, handler) {
+    handlers.set(`${queue}:${name}`, handler);
+  },
+
+  // Queue a job on a schedule: { cron: '0 3 * * *' } (UTC) or { every: milliseconds }
+  repeat(queue, name, schedule, data = {}) {
+    if (schedule.cron) {
+      parseCron(schedule.cron);
+    } else if (!(schedule.every > 0)) {
+      throw jobError(`Repeat schedule for ${queue}:${name} needs a cron expression or an interval`, 400);
+    }
+
+    repeatables.push({ queue, name, schedule, data, nextRunAt: null });
+  },
+
+  // Producers can queue work before any worker started; the handlers are loaded on first use
+  loadHandlers() {
+    if (handlers.size === 0) {
+      require('../workers');
+    }
+  },
+
+  queues() {
+    this.loadHandlers();
+    return [...new Set([...handlers.keys()].map(handlerKey => handlerKey.split(':')[0]))];
+  },
+
+  assertQueue(queue) {
+    if (!this.queues().includes(queue)) {
+      throw jobError('Queue not found', 404);
+    }
+  },
+
+  async execute(job) {
+    this.loadHandlers();
+    const handler = handlers.get(`${job.queue}:${job.name}`);
+    if (!handler) {
+      throw new Error(`No handler for ${job.queue} job "${job.name}"`);
+    }
+
+    return handler(job.data, job);
+  },
+
+  // Resolves to the queued job, or null when a job with the same jobId already exists
+  async add(queue, name, data = {}, { jobId = null, delay = 0, runAt = null, attempts = JOBS.MAX_ATTEMPTS } = {}, now = new Date()) {
+    const job = {
+      id: jobId || crypto.randomUUID(),
+      queue,
+      name,
+      data,
+      status: 'waiting',
+      attempts: 0,
+      maxAttempts: attempts,
+      lastError: null,
+      createdAt: now.toISOString(),
+      runAt: (runAt || new Date(now.getTime() + delay)).toISOString()
+    };
+
+    const client = getRedisClient();
+    if (!client) {
+      return this.runInline(job, now);
+    }
+
+    try {
+      const created = await client.set(jobKey(job.id), JSON.stringify(job), 'NX');
+      if (!created) return null;
+
+      await client.zadd(key(queue, 'scheduled'), new Date(job.runAt).getTime(), job.id);
+      return job;
+
+    } catch (error) {
+      // Losing the work is worse than doing it late in the request
+      logger.error(`Queue ${queue} unavailable, running job ${name} inline:`, error);
+      return this.runInline(job, now);
+    }
+  },
+
+  // Without Redis a job runs in this process, once, the way the work ran before it was queued
+  async runInline(job, now = new Date()) {
+    const run = async () => {
+      try {
+        job.attempts += 1;
+        await this.execute(job);
+        job.status = 'completed';
+      } catch (error) {
+        job.status = 'failed';
+        job.lastError = error.message;
+        logger.error(`Inline job ${job.queue}:${job.name} failed:`, error);
+      }
+    };
+
+    const delay = new Date(job.runAt).getTime() - now.getTime();
+    if (delay > 0) {
+      setTimeout(run, delay).unref();
+    } else {
+      await run();
+    }
+
+    return job;
+  },
+
+  // Claim and run the due jobs of one queue; resolves to how many this process ran
+  async poll(queue, now = new Date()) {
+    const client = getRedisClient();
+    if (!client) return 0;
+
+    await this.recoverExpired(queue, now);
+
+    const scheduledKey = key(queue, 'scheduled');
+    const ids = await client.zrangebyscore(scheduledKey, '-inf', now.getTime(), 'LIMIT', 0, JOBS.BATCH_SIZE);
+    let processed = 0;
+
+    for (const id of ids) {
+      // Only one process gets 1 back from ZREM, and that process owns the job
+      if (await client.zrem(scheduledKey, id) !== 1) continue;
+      await client.zadd(key(queue, 'active'), now.getTime() + JOBS.LEASE_MS, id);
+
+      const raw = await client.get(jobKey(id));
+      if (!raw) {
+        await client.zrem(key(queue, 'active'), id);
+        continue;
+      }
+
+      const job = { ...JSON.parse(raw), status: 'active', startedAt: now.toISOString() };
+      job.attempts += 1;
+      await client.set(jobKey(id), JSON.stringify(job));
+
+      try {
+        await this.execute(job);
+        await this.complete(job, now);
+      } catch (error) {
+        await this.fail(job, error, now);
+      }
+      processed++;
+    }
+
+    return processed;
+  },
+
+  async complete(job, now) {
+    const client = getRedisClient();
+    const finished = { ...job, status: 'completed', finishedAt: now.toISOString() };
+
+    await client.set(jobKey(job.id), JSON.stringify(finished), 'EX', JOBS.COMPLETED_TTL_SECONDS);
+    await client.zrem(key(job.queue, 'active'), job.id);
+    await client.incr(key(job.queue, 'completed'));
+  },
+
+  // Retry with exponential backoff until the attempts run out, then dead-letter
+  async fail(job, error, now) {
+    const client = getRedisClient();
+    job.lastError = error.message;
+    await client.zrem(key(job.queue, 'active'), job.id);
+
+    if (job.attempts < job.maxAttempts) {
+      job.status = 'waiting';
+      job.runAt = new Date(now.getTime() + backoffMs(job.attempts)).toISOString();
+      await client.set(jobKey(job.id), JSON.stringify(job));
+      await client.zadd(key(job.queue, 'scheduled'), new Date(job.runAt).getTime(), job.id);
+
+      logger.warn(`Job ${job.queue}:${job.name} ${job.id} failed (attempt ${job.attempts}/${job.maxAttempts}), retrying at ${job.runAt}: ${error.message}`);
+      return;
+    }
+
+    job.status = 'dead';
+    job.failedAt = now.toISOString();
+    await client.set(jobKey(job.id), JSON.stringify(job));
+    await client.zadd(key(job.queue, 'dead'), now.getTime(), job.id);
+    await client.incr(key(job.queue, 'deadLettered'));
+
+    logger.error(`Job ${job.queue}:${job.name} ${job.id} dead-lettered after ${job.attempts} attempts: ${error.message}`);
+  },
+
+  // Jobs whose worker died mid-run count as a failed attempt once their lease runs out
+  async recoverExpired(queue, now = new Date()) {
+    const client = getRedisClient();
+    const activeKey = key(queue, 'active');
+    const ids = await client.zrangebyscore(activeKey, '-inf', now.getTime());
+
+    for (const id of ids) {
+      if (await client.zrem(activeKey, id) !== 1) continue;
+
+      const raw = await client.get(jobKey(id));
+      if (raw) {
+        await this.fail(JSON.parse(raw), new Error('Worker stopped before the job finished'), now);
+      }
+    }
+  },
+
+  // Queue each repeat whose slot has come; every process uses the same job id for a slot, so it runs once
+  async scheduleRepeats(now = new Date()) {
+    for (const entry of repeatables) {
+      if (!workedQueues.includes(entry.queue)) continue;
+
+      if (!entry.nextRunAt) {
+        entry.nextRunAt = nextRunTime(entry.schedule, now);
+        continue;
+      }
+      if (entry.nextRunAt > now) continue;
+
+      const runAt = entry.nextRunAt;
+      entry.nextRunAt = nextRunTime(entry.schedule, now);
+
+      await this.add(entry.queue, entry.name, entry.data, {
+        jobId: `${entry.queue}:${entry.name}:${runAt.getTime()}`,
+        runAt
+      }, now);
+    }
+  },
+
+  async tick(now = new Date()) {
+    await this.scheduleRepeats(now);
+    for (const queue of workedQueues) {
+      await this.poll(queue, now);
+    }
+  },
+
+  start({ queues = null } = {}) {
+    if (pollTimer) return;
+
+    const known = this.queues();
+    workedQueues = queues ? queues.filter(queue => known.includes(queue)) : known;
+
+    pollTimer = setInterval(() => {
+      if (currentTick) return;
+
+      currentTick = this.tick()
+        .catch(error => logger.error('Job worker error:', error))
+        .finally(() => { currentTick = null; });
+    }, JOBS.POLL_INTERVAL_MS);
+
+    logger.info(`Job workers started for queues: ${workedQueues.join(', ')}`);
+  },
+
+  // Stops claiming jobs and waits for the ones already running
+  async stop() {
+    if (pollTimer) {
+      clearInterval(pollTimer);
+      pollTimer = null;
+    }
+    if (currentTick) {
+      await currentTick;
+    }
+    if (socketSubscriber) {
+      await socketSubscriber.quit().catch(() => {});
+      socketSubscriber = null;
+    }
+    workedQueues = [];
+    repeatables.forEach(entry => { entry.nextRunAt = null; });
+  },
+
+  // ==================== SOCKET EVENTS ====================
+
+  setSocketServer(io) {
+    socketServer = io;
+  },
+
+  // What notification jobs emit through: with Redis, events are published for every API process
+  // to pass on to its own sockets, so a job worked in the worker app still reaches the browser
+  socketEmitter() {
+    const client = getRedisClient();
+    if (!client) return socketServer;
+
+    const publish = (room, event, payload) => {
+      client.publish(JOBS.SOCKET_CHANNEL, JSON.stringify({ room, event, payload }))
+        .catch(error => logger.error('Socket event publish error:', error));
+      return true;
+    };
+
+    return {
+      to: (room) => ({ emit: (event, payload) => publish(room, event, payload) }),
+      emit: (event, payload) => publish(null, event, payload)
+    };
+  },
+
+  async relaySocketEvents() {
+    const client = getRedisClient();
+    if (!client || !socketServer || socketSubscriber) return;
+
+    socketSubscriber = client.duplicate();
+    socketSubscriber.on('message', (channel, message) => {
+      try {
+        const { room, event, payload } = JSON.parse(message);
+        (room ? socketServer.to(room) : socketServer).emit(event, payload);
+      } catch (error) {
+        logger.error('Socket event relay error:', error);
+      }
+    });
+
+    try {
+      await socketSubscriber.subscribe(JOBS.SOCKET_CHANNEL);
+    } catch (error) {
+      logger.error('Socket event relay subscribe error:', error);
+    }
+  },
+
+  // ==================== ADMIN ====================
+
+  async getStatus(now = new Date()) {
+    const client = getRedisClient();
+    const queues = this.queues();
+    const repeats = repeatables.map(({ queue, name, schedule, nextRunAt }) => ({ queue, name, schedule, nextRunAt }));
+
+    if (!client) {
+      return { backend: 'inline', inProcessWorkers: jobsConfig.IN_PROCESS, queues: queues.map(queue => ({ queue })), repeats };
+    }
+
+    const stats = await Promise.all(queues.map(async (queue) => {
+      const scheduledKey = key(queue, 'scheduled');
+      const [waiting, delayed, active, dead, completed, deadLettered] = await Promise.all([
+        client.zcount(scheduledKey, '-inf', now.getTime()),
+        client.zcount(scheduledKey, `(${now.getTime()}`, '+inf'),
+        client.zcard(key(queue, 'active')),
+        client.zcard(key(queue, 'dead')),
+        client.get(key(queue, 'completed')),
+        client.get(key(queue, 'deadLettered'))
+      ]);
+
+      return {
+        queue,
+        waiting,
+        delayed,
+        active,
+        dead,
+        completed: Number(completed) || 0,
+        deadLettered: Number(deadLettered) || 0
+      };
+    }));
+
+    return { backend: 'redis', inProcessWorkers: jobsConfig.IN_PROCESS, queues: stats, repeats };
+  },
+
+  async listDeadLetters(queue, { page = 1, limit = 50 } = {}) {
+    this.assertQueue(queue);
+    const client = getRedisClient();
+    if (!client) return { jobs: [], total: 0, page, pages: 0 };
+
+    const deadKey = key(queue, 'dead');
+    const start = (page - 1) * limit;
+    const [ids, total] = await Promise.all([
+      client.zrevrange(deadKey, start, start + limit - 1),
+      client.zcard(deadKey)
+    ]);
+    const records = ids.length > 0 ? await client.mget(ids.map(jobKey)) : [];
+
+    return {
+      jobs: records.filter(Boolean).map(record => JSON.parse(record)),
+      total,
+      page,
+      pages: Math.ceil(total / limit)
+    };
+  },
+
+  // Put dead letters (all, or the given ones) back in the queue with a fresh retry budget
+  async retryDeadLetters(queue, ids = null, now = new Date()) {
+    this.assertQueue(queue);
+    const client = getRedisClient();
+    if (!client) return 0;
+
+    const deadKey = key(queue, 'dead');
+    const targets = ids || await client.zrange(deadKey, 0, -1);
+    let retried = 0;
+
+    for (const id of targets) {
+      if (await client.zrem(deadKey, id) !== 1) continue;
+
+      const raw = await client.get(jobKey(id));
+      if (!raw) continue;
+
+      const job = { ...JSON.parse(raw), status: 'waiting', attempts: 0, runAt: now.toISOString() };
+      delete job.failedAt;
+      await client.set(jobKey(id), JSON.stringify(job));
+      await client.zadd(key(queue, 'scheduled'), now.getTime(), id);
+      retried++;
+    }
+
+    logger.info(`Jobs requeued from ${queue} dead letters: ${retried}`);
+
+    return retried;
+  }
+};
+
+module.exports = jobQueue;
@@ -0,0 +1,292 @@
+// services/leaderboardService.js
+const mongoose = require('mongoose');
+const moment = require('moment');
+const { Progress, Case, User } = require('../models');
+const { getRedisClient } = require('../config/redis');
+const courseService = require('./courseService');
+const jobQueue = require('./jobQueue');
+const logger = require('../utils/logger');
+const { CACHE_KEYS, LEADERBOARD } = require('../utils/constants');
+
+const leaderboardError = (message, status) => Object.assign(new Error(message), { status });
+
+// Stored in a board's cases hash: when the board was built from Progress. An empty board still counts
+// as built, and sessions that ended before the build, which it already ranks, aren't added again.
+const BUILT_FIELD = '_built';
+
+// Adds one session to a built board, atomically. A board that was never built, or expired since, is left
+// for its first read to rank from Progress. The scores set takes the board's TTL, since an empty board
+// has no scores set until its first increment.
+const INCREMENT_SCRIPT = `
+local built = redis.call('HGET', KEYS[2], '${BUILT_FIELD}')
+if not built or tonumber(ARGV[3]) < tonumber(built) then return 0 end
+redis.call('ZINCRBY', KEYS[1], ARGV[2], ARGV[1])
+redis.call('HINCRBY', KEYS[2], ARGV[1], 1)
+local ttl = redis.call('PTTL', KEYS[2])
+if ttl > 0 then redis.call('PEXPIRE', KEYS[1], ttl) end
+return 1
+`;
+
+const scopeId = (board) => {
+  if (board.scope === 'specialty') return `specialty:${board.specialty}`;
+  if (board.scope === 'course') return `course:${board.courseId}`;
+  return 'global';
+};
+
+// Rows arrive best first; ranks follow that order
+const paginate = (rows, { offset, limit, userId }) => {
+  const ranked = rows.map((row, index) => ({ ...row, rank: index + 1 }));
+  return {
+    total: ranked.length,
+    entries: ranked.slice(offset, offset + limit),
+    me: ranked.find(row => row.userId === userId) || null
+  };
+};
+
+const leaderboardService = {
+  getPeriod(window, now = new Date()) {
+    if (window === 'all_time') {
+      return { window, period: 'all', startsAt: null, endsAt: null };
+    }
+
+    const start = moment.utc(now).startOf(window === 'weekly' ? 'isoWeek' : 'month');
+    return {
+      window,
+      period: start.format('YYYY-MM-DD'),
+      startsAt: start.toDate(),
+      endsAt: start.clone().add(1, window === 'weekly' ? 'week' : 'month').toDate()
+    };
+  },
+
+  // Sorted set of points per learner, and a hash of their completed sessions
+  keysFor(board, period) {
+    const key = `${CACHE_KEYS.LEADERBOARD}:${scopeId(board)}:${period.window}:${period.period}`;
+    return { scores: key, cases: `${key}:cases` };
+  },
+
+  roomFor(board) {
+    return `leaderboard_${scopeId(board)}`;
+  },
+
+  // Points (the sum of percentage scores) and completions per learner straight from Progress, best first
+  async aggregate(board, period) {
+    const match = { status: 'completed' };
+    if (period.startsAt) {
+      match.endDate = { $gte: period.startsAt, $lt: period.endsAt };
+    }
+    if (board.scope === 'specialty') {
+      match.caseId = { $in: await Case.distinct('_id', { specialty: board.specialty }) };
+    }
+    if (board.scope === 'course') {
+      const learnerIds = await courseService.getLearnerIds([board.courseId]);
+      match.userId = { $in: learnerIds.map(id => new mongoose.Types.ObjectId(id)) };
+    }
+
+    const rows = await Progress.aggregate([
+      { $match: match },
+      { $group: { _id: '$userId', points: { $sum: { $ifNull: ['$percentageScore', 0] } }, cases: { $sum: 1 } } },
+      // Ties break the way ZREVRANGE breaks them: the higher member first
+      { $sort: { points: -1, _id: -1 } }
+    ]);
+
+    return rows.map(row => ({ userId: String(row._id), points: row.points, cases: row.cases }));
+  },
+
+  // Boards are built from Progress on first read and expire after REBUILD_AFTER_SECONDS
+  async ensureBuilt(client, board, period, now = new Date()) {
+    const keys = this.keysFor(board, period);
+    if (await client.exists(keys.cases)) return keys;
+
+    // Taken before the aggregate runs, so every session it ranks ended before the build time
+    const builtAt = now.getTime();
+    const rows = await this.aggregate(board, period);
+    const multi = client.multi().del(keys.scores, keys.cases);
+    if (rows.length) {
+      multi.zadd(keys.scores, ...rows.flatMap(row => [row.points, row.userId]));
+      multi.hset(keys.cases, ...rows.flatMap(row => [row.userId, row.cases]));
+    }
+    await multi
+      .hset(keys.cases, BUILT_FIELD, builtAt)
+      .expire(keys.scores, LEADERBOARD.REBUILD_AFTER_SECONDS)
+      .expire(keys.cases, LEADERBOARD.REBUILD_AFTER_SECONDS)
+      .exec();
+
+    return keys;
+  },
+
+  async readPage(client, keys, { offset, limit, userId }) {
+    const [page, total, myRank, myPoints] = await Promise.all([
+      client.zrevrange(keys.scores, offset, offset + limit - 1, 'WITHSCORES'),
+      client.zcard(keys.scores),
+      client.zrevrank(keys.scores, userId),
+      client.zscore(keys.scores, userId)
+    ]);
+
+    const entries = [];
+    for (let i = 0; i < page.length; i += 2) {
+      entries.push({ userId: page[i], points: Number(page[i + 1]), rank: offset + i / 2 + 1 });
+    }
+    const me = myRank === null ? null : { userId, points: Number(myPoints), rank: myRank + 1 };
+
+    const rows = me ? [...entries, me] : entries;
+    const cases = rows.length ? await client.hmget(keys.cases, ...rows.map(row => row.userId)) : [];
+    rows.forEach((row, index) => { row.cases = Number(cases[index]) || 0; });
+
+    return { total, entries, me };
+  },
+
+  async readAll(client, keys) {
+    const [scores, cases] = await Promise.all([
+      client.zrevrange(keys.scores, 0, -1, 'WITHSCORES'),
+      client.hgetall(keys.cases)
+    ]);
+
+    const rows = [];
+    for (let i = 0; i < scores.length; i += 2) {
+      rows.push({ userId: scores[i], points: Number(scores[i + 1]), cases: Number(cases[scores[i]]) || 0 });
+    }
+    return rows;
+  },
+
+  // One page of the ranking plus the viewer's own row. Course boards are read whole and narrowed
+  // to the current roster, so a dropped student leaves the board without waiting for a rebuild.
+  async rank(board, period, { offset, limit, userId, roster = null }, now = new Date()) {
+    const client = getRedisClient();
+    if (!client) {
+      return paginate(await this.aggregate(board, period), { offset, limit, userId });
+    }
+
+    const keys = await this.ensureBuilt(client, board, period, now);
+    if (!roster) {
+      return this.readPage(client, keys, { offset, limit, userId });
+    }
+
+    const rows = await this.readAll(client, keys);
+    return paginate(rows.filter(row => roster.has(row.userId)), { offset, limit, userId });
+  },
+
+  // Learners whose profile isn't public (or whose account is gone) are ranked but shown anonymously,
+  // except to themselves
+  async present(rows, viewer) {
+    const users = await User.find({ _id: { $in: rows.map(row => row.userId) } })
+      .select('profile.firstName profile.lastName profile.institution profile.avatar preferences.privacy isActive')
+      .lean();
+    const byId = new Map(users.map(user => [String(user._id), user]));
+
+    return rows.map(row => {
+      const user = byId.get(row.userId);
+      const isSelf = row.userId === String(viewer._id);
+      const visible = Boolean(user) && (isSelf || (user.isActive !== false &&
+        (user.preferences?.privacy?.profileVisibility || 'public') === 'public'));
+
+      return {
+        rank: row.rank,
+        points: row.points,
+        cases: row.cases,
+        averageScore: row.cases ? Math.round(row.points / row.cases) : 0,
+        isSelf,
+        user: visible
+          ? {
+            id: row.userId,
+            firstName: user.profile.firstName,
+            lastName: user.profile.lastName,
+            institution: user.profile.institution,
+            avatar: user.profile.avatar
+          }
+          : null
+      };
+    });
+  },
+
+  // The board a request or socket names, with the roster of a course board; course boards are for its members
+  async resolveBoard(user, { scope = 'global', specialty, courseId } = {}) {
+    if (!LEADERBOARD.SCOPES.includes(scope)) {
+      throw leaderboardError(`scope must be one of: ${LEADERBOARD.SCOPES.join(', ')}`, 400);
+    }
+
+    if (scope === 'specialty') {
+      if (!specialty) {
+        throw leaderboardError('specialty is required for a specialty leaderboard', 400);
+      }
+      return { board: { scope, specialty }, roster: null };
+    }
+
+    if (scope === 'course') {
+      if (!courseId) {
+        throw leaderboardError('courseId is required for a course leaderboard', 400);
+      }
+      const course = await courseService.assertCourseAccess(courseId, user);
+      const roster = course.students.filter(student => student.status === 'active').map(student => String(student.userId));
+      return { board: { scope, courseId: String(course._id) }, roster: new Set(roster) };
+    }
+
+    return { board: { scope: 'global' }, roster: null };
+  },
+
+  async getLeaderboard(user, { window = 'weekly', offset = 0, limit = LEADERBOARD.PAGE_SIZE, ...scope } = {}, now = new Date()) {
+    if (!LEADERBOARD.WINDOWS.includes(window)) {
+      throw leaderboardError(`window must be one of: ${LEADERBOARD.WINDOWS.join(', ')}`, 400);
+    }
+    const { board, roster } = await this.resolveBoard(user, scope);
+
+    const period = this.getPeriod(window, now);
+    const { total, entries, me } = await this.rank(board, period, { offset, limit, userId: String(user._id), roster }, now);
+    const presented = await this.present(me ? [...entries, me] : entries, user);
+
+    return {
+      scope: board.scope,
+      specialty: board.specialty,
+      courseId: board.courseId,
+      window,
+      period: period.period,
+      startsAt: period.startsAt,
+      endsAt: period.endsAt,
+      total,
+      entries: presented.slice(0, entries.length),
+      me: me ? presented[entries.length] : null
+    };
+  },
+
+  // Called after each completed session; never throws. Boards not built yet are left alone,
+  // since their first read ranks from Progress, this session included, and so are boards built
+  // after the session was saved.
+  async recordCompletion(progress, caseDoc, now = new Date()) {
+    try {
+      const courseIds = await courseService.getEnrolledCourseIds(progress.userId);
+      const boards = [
+        { scope: 'global' },
+        ...(caseDoc.specialty ? [{ scope: 'specialty', specialty: caseDoc.specialty }] : []),
+        ...courseIds.map(courseId => ({ scope: 'course', courseId: String(courseId) }))
+      ];
+
+      const client = getRedisClient();
+      if (client) {
+        const member = String(progress.userId);
+        const endedAt = progress.endDate || now;
+        for (const board of boards) {
+          for (const window of LEADERBOARD.WINDOWS) {
+            const keys = this.keysFor(board, this.getPeriod(window, endedAt));
+            await client.eval(INCREMENT_SCRIPT, 2, keys.scores, keys.cases,
+              member, progress.percentageScore || 0, new Date(endedAt).getTime());
+          }
+        }
+      }
+
+      // Clients watching a board refetch it; the event names no learner, so privacy holds
+      const io = jobQueue.socketEmitter();
+      if (io) {
+        boards.forEach(board => io.to(this.roomFor(board)).emit('leaderboard_updated', {
+          scope: board.scope,
+          specialty: board.specialty,
+          courseId: board.courseId,
+          windows: LEADERBOARD.WINDOWS,
+          updatedAt: now
+        }));
+      }
+    } catch (error) {
+      logger.error('Record leaderboard completion error:', error);
+    }
+  }
+};
+
+module.exports = leaderboardService;
@@ -0,0 +1,612 @@
+// services/ltiService.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { LtiPlatform, LtiResourceLink, Case, Course, Progress, User } = require('../models');
+const { redisUtils } = require('../config/redis');
+const ltiConfig = require('../config/lti');
+const courseService = require('./courseService');
+const { generateToken, generateRefreshToken } = require('../utils/auth');
+const logger = require('../utils/logger');
+const { LTI, USER_ROLES } = require('../utils/constants');
+
+const { CLAIMS, MESSAGE_TYPES } = LTI;
+
+const ltiError = (status, message) => Object.assign(new Error(message), { status });
+
+// Our roles from least to most privileged; LTI launches only ever raise a user's role
+const ROLE_RANK = [USER_ROLES.STUDENT, USER_ROLES.RESIDENT, USER_ROLES.ATTENDING, USER_ROLES.INSTRUCTOR, USER_ROLES.ADMIN];
+
+const PLATFORM_FIELDS = ['name', 'issuer', 'clientId', 'deploymentIds', 'authLoginUrl', 'authTokenUrl', 'keysetUrl', 'isActive'];
+
+// Signing key for this tool, loaded once
+let toolKey = null;
+
+// Platform key sets by URL: { keys, fetchedAt }
+const jwksCache = new Map();
+
+// Service access tokens by platform and scope: { token, expiresAt }
+const accessTokenCache = new Map();
+
+const randomId = () => crypto.randomBytes(16).toString('hex');
+
+const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, { ...options, signal: AbortSignal.timeout(LTI.HTTP_TIMEOUT_MS) });
+  if (!response.ok) {
+    throw new Error(`${options.method || 'GET'} ${url} failed with ${response.status}`);
+  }
+  const text = await response.text();
+  return text ? JSON.parse(text) : null;
+};
+
+// The AGS scores endpoint sits under the line item URL, before any query string
+const scoresUrl = (lineItem) => {
+  const [path, query] = lineItem.split('?');
+  return `${path.replace(/\/$/, '')}/scores${query ? `?${query}` : ''}`;
+};
+
+const ltiService = {
+  getToolKey() {
+    if (!toolKey) {
+      let privateKey;
+      if (ltiConfig.PRIVATE_KEY) {
+        privateKey = crypto.createPrivateKey(ltiConfig.PRIVATE_KEY);
+      } else {
+        logger.warn('LTI_PRIVATE_KEY is not set; platforms must refetch the tool key set after every restart');
+        privateKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+      }
+
+      const publicJwk = crypto.createPublicKey(privateKey).export({ format: 'jwk' });
+      const kid = ltiConfig.KEY_ID || crypto.createHash('sha256').update(publicJwk.n).digest('base64url').slice(0, 16);
+      toolKey = { privateKey, kid, jwk: { ...publicJwk, kid, alg: 'RS256', use: 'sig' } };
+    }
+    return toolKey;
+  },
+
+  getJwks() {
+    return { keys: [this.getToolKey().jwk] };
+  },
+
+  // What a platform administrator enters when registering the tool
+  getToolConfiguration() {
+    return {
+      title: 'Medical Case Simulator',
+      description: 'Interactive clinical case simulations with automatic grade passback',
+      oidc_initiation_url: ltiConfig.LOGIN_URL,
+      target_link_uri: ltiConfig.LAUNCH_URL,
+      redirect_uris: [ltiConfig.LAUNCH_URL],
+      jwks_uri: ltiConfig.JWKS_URL,
+      scopes: [LTI.SCORE_SCOPE],
+      messages: [
+        { type: MESSAGE_TYPES.RESOURCE_LINK },
+        { type: MESSAGE_TYPES.DEEP_LINKING }
+      ]
+    };
+  },
+
+  signToolJwt(payload, expiresIn = 300) {
+    const { privateKey, kid } = this.getToolKey();
+    return jwt.sign(payload, privateKey, { algorithm: 'RS256', keyid: kid, expiresIn });
+  },
+
+  mapRole(roles = []) {
+    return roles.reduce((best, uri) => {
+      const role = LTI.ROLE_MAP[String(uri).split('#').pop()];
+      return role && ROLE_RANK.indexOf(role) > ROLE_RANK.indexOf(best) ? role : best;
+    }, USER_ROLES.STUDENT);
+  },
+
+  isInstructorRole(role) {
+    return ROLE_RANK.indexOf(role) >= ROLE_RANK.indexOf(USER_ROLES.INSTRUCTOR);
+  },
+
+  // Step 1 of a launch: the platform's third-party login initiation; answered with a redirect to its OIDC endpoint
+  async startLogin(params) {
+    try {
+      const { iss, login_hint: loginHint, lti_message_hint: messageHint, client_id: clientId } = params;
+      if (!iss || !loginHint) {
+        throw ltiError(400, 'iss and login_hint are required');
+      }
+
+      const platform = await LtiPlatform.findOne({ issuer: iss, isActive: true, ...(clientId && { clientId }) });
+      if (!platform) {
+        throw ltiError(404, 'LTI platform is not registered');
+      }
+
+      const state = randomId();
+      const nonce = randomId();
+      const stored = await redisUtils.set(`lti_state_${state}`, { platformId: String(platform._id), nonce }, LTI.STATE_TTL_SECONDS);
+      if (!stored) {
+        throw ltiError(503, 'LTI launches are unavailable right now');
+      }
+
+      const query = new URLSearchParams({
+        scope: 'openid',
+        response_type: 'id_token',
+        response_mode: 'form_post',
+        prompt: 'none',
+        client_id: platform.clientId,
+        redirect_uri: ltiConfig.LAUNCH_URL,
+        login_hint: loginHint,
+        state,
+        nonce
+      });
+      if (messageHint) query.set('lti_message_hint', messageHint);
+
+      return `${platform.authLoginUrl}?${query}`;
+
+    } catch (error) {
+      logger.error('LTI login error:', error);
+      throw error;
+    }
+  },
+
+  async getPlatformKey(platform, kid) {
+    const lookup = (entry) => entry.keys.find(key => !kid || key.kid === kid);
+    const cached = jwksCache.get(platform.keysetUrl);
+    const fresh = cached && Date.now() - cached.fetchedAt < LTI.JWKS_CACHE_SECONDS * 1000;
+
+    let jwk = fresh ? lookup(cached) : null;
+    if (!jwk) {
+      // Unknown kid usually means the platform rotated its keys
+      const keySet = await fetchJson(platform.keysetUrl);
+      const entry = { keys: (keySet && keySet.keys) || [], fetchedAt: Date.now() };
+      jwksCache.set(platform.keysetUrl, entry);
+      jwk = lookup(entry);
+    }
+    if (!jwk) {
+      throw ltiError(401, 'Launch was signed with an unknown key');
+    }
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  },
+
+  // Step 2: check the id_token posted back from the platform against the state issued at login
+  async validateIdToken(idToken, state) {
+    if (!idToken || !state) {
+      throw ltiError(400, 'id_token and state are required');
+    }
+
+    const launchState = await redisUtils.get(`lti_state_${state}`);
+    if (!launchState) {
+      throw ltiError(401, 'Launch state is invalid or has expired');
+    }
+    await redisUtils.del(`lti_state_${state}`);
+
+    const decoded = jwt.decode(idToken, { complete: true });
+    const platform = await LtiPlatform.findById(launchState.platformId);
+    if (!decoded || !platform || !platform.isActive) {
+      throw ltiError(401, 'Launch could not be verified');
+    }
+
+    let claims;
+    try {
+      const key = await this.getPlatformKey(platform, decoded.header.kid);
+      claims = jwt.verify(idToken, key, {
+        algorithms: ['RS256'],
+        issuer: platform.issuer,
+        audience: platform.clientId,
+        clockTolerance: 5
+      });
+    } catch (error) {
+      if (error.status) throw error;
+      throw ltiError(401, `Launch could not be verified: ${error.message}`);
+    }
+
+    if (claims.nonce !== launchState.nonce) {
+      throw ltiError(401, 'Launch nonce does not match');
+    }
+    if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== platform.clientId) {
+      throw ltiError(401, 'Launch was issued to another client');
+    }
+    if (claims[CLAIMS.VERSION] !== LTI.VERSION) {
+      throw ltiError(400, 'Only LTI 1.3 launches are supported');
+    }
+
+    const deploymentId = claims[CLAIMS.DEPLOYMENT_ID];
+    if (!deploymentId || (platform.deploymentIds.length > 0 && !platform.deploymentIds.includes(deploymentId))) {
+      throw ltiError(403, 'Deployment is not registered for this platform');
+    }
+    if (!Object.values(MESSAGE_TYPES).includes(claims[CLAIMS.MESSAGE_TYPE]) ||
+        claims[CLAIMS.MESSAGE_TYPE] === MESSAGE_TYPES.DEEP_LINKING_RESPONSE) {
+      throw ltiError(400, 'Unsupported LTI message type');
+    }
+    if (!claims.sub) {
+      throw ltiError(400, 'Anonymous launches are not supported');
+    }
+
+    return { platform, claims };
+  },
+
+  // Just-in-time account for the LMS user. Accounts are found only through their LMS identity: the
+  // platform's email claim is unverified, so an existing account with that address is never linked,
+  // and a launch never changes an existing account's role.
+  async provisionUser(platform, claims) {
+    const identity = { issuer: platform.issuer, subject: String(claims.sub) };
+    const email = claims.email ? String(claims.email).toLowerCase() : null;
+
+    let user = await User.findOne({ ltiIdentities: { $elemMatch: identity } });
+
+    if (!user) {
+      const emailTaken = email && await User.exists({ email });
+      const placeholder = `lti-${crypto.createHash('sha256').update(`${identity.issuer}|${identity.subject}`).digest('hex').slice(0, 24)}@lti.invalid`;
+
+      user = new User({
+        email: email && !emailTaken ? email : placeholder,
+        // LMS users sign in through their LMS; this password is never handed out
+        password: crypto.randomBytes(24).toString('hex'),
+        profile: {
+          firstName: (claims.given_name || (claims.name || '').split(' ')[0] || 'LTI').slice(0, 50),
+          lastName: (claims.family_name || (claims.name || '').split(' ').slice(1).join(' ') || 'User').slice(0, 50)
+        },
+        role: this.mapRole(claims[CLAIMS.ROLES]),
+        emailVerified: Boolean(email && !emailTaken),
+        ltiIdentities: [identity]
+      });
+      logger.info(`LTI user provisioned for ${identity.issuer} subject ${identity.subject}`);
+    }
+
+    if (!user.isActive) {
+      throw ltiError(403, 'Account is disabled');
+    }
+
+    user.lastLogin = new Date();
+    user.statistics.loginCount = (user.statistics.loginCount || 0) + 1;
+    await user.save();
+
+    return user;
+  },
+
+  // The LMS course becomes a course here; the first instructor launch creates it, later launches fill the roster
+  async syncCourse(platform, claims, user, role) {
+    const context = claims[CLAIMS.CONTEXT];
+    if (!context || !context.id) return null;
+
+    let course = await Course.findOne({ 'lti.platform': platform._id, 'lti.contextId': String(context.id) });
+
+    if (!course) {
+      if (!this.isInstructorRole(role)) return null;
+
+      return courseService.createCourse(user, {
+        title: (context.title || context.label || 'LMS course').slice(0, 200),
+        code: context.label ? String(context.label).slice(0, 40) : undefined,
+        joinCodeEnabled: false,
+        lti: { platform: platform._id, contextId: String(context.id) }
+      });
+    }
+
+    if (this.isInstructorRole(role)) {
+      if (!courseService.isInstructor(course, user)) {
+        course.instructors.push(user._id);
+        await course.save();
+      }
+    } else if (courseService.enroll(course, user._id, 'lti')) {
+      await course.save();
+    }
+
+    return course;
+  },
+
+  async issueTokens(user) {
+    const accessToken = generateToken(user);
+    const refreshToken = generateRefreshToken(user);
+    user.refreshTokens.push({ token: refreshToken });
+    await user.save();
+    return { accessToken, refreshToken };
+  },
+
+  // Step 3: verified launch in, frontend redirect out
+  async handleLaunch({ id_token: idToken, state }) {
+    try {
+      const { platform, claims } = await this.validateIdToken(idToken, state);
+      const role = this.mapRole(claims[CLAIMS.ROLES]);
+      const user = await this.provisionUser(platform, claims);
+      const course = await this.syncCourse(platform, claims, user, role);
+      const tokens = await this.issueTokens(user);
+      const fragment = new URLSearchParams(tokens);
+
+      if (claims[CLAIMS.MESSAGE_TYPE] === MESSAGE_TYPES.DEEP_LINKING) {
+        const deepLinkId = await this.startDeepLinking(platform, claims, user, role, course);
+        fragment.set('deepLinkId', deepLinkId);
+        return { type: 'deep_link', redirectUrl: `${process.env.FRONTEND_URL}/lti/deep-link#${fragment}` };
+      }
+
+      const session = await this.launchResourceLink(platform, claims, user, course);
+      fragment.set('sessionId', session.sessionId);
+      fragment.set('caseId', String(session.caseId));
+      return { type: 'resource_link', redirectUrl: `${process.env.FRONTEND_URL}/lti/launch#${fragment}` };
+
+    } catch (error) {
+      logger.error('LTI launch error:', error);
+      throw error;
+    }
+  },
+
+  async startDeepLinking(platform, claims, user, role, course) {
+    const settings = claims[CLAIMS.DEEP_LINKING_SETTINGS];
+    if (!settings || !settings.deep_link_return_url) {
+      throw ltiError(400, 'Deep linking settings are missing');
+    }
+    if (!this.isInstructorRole(role)) {
+      throw ltiError(403, 'Only instructors can add cases to the LMS');
+    }
+
+    const deepLinkId = randomId();
+    const stored = await redisUtils.set(`lti_deep_link_${deepLinkId}`, {
+      platformId: String(platform._id),
+      deploymentId: claims[CLAIMS.DEPLOYMENT_ID],
+      userId: String(user._id),
+      courseId: course ? String(course._id) : null,
+      returnUrl: settings.deep_link_return_url,
+      acceptMultiple: settings.accept_multiple !== false,
+      data: settings.data
+    }, LTI.DEEP_LINK_TTL_SECONDS);
+    if (!stored) {
+      throw ltiError(503, 'LTI launches are unavailable right now');
+    }
+
+    return deepLinkId;
+  },
+
+  // Resume the learner's unfinished session for this link, or start one
+  async launchResourceLink(platform, claims, user, course) {
+    const resourceLink = claims[CLAIMS.RESOURCE_LINK];
+    if (!resourceLink || !resourceLink.id) {
+      throw ltiError(400, 'Resource link is missing');
+    }
+
+    let link = await LtiResourceLink.findOne({ platform: platform._id, resourceLinkId: String(resourceLink.id) });
+    if (!link) {
+      link = new LtiResourceLink({ platform: platform._id, resourceLinkId: String(resourceLink.id) });
+    }
+
+    const custom = claims[CLAIMS.CUSTOM] || {};
+    if (custom.caseId && mongoose.Types.ObjectId.isValid(custom.caseId)) {
+      link.caseId = custom.caseId;
+    }
+    if (!link.caseId) {
+      throw ltiError(404, 'This LMS link is not connected to a case');
+    }
+
+    const ags = claims[CLAIMS.AGS_ENDPOINT];
+    Object.assign(link, {
+      deploymentId: claims[CLAIMS.DEPLOYMENT_ID],
+      contextId: claims[CLAIMS.CONTEXT] ? String(claims[CLAIMS.CONTEXT].id) : undefined,
+      course: course ? course._id : link.course,
+      title: resourceLink.title || link.title,
+      lineItem: ags && ags.lineitem,
+      lineItems: ags && ags.lineitems,
+      scopes: (ags && ags.scope) || [],
+      lastLaunchAt: new Date()
+    });
+    await link.save();
+
+    const unfinished = await Progress.findOne({
+      userId: user._id,
+      caseId: link.caseId,
+      'lti.link': link._id,
+      status: { $in: ['started', 'paused'] }
+    }).sort({ startDate: -1 });
+    if (unfinished) {
+      return { sessionId: unfinished.sessionId, caseId: link.caseId };
+    }
+
+    // Required here: simulationService reports completed LTI sessions back to this service
+    const simulationService = require('./simulationService');
+    const session = await simulationService.createSimulationSession(user._id, link.caseId, {
+      lti: { link: link._id, subject: String(claims.sub), scoreStatus: 'pending' }
+    });
+
+    return { sessionId: session.sessionId, caseId: link.caseId };
+  },
+
+  // The instructor's case picks, as a signed deep linking response for the frontend to post to the platform
+  async createDeepLinkResponse(deepLinkId, user, caseIds) {
+    try {
+      const settings = await redisUtils.get(`lti_deep_link_${deepLinkId}`);
+      if (!settings) {
+        throw ltiError(404, 'Deep linking request not found or expired');
+      }
+      if (settings.userId !== String(user._id)) {
+        throw ltiError(403, 'This deep linking request belongs to another user');
+      }
+      if (!settings.acceptMultiple && caseIds.length > 1) {
+        throw ltiError(400, 'The platform accepts a single case here');
+      }
+
+      const cases = await Case.find({ _id: { $in: caseIds }, 'metadata.status': 'published' }).select('title description');
+      if (cases.length !== new Set(caseIds.map(String)).size) {
+        throw ltiError(400, 'Only published cases can be linked');
+      }
+
+      const platform = await LtiPlatform.findById(settings.platformId);
+      if (!platform) {
+        throw ltiError(404, 'LTI platform is not registered');
+      }
+
+      const contentItems = cases.map(caseDoc => ({
+        type: 'ltiResourceLink',
+        title: caseDoc.title,
+        text: caseDoc.description,
+        url: ltiConfig.LAUNCH_URL,
+        custom: { caseId: String(caseDoc._id) },
+        lineItem: { scoreMaximum: LTI.SCORE_MAXIMUM, label: caseDoc.title, resourceId: String(caseDoc._id) }
+      }));
+
+      const token = this.signToolJwt({
+        iss: platform.clientId,
+        aud: platform.issuer,
+        nonce: randomId(),
+        [CLAIMS.MESSAGE_TYPE]: MESSAGE_TYPES.DEEP_LINKING_RESPONSE,
+        [CLAIMS.VERSION]: LTI.VERSION,
+        [CLAIMS.DEPLOYMENT_ID]: settings.deploymentId,
+        [CLAIMS.CONTENT_ITEMS]: contentItems,
+        ...(settings.data && { [CLAIMS.DEEP_LINKING_DATA]: settings.data })
+      });
+
+      // Learners of the LMS course need to see course-only cases
+      if (settings.courseId) {
+        await Course.updateOne({ _id: settings.courseId }, { $addToSet: { cases: { $each: cases.map(c => c._id) } } });
+      }
+
+      await redisUtils.del(`lti_deep_link_${deepLinkId}`);
+
+      return { returnUrl: settings.returnUrl, jwt: token, contentItems };
+
+    } catch (error) {
+      logger.error('LTI deep linking error:', error);
+      throw error;
+    }
+  },
+
+  // OAuth2 client credentials grant with a signed client assertion
+  async getAccessToken(platform, scopes) {
+    const cacheKey = `${platform._id}|${scopes.join(' ')}`;
+    const cached = accessTokenCache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.token;
+    }
+
+    const assertion = this.signToolJwt({
+      iss: platform.clientId,
+      sub: platform.clientId,
+      aud: platform.authTokenUrl,
+      jti: randomId()
+    });
+
+    const response = await fetchJson(platform.authTokenUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({
+        grant_type: 'client_credentials',
+        client_assertion_type: 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer',
+        client_assertion: assertion,
+        scope: scopes.join(' ')
+      }).toString()
+    });
+
+    if (!response || !response.access_token) {
+      throw new Error('Platform did not return an access token');
+    }
+
+    // Refresh a minute early
+    const lifetime = Math.max((response.expires_in || 3600) - 60, 0);
+    accessTokenCache.set(cacheKey, { token: response.access_token, expiresAt: Date.now() + lifetime * 1000 });
+
+    return response.access_token;
+  },
+
+  // Post a completed session's score to the LMS gradebook. Failures are recorded on the session, never thrown.
+  async passbackScore(progress) {
+    if (!progress.lti || !progress.lti.link) return false;
+
+    const record = (update) => Progress.updateOne({ _id: progress._id }, {
+      $set: Object.fromEntries(Object.entries(update).map(([key, value]) => [`lti.${key}`, value]))
+    });
+
+    try {
+      const link = await LtiResourceLink.findById(progress.lti.link);
+      if (!link || !link.lineItem || !link.scopes.includes(LTI.SCORE_SCOPE)) {
+        await record({ scoreStatus: 'unavailable', scoreError: 'The platform did not grant score passback for this link' });
+        return false;
+      }
+
+      const platform = await LtiPlatform.findById(link.platform);
+      if (!platform || !platform.isActive) {
+        await record({ scoreStatus: 'unavailable', scoreError: 'LTI platform is no longer registered' });
+        return false;
+      }
+
+      const token = await this.getAccessToken(platform, [LTI.SCORE_SCOPE]);
+      await fetchJson(scoresUrl(link.lineItem), {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${token}`,
+          'Content-Type': 'application/vnd.ims.lis.v1.score+json'
+        },
+        body: JSON.stringify({
+          userId: progress.lti.subject,
+          scoreGiven: progress.percentageScore,
+          scoreMaximum: LTI.SCORE_MAXIMUM,
+          activityProgress: 'Completed',
+          gradingProgress: 'FullyGraded',
+          timestamp: (progress.endDate || new Date()).toISOString()
+        })
+      });
+
+      await record({ scoreStatus: 'sent', scoreSentAt: new Date(), scoreError: null });
+      logger.info(`LTI score sent for session ${progress.sessionId}: ${progress.percentageScore}%`);
+      return true;
+
+    } catch (error) {
+      logger.error(`LTI score passback failed for session ${progress.sessionId}:`, error);
+      await record({ scoreStatus: 'failed', scoreError: error.message }).catch(() => {});
+      return false;
+    }
+  },
+
+  async listPlatforms() {
+    return LtiPlatform.find().sort({ createdAt: -1 });
+  },
+
+  async createPlatform(user, data) {
+    try {
+      if (await LtiPlatform.exists({ issuer: data.issuer, clientId: data.clientId })) {
+        throw ltiError(409, 'This platform and client ID are already registered');
+      }
+
+      const platform = new LtiPlatform({ ...data, createdBy: user._id });
+      await platform.save();
+
+      logger.info(`LTI platform registered: ${platform.issuer} (${platform.clientId}) by ${user._id}`);
+
+      return platform;
+
+    } catch (error) {
+      logger.error('Create LTI platform error:', error);
+      throw error;
+    }
+  },
+
+  async loadPlatform(platformId) {
+    const platform = mongoose.Types.ObjectId.isValid(platformId) ? await LtiPlatform.findById(platformId) : null;
+    if (!platform) {
+      throw ltiError(404, 'LTI platform not found');
+    }
+    return platform;
+  },
+
+  async updatePlatform(platformId, updates) {
+    try {
+      const platform = await this.loadPlatform(platformId);
+
+      PLATFORM_FIELDS.forEach(field => {
+        if (updates[field] !== undefined) platform[field] = updates[field];
+      });
+      await platform.save();
+
+      // Key set URL may have changed
+      jwksCache.clear();
+
+      return platform;
+
+    } catch (error) {
+      logger.error('Update LTI platform error:', error);
+      throw error;
+    }
+  },
+
+  async deletePlatform(platformId) {
+    try {
+      const platform = await this.loadPlatform(platformId);
+      await LtiPlatform.deleteOne({ _id: platform._id });
+
+      logger.info(`LTI platform removed: ${platform.issuer} (${platform.clientId})`);
+
+    } catch (error) {
+      logger.error('Delete LTI platform error:', error);
+      throw error;
+    }
+  }
+};
+
+module.exports = ltiService;
@@ -0,0 +1,259 @@
+// services/monitoringService.js
+const mongoose = require('mongoose');
+const { Progress, User } = require('../models');
+const simulationService = require('./simulationService');
+const courseService = require('./courseService');
+const logger = require('../utils/logger');
+const { MONITORING, INTERVENTION_TYPES } = require('../utils/constants');
+
+const monitoringError = (status, message) => Object.assign(new Error(message), { status });
+
+const userName = (user) => (user && user.profile
+  ? `${user.profile.firstName} ${user.profile.lastName}`.trim()
+  : null);
+
+// Wrong answers at the end of the step history
+const countWrongStreak = (stepPerformance) => {
+  let streak = 0;
+  for (let i = stepPerformance.length - 1; i >= 0 && !stepPerformance[i].isCorrect; i--) {
+    streak += 1;
+  }
+  return streak;
+};
+
+const monitoringService = {
+  // Which running sessions a subscription covers: a case, a course, an institution and/or a list of learners
+  normalizeScope({ caseId, courseId, institution, learnerIds } = {}) {
+    const ids = (Array.isArray(learnerIds) ? learnerIds : String(learnerIds || '').split(','))
+      .map(id => String(id).trim())
+      .filter(id => mongoose.Types.ObjectId.isValid(id));
+
+    return {
+      caseId: caseId && mongoose.Types.ObjectId.isValid(caseId) ? String(caseId) : undefined,
+      courseId: courseId && mongoose.Types.ObjectId.isValid(courseId) ? String(courseId) : undefined,
+      institution: institution ? String(institution).trim() : undefined,
+      learnerIds: ids.length > 0 ? ids : undefined
+    };
+  },
+
+  // A viewer narrows the scope to the learners they may see: instructors only watch their own students
+  async buildSessionFilter(scope, viewer = null) {
+    const filter = { status: { $in: ['started', 'paused'] } };
+    if (scope.caseId) filter.caseId = scope.caseId;
+
+    let learnerIds = scope.learnerIds;
+    const narrow = (allowed) => {
+      learnerIds = learnerIds ? learnerIds.filter(id => allowed.includes(id)) : allowed;
+    };
+
+    if (scope.institution) {
+      const members = await User.find({ 'profile.institution': scope.institution }).select('_id');
+      narrow(members.map(user => String(user._id)));
+    }
+    if (viewer) {
+      const visibleIds = await courseService.getScopedLearnerIds(viewer, scope.courseId);
+      if (visibleIds) narrow(visibleIds);
+    } else if (scope.courseId) {
+      narrow(await courseService.getLearnerIds([scope.courseId]));
+    }
+    if (learnerIds) filter.userId = { $in: learnerIds };
+
+    return filter;
+  },
+
+  // Why a learner needs attention; an empty list means they are on track
+  getFlags(progress, timing, now = new Date()) {
+    const flags = [];
+    const answered = progress.stepPerformance.length;
+    const wrongStreak = countWrongStreak(progress.stepPerformance);
+
+    if (wrongStreak >= MONITORING.WRONG_STREAK) {
+      flags.push({ type: 'repeated_wrong', message: `${wrongStreak} wrong answers in a row` });
+    }
+    if (progress.status === 'started' && timing && timing.elapsedSeconds >= MONITORING.STALL_SECONDS) {
+      flags.push({ type: 'stalled', message: `${Math.round(timing.elapsedSeconds / 60)} minutes on the current step` });
+    }
+    if (progress.status === 'started' && timing && timing.late) {
+      flags.push({ type: 'over_time_limit', message: `${timing.overtimeSeconds} seconds past the step time limit` });
+    }
+    if (answered >= MONITORING.MIN_STEPS_FOR_SCORE) {
+      const accuracy = Math.round((progress.stepPerformance.filter(p => p.isCorrect).length / answered) * 100);
+      if (accuracy < MONITORING.LOW_SCORE_PERCENT) {
+        flags.push({ type: 'low_accuracy', message: `${accuracy}% of answers correct` });
+      }
+    }
+    if (progress.deteriorationEvents.length > 0) {
+      flags.push({ type: 'patient_deteriorated', message: `${progress.deteriorationEvents.length} deterioration event(s)` });
+    }
+
+    return flags;
+  },
+
+  // Live view of every running session in scope, struggling learners first
+  async getLiveSessions(rawScope = {}, now = new Date(), viewer = null) {
+    try {
+      const scope = this.normalizeScope(rawScope);
+      const sessions = await Progress.find(await this.buildSessionFilter(scope, viewer))
+        .sort({ updatedAt: -1 })
+        .limit(MONITORING.MAX_SESSIONS);
+
+      const learners = await User.find({ _id: { $in: sessions.map(p => p.userId) } }).select('email profile');
+      const learnerById = new Map(learners.map(user => [String(user._id), user]));
+      const cases = new Map();
+
+      const rows = [];
+      for (const progress of sessions) {
+        const caseKey = `${progress.caseId}:${progress.caseVersion || ''}`;
+        if (!cases.has(caseKey)) {
+          cases.set(caseKey, await simulationService.getSessionCase(progress));
+        }
+        const case_data = cases.get(caseKey);
+        const step = case_data && case_data.simulationSteps.find(s => s.stepId === progress.currentStepId);
+        const timing = step ? simulationService.getStepTiming(progress, step, now) : null;
+        const learner = learnerById.get(String(progress.userId));
+
+        rows.push({
+          sessionId: progress.sessionId,
+          status: progress.status,
+          learner: {
+            id: progress.userId,
+            name: userName(learner),
+            email: learner ? learner.email : null
+          },
+          case: case_data ? { id: case_data._id, title: case_data.title } : { id: progress.caseId },
+          team: Boolean(progress.team && progress.team.host),
+          currentStep: step ? { stepId: step.stepId, title: step.title } : null,
+          stepsCompleted: progress.stepsCompleted,
+          totalSteps: progress.totalSteps,
+          score: progress.score,
+          maxScore: progress.maxPossibleScore,
+          timeOnStep: timing ? timing.elapsedSeconds : null,
+          timeLimit: timing ? timing.timeLimit : null,
+          idleSeconds: Math.max(0, Math.round((now - new Date(progress.updatedAt || now)) / 1000)),
+          wrongStreak: countWrongStreak(progress.stepPerformance),
+          interventions: progress.interventions.length,
+          flags: this.getFlags(progress, timing, now)
+        });
+      }
+
+      rows.sort((a, b) => b.flags.length - a.flags.length);
+
+      return {
+        generatedAt: now,
+        scope,
+        summary: {
+          sessions: rows.length,
+          struggling: rows.filter(row => row.flags.length > 0).length,
+          paused: rows.filter(row => row.status === 'paused').length
+        },
+        sessions: rows
+      };
+
+    } catch (error) {
+      logger.error('Get live sessions error:', error);
+      throw error;
+    }
+  },
+
+  // Apply an instructor action to a running session and record it on the learner's progress
+  async intervene(io, instructor, sessionId, { type, message, stepId } = {}) {
+    try {
+      if (!INTERVENTION_TYPES.includes(type)) {
+        throw monitoringError(400, `Intervention type must be one of ${INTERVENTION_TYPES.join(', ')}`);
+      }
+
+      const progress = await Progress.findOne({ sessionId });
+      if (!progress) {
+        throw monitoringError(404, 'Session not found');
+      }
+      if (instructor.role !== 'admin') {
+        const visibleIds = await courseService.getScopedLearnerIds(instructor);
+        if (!visibleIds.includes(String(progress.userId))) {
+          throw monitoringError(403, 'Learner is not enrolled in any of your courses');
+        }
+      }
+      if (!['started', 'paused'].includes(progress.status)) {
+        throw monitoringError(409, 'Session is not running');
+      }
+
+      let targetStepId = progress.currentStepId;
+      let result = null;
+
+      switch (type) {
+        case 'hint':
+        case 'message':
+          if (!message || !String(message).trim()) {
+            throw monitoringError(400, 'A message is required');
+          }
+          break;
+        case 'pause':
+          if (progress.status !== 'started') {
+            throw monitoringError(409, 'Session is already paused');
+          }
+          result = await simulationService.pauseSimulation(sessionId, progress.userId);
+          break;
+        case 'resume':
+          if (progress.status !== 'paused') {
+            throw monitoringError(409, 'Session is not paused');
+          }
+          result = await simulationService.resumeSimulation(sessionId, progress.userId);
+          break;
+        case 'unlock_step':
+          targetStepId = stepId || progress.currentStepId;
+          result = await simulationService.unlockStep(sessionId, targetStepId, instructor._id);
+          break;
+      }
+
+      const intervention = {
+        type,
+        instructor: instructor._id,
+        stepId: targetStepId,
+        message: message ? String(message).trim() : undefined,
+        timestamp: new Date()
+      };
+      await Progress.updateOne({ sessionId }, { $push: { interventions: intervention } });
+
+      this.notifyLearner(io, progress, intervention, instructor, result);
+
+      logger.info(`Intervention ${type} on session ${sessionId} by instructor: ${instructor._id}`);
+
+      return { intervention, result };
+
+    } catch (error) {
+      logger.error('Intervention error:', error);
+      throw error;
+    }
+  },
+
+  notifyLearner(io, progress, intervention, instructor, result) {
+    if (!io) return;
+
+    const rooms = [`user_${progress.userId}`, `simulation_${progress.sessionId}`];
+    if (progress.team && progress.team.host) {
+      rooms.push(`team_${progress.sessionId}`);
+    }
+
+    const from = { name: userName(instructor), role: instructor.role };
+    io.to(rooms).emit('session_intervention', {
+      sessionId: progress.sessionId,
+      type: intervention.type,
+      stepId: intervention.stepId,
+      message: intervention.message,
+      instructor: from,
+      result,
+      timestamp: intervention.timestamp
+    });
+
+    // Clients written for the original broadcast-only event keep receiving messages and hints
+    if (['hint', 'message'].includes(intervention.type)) {
+      io.to(rooms).emit('instructor_message', {
+        message: intervention.type === 'message' ? intervention.message : undefined,
+        hint: intervention.type === 'hint' ? intervention.message : undefined,
+        instructor: from,
+        timestamp: intervention.timestamp
+      });
+    }
+  }
+};
+
+module.exports = monitoringService;
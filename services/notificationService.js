@@ -1,28 +1,69 @@
-// services/notificationService.js (CORRECTED VERSION)
-const { getRedisClient } = require('../config/redis');
+// services/notificationService.js
+const mongoose = require('mongoose');
+const { Notification, User } = require('../models');
 const emailService = require('./emailService');
 const logger = require('../utils/logger');
+const { NOTIFICATION_TYPES, NOTIFICATION } = require('../utils/constants');
+
+// What sockets and the REST API get for a stored notification
+const toPayload = (notification) => ({
+  id: notification._id,
+  type: notification.type,
+  title: notification.title,
+  message: notification.message,
+  data: notification.data || {},
+  priority: notification.priority,
+  timestamp: notification.createdAt,
+  read: notification.read,
+  readAt: notification.readAt || null
+});
+
+const typeSettings = (settings) => {
+  const types = settings && settings.types;
+  if (!types) return {};
+  return types instanceof Map ? Object.fromEntries(types) : types;
+};
+
+// A type's own setting wins. Otherwise email follows the user's email switch and in-app is on.
+const channelEnabled = (preferences, type, channel) => {
+  const settings = (preferences && preferences.notifications) || {};
+  const own = typeSettings(settings)[type];
+
+  if (own && typeof own[channel] === 'boolean') return own[channel];
+  return channel === 'email' ? settings.email !== false : true;
+};
+
+const describePreferences = (preferences) => {
+  const settings = (preferences && preferences.notifications) || {};
+
+  return {
+    email: settings.email !== false,
+    push: settings.push !== false,
+    types: Object.fromEntries(NOTIFICATION_TYPES.map(type => [type, {
+      inApp: channelEnabled(preferences, type, 'inApp'),
+      email: channelEnabled(preferences, type, 'email')
+    }]))
+  };
+};
 
 const notificationService = {
-  // Send real-time notification via Socket.IO
+  // Store a notification and push it to the user's open sockets, as their preferences allow
   async sendRealTimeNotification(io, userId, notification) {
     try {
-      const notificationData = {
-        id: Date.now(),
-        type: notification.type,
-        title: notification.title,
-        message: notification.message,
-        data: notification.data || {},
-        timestamp: new Date(),
-        read: false
-      };
+      const user = await User.findById(userId).select('preferences');
+      if (!user) return false;
+
+      // A muted type counts as handled, so callers like the reminder sweep don't retry it
+      if (!this.wants(user, notification.type, 'inApp')) {
+        return true;
+      }
+
+      const stored = await this.storeNotification(userId, notification);
+
+      if (user.preferences.notifications.push !== false) {
+        io.to(`user_${userId}`).emit('notification', toPayload(stored));
+      }
 
-      // Send to specific user
-      io.to(`user_${userId}`).emit('notification', notificationData);
-      
-      // Store for offline users
-      await this.storeNotification(userId, notificationData);
-      
       logger.info(`Real-time notification sent to user ${userId}: ${notification.title}`);
       return true;
     } catch (error) {
@@ -43,7 +84,7 @@ const notificationService = {
       });
 
       // Email notification (if enabled)
-      if (user.preferences && user.preferences.notificationsEnabled !== false) {
+      if (this.wants(user, 'achievement', 'email')) {
         try {
           await emailService.sendAchievementNotification(user, achievement);
         } catch (emailError) {
@@ -71,7 +112,7 @@ const notificationService = {
       });
 
       // Email notification (if enabled)
-      if (author.preferences && author.preferences.notificationsEnabled !== false) {
+      if (this.wants(author, 'case_review', 'email')) {
         try {
           await emailService.sendCaseReviewNotification(author, case_obj, review);
         } catch (emailError) {
@@ -115,6 +156,32 @@ const notificationService = {
     }
   },
 
+  // Remind a student about an assignment that is due soon or overdue
+  async sendAssignmentReminder(io, userId, assignment, kind) {
+    try {
+      const dueSoon = kind === 'due_soon';
+
+      return await this.sendRealTimeNotification(io, userId, {
+        type: 'reminder',
+        title: dueSoon ? 'Assignment Due Soon' : 'Assignment Overdue',
+        message: dueSoon
+          ? `"${assignment.title}" is due ${assignment.dueAt.toUTCString()}`
+          : `"${assignment.title}" was due ${assignment.dueAt.toUTCString()} and is not complete`,
+        data: {
+          assignmentId: assignment._id,
+          courseId: assignment.course,
+          kind,
+          dueAt: assignment.dueAt,
+          actionUrl: `/assignments/${assignment._id}`,
+          actionText: 'Open Assignment'
+        }
+      });
+    } catch (error) {
+      logger.error('Assignment reminder error:', error);
+      return false;
+    }
+  },
+
   // Send system notification to all users
   async sendSystemNotification(io, notification) {
     try {
@@ -156,190 +223,135 @@ const notificationService = {
     }
   },
 
-  // Store notification for offline users
+  // Store notification in the user's inbox
   async storeNotification(userId, notification) {
-    try {
-      const redisClient = getRedisClient();
-      if (!redisClient) {
-        logger.warn('Redis not available, notification not stored for offline access');
-        return false;
-      }
-
-      const key = `notifications_${userId}`;
-      const notificationData = {
-        ...notification,
-        id: notification.id || Date.now(),
-        timestamp: notification.timestamp || new Date(),
-        read: false
-      };
-
-      // Add to list (newest first)
-      await redisClient.lpush(key, JSON.stringify(notificationData));
-      
-      // Keep only last 100 notifications
-      await redisClient.ltrim(key, 0, 99);
-      
-      // Set expiration (30 days)
-      await redisClient.expire(key, 30 * 24 * 60 * 60);
-
-      return true;
-    } catch (error) {
-      logger.error('Store notification error:', error);
-      return false;
-    }
+    return Notification.create({
+      user: userId,
+      type: notification.type,
+      title: notification.title,
+      message: notification.message,
+      data: notification.data || {},
+      priority: notification.priority || 'normal'
+    });
   },
 
-  // Get stored notifications for user
-  async getStoredNotifications(userId, limit = 50) {
+  // Newest notifications for a user, e.g. the backlog sent to a socket when it connects
+  async getStoredNotifications(userId, limit = NOTIFICATION.SOCKET_BACKLOG) {
     try {
-      const redisClient = getRedisClient();
-      if (!redisClient) return [];
+      const notifications = await Notification.find({ user: userId })
+        .sort({ createdAt: -1 })
+        .limit(limit);
+
+      return notifications.map(toPayload);
 
-      const key = `notifications_${userId}`;
-      const notifications = await redisClient.lrange(key, 0, limit - 1);
-      
-      return notifications.map(n => {
-        try {
-          return JSON.parse(n);
-        } catch (parseError) {
-          logger.error('Failed to parse stored notification:', parseError);
-          return null;
-        }
-      }).filter(Boolean); // Remove null values
-      
     } catch (error) {
       logger.error('Get stored notifications error:', error);
       return [];
     }
   },
 
-  // Mark notification as read
-  async markAsRead(userId, notificationId) {
-    try {
-      const redisClient = getRedisClient();
-      if (!redisClient) return false;
+  async listNotifications(userId, { page = 1, limit = NOTIFICATION.PAGE_SIZE, unreadOnly = false, type = null } = {}) {
+    const filter = { user: userId, ...(unreadOnly && { read: false }), ...(type && { type }) };
+
+    const [notifications, total, unread] = await Promise.all([
+      Notification.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Notification.countDocuments(filter),
+      this.getUnreadCount(userId)
+    ]);
+
+    return {
+      notifications: notifications.map(toPayload),
+      total,
+      unread,
+      page,
+      pages: Math.ceil(total / limit)
+    };
+  },
 
-      const key = `notifications_${userId}`;
-      const notifications = await redisClient.lrange(key, 0, -1);
-      
-      const updatedNotifications = notifications.map(n => {
-        try {
-          const parsed = JSON.parse(n);
-          if (parsed.id === notificationId || parsed.id === parseInt(notificationId)) {
-            parsed.read = true;
-            parsed.readAt = new Date();
-          }
-          return JSON.stringify(parsed);
-        } catch (parseError) {
-          return n; // Return original if parsing fails
-        }
-      });
+  // Resolves to the notification, or null when the user has no such notification
+  async markAsRead(userId, notificationId) {
+    if (!mongoose.isValidObjectId(notificationId)) return null;
 
-      // Replace the entire list with updated notifications
-      await redisClient.del(key);
-      if (updatedNotifications.length > 0) {
-        await redisClient.rpush(key, ...updatedNotifications);
-        await redisClient.expire(key, 30 * 24 * 60 * 60); // 30 days
-      }
+    const notification = await Notification.findOne({ _id: notificationId, user: userId });
+    if (!notification) return null;
 
-      return true;
-    } catch (error) {
-      logger.error('Mark notification as read error:', error);
-      return false;
+    if (!notification.read) {
+      notification.read = true;
+      notification.readAt = new Date();
+      await notification.save();
     }
+
+    return toPayload(notification);
   },
 
-  // Mark all notifications as read for a user
+  // Resolves to the number of notifications marked
   async markAllAsRead(userId) {
-    try {
-      const redisClient = getRedisClient();
-      if (!redisClient) return false;
-
-      const key = `notifications_${userId}`;
-      const notifications = await redisClient.lrange(key, 0, -1);
-      
-      const updatedNotifications = notifications.map(n => {
-        try {
-          const parsed = JSON.parse(n);
-          if (!parsed.read) {
-            parsed.read = true;
-            parsed.readAt = new Date();
-          }
-          return JSON.stringify(parsed);
-        } catch (parseError) {
-          return n;
-        }
-      });
-
-      await redisClient.del(key);
-      if (updatedNotifications.length > 0) {
-        await redisClient.rpush(key, ...updatedNotifications);
-        await redisClient.expire(key, 30 * 24 * 60 * 60);
-      }
+    const result = await Notification.updateMany(
+      { user: userId, read: false },
+      { $set: { read: true, readAt: new Date() } }
+    );
 
-      return true;
-    } catch (error) {
-      logger.error('Mark all notifications as read error:', error);
-      return false;
-    }
+    return result.modifiedCount;
   },
 
-  // Get unread notification count
   async getUnreadCount(userId) {
     try {
-      const notifications = await this.getStoredNotifications(userId);
-      return notifications.filter(n => !n.read).length;
+      return await Notification.countDocuments({ user: userId, read: false });
     } catch (error) {
       logger.error('Get unread count error:', error);
       return 0;
     }
   },
 
-  // Delete notification
   async deleteNotification(userId, notificationId) {
-    try {
-      const redisClient = getRedisClient();
-      if (!redisClient) return false;
+    if (!mongoose.isValidObjectId(notificationId)) return false;
 
-      const key = `notifications_${userId}`;
-      const notifications = await redisClient.lrange(key, 0, -1);
-      
-      const filteredNotifications = notifications.filter(n => {
-        try {
-          const parsed = JSON.parse(n);
-          return parsed.id !== notificationId && parsed.id !== parseInt(notificationId);
-        } catch (parseError) {
-          return true; // Keep if can't parse
-        }
-      });
+    const result = await Notification.deleteOne({ _id: notificationId, user: userId });
+    return result.deletedCount === 1;
+  },
 
-      await redisClient.del(key);
-      if (filteredNotifications.length > 0) {
-        await redisClient.rpush(key, ...filteredNotifications);
-        await redisClient.expire(key, 30 * 24 * 60 * 60);
-      }
+  async clearAllNotifications(userId) {
+    const result = await Notification.deleteMany({ user: userId });
+    return result.deletedCount;
+  },
 
-      return true;
-    } catch (error) {
-      logger.error('Delete notification error:', error);
-      return false;
-    }
+  // ==================== PREFERENCES ====================
+
+  wants(user, type, channel) {
+    return channelEnabled(user && user.preferences, type, channel);
   },
 
-  // Clear all notifications for a user
-  async clearAllNotifications(userId) {
-    try {
-      const redisClient = getRedisClient();
-      if (!redisClient) return false;
+  async getPreferences(userId) {
+    const user = await User.findById(userId).select('preferences');
+    return user ? describePreferences(user.preferences) : null;
+  },
 
-      const key = `notifications_${userId}`;
-      await redisClient.del(key);
-      
-      return true;
-    } catch (error) {
-      logger.error('Clear all notifications error:', error);
-      return false;
+  // Only the switches given change; a type setting can cover one channel or both
+  async updatePreferences(userId, { email, push, types = {} }) {
+    const user = await User.findById(userId);
+    if (!user) return null;
+
+    const settings = user.preferences.notifications;
+    if (email !== undefined) settings.email = email;
+    if (push !== undefined) settings.push = push;
+
+    for (const [type, setting] of Object.entries(types)) {
+      const current = settings.types.get(type);
+      settings.types.set(type, {
+        inApp: current ? current.inApp : undefined,
+        email: current ? current.email : undefined,
+        ...setting
+      });
     }
+
+    await user.save();
+
+    logger.info(`Notification preferences updated for user: ${userId}`);
+
+    return describePreferences(user.preferences);
   },
 
   // Send welcome notification to new users
@@ -356,7 +368,7 @@ const notificationService = {
       });
 
       // Send welcome email
-      if (user.preferences && user.preferences.notificationsEnabled !== false) {
+      if (this.wants(user, 'welcome', 'email')) {
         try {
           await emailService.sendWelcomeEmail(user);
         } catch (emailError) {
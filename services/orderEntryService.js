@@ -0,0 +1,161 @@
+// services/orderEntryService.js
+
+// Spellings learners use for common administration routes
+const ROUTE_ALIASES = {
+  po: 'po', oral: 'po', orally: 'po', 'by mouth': 'po',
+  iv: 'iv', intravenous: 'iv', intravenously: 'iv', ivp: 'iv',
+  im: 'im', intramuscular: 'im',
+  sc: 'sc', sq: 'sc', subcut: 'sc', subcutaneous: 'sc',
+  sl: 'sl', sublingual: 'sl',
+  pr: 'pr', rectal: 'pr',
+  inh: 'inh', inhaled: 'inh', neb: 'inh', nebulized: 'inh',
+  topical: 'topical', td: 'topical', transdermal: 'topical'
+};
+
+// Dose units reduced to a common base so "0.5 g" matches "500 mg"
+const UNIT_FACTORS = {
+  mcg: ['mg', 0.001], ug: ['mg', 0.001], mg: ['mg', 1], g: ['mg', 1000], gram: ['mg', 1000], grams: ['mg', 1000],
+  ml: ['ml', 1], l: ['ml', 1000],
+  unit: ['units', 1], units: ['units', 1], u: ['units', 1],
+  meq: ['meq', 1], mmol: ['mmol', 1]
+};
+
+// Credit for a required order with the right drug but wrong dose or route
+const PARTIAL_CREDIT = 0.5;
+
+const normalizeText = (text) => String(text || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9.\s]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const containsTerm = (text, term) => new RegExp(`(^|\\s)${escapeRegExp(term)}(\\s|$)`).test(text);
+
+const orderEntryService = {
+  parseDose(text) {
+    const match = normalizeText(text).match(/(\d+(?:\.\d+)?)\s*(mcg|ug|mg|grams?|g|ml|l|units?|u|meq|mmol)\b/);
+    if (!match) return null;
+
+    const [unit, factor] = UNIT_FACTORS[match[2]];
+    return { value: parseFloat(match[1]) * factor, unit };
+  },
+
+  parseRoute(text) {
+    const normalized = normalizeText(text);
+    const alias = Object.keys(ROUTE_ALIASES)
+      .sort((a, b) => b.length - a.length)
+      .find(key => containsTerm(normalized, key));
+    return alias ? ROUTE_ALIASES[alias] : null;
+  },
+
+  // Accept "aspirin 325 mg PO" or { name, dose, route } and reduce to comparable parts
+  normalizeOrder(order) {
+    const raw = typeof order === 'string'
+      ? order
+      : [order.name, order.dose, order.route].filter(Boolean).join(' ');
+
+    return {
+      text: String(raw || '').trim(),
+      normalized: normalizeText(raw),
+      dose: this.parseDose(raw),
+      route: this.parseRoute(raw)
+    };
+  },
+
+  // Find the order set item whose name or synonym appears in the order, preferring the longest term
+  matchItem(normalizedOrder, items) {
+    let best = null;
+
+    items.forEach(item => {
+      [item.name, ...(item.synonyms || [])].forEach(term => {
+        const normalizedTerm = normalizeText(term);
+        if (normalizedTerm && containsTerm(normalizedOrder.normalized, normalizedTerm) &&
+            (!best || normalizedTerm.length > best.term.length)) {
+          best = { item, term: normalizedTerm };
+        }
+      });
+    });
+
+    return best ? best.item : null;
+  },
+
+  doseMatches(expected, actual) {
+    if (!expected) return true;
+    const expectedDose = this.parseDose(expected);
+    if (!expectedDose) return true;
+    return Boolean(actual) && actual.unit === expectedDose.unit &&
+      Math.abs(actual.value - expectedDose.value) < 1e-6;
+  },
+
+  routeMatches(expected, actual) {
+    if (!expected) return true;
+    return this.parseRoute(expected) === actual;
+  },
+
+  // Score free-text orders against the step's expected order set
+  scoreOrders(step, orders = []) {
+    const orderSet = step.orderSet || {};
+    const items = orderSet.items || [];
+    const matchedItemIds = new Set();
+    const results = [];
+    let earned = 0;
+
+    orders.forEach(order => {
+      const normalizedOrder = this.normalizeOrder(order);
+      if (!normalizedOrder.normalized) return;
+
+      const item = this.matchItem(normalizedOrder, items);
+      if (!item) {
+        results.push({ text: normalizedOrder.text, status: 'unrecognized', points: 0 });
+        return;
+      }
+
+      if (matchedItemIds.has(item.itemId)) {
+        results.push({ text: normalizedOrder.text, itemId: item.itemId, name: item.name, status: 'duplicate', points: 0 });
+        return;
+      }
+      matchedItemIds.add(item.itemId);
+
+      const itemPoints = typeof item.points === 'number' ? item.points : 1;
+      let status;
+      let points = 0;
+
+      if (item.requirement === 'harmful') {
+        status = 'harmful';
+        points = -itemPoints;
+      } else if (item.requirement === 'required') {
+        const exact = this.doseMatches(item.dose, normalizedOrder.dose) &&
+          this.routeMatches(item.route, normalizedOrder.route);
+        status = exact ? 'matched' : 'partial';
+        points = exact ? itemPoints : itemPoints * PARTIAL_CREDIT;
+      } else {
+        status = 'acceptable';
+      }
+
+      earned += points;
+      results.push({ text: normalizedOrder.text, itemId: item.itemId, name: item.name, status, points });
+    });
+
+    const requiredItems = items.filter(item => item.requirement === 'required');
+    const possible = requiredItems.reduce((sum, item) => sum + (typeof item.points === 'number' ? item.points : 1), 0);
+    const missing = requiredItems.filter(item => !matchedItemIds.has(item.itemId)).map(item => item.name);
+    const harmful = results.filter(r => r.status === 'harmful').map(r => r.name);
+    const ratio = possible > 0 ? Math.max(0, Math.min(earned / possible, 1)) : (harmful.length > 0 ? 0 : 1);
+
+    return {
+      orders: results,
+      missing,
+      harmful,
+      earned,
+      possible,
+      score: Math.round((step.score || 0) * ratio * 100) / 100,
+      isCorrect: missing.length === 0 && harmful.length === 0 &&
+        results.every(r => r.status !== 'partial'),
+      matchedItemIds: [...matchedItemIds]
+    };
+  }
+};
+
+module.exports = orderEntryService;
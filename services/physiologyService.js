@@ -0,0 +1,153 @@
+// services/physiologyService.js
+const { VITAL_SIGNS } = require('../utils/constants');
+const { deepClone } = require('../utils/helpers');
+
+// Top-level sections of the patient state that authored parameters may address
+const STATE_SECTIONS = ['vitals', 'labs', 'symptoms'];
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+// Split 'vitals.heartRate' style paths, rejecting anything outside the patient state
+const parsePath = (parameter) => {
+  const parts = String(parameter || '').split('.');
+  if (parts.length < 2 || !STATE_SECTIONS.includes(parts[0]) || parts.some(p => !p || UNSAFE_KEYS.includes(p))) {
+    return null;
+  }
+  return parts;
+};
+
+const getValue = (state, parts) => parts.reduce((obj, key) => (obj == null ? undefined : obj[key]), state);
+
+const setValue = (state, parts, value) => {
+  let target = state;
+  parts.slice(0, -1).forEach(key => {
+    if (target[key] == null || typeof target[key] !== 'object') target[key] = {};
+    target = target[key];
+  });
+  target[parts[parts.length - 1]] = value;
+};
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const clamp = (value, min, max) => {
+  let result = value;
+  if (typeof min === 'number') result = Math.max(result, min);
+  if (typeof max === 'number') result = Math.min(result, max);
+  return result;
+};
+
+const physiologyService = {
+  // Build the starting patient state for a session from the case definition
+  initializeState(case_data) {
+    const physiology = case_data.physiology || {};
+    const authoredVitals = physiology.vitals || {};
+    const vitals = {};
+
+    Object.entries(VITAL_SIGNS).forEach(([name, spec]) => {
+      vitals[name] = typeof authoredVitals[name] === 'number' ? authoredVitals[name] : spec.default;
+    });
+
+    const symptoms = physiology.symptoms instanceof Map
+      ? Object.fromEntries(physiology.symptoms)
+      : { ...(physiology.symptoms || {}) };
+
+    const labResults = case_data.diagnostics && case_data.diagnostics.labResults;
+
+    return {
+      vitals,
+      labs: labResults ? deepClone(labResults) : {},
+      symptoms,
+      elapsedSeconds: 0
+    };
+  },
+
+  // Set a single parameter, keeping vitals inside their physiological limits
+  setParameter(state, parameter, value) {
+    const parts = parsePath(parameter);
+    if (!parts) return false;
+
+    let nextValue = value;
+    if (parts[0] === 'vitals' && typeof value === 'number' && VITAL_SIGNS[parts[1]]) {
+      const [min, max] = VITAL_SIGNS[parts[1]].limits;
+      nextValue = clamp(value, min, max);
+    }
+    if (typeof nextValue === 'number') nextValue = round(nextValue);
+
+    setValue(state, parts, nextValue);
+    return true;
+  },
+
+  // Apply an option's interventions: numeric deltas or absolute values
+  applyEffects(state, effects = []) {
+    const nextState = deepClone(state);
+
+    effects.forEach(effect => {
+      const parts = parsePath(effect.parameter);
+      if (!parts) return;
+
+      if (effect.value !== undefined && effect.value !== null) {
+        this.setParameter(nextState, effect.parameter, effect.value);
+      } else if (typeof effect.delta === 'number') {
+        const current = getValue(nextState, parts);
+        if (typeof current === 'number') {
+          this.setParameter(nextState, effect.parameter, current + effect.delta);
+        }
+      }
+    });
+
+    return nextState;
+  },
+
+  // Advance time-based drift rules from the state's elapsed time to `toSeconds`
+  applyDrift(state, driftRules = [], toSeconds) {
+    const nextState = deepClone(state);
+    const fromSeconds = nextState.elapsedSeconds || 0;
+
+    if (toSeconds <= fromSeconds) return nextState;
+
+    driftRules.forEach(rule => {
+      const parts = parsePath(rule.parameter);
+      if (!parts) return;
+
+      if (rule.whileSymptom && !(nextState.symptoms || {})[rule.whileSymptom]) return;
+
+      const start = Math.max(fromSeconds, rule.startAfter || 0);
+      if (toSeconds <= start) return;
+
+      const current = getValue(nextState, parts);
+      if (typeof current !== 'number') return;
+
+      const drifted = clamp(current + rule.ratePerMinute * ((toSeconds - start) / 60), rule.min, rule.max);
+      this.setParameter(nextState, rule.parameter, drifted);
+    });
+
+    nextState.elapsedSeconds = toSeconds;
+    return nextState;
+  },
+
+  // Patient monitor payload: current values plus alarms for vitals out of normal range
+  getMonitorView(state) {
+    if (!state || !state.vitals) return null;
+
+    const alarms = Object.entries(VITAL_SIGNS)
+      .filter(([name, spec]) => {
+        const value = state.vitals[name];
+        return typeof value === 'number' && (value < spec.normal[0] || value > spec.normal[1]);
+      })
+      .map(([name, spec]) => ({
+        parameter: name,
+        value: state.vitals[name],
+        unit: spec.unit,
+        direction: state.vitals[name] < spec.normal[0] ? 'low' : 'high'
+      }));
+
+    return {
+      vitals: state.vitals,
+      labs: state.labs || {},
+      symptoms: state.symptoms || {},
+      alarms,
+      elapsedSeconds: state.elapsedSeconds || 0
+    };
+  }
+};
+
+module.exports = physiologyService;
@@ -0,0 +1,357 @@
+// services/progressionService.js
+const { User, Case, Course, Progress, XpTransaction } = require('../models');
+const notificationService = require('./notificationService');
+const jobQueue = require('./jobQueue');
+const logger = require('../utils/logger');
+const { PROGRESSION, DIFFICULTY_LEVELS, MEDICAL_SPECIALTIES, BODY_SYSTEMS, USER_ROLES } = require('../utils/constants');
+
+const progressionError = (message, status, details) => Object.assign(new Error(message), { status, details });
+
+// Easiest first; each one unlocks the next
+const TIERS = Object.values(DIFFICULTY_LEVELS);
+
+const emptyTiers = () => Object.fromEntries(TIERS.map(tier => [tier, { available: 0, mastered: 0 }]));
+
+const nodeFor = (nodes, name) => {
+  if (!nodes.has(name)) nodes.set(name, emptyTiers());
+  return nodes.get(name);
+};
+
+// Instructors and admins can open any case
+const isGated = (user) => ![USER_ROLES.INSTRUCTOR, USER_ROLES.ADMIN].includes(user.role);
+
+const progressionService = {
+  // The XP a completed session is worth under the current rules
+  calculateXp({ percentageScore }, caseDoc, firstAttempt) {
+    const baseXp = PROGRESSION.BASE_XP[caseDoc.difficulty] || PROGRESSION.BASE_XP.beginner;
+    const score = Math.min(Math.max(percentageScore || 0, 0), 100);
+    const multiplier = firstAttempt ? PROGRESSION.FIRST_ATTEMPT_MULTIPLIER : 1;
+
+    return {
+      amount: Math.round(baseXp * (score / 100) * multiplier),
+      breakdown: { difficulty: caseDoc.difficulty, baseXp, percentageScore: score, firstAttempt }
+    };
+  },
+
+  getLevel(xp) {
+    const level = Math.floor(Math.sqrt(Math.max(xp, 0) / PROGRESSION.LEVEL_XP)) + 1;
+    const levelXp = PROGRESSION.LEVEL_XP * (level - 1) ** 2;
+    const nextLevelXp = PROGRESSION.LEVEL_XP * level ** 2;
+
+    return {
+      level,
+      levelXp,
+      nextLevelXp,
+      progress: Math.round(((xp - levelXp) / (nextLevelXp - levelXp)) * 100) // percent of the way to the next level
+    };
+  },
+
+  // A session is a first attempt when the user started no earlier session on the case
+  async isFirstAttempt(progress) {
+    return !(await Progress.exists({
+      userId: progress.userId,
+      caseId: progress.caseId,
+      _id: { $ne: progress._id },
+      startDate: { $lt: progress.startDate }
+    }));
+  },
+
+  // Called after each completed session; never throws. A session has at most one completion
+  // entry (unique index), so a retried completion awards nothing more.
+  async recordCompletion(progress, caseDoc) {
+    try {
+      if (await XpTransaction.exists({ progressId: progress._id, type: 'completion' })) return null;
+
+      const { amount, breakdown } = this.calculateXp(progress, caseDoc, await this.isFirstAttempt(progress));
+      try {
+        await XpTransaction.create({
+          userId: progress.userId,
+          type: 'completion',
+          amount,
+          progressId: progress._id,
+          caseId: caseDoc._id,
+          rulesVersion: PROGRESSION.RULES_VERSION,
+          breakdown: { ...breakdown, total: amount }
+        });
+      } catch (error) {
+        if (error.code === 11000) return null;
+        throw error;
+      }
+
+      return await this.addXp(progress.userId, amount);
+    } catch (error) {
+      logger.error('Record completion XP error:', error);
+      return null;
+    }
+  },
+
+  async addXp(userId, amount) {
+    const user = await User.findByIdAndUpdate(userId, { $inc: { 'statistics.xp': amount } }, { new: true })
+      .select('statistics.xp statistics.level');
+    if (!user) return null;
+
+    const { xp } = user.statistics;
+    const { level } = this.getLevel(xp);
+
+    // Claimed with a conditional update so concurrent completions announce a level once
+    if (level > (user.statistics.level || 1)) {
+      const claimed = await User.updateOne(
+        { _id: userId, 'statistics.level': { $lt: level } },
+        { $set: { 'statistics.level': level } }
+      );
+      if (claimed.modifiedCount === 1) {
+        await this.announceLevel(userId, level);
+      }
+    }
+
+    return { awarded: amount, xp, level };
+  },
+
+  async announceLevel(userId, level) {
+    logger.info(`User ${userId} reached level ${level}`);
+
+    const io = jobQueue.socketEmitter();
+    if (!io) return;
+
+    await notificationService.sendRealTimeNotification(io, userId, {
+      type: 'achievement',
+      title: 'Level Up!',
+      message: `You reached level ${level}`,
+      data: { level, actionUrl: '/progression' }
+    });
+  },
+
+  async getSummary(userId) {
+    const user = await User.findById(userId).select('statistics.xp').lean();
+    if (!user) {
+      throw progressionError('User not found', 404);
+    }
+
+    const xp = user.statistics?.xp || 0;
+    return { xp, ...this.getLevel(xp) };
+  },
+
+  async getLedger(userId, { page = 1, limit = PROGRESSION.LEDGER_PAGE_SIZE } = {}) {
+    const filter = { userId };
+
+    const [entries, total] = await Promise.all([
+      XpTransaction.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('caseId', 'title specialty difficulty')
+        .lean(),
+      XpTransaction.countDocuments(filter)
+    ]);
+
+    return { entries, total, page, pages: Math.ceil(total / limit) };
+  },
+
+  // Published cases per specialty and body system and difficulty, and how many of them the user has
+  // mastered. Mastered cases count even if they were unpublished since.
+  async getSkillCounts(userId) {
+    const masteredIds = await Progress.distinct('caseId', {
+      userId,
+      status: 'completed',
+      percentageScore: { $gte: PROGRESSION.MASTERY_SCORE }
+    });
+    const [catalog, mastered] = await Promise.all([
+      Case.find({ 'metadata.status': 'published' }).select('specialty bodySystem difficulty').lean(),
+      Case.find({ _id: { $in: masteredIds } }).select('specialty bodySystem difficulty').lean()
+    ]);
+
+    const nodes = {
+      specialties: new Map(MEDICAL_SPECIALTIES.map(name => [name, emptyTiers()])),
+      bodySystems: new Map(BODY_SYSTEMS.map(name => [name, emptyTiers()]))
+    };
+    const tally = (caseDoc, field) => {
+      nodeFor(nodes.specialties, caseDoc.specialty)[caseDoc.difficulty][field]++;
+      (caseDoc.bodySystem || []).forEach(system => {
+        nodeFor(nodes.bodySystems, system)[caseDoc.difficulty][field]++;
+      });
+    };
+    catalog.forEach(caseDoc => tally(caseDoc, 'available'));
+    mastered.forEach(caseDoc => tally(caseDoc, 'mastered'));
+
+    return nodes;
+  },
+
+  // Beginner is always open. Each harder difficulty opens once the one below it is open and
+  // MASTERED_TO_UNLOCK of its cases are mastered; fewer published cases than that need all of them.
+  describeNode(name, tiers) {
+    const described = [];
+    TIERS.forEach((difficulty, index) => {
+      const below = index > 0 ? tiers[TIERS[index - 1]] : null;
+      const required = below ? Math.min(PROGRESSION.MASTERED_TO_UNLOCK, below.available) : 0;
+
+      described.push({
+        difficulty,
+        available: tiers[difficulty].available,
+        mastered: tiers[difficulty].mastered,
+        unlocked: !below || (described[index - 1].unlocked && below.mastered >= required),
+        // What opens this difficulty: mastered cases of the one below
+        requires: below ? { difficulty: TIERS[index - 1], mastered: required } : null
+      });
+    });
+
+    return { name, tiers: described };
+  },
+
+  async getSkillTree(userId) {
+    const nodes = await this.getSkillCounts(userId);
+
+    return {
+      masteryScore: PROGRESSION.MASTERY_SCORE,
+      specialties: [...nodes.specialties].map(([name, tiers]) => this.describeNode(name, tiers)),
+      bodySystems: [...nodes.bodySystems].map(([name, tiers]) => this.describeNode(name, tiers))
+    };
+  },
+
+  // A case is open when its difficulty is unlocked in its specialty or in any of its body systems.
+  // Only learners are gated, and not for cases an instructor put in one of their courses;
+  // assignments and LMS launches are not checked at all.
+  async assertCaseUnlocked(userId, caseDoc) {
+    if (caseDoc.difficulty === TIERS[0]) return;
+
+    const user = await User.findById(userId).select('role').lean();
+    if (!user || !isGated(user)) return;
+
+    const inCourse = await Course.exists({
+      cases: caseDoc._id,
+      isArchived: false,
+      students: { $elemMatch: { userId, status: 'active' } }
+    });
+    if (inCourse) return;
+
+    const nodes = await this.getSkillCounts(userId);
+    const skills = [
+      { type: 'specialty', ...this.describeNode(caseDoc.specialty, nodeFor(nodes.specialties, caseDoc.specialty)) },
+      ...(caseDoc.bodySystem || []).map(system => ({
+        type: 'bodySystem',
+        ...this.describeNode(system, nodeFor(nodes.bodySystems, system))
+      }))
+    ];
+
+    const tierOf = (skill) => skill.tiers.find(tier => tier.difficulty === caseDoc.difficulty);
+    if (skills.some(skill => tierOf(skill).unlocked)) return;
+
+    // Per skill, the first difficulty still locked and what opens it
+    const requirements = skills.map(skill => {
+      const locked = skill.tiers.find(tier => !tier.unlocked);
+      const below = skill.tiers[TIERS.indexOf(locked.difficulty) - 1];
+      return {
+        type: skill.type,
+        name: skill.name,
+        locked: locked.difficulty,
+        master: below.difficulty,
+        mastered: below.mastered,
+        required: locked.requires.mastered
+      };
+    });
+
+    const [specialty] = requirements;
+    throw progressionError(
+      `Master ${specialty.required - specialty.mastered} more ${specialty.master} ${specialty.name} case(s) to unlock this case`,
+      403,
+      { difficulty: caseDoc.difficulty, requirements }
+    );
+  },
+
+  // Re-score every completed session under the current rules. Ledger entries are never changed:
+  // a session whose XP changed gets an adjustment for the difference and a session never awarded
+  // gets its completion entry. Totals and levels are then reset from the ledger.
+  async recompute({ userId = null } = {}) {
+    let usersUpdated = 0;
+    let entriesAdded = 0;
+
+    const cursor = User.find(userId ? { _id: userId } : {}).select('statistics.xp statistics.level').lean().cursor();
+    for await (const user of cursor) {
+      const result = await this.recomputeUser(user);
+      entriesAdded += result.entriesAdded;
+      if (result.changed) usersUpdated++;
+    }
+
+    logger.info(`XP recompute (rules v${PROGRESSION.RULES_VERSION}): ${entriesAdded} ledger entries added, ${usersUpdated} users' totals changed`);
+
+    return { rulesVersion: PROGRESSION.RULES_VERSION, entriesAdded, usersUpdated };
+  },
+
+  async recomputeUser(user) {
+    const [sessions, entries] = await Promise.all([
+      Progress.find({ userId: user._id }).select('caseId status percentageScore startDate').sort({ startDate: 1, _id: 1 }).lean(),
+      XpTransaction.find({ userId: user._id }).select('type amount progressId').lean()
+    ]);
+
+    const completed = sessions.filter(session => session.status === 'completed');
+    const cases = await Case.find({ _id: { $in: completed.map(session => session.caseId) } }).select('difficulty').lean();
+    const caseById = new Map(cases.map(caseDoc => [String(caseDoc._id), caseDoc]));
+
+    // The earliest session on each case is its first attempt
+    const firstAttempts = new Set();
+    const seenCases = new Set();
+    sessions.forEach(session => {
+      if (seenCases.has(String(session.caseId))) return;
+      seenCases.add(String(session.caseId));
+      firstAttempts.add(String(session._id));
+    });
+
+    const onLedger = new Map();
+    const awarded = new Set();
+    entries.filter(entry => entry.progressId).forEach(entry => {
+      const key = String(entry.progressId);
+      onLedger.set(key, (onLedger.get(key) || 0) + entry.amount);
+      if (entry.type === 'completion') awarded.add(key);
+    });
+
+    const additions = [];
+    completed.forEach(session => {
+      const key = String(session._id);
+      const caseDoc = caseById.get(String(session.caseId));
+      if (!caseDoc) return; // a deleted case keeps the XP it gave
+
+      const { amount, breakdown } = this.calculateXp(session, caseDoc, firstAttempts.has(key));
+      const entry = {
+        userId: user._id,
+        progressId: session._id,
+        caseId: session.caseId,
+        rulesVersion: PROGRESSION.RULES_VERSION,
+        breakdown: { ...breakdown, total: amount }
+      };
+
+      if (!awarded.has(key)) {
+        additions.push({ ...entry, type: 'completion', amount });
+      } else if (onLedger.get(key) !== amount) {
+        additions.push({
+          ...entry,
+          type: 'adjustment',
+          amount: amount - onLedger.get(key),
+          reason: `Recomputed under XP rules v${PROGRESSION.RULES_VERSION}`
+        });
+      }
+    });
+
+    let entriesAdded = additions.length;
+    if (additions.length) {
+      try {
+        await XpTransaction.insertMany(additions, { ordered: false });
+      } catch (error) {
+        // A completion awarded meanwhile wins; everything else is still inserted
+        if (!error.writeErrors || error.writeErrors.some(writeError => writeError.code !== 11000)) throw error;
+        entriesAdded -= error.writeErrors.length;
+      }
+    }
+
+    const ledger = await XpTransaction.find({ userId: user._id }).select('amount').lean();
+    const xp = ledger.reduce((sum, entry) => sum + entry.amount, 0);
+    const { level } = this.getLevel(xp);
+
+    const changed = xp !== (user.statistics?.xp || 0) || level !== (user.statistics?.level || 1);
+    if (changed) {
+      await User.updateOne({ _id: user._id }, { $set: { 'statistics.xp': xp, 'statistics.level': level } });
+    }
+
+    return { entriesAdded, changed };
+  }
+};
+
+module.exports = progressionService;
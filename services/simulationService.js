@@ -2,32 +2,66 @@
 const { Case, Progress, User } = require('../models');
 const { redisUtils } = require('../config/redis');
 const logger = require('../utils/logger');
-const { generateSessionId } = require('../utils/helpers');
+const helpers = require('../utils/helpers');
+const { TEST_TURNAROUND_MINUTES, SESSION_TIMING, HINT_PENALTY_CURVE, JOBS } = require('../utils/constants');
+const physiologyService = require('./physiologyService');
+const orderEntryService = require('./orderEntryService');
+const debriefService = require('./debriefService');
+const caseVersionService = require('./caseVersionService');
+const courseService = require('./courseService');
+const ltiService = require('./ltiService');
+const xapiService = require('./xapiService');
+const jobQueue = require('./jobQueue');
+const webhookService = require('./webhookService');
+const achievementService = require('./achievementService');
+const streakService = require('./streakService');
+const leaderboardService = require('./leaderboardService');
+const progressionService = require('./progressionService');
+
+// Upper bound on distinct (step, steps taken) states explored when sizing a branching case
+const MAX_PATH_STATES = 20000;
 
 const simulationService = {
-  async createSimulationSession(userId, caseId) {
+  async createSimulationSession(userId, caseId, { assignmentId, lti } = {}) {
     try {
       // Verify case exists and is published
       const case_data = await Case.findById(caseId);
-      if (!case_data || case_data.metadata.status !== 'published') {
+      if (!case_data || case_data.metadata.status !== 'published' ||
+          !(await courseService.canAccessCase(userId, case_data))) {
         throw new Error('Case not found or not available');
       }
 
+      // Cases chosen by an instructor (assignments, LMS launches) skip the skill tree
+      if (!assignmentId && !lti) {
+        await progressionService.assertCaseUnlocked(userId, case_data);
+      }
+
       // Generate unique session ID
-      const sessionId = generateSessionId();
+      const sessionId = helpers.generateSessionId();
+
+      // Size the session from the best route through the step graph
+      const firstStep = this.findDefaultStep(case_data, []);
+      const bestPath = firstStep ? this.analyzePaths(case_data, firstStep) : { steps: [], maxScore: 0 };
 
       // Create progress record
       const progress = new Progress({
         userId,
         caseId,
         sessionId,
+        caseVersion: case_data.metadata.version,
+        assignmentId,
+        lti,
         startTime: new Date(),
-        totalSteps: case_data.simulationSteps.length,
-        maxPossibleScore: case_data.metadata.maxScore || 100,
+        totalSteps: bestPath.steps.length,
+        maxPossibleScore: bestPath.maxScore || case_data.metadata.maxScore || 100,
+        currentStepId: firstStep ? firstStep.stepId : undefined,
+        branch: firstStep ? firstStep.branch || 'main' : 'main',
+        patientState: physiologyService.initializeState(case_data),
         status: 'started'
       });
 
       await progress.save();
+      await xapiService.record('initialized', progress, { caseDoc: case_data });
 
       // Cache session data for quick access
       const sessionData = {
@@ -36,7 +70,7 @@ const simulationService = {
         caseId,
         currentStepIndex: 0,
         startTime: progress.startTime,
-        totalSteps: case_data.simulationSteps.length
+        totalSteps: progress.totalSteps
       };
 
       await redisUtils.set(`session_${sessionId}`, sessionData, 7200); // 2 hours
@@ -61,10 +95,11 @@ const simulationService = {
           },
           metadata: {
             estimatedDuration: case_data.metadata.estimatedDuration,
-            maxScore: case_data.metadata.maxScore,
-            totalSteps: case_data.simulationSteps.length
+            maxScore: progress.maxPossibleScore,
+            totalSteps: progress.totalSteps
           }
-        }
+        },
+        monitor: physiologyService.getMonitorView(progress.patientState)
       };
 
     } catch (error) {
@@ -73,7 +108,8 @@ const simulationService = {
     }
   },
 
-  async processSimulationStep(sessionId, currentStepId, selectedOption, timeSpent = 0) {
+  // teamDecision ({ decidedBy, decisionRule }) is passed by teamSessionService once the team has decided
+  async processSimulationStep(sessionId, currentStepId, selectedOption, reportedTimeSpent, orders = null, teamDecision = null) {
     try {
       // Get session data
       const sessionData = await redisUtils.get(`session_${sessionId}`);
@@ -91,70 +127,188 @@ const simulationService = {
         throw new Error('Progress record not found');
       }
 
-      // Get case data
-      const case_data = await Case.findById(sessionData.caseId);
+      if (progress.status !== 'started') {
+        throw new Error(progress.status === 'paused' ? 'Session is paused' : 'Session is not active');
+      }
+
+      // Get case data as of the version the session started on
+      const case_data = await this.getSessionCase(progress);
       if (!case_data) {
         throw new Error('Case not found');
       }
 
+      const now = new Date();
+      let nextStep;
+      let answered = null;
+
       // Process current step if provided
-      if (currentStepId && selectedOption) {
+      if (currentStepId && (selectedOption || orders)) {
+        if (progress.team && progress.team.host && !teamDecision) {
+          throw Object.assign(new Error('Team sessions are answered through team proposals'), { status: 409 });
+        }
+        this.guardStep(progress);
+
         const currentStep = case_data.simulationSteps.find(s => s.stepId === currentStepId);
         if (!currentStep) {
           throw new Error('Step not found');
         }
 
-        const selectedOpt = currentStep.options.find(o => o.id === selectedOption);
-        if (!selectedOpt) {
-          throw new Error('Option not found');
+        // Learners can only answer the step their route has reached
+        if (progress.currentStepId && progress.currentStepId !== currentStepId) {
+          throw new Error('Step is not the current step for this session');
         }
 
-        // Record step performance
-        const stepPerformance = {
-          stepId: currentStepId,
-          selectedOption,
-          isCorrect: selectedOpt.isCorrect,
-          timeSpent: timeSpent || 0,
-          score: selectedOpt.points || 0,
-          feedback: selectedOpt.feedback || '',
-          timestamp: new Date()
-        };
+        let selectedOpt = null;
+        let stepPerformance;
+        let effects;
+
+        // Time the answer from when the server served the step, not from the client's report
+        const timing = this.getStepTiming(progress, currentStep, now);
+
+        if (timing.late && currentStep.timeLimitPolicy === 'reject') {
+          stepPerformance = {
+            stepId: currentStepId,
+            selectedOption,
+            isCorrect: false,
+            score: 0,
+            timedOut: true
+          };
+          effects = [];
+        } else if (currentStep.stepType === 'order_entry') {
+          if (!Array.isArray(orders) || orders.length === 0) {
+            throw new Error('Orders are required for this step');
+          }
+
+          const result = orderEntryService.scoreOrders(currentStep, orders);
+          const orderedItems = currentStep.orderSet.items.filter(item => result.matchedItemIds.includes(item.itemId));
+
+          stepPerformance = {
+            stepId: currentStepId,
+            isCorrect: result.isCorrect,
+            score: result.score,
+            orders: result.orders,
+            missedOrders: result.missing
+          };
+          effects = orderedItems.reduce((all, item) => all.concat(item.effects || []), []);
+        } else {
+          selectedOpt = currentStep.options.find(o => o.optionId === selectedOption);
+          if (!selectedOpt) {
+            throw new Error('Option not found');
+          }
+
+          stepPerformance = {
+            stepId: currentStepId,
+            selectedOption,
+            isCorrect: selectedOpt.isCorrect,
+            score: this.getOptionScore(currentStep, selectedOpt),
+            feedback: selectedOpt.feedback || ''
+          };
+          effects = selectedOpt.effects || [];
+        }
 
+        const instructorHints = this.countInstructorHints(progress, currentStepId);
+        const hintsUsed = this.countHintsUsed(progress, currentStepId) + instructorHints;
+        if (hintsUsed > 0 && !stepPerformance.timedOut) {
+          const hintPenalty = Math.round(stepPerformance.score * this.getHintPenalty(case_data, hintsUsed) * 100) / 100;
+          stepPerformance.score = Math.round((stepPerformance.score - hintPenalty) * 100) / 100;
+          stepPerformance.hintPenalty = hintPenalty;
+        }
+
+        if (timing.late && !stepPerformance.timedOut) {
+          stepPerformance.score = Math.round(stepPerformance.score * (1 - SESSION_TIMING.LATE_ANSWER_PENALTY) * 100) / 100;
+        }
+
+        Object.assign(stepPerformance, {
+          timeSpent: timing.elapsedSeconds,
+          reportedTimeSpent,
+          hintsUsed,
+          instructorHints,
+          timeLimit: timing.timeLimit,
+          late: timing.late,
+          overtimeSeconds: timing.overtimeSeconds,
+          timestamp: now
+        }, teamDecision || {});
+
+        // Record step performance
         progress.stepPerformance.push(stepPerformance);
         progress.score += stepPerformance.score;
         progress.stepsCompleted += 1;
-        progress.timeSpent += timeSpent || 0;
+        progress.timeSpent += timing.elapsedSeconds;
+        answered = progress.stepPerformance[progress.stepPerformance.length - 1];
 
-        // Update session data
-        sessionData.currentStepIndex += 1;
-        await redisUtils.set(`session_${sessionId}`, sessionData, 7200);
+        // Let the patient drift for the time spent, then apply the interventions
+        this.updatePatientState(progress, case_data, effects, currentStepId, selectedOption);
 
-        await progress.save();
-      }
+        // Follow the option's routing
+        const completedStepIds = progress.stepPerformance.map(p => p.stepId);
+        const route = this.resolveRoute(case_data, selectedOpt, completedStepIds, currentStep.branch || 'main');
 
-      // Determine next step
-      const completedStepIds = progress.stepPerformance.map(p => p.stepId);
-      const nextStep = case_data.simulationSteps.find(step => 
-        !completedStepIds.includes(step.stepId) &&
-        (step.dependencies || []).every(dep => completedStepIds.includes(dep))
-      );
+        if (route.deteriorated) {
+          progress.deteriorationEvents.push({
+            stepId: currentStepId,
+            selectedOption,
+            timestamp: new Date()
+          });
+        }
+
+        if (route.ending) {
+          return await this.completeSimulation(progress, case_data, route.ending, answered);
+        }
+
+        nextStep = route.step;
+        progress.stepServedAt = now;
+      } else {
+        // No answer submitted: serve the step the learner is on, keeping its timer running
+        const completedStepIds = progress.stepPerformance.map(p => p.stepId);
+        nextStep = progress.currentStepId
+          ? case_data.simulationSteps.find(s => s.stepId === progress.currentStepId)
+          : this.findDefaultStep(case_data, completedStepIds, progress.branch);
+
+        if (!progress.stepServedAt) {
+          progress.stepServedAt = now;
+        }
+      }
 
       if (!nextStep) {
         // Simulation complete
-        return await this.completeSimulation(progress, case_data);
+        return await this.completeSimulation(progress, case_data, null, answered);
+      }
+
+      // Re-size the session from the route that is still open
+      const completedStepIds = progress.stepPerformance.map(p => p.stepId);
+      const remainingPath = this.analyzePaths(case_data, nextStep, completedStepIds);
+
+      progress.currentStepId = nextStep.stepId;
+      progress.branch = nextStep.branch || 'main';
+      progress.totalSteps = progress.stepsCompleted + remainingPath.steps.length;
+      await this.saveStep(progress);
+
+      if (answered) {
+        await xapiService.record('answered', progress, { caseDoc: case_data, entry: answered });
+
+        // Update session data
+        sessionData.currentStepIndex += 1;
+        await redisUtils.set(`session_${sessionId}`, sessionData, 7200);
       }
 
       // Return next step
       return {
-        step: nextStep,
+        step: this.serializeStep(nextStep, progress),
         progress: {
           stepsCompleted: progress.stepsCompleted,
           totalSteps: progress.totalSteps,
           currentScore: progress.score,
           maxScore: progress.maxPossibleScore,
+          maxAchievableScore: progress.score + remainingPath.maxScore,
+          branch: progress.branch,
           timeSpent: progress.timeSpent,
-          percentageComplete: Math.round((progress.stepsCompleted / progress.totalSteps) * 100)
-        }
+          percentageComplete: progress.totalSteps > 0
+            ? Math.round((progress.stepsCompleted / progress.totalSteps) * 100)
+            : 0
+        },
+        timer: this.getStepTimer(progress, nextStep, now),
+        monitor: physiologyService.getMonitorView(progress.patientState),
+        diagnostics: progress.orderedTests.length > 0 ? this.getDiagnosticWorkup(progress, case_data, now) : undefined
       };
 
     } catch (error) {
@@ -163,13 +317,460 @@ const simulationService = {
     }
   },
 
-  async completeSimulation(progress, case_data) {
+  /**
+   * Make the next save of `progress` conditional on the step it has loaded still being unanswered,
+   * so two answers (or an answer and an instructor unlock) sent together can't both be scored.
+   */
+  guardStep(progress) {
+    progress.$where = { status: 'started', stepsCompleted: progress.stepsCompleted };
+  },
+
+  // Save a guarded step; the losing side of a simultaneous answer gets a 409 and changes nothing
+  async saveStep(progress) {
+    try {
+      await progress.save();
+      progress.$where = undefined;
+    } catch (error) {
+      if (error.name === 'DocumentNotFoundError') {
+        throw Object.assign(new Error('Step has already been answered'), { status: 409 });
+      }
+      throw error;
+    }
+  },
+
+  // Server-measured time on the current step, and whether it ran past the step's time limit
+  getStepTiming(progress, step, now = new Date()) {
+    const servedAt = progress.stepServedAt || progress.createdAt || now;
+    const elapsedSeconds = Math.max(0, Math.round((now - new Date(servedAt)) / 1000));
+    const timeLimit = step.timeLimit || null;
+    const overtimeSeconds = timeLimit ? Math.max(0, elapsedSeconds - timeLimit) : 0;
+
+    return {
+      elapsedSeconds,
+      timeLimit,
+      overtimeSeconds,
+      late: overtimeSeconds > SESSION_TIMING.GRACE_SECONDS
+    };
+  },
+
+  // Countdown for the client; the deadline is advisory, the server re-times the answer
+  getStepTimer(progress, step, now = new Date()) {
+    const timing = this.getStepTiming(progress, step, now);
+
+    return {
+      servedAt: progress.stepServedAt,
+      elapsedSeconds: timing.elapsedSeconds,
+      timeLimit: timing.timeLimit,
+      remainingSeconds: timing.timeLimit ? Math.max(0, timing.timeLimit - timing.elapsedSeconds) : null,
+      policy: timing.timeLimit ? step.timeLimitPolicy || 'penalize' : null
+    };
+  },
+
+  getSessionCase(progress) {
+    return caseVersionService.loadCase(progress.caseId, progress.caseVersion);
+  },
+
+  // Step as served to the learner; expected order sets and unrevealed hints stay on the server
+  serializeStep(step, progress = null) {
+    const data = step.toObject ? step.toObject() : { ...step };
+    if (data.stepType === 'order_entry') {
+      delete data.orderSet;
+    }
+
+    const hints = data.hints || [];
+    const hintsUsed = progress ? this.countHintsUsed(progress, data.stepId) : 0;
+    data.hints = hints.slice(0, hintsUsed);
+    data.hintsAvailable = hints.length - data.hints.length;
+
+    return data;
+  },
+
+  countHintsUsed(progress, stepId) {
+    return (progress.hintsRevealed || []).filter(h => h.stepId === stepId).length;
+  },
+
+  countInstructorHints(progress, stepId) {
+    return (progress.interventions || []).filter(i => i.type === 'hint' && i.stepId === stepId).length;
+  },
+
+  // Share of the step score lost after `hintsUsed` hints, from the case curve or the default one
+  getHintPenalty(case_data, hintsUsed) {
+    if (hintsUsed <= 0) return 0;
+
+    const caseCurve = case_data.scoring && case_data.scoring.hintPenalties;
+    const curve = caseCurve && caseCurve.length > 0 ? caseCurve : HINT_PENALTY_CURVE;
+    return curve[Math.min(hintsUsed, curve.length) - 1];
+  },
+
+  // Reveal the next hint for the step the learner is on
+  async revealHint(sessionId, userId) {
+    try {
+      const progress = await Progress.findOne({ sessionId, userId });
+      if (!progress) return null;
+
+      if (progress.status !== 'started') {
+        throw new Error(progress.status === 'paused' ? 'Session is paused' : 'Session is not active');
+      }
+
+      const case_data = await this.getSessionCase(progress);
+      if (!case_data) {
+        throw new Error('Case not found');
+      }
+
+      const step = case_data.simulationSteps.find(s => s.stepId === progress.currentStepId);
+      if (!step) {
+        throw new Error('No step is in progress');
+      }
+
+      const hints = step.hints || [];
+      const hintIndex = this.countHintsUsed(progress, step.stepId);
+      if (hintIndex >= hints.length) {
+        throw new Error('No more hints available for this step');
+      }
+
+      progress.hintsRevealed.push({ stepId: step.stepId, hintIndex });
+      await progress.save();
+      await xapiService.record('hinted', progress, {
+        caseDoc: case_data,
+        entry: progress.hintsRevealed[progress.hintsRevealed.length - 1]
+      });
+
+      const hintsUsed = hintIndex + 1;
+
+      logger.info(`Hint revealed: ${sessionId}, step: ${step.stepId}, hint: ${hintsUsed}`);
+
+      return {
+        stepId: step.stepId,
+        hint: hints[hintIndex],
+        hintNumber: hintsUsed,
+        hintsRemaining: hints.length - hintsUsed,
+        penalty: this.getHintPenalty(case_data, hintsUsed),
+        nextPenalty: hintsUsed < hints.length ? this.getHintPenalty(case_data, hintsUsed + 1) : null
+      };
+
+    } catch (error) {
+      logger.error('Reveal hint error:', error);
+      throw error;
+    }
+  },
+
+  // Current patient state as a plain object, seeding sessions started before physiology existed
+  getPatientState(progress, case_data) {
+    const state = progress.toObject ? progress.toObject().patientState : progress.patientState;
+    if (state && state.vitals && Object.keys(state.vitals).length > 0) {
+      return state;
+    }
+    return physiologyService.initializeState(case_data);
+  },
+
+  updatePatientState(progress, case_data, effects, stepId, selectedOption) {
+    const driftRules = (case_data.physiology && case_data.physiology.driftRules) || [];
+    const drifted = physiologyService.applyDrift(
+      this.getPatientState(progress, case_data),
+      driftRules,
+      progress.timeSpent
+    );
+
+    const nextState = physiologyService.applyEffects(drifted, effects);
+
+    progress.patientState = nextState;
+    progress.patientStateHistory.push({
+      stepId,
+      selectedOption,
+      elapsedSeconds: nextState.elapsedSeconds,
+      vitals: nextState.vitals
+    });
+  },
+
+  // Monitor view for a running session, drifted forward to the current moment
+  getPatientMonitor(progress, case_data, now = new Date()) {
+    let state = this.getPatientState(progress, case_data);
+
+    if (progress.status === 'started' && progress.updatedAt) {
+      const driftRules = (case_data.physiology && case_data.physiology.driftRules) || [];
+      const idleSeconds = Math.max(0, Math.floor((now - new Date(progress.updatedAt)) / 1000));
+      state = physiologyService.applyDrift(state, driftRules, (state.elapsedSeconds || 0) + idleSeconds);
+    }
+
+    return physiologyService.getMonitorView(state);
+  },
+
+  // Points awarded for an option; explicit option points win over the step score
+  getOptionScore(step, option) {
+    if (typeof option.points === 'number') return option.points;
+    return option.isCorrect ? (step.score || 0) : 0;
+  },
+
+  // Default ordering: first step on the branch that is not done and whose dependencies are
+  findDefaultStep(case_data, completedStepIds, branch = 'main') {
+    return case_data.simulationSteps.find(step =>
+      (step.branch || 'main') === branch &&
+      !completedStepIds.includes(step.stepId) &&
+      (step.dependencies || []).every(dep => completedStepIds.includes(dep))
+    ) || null;
+  },
+
+  // Where an option sends the learner: an ending, or the next step (possibly none)
+  resolveRoute(case_data, option, completedStepIds, branch = 'main') {
+    if (option && option.endingId) {
+      const ending = (case_data.endings || []).find(e => e.endingId === option.endingId);
+      return { ending, deteriorated: Boolean(option.triggersDeterioration) };
+    }
+
+    if (option && option.nextStepId) {
+      const step = case_data.simulationSteps.find(s => s.stepId === option.nextStepId) || null;
+      return { step, deteriorated: Boolean(option.triggersDeterioration) };
+    }
+
+    if (option && option.triggersDeterioration) {
+      return {
+        step: this.findDefaultStep(case_data, completedStepIds, 'deterioration'),
+        deteriorated: true
+      };
+    }
+
+    return { step: this.findDefaultStep(case_data, completedStepIds, branch), deteriorated: false };
+  },
+
+  // Explore every route from startStep and return the highest scoring one.
+  // Routes stop at an ending, when no step follows, or when a step would repeat. Where a route goes
+  // next depends only on the current step and the set of steps taken, so each such state is scored once.
+  // Past MAX_PATH_STATES the rest of a route is bounded by every step it hasn't taken at its best
+  // score, so the maximum is never understated.
+  analyzePaths(case_data, startStep, completedStepIds = []) {
+    const memo = new Map();
+    let truncated = false;
+
+    const upperBound = (taken) => {
+      const remaining = case_data.simulationSteps
+        .filter(step => !taken.has(step.stepId) && !completedStepIds.includes(step.stepId));
+      return {
+        steps: remaining.map(step => step.stepId),
+        maxScore: remaining.reduce((sum, step) => {
+          const scores = (step.options || []).map(option => this.getOptionScore(step, option));
+          return sum + Math.max(0, step.score || 0, ...scores);
+        }, 0)
+      };
+    };
+
+    // Best remaining route from step, given the steps already taken on this path
+    const bestFrom = (step, taken) => {
+      if (!step || taken.has(step.stepId)) return { steps: [], maxScore: 0 };
+
+      const key = `${step.stepId}|${[...taken].sort().join(',')}`;
+      if (memo.has(key)) return memo.get(key);
+      if (memo.size >= MAX_PATH_STATES) {
+        truncated = true;
+        return upperBound(taken);
+      }
+
+      const nextTaken = new Set(taken).add(step.stepId);
+      const completed = [...completedStepIds, ...nextTaken];
+      const options = step.options && step.options.length > 0 ? step.options : [null];
+
+      // Options that lead to the same place only need exploring once, with their best score
+      const routes = new Map();
+      options.forEach(option => {
+        const route = this.resolveRoute(case_data, option, completed, step.branch || 'main');
+        const routeKey = route.ending ? `ending:${route.ending.endingId}` : `step:${route.step ? route.step.stepId : ''}`;
+        const optionScore = option ? this.getOptionScore(step, option) : step.score || 0;
+        const existing = routes.get(routeKey);
+        if (!existing || optionScore > existing.score) {
+          routes.set(routeKey, { route, score: optionScore });
+        }
+      });
+
+      let best = null;
+      routes.forEach(({ route, score }) => {
+        const rest = bestFrom(route.ending ? null : route.step, nextTaken);
+        const candidate = { steps: [step.stepId, ...rest.steps], maxScore: score + rest.maxScore };
+        if (!best || candidate.maxScore > best.maxScore ||
+            (candidate.maxScore === best.maxScore && candidate.steps.length > best.steps.length)) {
+          best = candidate;
+        }
+      });
+
+      memo.set(key, best);
+      return best;
+    };
+
+    const best = bestFrom(startStep, new Set());
+    if (truncated) {
+      logger.warn(`Path analysis for case ${case_data._id} stopped after ${MAX_PATH_STATES} states; the maximum score is an upper bound`);
+    }
+
+    return { ...best, totalSteps: best.steps.length };
+  },
+
+  // Match an order against the case workup by test id or name
+  findDiagnosticTest(case_data, ref) {
+    const tests = (case_data.diagnostics && case_data.diagnostics.diagnosticTests) || [];
+    const key = String(ref).trim().toLowerCase();
+    return tests.find(t => String(t._id) === String(ref) || t.name.toLowerCase() === key) || null;
+  },
+
+  // Simulated session clock in seconds: time on answered steps plus the current one, not counting
+  // pauses, run SIMULATED_TIME_SCALE times faster than real time
+  getSimulatedSeconds(progress, now = new Date()) {
+    const servedAt = progress.stepServedAt || progress.createdAt;
+    const lastPause = progress.pauseHistory && progress.pauseHistory[progress.pauseHistory.length - 1];
+    let until = null;
+    if (progress.status === 'started') until = now;
+    if (progress.status === 'paused' && lastPause) until = lastPause.pausedAt;
+
+    const onStep = servedAt && until ? Math.max(0, Math.floor((new Date(until) - new Date(servedAt)) / 1000)) : 0;
+    return Math.round(((progress.timeSpent || 0) + onStep) * SESSION_TIMING.SIMULATED_TIME_SCALE);
+  },
+
+  // Order diagnostic tests; results are released once the simulated clock passes the turnaround
+  async orderDiagnosticTests(sessionId, userId, testRefs, now = new Date()) {
+    try {
+      const progress = await Progress.findOne({ sessionId, userId });
+      if (!progress) return null;
+
+      if (progress.status !== 'started') {
+        throw new Error('Session is not active');
+      }
+
+      const case_data = await this.getSessionCase(progress);
+      if (!case_data) {
+        throw new Error('Case not found');
+      }
+
+      // Resolve every order before recording any of them
+      const tests = testRefs.map(ref => {
+        const test = this.findDiagnosticTest(case_data, ref);
+        if (!test) {
+          throw new Error(`Diagnostic test not found: ${ref}`);
+        }
+        if (/^unavailable$/i.test(test.availability || '')) {
+          throw new Error(`Diagnostic test not available: ${test.name}`);
+        }
+        return test;
+      });
+
+      const elapsed = this.getSimulatedSeconds(progress, now);
+
+      tests.forEach(test => {
+        const duplicate = progress.orderedTests.some(o => String(o.testId) === String(test._id));
+        const unnecessaryReason = duplicate ? 'duplicate' : (test.indicated === false ? 'not_indicated' : undefined);
+        const turnaround = typeof test.turnaroundMinutes === 'number'
+          ? test.turnaroundMinutes
+          : TEST_TURNAROUND_MINUTES[test.urgency || 'routine'];
+
+        progress.orderedTests.push({
+          testId: test._id,
+          name: test.name,
+          type: test.type,
+          urgency: test.urgency || 'routine',
+          cost: test.cost || 0,
+          orderedAt: elapsed,
+          availableAt: elapsed + turnaround * 60,
+          unnecessary: Boolean(unnecessaryReason),
+          unnecessaryReason,
+          timestamp: new Date()
+        });
+
+        progress.diagnosticCost += test.cost || 0;
+        if (unnecessaryReason) {
+          progress.unnecessaryTests += 1;
+        }
+      });
+
+      await progress.save();
+
+      logger.info(`Diagnostic tests ordered: ${sessionId}, tests: ${tests.map(t => t.name).join(', ')}`);
+
+      return this.getDiagnosticWorkup(progress, case_data, now);
+
+    } catch (error) {
+      logger.error('Order diagnostic tests error:', error);
+      throw error;
+    }
+  },
+
+  async getDiagnosticTests(sessionId, userId, now = new Date()) {
+    try {
+      const progress = await Progress.findOne({ sessionId, userId });
+      if (!progress) return null;
+
+      const case_data = await this.getSessionCase(progress);
+      if (!case_data) {
+        throw new Error('Case not found');
+      }
+
+      return this.getDiagnosticWorkup(progress, case_data, now);
+
+    } catch (error) {
+      logger.error('Get diagnostic tests error:', error);
+      throw error;
+    }
+  },
+
+  // Orderable tests plus the learner's orders, with results only for released tests
+  getDiagnosticWorkup(progress, case_data, now = new Date()) {
+    const elapsed = this.getSimulatedSeconds(progress, now);
+    const caseTests = (case_data.diagnostics && case_data.diagnostics.diagnosticTests) || [];
+
+    const ordered = progress.orderedTests.map(order => {
+      const released = elapsed >= order.availableAt;
+      const caseTest = caseTests.find(t => String(t._id) === String(order.testId));
+
+      return {
+        id: order._id,
+        testId: order.testId,
+        name: order.name,
+        type: order.type,
+        urgency: order.urgency,
+        cost: order.cost,
+        orderedAt: order.orderedAt,
+        availableAt: order.availableAt,
+        status: released ? 'resulted' : 'pending',
+        minutesRemaining: released ? 0 : Math.ceil((order.availableAt - elapsed) / 60),
+        results: released && caseTest ? caseTest.results : undefined,
+        interpretation: released && caseTest ? caseTest.interpretation : undefined
+      };
+    });
+
+    return {
+      available: caseTests
+        .filter(t => !/^unavailable$/i.test(t.availability || ''))
+        .map(t => ({
+          testId: t._id,
+          name: t.name,
+          type: t.type,
+          urgency: t.urgency || 'routine',
+          cost: t.cost || 0
+        })),
+      ordered,
+      totalCost: progress.diagnosticCost,
+      unnecessaryTests: progress.unnecessaryTests,
+      elapsedSeconds: elapsed
+    };
+  },
+
+  // `answered` is the final step's entry, recorded once the completion is saved
+  async completeSimulation(progress, case_data, ending = null, answered = null) {
     try {
       // Mark as completed
       progress.status = 'completed';
-      progress.endTime = new Date();
-      progress.percentageScore = Math.round((progress.score / progress.maxPossibleScore) * 100);
-      await progress.save();
+      progress.endDate = new Date();
+      progress.totalSteps = progress.stepsCompleted;
+      if (ending) {
+        progress.ending = {
+          endingId: ending.endingId,
+          title: ending.title,
+          outcome: ending.outcome
+        };
+      }
+      // Clamped in case the case changed mid-session or its path analysis was cut short
+      progress.percentageScore = Math.min(100, Math.max(0, Math.round((progress.score / progress.maxPossibleScore) * 100)));
+      progress.debrief = this.buildDebrief(progress, case_data);
+      await this.saveStep(progress);
+      if (answered) {
+        await xapiService.record('answered', progress, { caseDoc: case_data, entry: answered });
+      }
+      await xapiService.record('completed', progress, { caseDoc: case_data });
 
       // Update user statistics
       await User.findByIdAndUpdate(progress.userId, {
@@ -179,8 +780,36 @@ const simulationService = {
         }
       });
 
+      // Streak first, so the achievement check sees today's streak
+      await streakService.recordActivity(progress.userId);
+      await progressionService.recordCompletion(progress, case_data);
+      await achievementService.recordCompletion(progress, case_data);
+      await leaderboardService.recordCompletion(progress, case_data);
+
       // Update case statistics
-      await this.updateCaseStatistics(case_data._id, progress.percentageScore, progress.timeSpent);
+      await jobQueue.add(JOBS.QUEUES.ANALYTICS, 'case-statistics', {
+        caseId: case_data._id,
+        score: progress.percentageScore,
+        timeSpent: progress.timeSpent
+      });
+
+      await webhookService.emit('simulation.completed', {
+        sessionId: progress.sessionId,
+        userId: String(progress.userId),
+        caseId: String(case_data._id),
+        caseTitle: case_data.title,
+        score: progress.score,
+        maxPossibleScore: progress.maxPossibleScore,
+        percentageScore: progress.percentageScore,
+        timeSpent: progress.timeSpent,
+        outcome: progress.ending ? progress.ending.outcome : null,
+        completedAt: progress.endDate.toISOString()
+      });
+
+      // Sessions launched from an LMS report their score to its gradebook
+      if (progress.lti && progress.lti.link) {
+        await ltiService.passbackScore(progress);
+      }
 
       // Clean up session cache
       await redisUtils.del(`session_${progress.sessionId}`);
@@ -192,7 +821,8 @@ const simulationService = {
 
       return {
         completed: true,
-        summary
+        summary,
+        debrief: progress.debrief
       };
 
     } catch (error) {
@@ -201,20 +831,62 @@ const simulationService = {
     }
   },
 
-  async updateCaseStatistics(caseId, score, timeSpent) {
+  buildDebrief(progress, case_data) {
+    return debriefService.buildDebrief(progress, case_data, {
+      performance: this.getPerformanceLevel(progress.percentageScore),
+      recommendations: this.generateRecommendations(progress, case_data)
+    });
+  },
+
+  // Debrief saved at completion; sessions completed before debriefs existed get one built now
+  async getDebrief(sessionId, userId) {
     try {
-      const case_data = await Case.findById(caseId);
-      if (!case_data) return;
+      const progress = await Progress.findOne({ sessionId, userId });
+      if (!progress) return null;
 
-      const completionCount = case_data.metadata.completionCount + 1;
-      const totalScore = (case_data.metadata.averageScore * case_data.metadata.completionCount) + score;
-      const totalTime = (case_data.metadata.averageTime * case_data.metadata.completionCount) + timeSpent;
+      if (progress.status !== 'completed') {
+        throw new Error('Debrief is available once the simulation is completed');
+      }
 
-      await Case.findByIdAndUpdate(caseId, {
-        'metadata.completionCount': completionCount,
-        'metadata.averageScore': Math.round(totalScore / completionCount),
-        'metadata.averageTime': Math.round(totalTime / completionCount)
-      });
+      if (!progress.debrief) {
+        const case_data = await this.getSessionCase(progress);
+        if (!case_data) {
+          throw new Error('Case not found');
+        }
+
+        progress.debrief = this.buildDebrief(progress, case_data);
+        await progress.save();
+      }
+
+      return progress.debrief;
+
+    } catch (error) {
+      logger.error('Get debrief error:', error);
+      throw error;
+    }
+  },
+
+  // Sums, count and averages move in one pipeline update, so completions folded in at the same time all count
+  async updateCaseStatistics(caseId, score, timeSpent) {
+    try {
+      const sum = (field, value) => ({ $add: [{ $ifNull: [`$metadata.${field}`, 0] }, value] });
+      const average = (field) => ({ $round: [{ $divide: [`$metadata.${field}`, '$metadata.completionCount'] }, 0] });
+
+      await Case.updateOne({ _id: caseId }, [
+        {
+          $set: {
+            'metadata.completionCount': sum('completionCount', 1),
+            'metadata.totalScore': sum('totalScore', score),
+            'metadata.totalTime': sum('totalTime', timeSpent)
+          }
+        },
+        {
+          $set: {
+            'metadata.averageScore': average('totalScore'),
+            'metadata.averageTime': average('totalTime')
+          }
+        }
+      ]);
 
     } catch (error) {
       logger.error('Update case statistics error:', error);
@@ -234,6 +906,12 @@ const simulationService = {
       timeSpent: progress.timeSpent,
       stepsCompleted: progress.stepsCompleted,
       totalSteps: progress.totalSteps,
+      path: progress.stepPerformance.map(p => p.stepId),
+      ending: progress.ending && progress.ending.endingId ? progress.ending : null,
+      deteriorated: (progress.deteriorationEvents || []).length > 0,
+      patientState: physiologyService.getMonitorView(progress.patientState),
+      diagnosticWorkup: this.summarizeDiagnosticWorkup(progress),
+      hints: this.summarizeHints(progress),
       accuracy: totalAnswers > 0 ? Math.round((correctAnswers / totalAnswers) * 100) : 0,
       performance: this.getPerformanceLevel(progress.percentageScore),
       stepDetails: progress.stepPerformance,
@@ -241,6 +919,29 @@ const simulationService = {
     };
   },
 
+  summarizeDiagnosticWorkup(progress) {
+    const orderedTests = progress.orderedTests || [];
+    const unnecessary = orderedTests.filter(t => t.unnecessary);
+
+    return {
+      testsOrdered: orderedTests.length,
+      totalCost: progress.diagnosticCost || 0,
+      unnecessaryTests: unnecessary.length,
+      unnecessaryCost: unnecessary.reduce((sum, t) => sum + (t.cost || 0), 0),
+      unnecessary: unnecessary.map(t => ({ name: t.name, reason: t.unnecessaryReason, cost: t.cost }))
+    };
+  },
+
+  summarizeHints(progress) {
+    const stepsWithHints = progress.stepPerformance.filter(p => p.hintsUsed > 0);
+
+    return {
+      totalUsed: stepsWithHints.reduce((sum, p) => sum + p.hintsUsed, 0),
+      stepsWithHints: stepsWithHints.length,
+      pointsLost: Math.round(stepsWithHints.reduce((sum, p) => sum + (p.hintPenalty || 0), 0) * 100) / 100
+    };
+  },
+
   getPerformanceLevel(score) {
     if (score >= 90) return 'Excellent';
     if (score >= 80) return 'Good';
@@ -261,6 +962,10 @@ const simulationService = {
       recommendations.push('Practice similar cases to improve speed');
     }
     
+    if ((progress.unnecessaryTests || 0) > 0) {
+      recommendations.push('Review which diagnostic tests were indicated to keep your workup cost-effective');
+    }
+
     const incorrectSteps = progress.stepPerformance.filter(p => !p.isCorrect);
     if (incorrectSteps.length > 0) {
       recommendations.push('Review clinical reasoning for diagnostic steps');
@@ -271,10 +976,18 @@ const simulationService = {
 
   async pauseSimulation(sessionId, userId) {
     try {
-      await Progress.findOneAndUpdate(
-        { sessionId, userId },
-        { status: 'paused' }
+      const progress = await Progress.findOneAndUpdate(
+        { sessionId, userId, status: 'started' },
+        {
+          status: 'paused',
+          $push: { pauseHistory: { pausedAt: new Date() } }
+        },
+        { new: true }
       );
+
+      if (progress) {
+        await xapiService.record('suspended', progress, { entry: progress.pauseHistory[progress.pauseHistory.length - 1] });
+      }
       
       return { message: 'Simulation paused successfully' };
     } catch (error) {
@@ -285,10 +998,27 @@ const simulationService = {
 
   async resumeSimulation(sessionId, userId) {
     try {
-      await Progress.findOneAndUpdate(
-        { sessionId, userId },
-        { status: 'started' }
-      );
+      const progress = await Progress.findOne({ sessionId, userId, status: 'paused' });
+
+      if (progress) {
+        const now = new Date();
+        const pause = progress.pauseHistory[progress.pauseHistory.length - 1];
+
+        // Time spent paused does not count against the current step
+        if (pause && !pause.resumedAt) {
+          pause.resumedAt = now;
+          if (progress.stepServedAt) {
+            progress.stepServedAt = new Date(progress.stepServedAt.getTime() + (now - pause.pausedAt));
+          }
+        }
+
+        progress.status = 'started';
+        await progress.save();
+
+        if (pause && pause.resumedAt) {
+          await xapiService.record('resumed', progress, { entry: pause });
+        }
+      }
       
       return { message: 'Simulation resumed successfully' };
     } catch (error) {
@@ -297,15 +1027,90 @@ const simulationService = {
     }
   },
 
+  // Instructor override: move a stuck learner past the current step without credit
+  async unlockStep(sessionId, stepId, instructorId) {
+    try {
+      const progress = await Progress.findOne({ sessionId });
+      if (!progress) {
+        throw Object.assign(new Error('Session not found'), { status: 404 });
+      }
+      if (progress.status !== 'started') {
+        throw Object.assign(new Error(progress.status === 'paused' ? 'Session is paused' : 'Session is not active'), { status: 409 });
+      }
+      if (progress.currentStepId !== stepId) {
+        throw Object.assign(new Error('Step is not the current step for this session'), { status: 409 });
+      }
+
+      const case_data = await this.getSessionCase(progress);
+      const step = case_data && case_data.simulationSteps.find(s => s.stepId === stepId);
+      if (!step) {
+        throw Object.assign(new Error('Step not found'), { status: 404 });
+      }
+
+      const now = new Date();
+      const timing = this.getStepTiming(progress, step, now);
+      this.guardStep(progress);
+
+      progress.stepPerformance.push({
+        stepId,
+        isCorrect: false,
+        score: 0,
+        timeSpent: timing.elapsedSeconds,
+        timeLimit: timing.timeLimit,
+        hintsUsed: this.countHintsUsed(progress, stepId) + this.countInstructorHints(progress, stepId),
+        instructorHints: this.countInstructorHints(progress, stepId),
+        unlockedBy: instructorId,
+        timestamp: now
+      });
+      progress.stepsCompleted += 1;
+      progress.timeSpent += timing.elapsedSeconds;
+
+      const completedStepIds = progress.stepPerformance.map(p => p.stepId);
+      const route = this.resolveRoute(case_data, null, completedStepIds, step.branch || 'main');
+      if (!route.step) {
+        return await this.completeSimulation(progress, case_data);
+      }
+
+      const remainingPath = this.analyzePaths(case_data, route.step, completedStepIds);
+      progress.currentStepId = route.step.stepId;
+      progress.branch = route.step.branch || 'main';
+      progress.stepServedAt = now;
+      progress.totalSteps = progress.stepsCompleted + remainingPath.steps.length;
+      await this.saveStep(progress);
+
+      const sessionData = await redisUtils.get(`session_${sessionId}`);
+      if (sessionData) {
+        sessionData.currentStepIndex += 1;
+        await redisUtils.set(`session_${sessionId}`, sessionData, 7200);
+      }
+
+      logger.info(`Step ${stepId} unlocked in session ${sessionId} by instructor: ${instructorId}`);
+
+      return {
+        step: this.serializeStep(route.step, progress),
+        timer: this.getStepTimer(progress, route.step, now)
+      };
+
+    } catch (error) {
+      logger.error('Unlock step error:', error);
+      throw error;
+    }
+  },
+
   async abandonSimulation(sessionId, userId) {
     try {
-      await Progress.findOneAndUpdate(
+      const progress = await Progress.findOneAndUpdate(
         { sessionId, userId },
         { 
           status: 'abandoned',
-          endTime: new Date()
-        }
+          endDate: new Date()
+        },
+        { new: true }
       );
+
+      if (progress) {
+        await xapiService.record('abandoned', progress);
+      }
       
       // Clean up session cache
       await redisUtils.del(`session_${sessionId}`);
@@ -315,6 +1120,39 @@ const simulationService = {
       logger.error('Abandon simulation error:', error);
       throw error;
     }
+  },
+
+  // Expire sessions with no activity for longer than the session cache lives
+  async expireStaleSessions(now = new Date()) {
+    try {
+      const cutoff = new Date(now.getTime() - SESSION_TIMING.IDLE_EXPIRY_SECONDS * 1000);
+      const stale = await Progress.find({
+        status: { $in: ['started', 'paused'] },
+        updatedAt: { $lt: cutoff }
+      }).select('sessionId userId caseId caseVersion startDate timeSpent').lean();
+
+      if (stale.length === 0) return 0;
+
+      const sessionIds = stale.map(p => p.sessionId);
+
+      await Progress.updateMany(
+        { sessionId: { $in: sessionIds }, status: { $in: ['started', 'paused'] } },
+        { status: 'expired', endDate: now }
+      );
+
+      await Promise.all(sessionIds.map(id => redisUtils.del(`session_${id}`)));
+
+      for (const progress of stale) {
+        await xapiService.record('abandoned', { ...progress, status: 'expired', endDate: now });
+      }
+
+      logger.info(`Expired ${sessionIds.length} stale simulation sessions`);
+
+      return sessionIds.length;
+    } catch (error) {
+      logger.error('Expire stale sessions error:', error);
+      throw error;
+    }
   }
 };
 
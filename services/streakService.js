@@ -0,0 +1,268 @@
+// services/streakService.js
+const { User, Progress } = require('../models');
+const notificationService = require('./notificationService');
+const dateUtils = require('../utils/dateUtils');
+const logger = require('../utils/logger');
+const { STREAK } = require('../utils/constants');
+
+const streakError = (message, status) => Object.assign(new Error(message), { status });
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const timezoneOf = (user) => (user.preferences && user.preferences.timezone) || 'UTC';
+
+const streakService = {
+  // Walk back from today over days with a completed session. Today only counts once it has one,
+  // so the streak stays alive until the day ends. Missed days are bridged with freezes while they
+  // last; frozen days keep the streak going without adding to it.
+  computeStreak({ activeDays, frozenDays = new Set(), today, freezes = 0, useFreezes = true }) {
+    const activeToday = activeDays.has(today);
+    const earliest = [...activeDays].sort()[0];
+    const newlyFrozen = [];
+    let remaining = useFreezes ? freezes : 0;
+    let current = 0;
+    let day = activeToday ? today : dateUtils.shiftDay(today, -1);
+
+    while (earliest && day >= earliest) {
+      if (activeDays.has(day)) {
+        current++;
+        day = dateUtils.shiftDay(day, -1);
+        continue;
+      }
+      if (frozenDays.has(day)) {
+        day = dateUtils.shiftDay(day, -1);
+        continue;
+      }
+
+      // A run of missed days: bridge it only if every day can be frozen and activity lies beyond it
+      const gap = [];
+      while (day >= earliest && !activeDays.has(day) && !frozenDays.has(day) && gap.length <= remaining) {
+        gap.push(day);
+        day = dateUtils.shiftDay(day, -1);
+      }
+      if (gap.length > remaining || day < earliest) break;
+
+      newlyFrozen.push(...gap);
+      remaining -= gap.length;
+    }
+
+    return {
+      current,
+      activeToday,
+      newlyFrozen,
+      freezes: useFreezes ? remaining : freezes
+    };
+  },
+
+  async getActiveDays(userId, timezone) {
+    const sessions = await Progress.find({ userId, status: 'completed', endDate: { $ne: null } })
+      .select('endDate')
+      .lean();
+
+    return new Set(sessions.map(session => dateUtils.getLocalDay(session.endDate, timezone).day));
+  },
+
+  // Recompute the streak from the user's sessions and store it, spending and earning freezes
+  async refresh(userOrId, now = new Date()) {
+    const user = userOrId && userOrId.statistics
+      ? userOrId
+      : await User.findById(userOrId).select('statistics preferences');
+    if (!user) return null;
+
+    const timezone = timezoneOf(user);
+    const stats = user.statistics;
+    const activeDays = await this.getActiveDays(user._id, timezone);
+    const { day: today } = dateUtils.getLocalDay(now, timezone);
+
+    const streak = this.computeStreak({
+      activeDays,
+      frozenDays: new Set(stats.frozenDays || []),
+      today,
+      freezes: stats.streakFreezes || 0,
+      useFreezes: user.preferences.streakFreezes !== false
+    });
+
+    // A freeze is earned each time the streak reaches a new multiple of FREEZE_EVERY_DAYS
+    const previous = stats.streakDays || 0;
+    let { freezes } = streak;
+    if (streak.current > previous &&
+        Math.floor(streak.current / STREAK.FREEZE_EVERY_DAYS) > Math.floor(previous / STREAK.FREEZE_EVERY_DAYS)) {
+      freezes = Math.min(freezes + 1, STREAK.MAX_FREEZES);
+    }
+
+    const frozenDays = [...(stats.frozenDays || []), ...streak.newlyFrozen].sort().slice(-STREAK.FROZEN_DAYS_KEPT);
+    const lastActivityDay = [...activeDays].sort().pop();
+    const longestStreak = Math.max(stats.longestStreak || 0, streak.current);
+
+    await User.updateOne({ _id: user._id }, {
+      $set: {
+        'statistics.streakDays': streak.current,
+        'statistics.longestStreak': longestStreak,
+        'statistics.lastActivityDay': lastActivityDay,
+        'statistics.streakFreezes': freezes,
+        'statistics.frozenDays': frozenDays
+      }
+    });
+
+    if (streak.newlyFrozen.length) {
+      logger.info(`Streak freeze used for user ${user._id} on ${streak.newlyFrozen.join(', ')}`);
+    }
+
+    return {
+      current: streak.current,
+      longest: longestStreak,
+      activeToday: streak.activeToday,
+      atRisk: streak.current > 0 && !streak.activeToday,
+      freezesAvailable: freezes,
+      freezesEnabled: user.preferences.streakFreezes !== false,
+      frozenDays,
+      lastActivityDay: lastActivityDay || null,
+      timezone,
+      today
+    };
+  },
+
+  // Called after each completed session; never throws, a streak hiccup must not fail the session
+  async recordActivity(userId, now = new Date()) {
+    try {
+      return await this.refresh(userId, now);
+    } catch (error) {
+      logger.error('Record streak activity error:', error);
+      return null;
+    }
+  },
+
+  async getStreak(userId, now = new Date()) {
+    const streak = await this.refresh(userId, now);
+    if (!streak) {
+      throw streakError('User not found', 404);
+    }
+    return streak;
+  },
+
+  async updateSettings(userId, { timezone, freezesEnabled }) {
+    const updates = {};
+    if (timezone !== undefined) updates['preferences.timezone'] = timezone;
+    if (freezesEnabled !== undefined) updates['preferences.streakFreezes'] = freezesEnabled;
+
+    const user = await User.findByIdAndUpdate(userId, { $set: updates }, { new: true, runValidators: true })
+      .select('statistics preferences');
+    if (!user) {
+      throw streakError('User not found', 404);
+    }
+
+    // Days are bucketed by timezone, so a new one can change the streak
+    return this.getStreak(userId);
+  },
+
+  // Cases and minutes per local day, for a heatmap; every day in the range is listed
+  async getActivityCalendar(userId, { from, to } = {}, now = new Date()) {
+    const user = await User.findById(userId).select('statistics preferences').lean();
+    if (!user) {
+      throw streakError('User not found', 404);
+    }
+
+    const timezone = timezoneOf(user);
+    if ((from && !DAY_PATTERN.test(from)) || (to && !DAY_PATTERN.test(to))) {
+      throw streakError('from and to must be dates in YYYY-MM-DD format', 400);
+    }
+
+    const lastDay = to || dateUtils.getLocalDay(now, timezone).day;
+    const firstDay = from || dateUtils.shiftDay(lastDay, -(STREAK.CALENDAR_DEFAULT_DAYS - 1));
+    if (firstDay > lastDay) {
+      throw streakError('from must not be after to', 400);
+    }
+    if (dateUtils.shiftDay(firstDay, STREAK.CALENDAR_MAX_DAYS) <= lastDay) {
+      throw streakError(`The calendar covers at most ${STREAK.CALENDAR_MAX_DAYS} days`, 400);
+    }
+
+    // A day a side of slack covers every timezone offset; days outside the range are dropped below
+    const sessions = await Progress.find({
+      userId,
+      status: 'completed',
+      endDate: {
+        $gte: new Date(`${dateUtils.shiftDay(firstDay, -1)}T00:00:00Z`),
+        $lt: new Date(`${dateUtils.shiftDay(lastDay, 2)}T00:00:00Z`)
+      }
+    }).select('endDate timeSpent').lean();
+
+    const byDay = new Map();
+    sessions.forEach(session => {
+      const { day } = dateUtils.getLocalDay(session.endDate, timezone);
+      if (day < firstDay || day > lastDay) return;
+      const entry = byDay.get(day) || { cases: 0, seconds: 0 };
+      entry.cases++;
+      entry.seconds += session.timeSpent || 0;
+      byDay.set(day, entry);
+    });
+
+    const frozen = new Set(user.statistics.frozenDays || []);
+    const days = [];
+    for (let day = firstDay; day <= lastDay; day = dateUtils.shiftDay(day, 1)) {
+      const entry = byDay.get(day) || { cases: 0, seconds: 0 };
+      days.push({
+        date: day,
+        cases: entry.cases,
+        minutes: Math.round(entry.seconds / 60),
+        frozen: frozen.has(day)
+      });
+    }
+
+    return {
+      timezone,
+      from: firstDay,
+      to: lastDay,
+      days,
+      totals: {
+        activeDays: days.filter(day => day.cases > 0).length,
+        cases: days.reduce((sum, day) => sum + day.cases, 0),
+        minutes: days.reduce((sum, day) => sum + day.minutes, 0)
+      },
+      streak: {
+        current: user.statistics.streakDays || 0,
+        longest: user.statistics.longestStreak || 0
+      }
+    };
+  },
+
+  // Hourly: bring every running streak up to date (spending freezes or resetting broken ones)
+  // and remind users whose streak ends tonight, once per local day, from REMINDER_HOUR on
+  async sweep(io, now = new Date()) {
+    let reminded = 0;
+    const cursor = User.find({ 'statistics.streakDays': { $gt: 0 }, isActive: true })
+      .select('statistics preferences')
+      .cursor();
+
+    for await (const user of cursor) {
+      try {
+        const streak = await this.refresh(user, now);
+        if (!io || !streak || !streak.atRisk) continue;
+        if (dateUtils.getLocalDay(now, streak.timezone).hour < STREAK.REMINDER_HOUR) continue;
+
+        // Claim today's reminder first so overlapping sweeps send it once
+        const claimed = await User.updateOne(
+          { _id: user._id, 'statistics.streakReminderDay': { $ne: streak.today } },
+          { $set: { 'statistics.streakReminderDay': streak.today } }
+        );
+        if (claimed.modifiedCount !== 1) continue;
+
+        await notificationService.sendRealTimeNotification(io, user._id, {
+          type: 'reminder',
+          title: 'Keep Your Streak Going',
+          message: `Complete a case today to keep your ${streak.current}-day streak` +
+            (streak.freezesEnabled && streak.freezesAvailable > 0
+              ? ` (a streak freeze will cover today if you can't, ${streak.freezesAvailable} left)`
+              : ''),
+          data: { streakDays: streak.current, freezesAvailable: streak.freezesAvailable, actionUrl: '/cases' }
+        });
+        reminded++;
+      } catch (error) {
+        logger.error(`Streak sweep error for user ${user._id}:`, error);
+      }
+    }
+
+    return reminded;
+  }
+};
+
+module.exports = streakService;
@@ -0,0 +1,522 @@
+// services/teamSessionService.js
+const crypto = require('crypto');
+const { Case, Progress } = require('../models');
+const simulationService = require('./simulationService');
+const orderEntryService = require('./orderEntryService');
+const courseService = require('./courseService');
+const jobQueue = require('./jobQueue');
+const logger = require('../utils/logger');
+const { TEAM_ROLES, TEAM_SESSION } = require('../utils/constants');
+
+// Unambiguous characters for codes read out across a room
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const teamError = (status, message) => Object.assign(new Error(message), { status });
+
+const memberName = (user) => (user.profile
+  ? `${user.profile.firstName} ${user.profile.lastName}`.trim()
+  : user.email);
+
+// Proposals are compared by answer: the option id, or the normalized set of orders
+const answerKey = ({ selectedOption, orders }) => (orders && orders.length > 0
+  ? orders.map(order => orderEntryService.normalizeOrder(order).normalized).sort().join('|')
+  : selectedOption);
+
+// Team actions on one session run one at a time within this process. Other API workers can act on the
+// same session, so proposals are written with atomic updates and decide() claims the step in the database.
+const sessionLocks = new Map();
+
+const withSessionLock = (sessionId, fn) => {
+  const previous = sessionLocks.get(sessionId) || Promise.resolve();
+  const run = previous.catch(() => {}).then(fn);
+  const tail = run.catch(() => {});
+  sessionLocks.set(sessionId, tail);
+  tail.then(() => {
+    if (sessionLocks.get(sessionId) === tail) sessionLocks.delete(sessionId);
+  });
+  return run;
+};
+
+const teamSessionService = {
+  generateJoinCode() {
+    const bytes = crypto.randomBytes(TEAM_SESSION.JOIN_CODE_LENGTH);
+    return Array.from(bytes, byte => JOIN_CODE_ALPHABET[byte % JOIN_CODE_ALPHABET.length]).join('');
+  },
+
+  isTeamSession(progress) {
+    return Boolean(progress && progress.team && progress.team.host);
+  },
+
+  getActiveMembers(progress) {
+    return progress.team.members.filter(member => !member.leftAt);
+  },
+
+  getMember(progress, userId) {
+    return this.getActiveMembers(progress).find(member => String(member.userId) === String(userId)) || null;
+  },
+
+  // The member holding team_leader decides under the leader rule; the host stands in when nobody does
+  getLeaderId(progress) {
+    const leader = this.getActiveMembers(progress).find(member => member.role === 'team_leader');
+    return leader ? leader.userId : progress.team.host;
+  },
+
+  getVoters(progress) {
+    return this.getActiveMembers(progress).filter(member => member.role !== 'observer');
+  },
+
+  votesNeeded(progress) {
+    return Math.floor(this.getVoters(progress).length / 2) + 1;
+  },
+
+  assertRoleAvailable(progress, role, userId) {
+    if (!TEAM_ROLES.includes(role)) {
+      throw teamError(400, `Role must be one of ${TEAM_ROLES.join(', ')}`);
+    }
+    const holder = this.getActiveMembers(progress)
+      .find(member => member.role === role && String(member.userId) !== String(userId));
+    if (role !== 'observer' && holder) {
+      throw teamError(409, `The ${role} role is already taken`);
+    }
+  },
+
+  // First clinical role nobody holds yet, otherwise observer
+  pickRole(progress) {
+    const taken = this.getActiveMembers(progress).map(member => member.role);
+    return TEAM_ROLES.find(role => role !== 'observer' && !taken.includes(role)) || 'observer';
+  },
+
+  async loadSession(sessionId) {
+    const progress = await Progress.findOne({ sessionId });
+    if (!this.isTeamSession(progress)) {
+      throw teamError(404, 'Team session not found');
+    }
+    return progress;
+  },
+
+  async loadMemberSession(sessionId, user) {
+    const progress = await this.loadSession(sessionId);
+    const member = this.getMember(progress, user._id);
+    if (!member) {
+      throw teamError(403, 'You are not a member of this team session');
+    }
+    return { progress, member };
+  },
+
+  assertActive(progress) {
+    if (progress.status !== 'started') {
+      throw teamError(409, progress.status === 'paused' ? 'Session is paused' : 'Session is not active');
+    }
+  },
+
+  async createTeamSession(host, caseId, { decisionRule = 'vote', role = 'team_leader' } = {}) {
+    try {
+      if (!TEAM_SESSION.DECISION_RULES.includes(decisionRule)) {
+        throw teamError(400, `Decision rule must be one of ${TEAM_SESSION.DECISION_RULES.join(', ')}`);
+      }
+      if (!TEAM_ROLES.includes(role)) {
+        throw teamError(400, `Role must be one of ${TEAM_ROLES.join(', ')}`);
+      }
+
+      const session = await simulationService.createSimulationSession(host._id, caseId);
+      const progress = await Progress.findOne({ sessionId: session.sessionId });
+
+      let joinCode = this.generateJoinCode();
+      while (await Progress.exists({ 'team.joinCode': joinCode, status: { $in: ['started', 'paused'] } })) {
+        joinCode = this.generateJoinCode();
+      }
+
+      progress.team = {
+        host: host._id,
+        joinCode,
+        decisionRule,
+        members: [{ userId: host._id, name: memberName(host), role }],
+        proposals: [],
+        contributions: []
+      };
+      await progress.save();
+
+      logger.info(`Team session created: ${session.sessionId} by host: ${host._id}`);
+
+      return {
+        ...session,
+        joinCode,
+        team: await this.buildState(progress)
+      };
+
+    } catch (error) {
+      logger.error('Create team session error:', error);
+      throw error;
+    }
+  },
+
+  async joinTeamSession(joinCode, user, role = null) {
+    try {
+      const progress = await Progress.findOne({
+        'team.joinCode': String(joinCode || '').trim().toUpperCase(),
+        status: { $in: ['started', 'paused'] }
+      });
+      if (!this.isTeamSession(progress)) {
+        throw teamError(404, 'No open team session with that join code');
+      }
+
+      const existing = this.getMember(progress, user._id);
+      if (existing) {
+        if (role && role !== existing.role) {
+          this.assertRoleAvailable(progress, role, user._id);
+          existing.role = role;
+          await progress.save();
+        }
+        return this.buildState(progress);
+      }
+
+      // A course-only case stays within its course, even when played as a team
+      const case_data = await Case.findById(progress.caseId).select('metadata.visibility metadata.author');
+      if (case_data && !(await courseService.canAccessCase(user, case_data))) {
+        throw teamError(403, 'This case is limited to members of its course');
+      }
+
+      if (this.getActiveMembers(progress).length >= TEAM_SESSION.MAX_MEMBERS) {
+        throw teamError(409, `Team sessions are limited to ${TEAM_SESSION.MAX_MEMBERS} members`);
+      }
+
+      const memberRole = role || this.pickRole(progress);
+      this.assertRoleAvailable(progress, memberRole, user._id);
+
+      const previous = progress.team.members.find(member => String(member.userId) === String(user._id));
+      if (previous) {
+        Object.assign(previous, { role: memberRole, joinedAt: new Date(), leftAt: undefined });
+      } else {
+        progress.team.members.push({ userId: user._id, name: memberName(user), role: memberRole });
+      }
+      await progress.save();
+
+      logger.info(`User ${user._id} joined team session ${progress.sessionId} as ${memberRole}`);
+
+      return this.buildState(progress);
+
+    } catch (error) {
+      logger.error('Join team session error:', error);
+      throw error;
+    }
+  },
+
+  async leaveTeamSession(sessionId, user) {
+    return withSessionLock(sessionId, async () => {
+      try {
+        const { progress, member } = await this.loadMemberSession(sessionId, user);
+
+        member.leftAt = new Date();
+        await progress.save();
+        await this.withdrawProposal(progress, user._id);
+
+        return this.buildState(await this.loadSession(sessionId));
+
+      } catch (error) {
+        logger.error('Leave team session error:', error);
+        throw error;
+      }
+    });
+  },
+
+  async changeRole(sessionId, user, role) {
+    return withSessionLock(sessionId, async () => {
+      try {
+        const { progress, member } = await this.loadMemberSession(sessionId, user);
+
+        this.assertRoleAvailable(progress, role, user._id);
+        member.role = role;
+        await progress.save();
+        if (role === 'observer') {
+          await this.withdrawProposal(progress, user._id);
+        }
+
+        return this.buildState(await this.loadSession(sessionId));
+
+      } catch (error) {
+        logger.error('Change team role error:', error);
+        throw error;
+      }
+    });
+  },
+
+  // Check an answer against the step the team is on before it is recorded
+  async validateAnswer(progress, { stepId, selectedOption, orders }) {
+    if (!stepId || stepId !== progress.currentStepId) {
+      throw teamError(409, 'Step is not the current step for this session');
+    }
+
+    const case_data = await simulationService.getSessionCase(progress);
+    const step = case_data && case_data.simulationSteps.find(s => s.stepId === stepId);
+    if (!step) {
+      throw teamError(404, 'Step not found');
+    }
+
+    if (step.stepType === 'order_entry') {
+      if (!Array.isArray(orders) || orders.length === 0) {
+        throw teamError(400, 'Orders are required for this step');
+      }
+      return { stepId, orders };
+    }
+
+    if (!step.options.some(option => option.optionId === selectedOption)) {
+      throw teamError(400, 'Option not found');
+    }
+    return { stepId, selectedOption };
+  },
+
+  // Record the member's proposal; under the vote rule a majority for one answer decides the step
+  async propose(sessionId, user, answer) {
+    return withSessionLock(sessionId, async () => {
+      try {
+        const { progress, member } = await this.loadMemberSession(sessionId, user);
+        this.assertActive(progress);
+
+        if (member.role === 'observer') {
+          throw teamError(403, 'Observers cannot propose answers');
+        }
+
+        const proposal = await this.validateAnswer(progress, answer);
+        await this.withdrawProposal(progress, user._id);
+        const updated = await Progress.findOneAndUpdate(
+          { _id: progress._id, status: 'started', currentStepId: proposal.stepId },
+          { $push: { 'team.proposals': { userId: user._id, ...proposal } } },
+          { new: true }
+        );
+        if (!updated) {
+          throw teamError(409, 'Step is not the current step for this session');
+        }
+
+        if (updated.team.decisionRule === 'vote') {
+          const key = answerKey(proposal);
+          const votes = updated.team.proposals
+            .filter(existing => existing.stepId === proposal.stepId && answerKey(existing) === key).length;
+          if (votes >= this.votesNeeded(updated)) {
+            // A concurrent deciding vote may have claimed the step first; this vote was counted either way
+            const outcome = await this.decide(updated, proposal, null);
+            if (outcome) return outcome;
+            return { decided: false, state: await this.buildState(await this.loadSession(sessionId)) };
+          }
+        }
+
+        return { decided: false, state: await this.buildState(updated) };
+
+      } catch (error) {
+        logger.error('Team proposal error:', error);
+        throw error;
+      }
+    });
+  },
+
+  // Leader rule: the team leader commits an answer, proposed or not
+  async confirm(sessionId, user, answer) {
+    return withSessionLock(sessionId, async () => {
+      try {
+        const { progress } = await this.loadMemberSession(sessionId, user);
+        this.assertActive(progress);
+
+        if (progress.team.decisionRule !== 'leader') {
+          throw teamError(409, 'This team decides by vote');
+        }
+        if (String(this.getLeaderId(progress)) !== String(user._id)) {
+          throw teamError(403, 'Only the team leader can confirm an answer');
+        }
+
+        const answerToSubmit = await this.validateAnswer(progress, answer);
+        const outcome = await this.decide(progress, answerToSubmit, user._id);
+        if (!outcome) {
+          throw teamError(409, 'This step has already been decided');
+        }
+        return outcome;
+
+      } catch (error) {
+        logger.error('Team confirm error:', error);
+        throw error;
+      }
+    });
+  },
+
+  async withdrawProposal(progress, userId) {
+    await Progress.updateOne({ _id: progress._id }, { $pull: { 'team.proposals': { userId } } });
+  },
+
+  // Submit the team's answer through the solo engine, then credit each member's contribution.
+  // The step is claimed first with a conditional update, so however many deciding votes or confirms
+  // arrive on however many API workers, it is scored once; the others get null.
+  async decide(progress, answer, confirmedBy) {
+    const { sessionId, team } = progress;
+    const key = answerKey(answer);
+    const decidedBy = confirmedBy || team.proposals.find(proposal => answerKey(proposal) === key).userId;
+
+    const staleBefore = new Date(Date.now() - TEAM_SESSION.DECISION_CLAIM_SECONDS * 1000);
+    const claimed = await Progress.findOneAndUpdate(
+      {
+        sessionId,
+        status: 'started',
+        currentStepId: answer.stepId,
+        $or: [
+          { 'team.deciding.stepId': { $ne: answer.stepId } },
+          { 'team.deciding.claimedAt': { $lt: staleBefore } }
+        ]
+      },
+      { $set: { 'team.deciding': { stepId: answer.stepId, claimedAt: new Date() } } }
+    );
+    if (!claimed) return null;
+
+    let result;
+    try {
+      result = await simulationService.processSimulationStep(
+        sessionId,
+        answer.stepId,
+        answer.selectedOption,
+        undefined,
+        answer.orders || null,
+        { decidedBy, decisionRule: team.decisionRule }
+      );
+    } catch (error) {
+      // Release the claim so the team can decide the step again
+      await Progress.updateOne({ sessionId, 'team.deciding.stepId': answer.stepId }, { $unset: { 'team.deciding': 1 } });
+      throw error;
+    }
+
+    const decided = await this.loadSession(sessionId);
+    const roleOf = (userId) => (this.getMember(decided, userId) || {}).role;
+
+    const contributions = decided.team.proposals
+      .filter(proposal => proposal.stepId === answer.stepId)
+      .map(proposal => ({
+        userId: proposal.userId,
+        role: roleOf(proposal.userId),
+        stepId: proposal.stepId,
+        action: 'proposed',
+        selectedOption: proposal.selectedOption,
+        orders: proposal.orders,
+        accepted: answerKey(proposal) === key
+      }));
+    if (confirmedBy) {
+      contributions.push({
+        userId: confirmedBy,
+        role: roleOf(confirmedBy),
+        stepId: answer.stepId,
+        action: 'confirmed',
+        selectedOption: answer.selectedOption,
+        orders: answer.orders,
+        accepted: true
+      });
+    }
+    await Progress.updateOne({ _id: decided._id }, {
+      $push: { 'team.contributions': { $each: contributions } },
+      $pull: { 'team.proposals': { stepId: answer.stepId } }
+    });
+
+    logger.info(`Team session ${sessionId} decided step ${answer.stepId} by ${team.decisionRule}`);
+
+    return {
+      decided: true,
+      decision: {
+        stepId: answer.stepId,
+        selectedOption: answer.selectedOption,
+        orders: answer.orders,
+        decidedBy,
+        decisionRule: team.decisionRule
+      },
+      result,
+      state: await this.buildState(await this.loadSession(sessionId))
+    };
+  },
+
+  async getState(sessionId, user) {
+    try {
+      const { progress } = await this.loadMemberSession(sessionId, user);
+      return this.buildState(progress);
+    } catch (error) {
+      logger.error('Get team state error:', error);
+      throw error;
+    }
+  },
+
+  // Shared view of the session; identical for every member so it can be broadcast to the room
+  async buildState(progress) {
+    const { team } = progress;
+    const case_data = await simulationService.getSessionCase(progress);
+    const step = case_data && progress.status === 'started'
+      ? case_data.simulationSteps.find(s => s.stepId === progress.currentStepId)
+      : null;
+
+    const proposals = [];
+    team.proposals.forEach(proposal => {
+      const key = answerKey(proposal);
+      let entry = proposals.find(existing => existing.key === key);
+      if (!entry) {
+        entry = {
+          key,
+          selectedOption: proposal.selectedOption,
+          orders: proposal.orders.length > 0 ? proposal.orders : undefined,
+          members: []
+        };
+        proposals.push(entry);
+      }
+      entry.members.push(proposal.userId);
+    });
+
+    const contributions = team.members.map(member => {
+      const own = team.contributions.filter(c => String(c.userId) === String(member.userId));
+      return {
+        userId: member.userId,
+        name: member.name,
+        role: member.role,
+        proposals: own.filter(c => c.action === 'proposed').length,
+        accepted: own.filter(c => c.action === 'proposed' && c.accepted).length,
+        confirmations: own.filter(c => c.action === 'confirmed').length
+      };
+    });
+
+    return {
+      sessionId: progress.sessionId,
+      caseId: progress.caseId,
+      status: progress.status,
+      joinCode: team.joinCode,
+      decisionRule: team.decisionRule,
+      host: team.host,
+      leader: this.getLeaderId(progress),
+      members: this.getActiveMembers(progress).map(member => ({
+        userId: member.userId,
+        name: member.name,
+        role: member.role,
+        joinedAt: member.joinedAt
+      })),
+      currentStepId: step ? step.stepId : null,
+      step: step ? simulationService.serializeStep(step, progress) : null,
+      proposals: proposals.map(({ key, ...entry }) => ({ ...entry, votes: entry.members.length })),
+      votesNeeded: team.decisionRule === 'vote' ? this.votesNeeded(progress) : null,
+      progress: {
+        stepsCompleted: progress.stepsCompleted,
+        totalSteps: progress.totalSteps,
+        currentScore: progress.score,
+        maxScore: progress.maxPossibleScore,
+        timeSpent: progress.timeSpent
+      },
+      monitor: case_data ? simulationService.getPatientMonitor(progress, case_data) : null,
+      contributions
+    };
+  },
+
+  // Push the outcome of a team action to everyone in the session room, through the job queue's relay
+  // so members connected to other API workers get it too
+  broadcast(sessionId, outcome) {
+    const io = jobQueue.socketEmitter();
+    if (!io) return;
+
+    const room = `team_${sessionId}`;
+    if (outcome.decided) {
+      io.to(room).emit('team_step_decided', {
+        ...outcome.decision,
+        result: outcome.result,
+        timestamp: new Date()
+      });
+    }
+    io.to(room).emit('team_state', outcome.state || outcome);
+  }
+};
+
+module.exports = teamSessionService;
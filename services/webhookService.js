@@ -0,0 +1,230 @@
+// services/webhookService.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { WebhookEndpoint, WebhookDelivery } = require('../models');
+const jobQueue = require('./jobQueue');
+const encryption = require('../utils/encryption');
+const logger = require('../utils/logger');
+const { WEBHOOK, JOBS } = require('../utils/constants');
+
+const webhookError = (message, status) => Object.assign(new Error(message), { status });
+
+const generateSecret = () => `whsec_${encryption.generateToken(24)}`;
+
+const webhookService = {
+  // What receivers recompute to check a delivery: HMAC-SHA256 of "<timestamp>.<raw body>" with their secret
+  sign(body, timestamp, secret) {
+    return `sha256=${encryption.createSignature(`${timestamp}.${body}`, secret)}`;
+  },
+
+  async loadEndpoint(endpointId) {
+    const endpoint = mongoose.Types.ObjectId.isValid(endpointId) ? await WebhookEndpoint.findById(endpointId) : null;
+    if (!endpoint) {
+      throw webhookError('Webhook endpoint not found', 404);
+    }
+    return endpoint;
+  },
+
+  async loadDelivery(deliveryId) {
+    const delivery = mongoose.Types.ObjectId.isValid(deliveryId) ? await WebhookDelivery.findById(deliveryId) : null;
+    if (!delivery) {
+      throw webhookError('Webhook delivery not found', 404);
+    }
+    return delivery;
+  },
+
+  async listEndpoints() {
+    return WebhookEndpoint.find().sort({ createdAt: -1 });
+  },
+
+  // The secret is only ever returned here and on rotation
+  async createEndpoint({ url, events, description }, user) {
+    const secret = generateSecret();
+    const endpoint = await WebhookEndpoint.create({
+      url,
+      events,
+      description,
+      secret,
+      createdBy: user._id
+    });
+
+    logger.info(`Webhook endpoint ${endpoint._id} registered for ${events.join(', ')} by ${user.email}`);
+    return { endpoint: { ...endpoint.toObject(), secret: undefined }, secret };
+  },
+
+  async updateEndpoint(endpointId, { rotateSecret, ...updates }) {
+    const endpoint = await this.loadEndpoint(endpointId);
+    Object.assign(endpoint, updates);
+
+    let secret;
+    if (rotateSecret) {
+      secret = generateSecret();
+      endpoint.secret = secret;
+    }
+
+    await endpoint.save();
+    return { endpoint: { ...endpoint.toObject(), secret: undefined }, secret };
+  },
+
+  async deleteEndpoint(endpointId) {
+    const endpoint = await this.loadEndpoint(endpointId);
+    await WebhookDelivery.deleteMany({ endpoint: endpoint._id });
+    await endpoint.deleteOne();
+  },
+
+  // Fan an event out to every active endpoint subscribed to it. Never throws: a receiver that is
+  // down, or a webhook bug, must not fail the publish, completion or post that raised the event.
+  async emit(event, data) {
+    try {
+      const endpoints = await WebhookEndpoint.find({ events: event, isActive: true }).select('_id');
+      if (!endpoints.length) return [];
+
+      // One envelope per event, so receivers can dedupe on its id across retries and redeliveries
+      const payload = {
+        id: crypto.randomUUID(),
+        type: event,
+        createdAt: new Date().toISOString(),
+        data
+      };
+
+      const deliveries = await WebhookDelivery.insertMany(
+        endpoints.map(endpoint => ({ endpoint: endpoint._id, event, payload }))
+      );
+      for (const delivery of deliveries) {
+        await this.enqueue(delivery);
+      }
+      return deliveries;
+
+    } catch (error) {
+      logger.error(`Webhook event ${event} error:`, error);
+      return [];
+    }
+  },
+
+  async enqueue(delivery) {
+    return jobQueue.add(JOBS.QUEUES.WEBHOOK, 'deliver', { deliveryId: String(delivery._id) }, {
+      attempts: WEBHOOK.MAX_ATTEMPTS
+    });
+  },
+
+  // POST the delivery once and log the attempt. A failed attempt throws so the job queue retries it
+  // with backoff, unless it is the last one, which marks the delivery failed for an admin to redeliver.
+  async attemptDelivery(deliveryId, { final = false } = {}) {
+    const delivery = await WebhookDelivery.findById(deliveryId);
+    if (!delivery || delivery.status !== 'pending') return delivery;
+
+    const endpoint = await WebhookEndpoint.findById(delivery.endpoint).select('+secret');
+    if (!endpoint || !endpoint.isActive) {
+      delivery.status = 'failed';
+      delivery.lastError = 'Endpoint was removed or disabled';
+      delivery.failedAt = new Date();
+      await delivery.save();
+      return delivery;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const attempt = { attemptedAt: new Date() };
+
+    try {
+      const response = await fetch(endpoint.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'MedicalCaseSimulator-Webhooks/1.0',
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Id': delivery.payload.id,
+          'X-Webhook-Delivery': String(delivery._id),
+          'X-Webhook-Timestamp': String(timestamp),
+          [WEBHOOK.SIGNATURE_HEADER]: this.sign(body, timestamp, endpoint.secret)
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(WEBHOOK.HTTP_TIMEOUT_MS)
+      });
+
+      attempt.responseStatus = response.status;
+      attempt.responseBody = (await response.text().catch(() => '')).slice(0, WEBHOOK.RESPONSE_BODY_LIMIT);
+      if (!response.ok) {
+        attempt.error = `Endpoint responded ${response.status}`;
+      }
+    } catch (error) {
+      attempt.error = `Endpoint unreachable: ${error.message}`;
+    }
+
+    attempt.durationMs = Date.now() - attempt.attemptedAt.getTime();
+    delivery.attempts.push(attempt);
+
+    if (!attempt.error) {
+      delivery.status = 'delivered';
+      delivery.deliveredAt = new Date();
+      await delivery.save();
+      return delivery;
+    }
+
+    delivery.lastError = attempt.error;
+    if (final) {
+      delivery.status = 'failed';
+      delivery.failedAt = new Date();
+      logger.warn(`Webhook delivery ${delivery._id} to ${endpoint.url} failed after ${delivery.attempts.length} attempts: ${attempt.error}`);
+    }
+    await delivery.save();
+
+    if (!final) {
+      throw webhookError(attempt.error, 502);
+    }
+    return delivery;
+  },
+
+  // Send a finished delivery's payload again, as it was signed the first time, with a fresh set of retries
+  async redeliver(deliveryId) {
+    const delivery = await this.loadDelivery(deliveryId);
+    if (delivery.status === 'pending') {
+      throw webhookError('Delivery is still being attempted', 409);
+    }
+
+    const endpoint = await WebhookEndpoint.findById(delivery.endpoint);
+    if (!endpoint || !endpoint.isActive) {
+      throw webhookError('Webhook endpoint is disabled', 409);
+    }
+
+    delivery.status = 'pending';
+    delivery.failedAt = undefined;
+    await delivery.save();
+    await this.enqueue(delivery);
+
+    // Without Redis the attempt has already run inline
+    return WebhookDelivery.findById(delivery._id);
+  },
+
+  async listDeliveries({ endpoint, status, event, page = 1, limit = 50 } = {}) {
+    const filter = {};
+    if (endpoint) {
+      if (!mongoose.Types.ObjectId.isValid(endpoint)) {
+        throw webhookError('Invalid endpoint id', 400);
+      }
+      filter.endpoint = endpoint;
+    }
+    if (status) filter.status = status;
+    if (event) filter.event = event;
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-payload -attempts.responseBody')
+        .populate('endpoint', 'url'),
+      WebhookDelivery.countDocuments(filter)
+    ]);
+
+    return { deliveries, total, page, pages: Math.ceil(total / limit) };
+  },
+
+  async getDelivery(deliveryId) {
+    const delivery = await this.loadDelivery(deliveryId);
+    return delivery.populate('endpoint', 'url events isActive');
+  }
+};
+
+module.exports = webhookService;
@@ -0,0 +1,373 @@
+// services/xapiService.js
+const crypto = require('crypto');
+const { XapiStatement, Progress, Case } = require('../models');
+const xapiConfig = require('../config/xapi');
+const logger = require('../utils/logger');
+const { XAPI } = require('../utils/constants');
+
+// LRS answers that will not change on retry; a batch rejected this way is resent one statement at a time
+const REJECTED_STATUSES = [400, 413];
+
+const REPLAY_PAGE_SIZE = 200;
+
+// Name-based UUID (version 5 layout) so the same session event always gets the same statement ID
+const uuidFromKey = (key) => {
+  const hex = crypto.createHash('sha1').update(key).digest('hex');
+  const variant = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-${variant}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+};
+
+const isoDuration = (seconds) => `PT${Math.round((seconds || 0) * 100) / 100}S`;
+
+const languageMap = (text) => ({ 'en-US': text });
+
+// When each kind of event happened, from the session record itself so live and replayed statements agree
+const eventTime = (verb, progress, entry) => {
+  switch (verb) {
+    case 'initialized': return progress.startDate;
+    case 'answered': return entry.timestamp || entry._id.getTimestamp();
+    case 'hinted': return entry.timestamp;
+    case 'suspended': return entry.pausedAt;
+    case 'resumed': return entry.resumedAt;
+    default: return progress.endDate || progress.updatedAt;
+  }
+};
+
+const xapiError = (message, status) => Object.assign(new Error(message), { status });
+
+const xapiService = {
+  uuidFromKey,
+
+  caseActivityId(caseId) {
+    return `${xapiConfig.ACTIVITY_BASE_URL}/cases/${caseId}`;
+  },
+
+  stepActivityId(caseId, stepId) {
+    return `${this.caseActivityId(caseId)}/steps/${encodeURIComponent(stepId)}`;
+  },
+
+  activity(id, type, name) {
+    return {
+      objectType: 'Activity',
+      id,
+      definition: { type, ...(name && { name: languageMap(name) }) }
+    };
+  },
+
+  // caseDoc (optional) supplies activity names; entry is the stepPerformance, hintsRevealed or pauseHistory item
+  buildStatement(verb, progress, { caseDoc = null, entry = null } = {}) {
+    const caseId = String(progress.caseId);
+    const caseActivity = this.activity(this.caseActivityId(caseId), XAPI.ACTIVITY_TYPES.CASE, caseDoc && caseDoc.title);
+    const step = entry && entry.stepId && caseDoc
+      ? caseDoc.simulationSteps.find(s => s.stepId === entry.stepId)
+      : null;
+
+    let object = caseActivity;
+    let result;
+
+    if (verb === 'answered') {
+      object = this.activity(this.stepActivityId(caseId, entry.stepId), XAPI.ACTIVITY_TYPES.STEP, step && step.title);
+      const response = entry.selectedOption || (entry.orders || []).map(order => order.text).join('[,]');
+      result = {
+        success: entry.isCorrect,
+        ...(response && { response }),
+        score: { raw: entry.score },
+        duration: isoDuration(entry.timeSpent),
+        extensions: { [`${xapiConfig.ACTIVITY_BASE_URL}/xapi/extensions/hints-used`]: entry.hintsUsed || 0 }
+      };
+    } else if (verb === 'hinted') {
+      const hintNumber = entry.hintIndex + 1;
+      object = this.activity(
+        `${this.stepActivityId(caseId, entry.stepId)}/hints/${hintNumber}`,
+        XAPI.ACTIVITY_TYPES.HINT,
+        step && `${step.title} - hint ${hintNumber}`
+      );
+    } else if (verb === 'completed') {
+      result = {
+        completion: true,
+        score: {
+          scaled: Math.round(progress.percentageScore) / 100,
+          raw: progress.score,
+          min: 0,
+          max: progress.maxPossibleScore
+        },
+        duration: isoDuration(progress.timeSpent)
+      };
+    } else if (verb === 'abandoned') {
+      result = { completion: false, duration: isoDuration(progress.timeSpent) };
+    }
+
+    const key = `${progress.sessionId}|${verb}${entry && entry._id ? `|${entry._id}` : ''}`;
+
+    return {
+      id: uuidFromKey(key),
+      actor: {
+        objectType: 'Agent',
+        account: { homePage: xapiConfig.ACTIVITY_BASE_URL, name: String(progress.userId) }
+      },
+      verb: { id: XAPI.VERBS[verb].id, display: languageMap(XAPI.VERBS[verb].display) },
+      object,
+      ...(result && { result }),
+      context: {
+        registration: uuidFromKey(`${progress.sessionId}|registration`),
+        platform: 'Medical Case Simulator',
+        ...(object !== caseActivity && { contextActivities: { parent: [caseActivity] } }),
+        extensions: {
+          [`${xapiConfig.ACTIVITY_BASE_URL}/xapi/extensions/session-id`]: progress.sessionId,
+          ...(progress.caseVersion && { [`${xapiConfig.ACTIVITY_BASE_URL}/xapi/extensions/case-version`]: progress.caseVersion })
+        }
+      },
+      timestamp: new Date(eventTime(verb, progress, entry) || Date.now()).toISOString()
+    };
+  },
+
+  // Queue the statement for a simulation event. Never throws: xAPI must not break the simulation.
+  async record(verb, progress, options = {}) {
+    if (!xapiConfig.ENABLED) return null;
+
+    try {
+      const statement = this.buildStatement(verb, progress, options);
+      const queued = new XapiStatement({
+        statementId: statement.id,
+        statement,
+        verb,
+        userId: progress.userId,
+        sessionId: progress.sessionId
+      });
+      await queued.save();
+      return queued;
+
+    } catch (error) {
+      // Already queued (e.g. by a replay)
+      if (error.code === 11000) return null;
+      logger.error(`xAPI ${verb} statement for session ${progress.sessionId} not queued:`, error);
+      return null;
+    }
+  },
+
+  // Every statement a session's record implies, for backfilling sessions played before xAPI was on
+  statementsForSession(progress, caseDoc = null) {
+    const statements = [this.buildStatement('initialized', progress, { caseDoc })];
+
+    (progress.stepPerformance || []).filter(entry => !entry.unlockedBy).forEach(entry => {
+      statements.push(this.buildStatement('answered', progress, { caseDoc, entry }));
+    });
+    (progress.hintsRevealed || []).forEach(entry => {
+      statements.push(this.buildStatement('hinted', progress, { caseDoc, entry }));
+    });
+    (progress.pauseHistory || []).forEach(entry => {
+      if (entry.pausedAt) statements.push(this.buildStatement('suspended', progress, { caseDoc, entry }));
+      if (entry.resumedAt) statements.push(this.buildStatement('resumed', progress, { caseDoc, entry }));
+    });
+
+    if (progress.status === 'completed') {
+      statements.push(this.buildStatement('completed', progress, { caseDoc }));
+    } else if (['abandoned', 'expired'].includes(progress.status)) {
+      statements.push(this.buildStatement('abandoned', progress, { caseDoc }));
+    }
+
+    return statements.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  },
+
+  // Add statements to the outbox, skipping ones already queued; returns how many were added
+  async enqueue(statements, { userId, sessionId } = {}) {
+    const ids = statements.map(statement => statement.id);
+    const existing = new Set((await XapiStatement.find({ statementId: { $in: ids } }).select('statementId'))
+      .map(doc => doc.statementId));
+
+    const docs = statements
+      .filter(statement => !existing.has(statement.id))
+      .map(statement => ({
+        statementId: statement.id,
+        statement,
+        verb: Object.keys(XAPI.VERBS).find(key => XAPI.VERBS[key].id === statement.verb.id),
+        userId,
+        sessionId
+      }));
+    if (docs.length === 0) return 0;
+
+    try {
+      await XapiStatement.insertMany(docs, { ordered: false });
+      return docs.length;
+    } catch (error) {
+      const writeErrors = error.writeErrors || [];
+      if (writeErrors.length === 0 || writeErrors.some(writeError => writeError.code !== 11000)) throw error;
+      return docs.length - writeErrors.length;
+    }
+  },
+
+  // Backfill the outbox from stored sessions. dryRun only counts.
+  async replay({ since = null, until = null, dryRun = false } = {}) {
+    const filter = {};
+    if (since || until) {
+      filter.startDate = {};
+      if (since) filter.startDate.$gte = since;
+      if (until) filter.startDate.$lt = until;
+    }
+
+    const cases = new Map();
+    const loadCase = async (caseId) => {
+      const key = String(caseId);
+      if (!cases.has(key)) {
+        cases.set(key, await Case.findById(caseId).select('title simulationSteps.stepId simulationSteps.title'));
+      }
+      return cases.get(key);
+    };
+
+    const totals = { sessions: 0, statements: 0, queued: 0 };
+    let lastId = null;
+
+    for (;;) {
+      const page = await Progress.find({ ...filter, ...(lastId && { _id: { $gt: lastId } }) })
+        .sort({ _id: 1 })
+        .limit(REPLAY_PAGE_SIZE);
+      if (page.length === 0) break;
+
+      for (const progress of page) {
+        const statements = this.statementsForSession(progress, await loadCase(progress.caseId));
+        totals.sessions += 1;
+        totals.statements += statements.length;
+        if (!dryRun) {
+          totals.queued += await this.enqueue(statements, { userId: progress.userId, sessionId: progress.sessionId });
+        }
+      }
+      lastId = page[page.length - 1]._id;
+    }
+
+    logger.info(`xAPI replay: ${totals.sessions} sessions, ${totals.statements} statements, ${totals.queued} queued`);
+
+    return totals;
+  },
+
+  async postStatements(statements) {
+    let response;
+    try {
+      response = await fetch(`${xapiConfig.ENDPOINT}statements`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Experience-API-Version': XAPI.VERSION,
+          Authorization: `Basic ${Buffer.from(`${xapiConfig.USERNAME}:${xapiConfig.PASSWORD}`).toString('base64')}`
+        },
+        body: JSON.stringify(statements),
+        signal: AbortSignal.timeout(XAPI.HTTP_TIMEOUT_MS)
+      });
+    } catch (error) {
+      throw xapiError(`LRS unreachable: ${error.message}`);
+    }
+
+    // 409: the LRS already holds these statement IDs
+    if (!response.ok && response.status !== 409) {
+      const detail = (await response.text().catch(() => '')).slice(0, 500);
+      throw xapiError(`LRS responded ${response.status}${detail ? `: ${detail}` : ''}`, response.status);
+    }
+  },
+
+  async markSent(docs, now) {
+    await XapiStatement.updateMany(
+      { _id: { $in: docs.map(doc => doc._id) } },
+      { $set: { status: 'sent', sentAt: now, lastError: null } }
+    );
+  },
+
+  // Back off, or dead-letter statements the LRS rejected or that ran out of retries
+  async markFailed(docs, error, now) {
+    const rejected = REJECTED_STATUSES.includes(error.status);
+
+    for (const doc of docs) {
+      doc.attempts += 1;
+      doc.lastError = error.message;
+      if (rejected || doc.attempts > XAPI.RETRY_DELAYS_SECONDS.length) {
+        doc.status = 'dead';
+        doc.deadAt = now;
+        logger.warn(`xAPI statement ${doc.statementId} dead-lettered: ${error.message}`);
+      } else {
+        doc.nextAttemptAt = new Date(now.getTime() + XAPI.RETRY_DELAYS_SECONDS[doc.attempts - 1] * 1000);
+      }
+      await doc.save();
+    }
+  },
+
+  // Send one batch of due statements; returns how many the LRS accepted
+  async flush(now = new Date()) {
+    if (!xapiConfig.ENABLED) return 0;
+
+    try {
+      const docs = await XapiStatement.find({ status: 'pending', nextAttemptAt: { $lte: now } })
+        .sort({ nextAttemptAt: 1 })
+        .limit(XAPI.BATCH_SIZE);
+      if (docs.length === 0) return 0;
+
+      try {
+        await this.postStatements(docs.map(doc => doc.statement));
+        await this.markSent(docs, now);
+        return docs.length;
+      } catch (error) {
+        if (!REJECTED_STATUSES.includes(error.status) || docs.length === 1) {
+          await this.markFailed(docs, error, now);
+          return 0;
+        }
+      }
+
+      // Find the statements the LRS rejects without holding back the rest
+      let sent = 0;
+      for (const doc of docs) {
+        try {
+          await this.postStatements([doc.statement]);
+          await this.markSent([doc], now);
+          sent += 1;
+        } catch (error) {
+          await this.markFailed([doc], error, now);
+        }
+      }
+      return sent;
+
+    } catch (error) {
+      logger.error('xAPI flush error:', error);
+      throw error;
+    }
+  },
+
+  async getQueueStatus() {
+    const [pending, sent, dead] = await Promise.all(
+      ['pending', 'sent', 'dead'].map(status => XapiStatement.countDocuments({ status }))
+    );
+    const oldestPending = await XapiStatement.findOne({ status: 'pending' }).sort({ createdAt: 1 }).select('createdAt');
+
+    return {
+      enabled: xapiConfig.ENABLED,
+      endpoint: xapiConfig.ENDPOINT,
+      pending,
+      sent,
+      dead,
+      oldestPendingAt: oldestPending ? oldestPending.createdAt : null
+    };
+  },
+
+  async listDeadLetters({ page = 1, limit = 50 } = {}) {
+    const filter = { status: 'dead' };
+    const [statements, total] = await Promise.all([
+      XapiStatement.find(filter)
+        .sort({ deadAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      XapiStatement.countDocuments(filter)
+    ]);
+
+    return { statements, total, page, pages: Math.ceil(total / limit) };
+  },
+
+  // Put dead letters (all, or the given ones) back in the queue with a fresh retry budget
+  async requeueDeadLetters(ids = null, now = new Date()) {
+    const result = await XapiStatement.updateMany(
+      { status: 'dead', ...(ids && { _id: { $in: ids } }) },
+      { $set: { status: 'pending', attempts: 0, nextAttemptAt: now }, $unset: { deadAt: 1 } }
+    );
+
+    logger.info(`xAPI dead letters requeued: ${result.modifiedCount}`);
+
+    return result.modifiedCount;
+  }
+};
+
+module.exports = xapiService;
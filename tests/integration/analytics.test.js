@@ -0,0 +1,44 @@
+const request = require('supertest');
+const { app } = require('../../server');
+const courseService = require('../../services/courseService');
+
+describe('Analytics Endpoints', () => {
+  let instructor, otherInstructor, student, outsider;
+
+  beforeEach(async () => {
+    instructor = await global.testUtils.createTestUser({ role: 'instructor', email: 'teacher@example.com' });
+    otherInstructor = await global.testUtils.createTestUser({ role: 'instructor', email: 'other@example.com' });
+    student = await global.testUtils.createTestUser({ email: 'student@example.com' });
+    outsider = await global.testUtils.createTestUser({ email: 'outsider@example.com' });
+
+    const course = await courseService.createCourse(instructor, { title: 'Cardiology 101', code: 'CARD-101' });
+    await courseService.joinByCode(course.joinCode, student);
+  });
+
+  describe('GET /api/analytics/transcript', () => {
+    const transcriptOf = (viewer, userId) => request(app)
+      .get('/api/analytics/transcript')
+      .query({ userId: String(userId) })
+      .set('Authorization', `Bearer ${global.testUtils.generateAuthToken(viewer)}`);
+
+    it('should let an instructor pull the transcript of a student in their course', async () => {
+      const response = await transcriptOf(instructor, student._id).expect(200);
+
+      expect(response.headers['content-type']).toContain('application/pdf');
+    });
+
+    it('should refuse a transcript outside the instructor\'s courses', async () => {
+      const response = await transcriptOf(otherInstructor, student._id).expect(403);
+      expect(response.body.code).toBe('INSUFFICIENT_PERMISSIONS');
+
+      await transcriptOf(instructor, outsider._id).expect(403);
+      await transcriptOf(outsider, student._id).expect(403);
+    });
+
+    it('should reject a malformed user id', async () => {
+      const response = await transcriptOf(instructor, 'not-an-id').expect(400);
+
+      expect(response.body.code).toBe('INVALID_USER_ID');
+    });
+  });
+});
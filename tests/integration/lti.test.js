@@ -0,0 +1,246 @@
+process.env.ENABLE_LTI_INTEGRATION = 'true';
+process.env.FRONTEND_URL = 'https://app.example.com';
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { app } = require('../../server');
+const { Course, LtiPlatform, Progress, User } = require('../../models');
+const { LTI } = require('../../utils/constants');
+
+// In-memory stand-in for the Redis launch state store
+jest.mock('../../config/redis', () => {
+  const actual = jest.requireActual('../../config/redis');
+  const store = new Map();
+  return {
+    ...actual,
+    redisUtils: {
+      ...actual.redisUtils,
+      set: jest.fn(async (key, value) => { store.set(key, JSON.parse(JSON.stringify(value))); return true; }),
+      get: jest.fn(async (key) => (store.has(key) ? store.get(key) : null)),
+      del: jest.fn(async (key) => store.delete(key))
+    }
+  };
+});
+
+const { CLAIMS } = LTI;
+const ISSUER = 'https://lms.example.edu';
+const CLIENT_ID = 'simulator-client';
+const DEPLOYMENT_ID = 'deployment-1';
+const LINE_ITEM = `${ISSUER}/api/lti/courses/7/line_items/42`;
+const INSTRUCTOR_ROLE = 'http://purl.imsglobal.org/vocab/lis/v2/membership#Instructor';
+const LEARNER_ROLE = 'http://purl.imsglobal.org/vocab/lis/v2/membership#Learner';
+
+// Mock LMS: signs id_tokens and answers the key set, token and score endpoints the tool calls
+const platformKeys = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const platformJwk = { ...platformKeys.publicKey.export({ format: 'jwk' }), kid: 'lms-key-1', alg: 'RS256' };
+
+const mockPlatformFetch = async (url, options = {}) => {
+  const json = (body) => ({ ok: true, status: 200, text: async () => JSON.stringify(body) });
+
+  if (url === `${ISSUER}/jwks`) return json({ keys: [platformJwk] });
+  if (url === `${ISSUER}/token`) return json({ access_token: 'platform-access-token', expires_in: 3600 });
+  if (url === `${LINE_ITEM}/scores`) return { ok: true, status: 200, text: async () => '' };
+  return { ok: false, status: 404, text: async () => '' };
+};
+
+describe('LTI 1.3 Endpoints', () => {
+  let testCase, realFetch;
+
+  beforeEach(async () => {
+    realFetch = global.fetch;
+    global.fetch = jest.fn(mockPlatformFetch);
+
+    await LtiPlatform.create({
+      name: 'Example LMS',
+      issuer: ISSUER,
+      clientId: CLIENT_ID,
+      deploymentIds: [DEPLOYMENT_ID],
+      authLoginUrl: `${ISSUER}/auth`,
+      authTokenUrl: `${ISSUER}/token`,
+      keysetUrl: `${ISSUER}/jwks`
+    });
+
+    testCase = await global.testUtils.createTestCase({
+      metadata: { status: 'published' }
+    });
+  });
+
+  afterEach(() => {
+    global.fetch = realFetch;
+  });
+
+  // OIDC login, then the platform's form post of a signed id_token, redirected to the frontend
+  const launch = async ({ sub, roles, email, claims = {} }) => {
+    const login = await request(app)
+      .get('/api/lti/login')
+      .query({ iss: ISSUER, login_hint: sub, client_id: CLIENT_ID })
+      .expect(302);
+
+    const authRequest = new URL(login.headers.location);
+    expect(authRequest.origin + authRequest.pathname).toBe(`${ISSUER}/auth`);
+
+    const idToken = jwt.sign({
+      iss: ISSUER,
+      aud: CLIENT_ID,
+      sub,
+      email,
+      given_name: 'Dana',
+      family_name: 'Reyes',
+      nonce: authRequest.searchParams.get('nonce'),
+      [CLAIMS.VERSION]: LTI.VERSION,
+      [CLAIMS.DEPLOYMENT_ID]: DEPLOYMENT_ID,
+      [CLAIMS.ROLES]: roles,
+      [CLAIMS.CONTEXT]: { id: 'course-7', label: 'CARD-101', title: 'Cardiology' },
+      ...claims
+    }, platformKeys.privateKey, { algorithm: 'RS256', keyid: platformJwk.kid, expiresIn: 300 });
+
+    return request(app)
+      .post('/api/lti/launch')
+      .type('form')
+      .send({ id_token: idToken, state: authRequest.searchParams.get('state') })
+      .expect(302);
+  };
+
+  const fragmentOf = (location) => new URLSearchParams(location.split('#')[1]);
+
+  const resourceLinkClaims = {
+    [CLAIMS.MESSAGE_TYPE]: LTI.MESSAGE_TYPES.RESOURCE_LINK,
+    [CLAIMS.RESOURCE_LINK]: { id: 'link-1', title: 'Chest pain' },
+    [CLAIMS.AGS_ENDPOINT]: { lineitem: LINE_ITEM, scope: [LTI.SCORE_SCOPE] }
+  };
+
+  it('should publish the tool key set', async () => {
+    const response = await request(app)
+      .get('/api/lti/jwks')
+      .expect(200);
+
+    expect(response.body.keys[0]).toMatchObject({ kty: 'RSA', alg: 'RS256', use: 'sig' });
+  });
+
+  it('should let an instructor deep link a case into the LMS course', async () => {
+    const response = await launch({
+      sub: 'lms-teacher',
+      email: 'teacher@example.edu',
+      roles: [INSTRUCTOR_ROLE],
+      claims: {
+        [CLAIMS.MESSAGE_TYPE]: LTI.MESSAGE_TYPES.DEEP_LINKING,
+        [CLAIMS.DEEP_LINKING_SETTINGS]: { deep_link_return_url: `${ISSUER}/deep_links`, data: 'opaque' }
+      }
+    });
+
+    expect(response.headers.location).toMatch(/^https:\/\/app\.example\.com\/lti\/deep-link#/);
+    const fragment = fragmentOf(response.headers.location);
+
+    const teacher = await User.findOne({ email: 'teacher@example.edu' });
+    expect(teacher.role).toBe('instructor');
+
+    const picked = await request(app)
+      .post(`/api/lti/deep-linking/${fragment.get('deepLinkId')}`)
+      .set('Authorization', `Bearer ${fragment.get('accessToken')}`)
+      .send({ caseIds: [String(testCase._id)] })
+      .expect(200);
+
+    expect(picked.body.returnUrl).toBe(`${ISSUER}/deep_links`);
+    const toolKey = crypto.createPublicKey({ key: (await request(app).get('/api/lti/jwks')).body.keys[0], format: 'jwk' });
+    const message = jwt.verify(picked.body.jwt, toolKey, { audience: ISSUER, issuer: CLIENT_ID });
+    expect(message[CLAIMS.CONTENT_ITEMS][0].custom).toEqual({ caseId: String(testCase._id) });
+    expect(message[CLAIMS.DEEP_LINKING_DATA]).toBe('opaque');
+
+    const course = await Course.findOne({ 'lti.contextId': 'course-7' });
+    expect(course.cases.map(String)).toContain(String(testCase._id));
+  });
+
+  it('should provision a learner and post their score when the case is completed', async () => {
+    // The instructor's launch creates the course the learner is enrolled in
+    await launch({ sub: 'lms-teacher', roles: [INSTRUCTOR_ROLE], claims: {
+      ...resourceLinkClaims,
+      [CLAIMS.CUSTOM]: { caseId: String(testCase._id) }
+    } });
+
+    const response = await launch({ sub: 'lms-learner', email: 'learner@example.edu', roles: [LEARNER_ROLE], claims: resourceLinkClaims });
+
+    expect(response.headers.location).toMatch(/^https:\/\/app\.example\.com\/lti\/launch#/);
+    const fragment = fragmentOf(response.headers.location);
+
+    const learner = await User.findOne({ email: 'learner@example.edu' });
+    expect(learner.role).toBe('student');
+    expect(learner.ltiIdentities[0]).toMatchObject({ issuer: ISSUER, subject: 'lms-learner' });
+
+    const course = await Course.findOne({ 'lti.contextId': 'course-7' });
+    expect(course.students[0]).toMatchObject({ source: 'lti', status: 'active' });
+
+    const step = await request(app)
+      .post(`/api/simulation/step/${fragment.get('sessionId')}`)
+      .set('Authorization', `Bearer ${fragment.get('accessToken')}`)
+      .send({ currentStepId: 'step1', selectedOption: 'a' })
+      .expect(200);
+
+    expect(step.body.completed).toBe(true);
+
+    const scoreCall = global.fetch.mock.calls.find(([url]) => url === `${LINE_ITEM}/scores`);
+    expect(JSON.parse(scoreCall[1].body)).toMatchObject({
+      userId: 'lms-learner',
+      scoreGiven: 100,
+      scoreMaximum: 100,
+      gradingProgress: 'FullyGraded'
+    });
+    expect(scoreCall[1].headers.Authorization).toBe('Bearer platform-access-token');
+
+    const progress = await Progress.findOne({ sessionId: fragment.get('sessionId') });
+    expect(progress.lti.scoreStatus).toBe('sent');
+  });
+
+  it('should not sign in to an existing account through the email claim', async () => {
+    const existing = await global.testUtils.createTestUser({ email: 'teacher@example.edu', role: 'student' });
+
+    const response = await launch({
+      sub: 'lms-teacher',
+      email: 'teacher@example.edu',
+      roles: [INSTRUCTOR_ROLE],
+      claims: { ...resourceLinkClaims, [CLAIMS.CUSTOM]: { caseId: String(testCase._id) } }
+    });
+
+    const launched = await User.findOne({ ltiIdentities: { $elemMatch: { issuer: ISSUER, subject: 'lms-teacher' } } });
+    expect(String(launched._id)).not.toBe(String(existing._id));
+    expect(launched.email).toMatch(/@lti\.invalid$/);
+    expect(fragmentOf(response.headers.location).get('accessToken')).toBeTruthy();
+
+    const untouched = await User.findById(existing._id);
+    expect(untouched.role).toBe('student');
+    expect(untouched.ltiIdentities).toHaveLength(0);
+
+    // A later launch with a higher LMS role doesn't raise the account's own role
+    await launch({ sub: 'lms-learner', roles: [LEARNER_ROLE], claims: resourceLinkClaims });
+    await launch({ sub: 'lms-learner', roles: [INSTRUCTOR_ROLE], claims: resourceLinkClaims });
+    const learner = await User.findOne({ ltiIdentities: { $elemMatch: { issuer: ISSUER, subject: 'lms-learner' } } });
+    expect(learner.role).toBe('student');
+  });
+
+  it('should reject a launch signed by another key', async () => {
+    const otherKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+    const login = await request(app)
+      .get('/api/lti/login')
+      .query({ iss: ISSUER, login_hint: 'lms-learner', client_id: CLIENT_ID })
+      .expect(302);
+    const authRequest = new URL(login.headers.location);
+
+    const forged = jwt.sign({
+      iss: ISSUER,
+      aud: CLIENT_ID,
+      sub: 'lms-learner',
+      nonce: authRequest.searchParams.get('nonce'),
+      [CLAIMS.VERSION]: LTI.VERSION,
+      [CLAIMS.DEPLOYMENT_ID]: DEPLOYMENT_ID,
+      ...resourceLinkClaims
+    }, otherKey, { algorithm: 'RS256', keyid: platformJwk.kid });
+
+    const response = await request(app)
+      .post('/api/lti/launch')
+      .type('form')
+      .send({ id_token: forged, state: authRequest.searchParams.get('state') })
+      .expect(401);
+
+    expect(response.body.code).toBe('LTI_LAUNCH_ERROR');
+  });
+});
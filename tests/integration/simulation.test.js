@@ -73,6 +73,26 @@ describe('Simulation Endpoints', () => {
 
       expect(response.body.error).toContain('Case not found or not available');
     });
+
+    it('should not start a case the student has not unlocked', async () => {
+      for (let i = 1; i <= 3; i++) {
+        await global.testUtils.createTestCase({ title: `Beginner Case ${i}`, difficulty: 'beginner', author: instructor });
+      }
+
+      const response = await request(app)
+        .post(`/api/simulation/start/${testCase._id}`)
+        .set('Authorization', `Bearer ${studentToken}`)
+        .expect(403);
+
+      expect(response.body).toHaveProperty('code', 'CASE_LOCKED');
+      expect(response.body.details.requirements[0]).toMatchObject({
+        type: 'specialty',
+        name: 'Internal Medicine',
+        master: 'beginner',
+        mastered: 0,
+        required: 3
+      });
+    });
   });
 
   describe('POST /api/simulation/step/:sessionId', () => {
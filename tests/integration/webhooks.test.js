@@ -0,0 +1,186 @@
+const http = require('http');
+const request = require('supertest');
+const { app } = require('../../server');
+const { WebhookDelivery } = require('../../models');
+const { createSignature } = require('../../utils/encryption');
+
+// Local receiver standing in for an external system; answers with the queued statuses, then 200
+const startReceiver = () => new Promise((resolve) => {
+  const receiver = { requests: [], statuses: [] };
+
+  receiver.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      receiver.requests.push({ headers: req.headers, body });
+      res.writeHead(receiver.statuses.shift() || 200, { 'Content-Type': 'text/plain' });
+      res.end('received');
+    });
+  });
+
+  receiver.server.listen(0, '127.0.0.1', () => {
+    receiver.url = `http://127.0.0.1:${receiver.server.address().port}/hooks`;
+    resolve(receiver);
+  });
+});
+
+describe('Webhook Endpoints', () => {
+  let receiver, admin, adminToken, studentToken, testCase;
+
+  beforeAll(async () => {
+    receiver = await startReceiver();
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => receiver.server.close(resolve));
+  });
+
+  beforeEach(async () => {
+    receiver.requests = [];
+    receiver.statuses = [];
+
+    admin = await global.testUtils.createTestUser({ email: 'admin@example.com', role: 'admin' });
+    const student = await global.testUtils.createTestUser({ email: 'student@example.com', role: 'student' });
+    adminToken = global.testUtils.generateAuthToken(admin);
+    studentToken = global.testUtils.generateAuthToken(student);
+    testCase = await global.testUtils.createTestCase({ author: admin, metadata: { status: 'approved' } });
+  });
+
+  const register = (events = ['case.published']) => request(app)
+    .post('/api/admin/webhooks')
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send({ url: receiver.url, events, description: 'Residency management' });
+
+  const publishCase = () => request(app)
+    .patch(`/api/cases/${testCase._id}/publish`)
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send({ changeNote: 'Ready for learners' })
+    .expect(200);
+
+  describe('POST /api/admin/webhooks', () => {
+    it('should return the signing secret once', async () => {
+      const response = await register().expect(201);
+
+      expect(response.body.secret).toMatch(/^whsec_/);
+      expect(response.body.endpoint).not.toHaveProperty('secret');
+
+      const list = await request(app)
+        .get('/api/admin/webhooks')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(list.body.endpoints).toHaveLength(1);
+      expect(list.body.endpoints[0]).not.toHaveProperty('secret');
+    });
+
+    it('should reject unknown events and non-HTTP URLs', async () => {
+      await register(['case.deleted']).expect(400);
+
+      await request(app)
+        .post('/api/admin/webhooks')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ url: 'ftp://example.com/hooks', events: ['case.published'] })
+        .expect(400);
+    });
+
+    it('should be admin only', async () => {
+      await request(app)
+        .get('/api/admin/webhooks')
+        .set('Authorization', `Bearer ${studentToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('delivery', () => {
+    it('should POST a signed payload to subscribed endpoints', async () => {
+      const { body: { secret } } = await register().expect(201);
+      await register(['discussion.created']).expect(201);
+
+      await publishCase();
+
+      expect(receiver.requests).toHaveLength(1);
+      const [{ headers, body }] = receiver.requests;
+
+      expect(headers['x-webhook-event']).toBe('case.published');
+      expect(headers['x-webhook-signature'])
+        .toBe(`sha256=${createSignature(`${headers['x-webhook-timestamp']}.${body}`, secret)}`);
+
+      const payload = JSON.parse(body);
+      expect(payload).toMatchObject({
+        id: headers['x-webhook-id'],
+        type: 'case.published',
+        data: { caseId: String(testCase._id), title: testCase.title, version: 1, publishedBy: String(admin._id) }
+      });
+
+      const [delivery] = await WebhookDelivery.find();
+      expect(delivery.status).toBe('delivered');
+      expect(delivery.attempts).toHaveLength(1);
+      expect(delivery.attempts[0].responseStatus).toBe(200);
+    });
+
+    it('should skip disabled endpoints', async () => {
+      const { body: { endpoint } } = await register().expect(201);
+
+      await request(app)
+        .patch(`/api/admin/webhooks/${endpoint._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ isActive: false })
+        .expect(200);
+
+      await publishCase();
+
+      expect(receiver.requests).toHaveLength(0);
+      expect(await WebhookDelivery.countDocuments()).toBe(0);
+    });
+  });
+
+  describe('delivery log', () => {
+    it('should log a failed delivery and resend the same payload on redelivery', async () => {
+      const { body: { endpoint } } = await register().expect(201);
+      receiver.statuses.push(503);
+
+      await publishCase();
+
+      const log = await request(app)
+        .get(`/api/admin/webhooks/deliveries?endpoint=${endpoint._id}&status=failed`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(log.body.total).toBe(1);
+      const [failed] = log.body.deliveries;
+      expect(failed.lastError).toBe('Endpoint responded 503');
+
+      const redelivered = await request(app)
+        .post(`/api/admin/webhooks/deliveries/${failed._id}/redeliver`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(202);
+
+      expect(redelivered.body.delivery.status).toBe('delivered');
+      expect(redelivered.body.delivery.attempts.map(attempt => attempt.responseStatus)).toEqual([503, 200]);
+
+      const [first, second] = receiver.requests;
+      expect(second.body).toBe(first.body);
+      expect(second.headers['x-webhook-id']).toBe(first.headers['x-webhook-id']);
+
+      const detail = await request(app)
+        .get(`/api/admin/webhooks/deliveries/${failed._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(detail.body.delivery.endpoint.url).toBe(receiver.url);
+    });
+
+    it('should not redeliver a delivery that is still being attempted', async () => {
+      const { body: { endpoint } } = await register().expect(201);
+      const delivery = await WebhookDelivery.create({
+        endpoint: endpoint._id,
+        event: 'case.published',
+        payload: { id: 'evt-1', type: 'case.published', data: {} }
+      });
+
+      await request(app)
+        .post(`/api/admin/webhooks/deliveries/${delivery._id}/redeliver`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(409);
+    });
+  });
+});
@@ -61,8 +61,8 @@ global.testUtils = {
     const Case = require('../models/Case');
     const User = require('../models/User');
     
-    // Create author if not provided
-    let author = caseData.author;
+    // Create author if not provided, reusing the default instructor so repeated calls don't clash on email
+    let author = caseData.author || await User.findOne({ email: 'instructor@example.com' });
     if (!author) {
       author = await global.testUtils.createTestUser({
         role: 'instructor',
@@ -122,12 +122,14 @@ global.testUtils = {
           followUpInstructions: ''
         }
       },
+      ...caseData,
+      // Overrides such as { status: 'draft' } keep the default author and duration
       metadata: {
         author: author._id,
         status: 'published',
-        estimatedDuration: 30
-      },
-      ...caseData
+        estimatedDuration: 30,
+        ...caseData.metadata
+      }
     };
     
     const testCase = new Case(defaultCase);
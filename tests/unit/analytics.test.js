@@ -7,7 +7,8 @@ jest.mock('../../config/redis', () => ({
     set: jest.fn().mockResolvedValue(true),
     get: jest.fn().mockResolvedValue(null),
     del: jest.fn().mockResolvedValue(true)
-  }
+  },
+  getRedisClient: jest.fn(() => null)
 }));
 
 describe('Analytics Service', () => {
@@ -241,6 +242,17 @@ describe('Analytics Service', () => {
       expect(problematicSteps[0].stepId).toBe('step1');
       expect(problematicSteps[0].correctRate).toBe(50);
     });
+
+    it('should report hint usage per step', () => {
+      const distribution = analyticsService.calculateDifficultyDistribution([
+        { stepPerformance: [{ stepId: 'step1', isCorrect: true, timeSpent: 60, hintsUsed: 2 }] },
+        { stepPerformance: [{ stepId: 'step1', isCorrect: false, timeSpent: 30, hintsUsed: 0 }] }
+      ]);
+
+      expect(distribution.step1.hintsUsed).toBe(2);
+      expect(distribution.step1.averageHints).toBe(1);
+      expect(distribution.step1.hintUsageRate).toBe(50);
+    });
   });
 
   describe('System Analytics', () => {
@@ -0,0 +1,120 @@
+const achievementService = require('../../../services/achievementService');
+const notificationService = require('../../../services/notificationService');
+const jobQueue = require('../../../services/jobQueue');
+const { User, Progress, Discussion } = require('../../../models');
+
+describe('Achievement Service', () => {
+  let learner, classmate, io;
+
+  const earnedNames = async (userId) => (await User.findById(userId)).achievements.map(a => a.name).sort();
+
+  beforeEach(async () => {
+    learner = await global.testUtils.createTestUser({ email: 'learner@example.com' });
+    classmate = await global.testUtils.createTestUser({ email: 'classmate@example.com' });
+
+    // Without Redis, evaluation jobs run inline and notify through this server
+    io = { to: jest.fn(() => ({ emit: jest.fn() })) };
+    jobQueue.setSocketServer(io);
+    jest.spyOn(notificationService, 'sendAchievementNotification');
+  });
+
+  afterEach(() => {
+    jobQueue.setSocketServer(null);
+    jest.restoreAllMocks();
+  });
+
+  describe('recordCompletion', () => {
+    it('should track perfect scores, the fastest time and specialties, then award what they earn', async () => {
+      await User.updateOne({ _id: learner._id }, { 'statistics.casesCompleted': 2 });
+
+      await achievementService.recordCompletion(
+        { userId: learner._id, percentageScore: 100, timeSpent: 900 },
+        { specialty: 'Cardiology' }
+      );
+      await achievementService.recordCompletion(
+        { userId: learner._id, percentageScore: 70, timeSpent: 420 },
+        { specialty: 'Cardiology' }
+      );
+
+      const { statistics } = await User.findById(learner._id);
+      expect(statistics).toMatchObject({ perfectScores: 1, fastestTime: 420, specialtiesExplored: 1 });
+
+      expect(await earnedNames(learner._id)).toEqual(['First Steps', 'Perfect Score', 'Speed Demon']);
+      expect(notificationService.sendAchievementNotification).toHaveBeenCalledTimes(3);
+    });
+  });
+
+  describe('evaluate', () => {
+    it('should award each achievement exactly once', async () => {
+      await User.updateOne({ _id: learner._id }, { 'statistics.casesCompleted': 1 });
+
+      const results = await Promise.all([
+        achievementService.evaluate(learner._id),
+        achievementService.evaluate(learner._id)
+      ]);
+
+      expect(results.flat().map(a => a.name)).toEqual(['First Steps']);
+      expect(await earnedNames(learner._id)).toEqual(['First Steps']);
+      expect(await achievementService.evaluate(learner._id)).toEqual([]);
+      expect(notificationService.sendAchievementNotification).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not count a fastest time before any case is completed', async () => {
+      expect(await achievementService.evaluate(learner._id)).toEqual([]);
+    });
+  });
+
+  describe('recordUpvote', () => {
+    it('should count upvotes from other users only and take back retracted ones', async () => {
+      await achievementService.recordUpvote(learner._id, classmate._id, 1);
+      await achievementService.recordUpvote(learner._id, classmate._id, 1);
+      await achievementService.recordUpvote(learner._id, classmate._id, -1);
+      await achievementService.recordUpvote(learner._id, learner._id, 1);
+
+      expect((await User.findById(learner._id)).statistics.discussionUpvotes).toBe(1);
+    });
+  });
+
+  describe('backfill', () => {
+    it('should rebuild counters from existing data and award without notifying', async () => {
+      const testCase = await global.testUtils.createTestCase({ specialty: 'Neurology' });
+      await Progress.create({
+        userId: learner._id,
+        caseId: testCase._id,
+        sessionId: 'backfill-session',
+        status: 'completed',
+        score: 50,
+        maxPossibleScore: 50,
+        percentageScore: 100,
+        totalSteps: 5,
+        timeSpent: 1200
+      });
+      await Discussion.create({
+        author: learner._id,
+        caseId: testCase._id,
+        content: 'Consider a lumbar puncture',
+        votes: { upvotes: [classmate._id, learner._id], downvotes: [] }
+      });
+
+      const result = await achievementService.backfill();
+
+      const { statistics } = await User.findById(learner._id);
+      expect(statistics).toMatchObject({
+        perfectScores: 1,
+        fastestTime: 1200,
+        specialtiesExplored: 1,
+        discussionPosts: 1,
+        discussionUpvotes: 1
+      });
+      expect(await earnedNames(learner._id)).toEqual(['Perfect Score']);
+
+      // The case author gets "Case Creator" from the case they wrote
+      expect(await earnedNames(testCase.metadata.author)).toEqual(['Case Creator']);
+      expect(result).toMatchObject({ achievementsAwarded: 2, usersAwarded: 2 });
+      expect(notificationService.sendAchievementNotification).not.toHaveBeenCalled();
+
+      // Running it again awards nothing new
+      expect((await achievementService.backfill()).achievementsAwarded).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,150 @@
+const assignmentService = require('../../../services/assignmentService');
+const courseService = require('../../../services/courseService');
+const simulationService = require('../../../services/simulationService');
+const { Case } = require('../../../models');
+
+// In-memory stand-in for the Redis session cache
+jest.mock('../../../config/redis', () => {
+  const store = new Map();
+  return {
+    redisUtils: {
+      set: jest.fn(async (key, value) => { store.set(key, JSON.parse(JSON.stringify(value))); return true; }),
+      get: jest.fn(async (key) => (store.has(key) ? store.get(key) : null)),
+      del: jest.fn(async (key) => store.delete(key))
+    },
+    getRedisClient: jest.fn(() => null)
+  };
+});
+
+describe('Assignment Service', () => {
+  const HOUR = 60 * 60 * 1000;
+  let instructor, student, classmate, testCase, course, assignment;
+
+  beforeEach(async () => {
+    testCase = await global.testUtils.createTestCase({
+      metadata: { status: 'published' },
+      simulationSteps: [{
+        stepId: 'step1',
+        title: 'Assessment',
+        description: 'Initial assessment',
+        question: 'What is your first action?',
+        options: [
+          { optionId: 'a', text: '12-lead ECG', isCorrect: true },
+          { optionId: 'b', text: 'Discharge', isCorrect: false }
+        ],
+        correctAnswer: 'a',
+        score: 10
+      }]
+    });
+    instructor = await global.testUtils.createTestUser({ role: 'instructor', email: 'teacher@example.com' });
+    student = await global.testUtils.createTestUser({ email: 'student@example.com' });
+    classmate = await global.testUtils.createTestUser({ email: 'classmate@example.com' });
+
+    course = await courseService.createCourse(instructor, { title: 'Cardiology 101' });
+    await courseService.joinByCode(course.joinCode, student);
+    await courseService.joinByCode(course.joinCode, classmate);
+
+    assignment = await assignmentService.createAssignment(instructor, {
+      courseId: course._id,
+      title: 'Week 1',
+      caseIds: [String(testCase._id)],
+      dueAt: new Date(Date.now() + 12 * HOUR),
+      attemptLimit: 2,
+      gradingPolicy: 'last'
+    });
+  });
+
+  const attempt = async (user, answer) => {
+    const session = await assignmentService.startCase(assignment._id, testCase._id, user);
+    await simulationService.processSimulationStep(session.sessionId, 'step1', answer);
+  };
+
+  describe('gradeAttempts', () => {
+    const attempts = [
+      { status: 'completed', percentageScore: 60, endDate: new Date('2026-03-01') },
+      { status: 'completed', percentageScore: 90, endDate: new Date('2026-03-02') },
+      { status: 'completed', percentageScore: 30, endDate: new Date('2026-03-03') },
+      { status: 'abandoned', percentageScore: 0 }
+    ];
+
+    it('should grade completed attempts by policy', () => {
+      expect(assignmentService.gradeAttempts(attempts, 'best')).toBe(90);
+      expect(assignmentService.gradeAttempts(attempts, 'last')).toBe(30);
+      expect(assignmentService.gradeAttempts(attempts, 'average')).toBe(60);
+    });
+  });
+
+  describe('startCase', () => {
+    it('should enforce the attempt limit', async () => {
+      await attempt(student, 'a');
+      await attempt(student, 'b');
+
+      await expect(
+        assignmentService.startCase(assignment._id, testCase._id, student)
+      ).rejects.toMatchObject({ status: 409 });
+    });
+
+    it('should not let simultaneous starts exceed the attempt limit', async () => {
+      const starts = await Promise.allSettled([1, 2, 3].map(() =>
+        assignmentService.startCase(assignment._id, testCase._id, student)
+      ));
+
+      expect(starts.filter(start => start.status === 'fulfilled')).toHaveLength(2);
+      expect(starts.find(start => start.status === 'rejected').reason).toMatchObject({ status: 409 });
+    });
+
+    it('should not count a start that failed', async () => {
+      await Case.updateOne({ _id: testCase._id }, { 'metadata.status': 'draft' });
+      await expect(
+        assignmentService.startCase(assignment._id, testCase._id, student)
+      ).rejects.toThrow('Case not found or not available');
+
+      await Case.updateOne({ _id: testCase._id }, { 'metadata.status': 'published' });
+      await attempt(student, 'a');
+      await attempt(student, 'b');
+    });
+
+    it('should grade with the assignment policy', async () => {
+      await attempt(student, 'a');
+      await attempt(student, 'b');
+
+      const [mine] = await assignmentService.listForStudent(student);
+      expect(mine).toMatchObject({ status: 'submitted', grade: 0, casesCompleted: 1 });
+      expect(mine.cases[0]).toMatchObject({ attempts: 2, attemptsRemaining: 0 });
+    });
+
+    it('should refuse late attempts when the assignment does not allow them', async () => {
+      assignment.allowLateSubmissions = false;
+      await assignment.save();
+
+      await expect(
+        assignmentService.startCase(assignment._id, testCase._id, student, new Date(Date.now() + 13 * HOUR))
+      ).rejects.toMatchObject({ status: 409 });
+    });
+  });
+
+  describe('getGradebook', () => {
+    it('should mark unfinished work as missing after the due date', async () => {
+      await attempt(student, 'a');
+
+      const gradebook = await assignmentService.getGradebook(course._id, instructor, new Date(Date.now() + 13 * HOUR));
+      const byEmail = Object.fromEntries(gradebook.students.map(row => [row.email, row]));
+
+      expect(byEmail['student@example.com'].assignments[0]).toMatchObject({ status: 'submitted', grade: 100 });
+      expect(byEmail['classmate@example.com']).toMatchObject({ average: 0, missing: 1 });
+    });
+  });
+
+  describe('sendReminders', () => {
+    it('should remind students with unfinished work once per reminder kind', async () => {
+      const io = { to: jest.fn(() => ({ emit: jest.fn() })) };
+      await attempt(student, 'a');
+
+      expect(await assignmentService.sendReminders(io)).toBe(1);
+      expect(await assignmentService.sendReminders(io)).toBe(0);
+      expect(io.to).toHaveBeenCalledWith(`user_${classmate._id}`);
+
+      expect(await assignmentService.sendReminders(io, new Date(Date.now() + 13 * HOUR))).toBe(1);
+    });
+  });
+});
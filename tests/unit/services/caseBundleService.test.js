@@ -0,0 +1,125 @@
+const AdmZip = require('adm-zip');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const caseBundleService = require('../../../services/caseBundleService');
+const { Case } = require('../../../models');
+
+describe('Case Bundle Service', () => {
+  let tmpDir, importer, testCase;
+
+  const rewriteBundle = (bundle, edit) => {
+    const zip = new AdmZip(bundle);
+    const manifest = JSON.parse(zip.readAsText('manifest.json'));
+    const content = JSON.parse(zip.readAsText('cases/1/case.json'));
+    edit(manifest, content);
+    zip.updateFile('manifest.json', Buffer.from(JSON.stringify(manifest)));
+    zip.updateFile('cases/1/case.json', Buffer.from(JSON.stringify(content)));
+    return zip.toBuffer();
+  };
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'case-bundle-'));
+    jest.spyOn(process, 'cwd').mockReturnValue(tmpDir);
+    fs.mkdirSync(path.join(tmpDir, 'public/uploads'), { recursive: true });
+    fs.writeFileSync(path.join(tmpDir, 'public/uploads/ecg.png'), 'ecg image');
+
+    testCase = await global.testUtils.createTestCase();
+    testCase.simulationSteps[0].media = [
+      { type: 'image', url: '/uploads/ecg.png', caption: 'Admission ECG' },
+      { type: 'image', url: 'https://images.example.com/cxr.png' }
+    ];
+    await testCase.save();
+
+    importer = await global.testUtils.createTestUser({ role: 'instructor', email: 'importer@example.com' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('exportBundle', () => {
+    it('should bundle the case JSON with its uploaded media', async () => {
+      const zip = new AdmZip(await caseBundleService.exportBundle([testCase]));
+      const manifest = JSON.parse(zip.readAsText('manifest.json'));
+      const content = JSON.parse(zip.readAsText('cases/1/case.json'));
+
+      expect(manifest).toMatchObject({ format: 'medical-case-bundle', schemaVersion: 1 });
+      expect(manifest.cases[0].media).toHaveLength(1);
+      expect(zip.readAsText(`cases/1/${manifest.cases[0].media[0].path}`)).toBe('ecg image');
+      expect(content.simulationSteps[0].media.map(m => m.url)).toEqual([
+        manifest.cases[0].media[0].path,
+        'https://images.example.com/cxr.png'
+      ]);
+      expect(content.metadata.author).toBeUndefined();
+      expect(JSON.stringify(content)).not.toContain('_id');
+    });
+  });
+
+  describe('findCasesForExport', () => {
+    it('should leave out unpublished cases by other authors', async () => {
+      const author = { _id: testCase.metadata.author, role: 'instructor' };
+      const draft = await global.testUtils.createTestCase({ title: 'Draft Case', author, metadata: { status: 'draft' } });
+
+      const exported = await caseBundleService.findCasesForExport(importer);
+      expect(exported.map(caseDoc => caseDoc.title)).toEqual(['Test Case']);
+      expect(await caseBundleService.findCasesForExport(author)).toHaveLength(2);
+
+      expect(await caseBundleService.canExport(importer, draft)).toBe(false);
+      expect(await caseBundleService.canExport(author, draft)).toBe(true);
+    });
+  });
+
+  describe('importBundle', () => {
+    it('should create a draft owned by the importer with new media URLs', async () => {
+      const bundle = await caseBundleService.exportBundle([testCase]);
+
+      const result = await caseBundleService.importBundle(bundle, importer);
+
+      expect(result.imported).toHaveLength(1);
+      const imported = await Case.findById(result.imported[0].id);
+      expect(String(imported._id)).not.toBe(String(testCase._id));
+      expect(imported.metadata.status).toBe('draft');
+      expect(String(imported.metadata.author)).toBe(String(importer._id));
+
+      const mediaUrl = imported.simulationSteps[0].media[0].url;
+      expect(mediaUrl).toMatch(/^\/uploads\/import-/);
+      expect(fs.readFileSync(path.join(tmpDir, 'public', mediaUrl), 'utf8')).toBe('ecg image');
+    });
+
+    it('should reject bundles from a newer schema version', async () => {
+      const bundle = rewriteBundle(await caseBundleService.exportBundle([testCase]), manifest => {
+        manifest.schemaVersion = 99;
+      });
+
+      await expect(caseBundleService.importBundle(bundle, importer)).rejects.toMatchObject({ status: 400 });
+    });
+
+    it('should report case schema errors without creating anything', async () => {
+      const bundle = rewriteBundle(await caseBundleService.exportBundle([testCase]), (manifest, content) => {
+        delete content.title;
+      });
+
+      await expect(caseBundleService.importBundle(bundle, importer)).rejects.toMatchObject({
+        status: 400,
+        details: [expect.objectContaining({ errors: ['"title" is required'] })]
+      });
+      expect(await Case.countDocuments()).toBe(1);
+    });
+
+    it('should reject media paths outside the case folder', async () => {
+      const bundle = rewriteBundle(await caseBundleService.exportBundle([testCase]), manifest => {
+        manifest.cases[0].media[0].path = '../../manifest.json';
+      });
+
+      await expect(caseBundleService.importBundle(bundle, importer)).rejects.toMatchObject({ status: 400 });
+    });
+
+    it('should reject files that are not zip archives', async () => {
+      await expect(
+        caseBundleService.importBundle(Buffer.from('not a zip'), importer)
+      ).rejects.toThrow('Bundle is not a valid zip file');
+    });
+  });
+});
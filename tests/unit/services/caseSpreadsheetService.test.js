@@ -0,0 +1,104 @@
+const ExcelJS = require('exceljs');
+const caseSpreadsheetService = require('../../../services/caseSpreadsheetService');
+const { Case } = require('../../../models');
+
+describe('Case Spreadsheet Service', () => {
+  let instructor;
+
+  const header = caseSpreadsheetService.columns.join(',');
+
+  const row = (values) => caseSpreadsheetService.columns.map(column => values[column] || '').join(',');
+
+  const caseRow = (values) => row({
+    case_key: 'ACS-01',
+    title: 'Acute chest pain',
+    description: 'Chest pain workup',
+    specialty: 'Emergency Medicine',
+    body_system: 'Cardiovascular',
+    difficulty: 'intermediate',
+    estimated_duration: '30',
+    patient_name: 'John Doe',
+    patient_age: '58',
+    patient_gender: 'male',
+    chief_complaint: 'Chest pain',
+    history_of_present_illness: 'Sudden onset',
+    final_diagnosis: 'STEMI',
+    question: 'First investigation?',
+    correct: 'a',
+    option_a: 'ECG',
+    option_b: 'Chest X-ray',
+    ...values
+  });
+
+  const csvFile = (...rows) => ({
+    originalname: 'cases.csv',
+    buffer: Buffer.from([header, ...rows].join('\n'))
+  });
+
+  beforeEach(async () => {
+    instructor = await global.testUtils.createTestUser({ role: 'instructor', email: 'author@example.com' });
+  });
+
+  describe('importSpreadsheet', () => {
+    it('should group rows by case_key into draft cases', async () => {
+      const file = csvFile(
+        caseRow({}),
+        row({ case_key: 'ACS-01', question: 'Next step?', correct: 'b', option_a: 'Discharge', option_b: 'Aspirin' })
+      );
+
+      const report = await caseSpreadsheetService.importSpreadsheet(file, instructor);
+
+      expect(report).toMatchObject({ valid: true, imported: true, summary: { rows: 2, cases: 1, errors: 0 } });
+      const imported = await Case.findById(report.cases[0].id);
+      expect(imported.metadata).toMatchObject({ status: 'draft', estimatedDuration: 30 });
+      expect(String(imported.metadata.author)).toBe(String(instructor._id));
+      expect(imported.simulationSteps.map(step => step.stepId)).toEqual(['step1', 'step2']);
+      expect(imported.simulationSteps[1].correctAnswer).toBe('b');
+    });
+
+    it('should validate without saving on a dry run', async () => {
+      const report = await caseSpreadsheetService.importSpreadsheet(csvFile(caseRow({})), instructor, { dryRun: true });
+
+      expect(report).toMatchObject({ dryRun: true, valid: true, imported: false });
+      expect(await Case.countDocuments()).toBe(0);
+    });
+
+    it('should report errors against rows and import nothing', async () => {
+      const file = csvFile(
+        caseRow({ case_key: 'GOOD' }),
+        caseRow({ case_key: 'BAD', patient_age: '', correct: 'c' })
+      );
+
+      const report = await caseSpreadsheetService.importSpreadsheet(file, instructor);
+
+      expect(report.valid).toBe(false);
+      expect(report.rows[0]).toMatchObject({ row: 2, errors: [] });
+      expect(report.rows[1]).toMatchObject({
+        row: 3,
+        caseKey: 'BAD',
+        errors: expect.arrayContaining(['correct refers to option c, which is empty', 'patient_age is required'])
+      });
+      expect(await Case.countDocuments()).toBe(0);
+    });
+
+    it('should read the first worksheet of an XLSX file', async () => {
+      const workbook = new ExcelJS.Workbook();
+      const sheet = workbook.addWorksheet('Cases');
+      sheet.addRow(caseSpreadsheetService.columns);
+      sheet.addRow(caseRow({}).split(','));
+
+      const report = await caseSpreadsheetService.importSpreadsheet({
+        originalname: 'cases.xlsx',
+        buffer: Buffer.from(await workbook.xlsx.writeBuffer())
+      }, instructor, { dryRun: true });
+
+      expect(report).toMatchObject({ valid: true, summary: { rows: 1, cases: 1 } });
+    });
+
+    it('should reject files missing required columns', async () => {
+      await expect(
+        caseSpreadsheetService.importSpreadsheet({ originalname: 'cases.csv', buffer: Buffer.from('title\nChest pain\n') }, instructor)
+      ).rejects.toMatchObject({ status: 400, message: expect.stringContaining('case_key') });
+    });
+  });
+});
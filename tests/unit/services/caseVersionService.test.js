@@ -0,0 +1,147 @@
+const caseVersionService = require('../../../services/caseVersionService');
+const { Case, CaseVersion } = require('../../../models');
+
+describe('Case Version Service', () => {
+  let author, testCase;
+
+  beforeEach(async () => {
+    testCase = await global.testUtils.createTestCase({
+      metadata: { status: 'draft' }
+    });
+    author = testCase.metadata.author;
+  });
+
+  describe('publish', () => {
+    it('should snapshot the case as version 1', async () => {
+      await caseVersionService.publish(testCase, author, 'Initial release');
+
+      const snapshot = await CaseVersion.findOne({ caseId: testCase._id });
+      expect(testCase.metadata.status).toBe('published');
+      expect(testCase.metadata.version).toBe(1);
+      expect(snapshot.version).toBe(1);
+      expect(snapshot.changeNote).toBe('Initial release');
+      expect(snapshot.snapshot.title).toBe('Test Case');
+    });
+
+    it('should publish a draft revision onto the live case as the next version', async () => {
+      await caseVersionService.publish(testCase, author);
+      const draft = await caseVersionService.saveDraftRevision(testCase, { title: 'Revised Case' });
+
+      const live = await caseVersionService.publish(draft, author, 'Retitled');
+
+      expect(String(live._id)).toBe(String(testCase._id));
+      expect(live.title).toBe('Revised Case');
+      expect(live.metadata.version).toBe(2);
+      expect(await Case.findById(draft._id)).toBeNull();
+      expect(await CaseVersion.countDocuments({ caseId: testCase._id })).toBe(2);
+    });
+
+    it('should give simultaneous publishes their own version numbers', async () => {
+      await caseVersionService.publish(testCase, author);
+      const user = { _id: author, role: 'instructor' };
+
+      await Promise.all([
+        caseVersionService.rollback(testCase._id, 1, user),
+        caseVersionService.rollback(testCase._id, 1, user)
+      ]);
+
+      const versions = await CaseVersion.find({ caseId: testCase._id }).sort({ version: 1 });
+      expect(versions.map(v => v.version)).toEqual([1, 2, 3]);
+    });
+  });
+
+  describe('saveDraftRevision', () => {
+    it('should leave the published case unchanged and reuse one draft', async () => {
+      await caseVersionService.publish(testCase, author);
+
+      const first = await caseVersionService.saveDraftRevision(testCase, { title: 'Revised Case' });
+      const second = await caseVersionService.saveDraftRevision(testCase, { description: 'Updated description' });
+
+      const live = await Case.findById(testCase._id);
+      expect(live.title).toBe('Test Case');
+      expect(String(second._id)).toBe(String(first._id));
+      expect(second.title).toBe('Revised Case');
+      expect(second.description).toBe('Updated description');
+      expect(String(second.metadata.revisionOf)).toBe(String(testCase._id));
+    });
+  });
+
+  describe('diffVersions', () => {
+    it('should list changes keyed by step and option ids', async () => {
+      await caseVersionService.publish(testCase, author);
+      const steps = testCase.toObject().simulationSteps;
+      steps[0].options.push({ optionId: 'b', text: 'Option B', isCorrect: false });
+      const draft = await caseVersionService.saveDraftRevision(testCase, { title: 'Revised Case', simulationSteps: steps });
+      await caseVersionService.publish(draft, author);
+
+      const diff = await caseVersionService.diffVersions(testCase._id, 1, 2);
+
+      expect(diff.changes.map(c => [c.path, c.type])).toEqual([
+        ['title', 'changed'],
+        ['simulationSteps[stepId=step1].options[optionId=b]', 'added']
+      ]);
+    });
+
+    it('should report a missing version as not found', async () => {
+      await caseVersionService.publish(testCase, author);
+
+      await expect(caseVersionService.diffVersions(testCase._id, 1, 5)).rejects.toMatchObject({ status: 404 });
+      await expect(caseVersionService.diffVersions(testCase._id, 1, 'draft')).rejects.toMatchObject({ status: 404 });
+      await expect(
+        caseVersionService.rollback(testCase._id, 5, { _id: author, role: 'instructor' })
+      ).rejects.toMatchObject({ status: 404, message: 'Version 5 not found' });
+    });
+  });
+
+  describe('rollback', () => {
+    it('should restore an earlier version as a new version', async () => {
+      await caseVersionService.publish(testCase, author);
+      const draft = await caseVersionService.saveDraftRevision(testCase, { title: 'Revised Case' });
+      await caseVersionService.publish(draft, author);
+
+      const restored = await caseVersionService.rollback(testCase._id, 1, { _id: author, role: 'instructor' });
+
+      expect(restored.title).toBe('Test Case');
+      expect(restored.metadata.version).toBe(3);
+      const snapshot = await CaseVersion.findOne({ caseId: testCase._id, version: 3 });
+      expect(snapshot.changeNote).toBe('Rolled back to version 1');
+    });
+
+    it('should only let the author or an admin roll back', async () => {
+      await caseVersionService.publish(testCase, author);
+      const draft = await caseVersionService.saveDraftRevision(testCase, { title: 'Revised Case' });
+      await caseVersionService.publish(draft, author);
+      const otherInstructor = await global.testUtils.createTestUser({ role: 'instructor', email: 'other@example.com' });
+
+      await expect(
+        caseVersionService.rollback(testCase._id, 1, otherInstructor)
+      ).rejects.toMatchObject({ status: 403 });
+      expect((await Case.findById(testCase._id)).title).toBe('Revised Case');
+    });
+  });
+
+  describe('loadCase', () => {
+    it('should return the content of the requested version', async () => {
+      await caseVersionService.publish(testCase, author);
+      const draft = await caseVersionService.saveDraftRevision(testCase, { title: 'Revised Case' });
+      await caseVersionService.publish(draft, author);
+
+      const pinned = await caseVersionService.loadCase(testCase._id, 1);
+      const current = await caseVersionService.loadCase(testCase._id, 2);
+
+      expect(pinned.title).toBe('Test Case');
+      expect(pinned.metadata.version).toBe(1);
+      expect(current.title).toBe('Revised Case');
+    });
+  });
+
+  describe('immutability', () => {
+    it('should reject updates to a stored version', async () => {
+      await caseVersionService.publish(testCase, author);
+
+      await expect(
+        CaseVersion.updateOne({ caseId: testCase._id }, { changeNote: 'edited' })
+      ).rejects.toThrow('Case versions are immutable');
+    });
+  });
+});
@@ -0,0 +1,151 @@
+const caseWorkflowService = require('../../../services/caseWorkflowService');
+const { Case, CaseComment, CaseAuditLog } = require('../../../models');
+
+describe('Case Workflow Service', () => {
+  let author, reviewer, secondReviewer, admin, testCase;
+
+  beforeEach(async () => {
+    testCase = await global.testUtils.createTestCase({
+      metadata: { status: 'draft' }
+    });
+    author = { _id: testCase.metadata.author, role: 'instructor' };
+    reviewer = await global.testUtils.createTestUser({ role: 'instructor', email: 'reviewer@example.com' });
+    secondReviewer = await global.testUtils.createTestUser({ role: 'instructor', email: 'reviewer2@example.com' });
+    admin = await global.testUtils.createTestUser({ role: 'admin', email: 'admin@example.com' });
+  });
+
+  const submitWithReviewers = async (reviewers, requiredApprovals) => {
+    await caseWorkflowService.submitForReview(testCase._id, author);
+    await caseWorkflowService.assignReviewers(testCase._id, reviewers.map(r => r._id), admin, { requiredApprovals });
+  };
+
+  describe('transitions', () => {
+    it('should not publish a case that has not been approved', async () => {
+      await expect(
+        caseWorkflowService.publish(testCase._id, author)
+      ).rejects.toMatchObject({ status: 409, message: 'Only approved cases can be published' });
+    });
+
+    it('should only let the author or an admin submit for review', async () => {
+      await expect(
+        caseWorkflowService.submitForReview(testCase._id, reviewer)
+      ).rejects.toMatchObject({ status: 403 });
+
+      const submitted = await caseWorkflowService.submitForReview(testCase._id, author);
+      expect(submitted.metadata.status).toBe('review');
+    });
+
+    it('should publish an approved case as a new version', async () => {
+      await submitWithReviewers([reviewer]);
+      await caseWorkflowService.review(testCase._id, reviewer, { decision: 'approve' });
+
+      const published = await caseWorkflowService.publish(testCase._id, author, 'First release');
+
+      expect(published.metadata.status).toBe('published');
+      expect(published.metadata.version).toBe(1);
+    });
+
+    it('should archive and restore a case', async () => {
+      await caseWorkflowService.archive(testCase._id, author);
+      const restored = await caseWorkflowService.restore(testCase._id, author);
+
+      expect(restored.metadata.status).toBe('draft');
+    });
+  });
+
+  describe('assignReviewers', () => {
+    it('should reject the author as a reviewer', async () => {
+      await expect(
+        caseWorkflowService.assignReviewers(testCase._id, [testCase.metadata.author], admin)
+      ).rejects.toMatchObject({ status: 400 });
+    });
+
+    it('should reject users who are not instructors or admins', async () => {
+      const student = await global.testUtils.createTestUser({ email: 'student@example.com' });
+
+      await expect(
+        caseWorkflowService.assignReviewers(testCase._id, [student._id], admin)
+      ).rejects.toMatchObject({ status: 400 });
+    });
+  });
+
+  describe('review', () => {
+    it('should wait for the required number of approvals', async () => {
+      await submitWithReviewers([reviewer, secondReviewer], 2);
+
+      const first = await caseWorkflowService.review(testCase._id, reviewer, { decision: 'approve' });
+      expect(first.case.metadata.status).toBe('review');
+      expect(first.approvals).toBe(1);
+
+      const second = await caseWorkflowService.review(testCase._id, secondReviewer, { decision: 'approve' });
+      expect(second.case.metadata.status).toBe('approved');
+    });
+
+    it('should approve the case when the last approvals arrive together', async () => {
+      await submitWithReviewers([reviewer, secondReviewer], 2);
+
+      await Promise.all([reviewer, secondReviewer].map(r =>
+        caseWorkflowService.review(testCase._id, r, { decision: 'approve' })
+      ));
+
+      const updated = await Case.findById(testCase._id);
+      expect(updated.metadata.status).toBe('approved');
+      expect(updated.metadata.approvals).toHaveLength(2);
+
+      const approvals = await CaseAuditLog.find({ caseId: testCase._id, action: 'approve' });
+      expect(approvals.filter(entry => entry.to === 'approved')).toHaveLength(1);
+    });
+
+    it('should only accept reviews from assigned reviewers', async () => {
+      await submitWithReviewers([reviewer]);
+
+      await expect(
+        caseWorkflowService.review(testCase._id, secondReviewer, { decision: 'approve' })
+      ).rejects.toMatchObject({ status: 403 });
+    });
+
+    it('should send the case back to draft with step comments', async () => {
+      await submitWithReviewers([reviewer, secondReviewer], 2);
+      await caseWorkflowService.review(testCase._id, reviewer, { decision: 'approve' });
+
+      const result = await caseWorkflowService.review(testCase._id, secondReviewer, {
+        decision: 'request_changes',
+        comment: 'Needs more detail',
+        stepComments: [{ stepId: 'step1', body: 'Add an explanation for option A' }]
+      });
+
+      const updated = await Case.findById(testCase._id);
+      expect(updated.metadata.status).toBe('draft');
+      expect(updated.metadata.approvals).toHaveLength(0);
+      expect(result.comments).toHaveLength(2);
+
+      const stepComments = await CaseComment.find({ caseId: testCase._id, stepId: 'step1' });
+      expect(stepComments[0].type).toBe('change_request');
+    });
+
+    it('should reject comments on unknown steps', async () => {
+      await submitWithReviewers([reviewer]);
+
+      await expect(
+        caseWorkflowService.review(testCase._id, reviewer, {
+          decision: 'request_changes',
+          stepComments: [{ stepId: 'missing', body: 'What step is this?' }]
+        })
+      ).rejects.toMatchObject({ status: 400 });
+    });
+  });
+
+  describe('getHistory', () => {
+    it('should record each transition', async () => {
+      await submitWithReviewers([reviewer]);
+      await caseWorkflowService.review(testCase._id, reviewer, { decision: 'approve' });
+      await caseWorkflowService.publish(testCase._id, author);
+
+      const history = await caseWorkflowService.getHistory(testCase._id);
+
+      expect(history.map(entry => entry.action)).toEqual(['submit', 'assign_reviewer', 'approve', 'publish']);
+      expect(history[3]).toMatchObject({ from: 'approved', to: 'published', details: { version: 1 } });
+      expect(await CaseAuditLog.countDocuments({ caseId: testCase._id })).toBe(4);
+    });
+  });
+});
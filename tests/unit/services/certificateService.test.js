@@ -0,0 +1,126 @@
+const certificateService = require('../../../services/certificateService');
+const { Progress, Credential } = require('../../../models');
+
+describe('Certificate Service', () => {
+  let user, testCase;
+
+  const createCompletedSession = (sessionId, endDate, percentageScore = 80) => new Progress({
+    userId: user._id,
+    caseId: testCase._id,
+    sessionId,
+    status: 'completed',
+    score: percentageScore / 10,
+    maxPossibleScore: 10,
+    percentageScore,
+    timeSpent: 900,
+    stepsCompleted: 1,
+    totalSteps: 1,
+    endDate
+  }).save();
+
+  beforeEach(async () => {
+    user = await global.testUtils.createTestUser();
+    testCase = await global.testUtils.createTestCase({
+      metadata: { status: 'published' }
+    });
+  });
+
+  describe('issueCertificate', () => {
+    it('should issue one verification code per session', async () => {
+      await createCompletedSession('session-1', new Date('2026-03-01'));
+
+      const first = await certificateService.issueCertificate('session-1', user._id);
+      const second = await certificateService.issueCertificate('session-1', user._id);
+
+      expect(first.code).toMatch(/^MCS-[A-Z2-9]{4}-[A-Z2-9]{4}-[A-Z2-9]{4}$/);
+      expect(second.code).toBe(first.code);
+      expect(first.holderName).toBe('Test User');
+      expect(first.sessions[0].caseTitle).toBe(testCase.title);
+      expect(await Credential.countDocuments()).toBe(1);
+    });
+
+    it('should not certify sessions that are not completed', async () => {
+      await new Progress({
+        userId: user._id,
+        caseId: testCase._id,
+        sessionId: 'session-open',
+        maxPossibleScore: 10,
+        totalSteps: 1
+      }).save();
+
+      expect(await certificateService.issueCertificate('session-open', user._id)).toBeNull();
+    });
+  });
+
+  describe('issueTranscript', () => {
+    it('should include only sessions completed in the date range', async () => {
+      await createCompletedSession('session-jan', new Date('2026-01-15'), 70);
+      await createCompletedSession('session-feb', new Date('2026-02-15'), 90);
+      await createCompletedSession('session-mar', new Date('2026-03-15'), 100);
+
+      const transcript = await certificateService.issueTranscript(user._id, {
+        from: new Date('2026-02-01'),
+        to: new Date('2026-03-31')
+      });
+
+      expect(transcript.sessions.map(s => s.sessionId)).toEqual(['session-feb', 'session-mar']);
+      expect(certificateService.summarize(transcript.sessions)).toEqual({
+        sessionCount: 2,
+        averageScore: 95,
+        totalTime: 1800
+      });
+    });
+
+    it('should reuse the code until the covered sessions change', async () => {
+      await createCompletedSession('session-1', new Date('2026-01-15'));
+
+      const first = await certificateService.issueTranscript(user._id);
+      const again = await certificateService.issueTranscript(user._id);
+      expect(again.code).toBe(first.code);
+
+      await createCompletedSession('session-2', new Date('2026-01-20'));
+      const updated = await certificateService.issueTranscript(user._id);
+      expect(updated.code).not.toBe(first.code);
+    });
+  });
+
+  describe('verify', () => {
+    it('should verify codes regardless of case', async () => {
+      await createCompletedSession('session-1', new Date('2026-03-01'), 85);
+      const credential = await certificateService.issueCertificate('session-1', user._id);
+
+      const verification = await certificateService.verify(credential.code.toLowerCase());
+
+      expect(verification.valid).toBe(true);
+      expect(verification.type).toBe('certificate');
+      expect(verification.sessions[0].percentageScore).toBe(85);
+      expect(verification.sessions[0].sessionId).toBeUndefined();
+    });
+
+    it('should report revoked credentials as invalid', async () => {
+      await createCompletedSession('session-1', new Date('2026-03-01'));
+      const credential = await certificateService.issueCertificate('session-1', user._id);
+      await Credential.updateOne({ _id: credential._id }, { revoked: true });
+
+      expect((await certificateService.verify(credential.code)).valid).toBe(false);
+    });
+
+    it('should return null for unknown codes', async () => {
+      expect(await certificateService.verify('MCS-AAAA-BBBB-CCCC')).toBeNull();
+    });
+  });
+
+  describe('rendering', () => {
+    it('should render certificates and transcripts as PDF', async () => {
+      await createCompletedSession('session-1', new Date('2026-03-01'));
+      const certificate = await certificateService.issueCertificate('session-1', user._id);
+      const transcript = await certificateService.issueTranscript(user._id);
+
+      const certificatePdf = await certificateService.renderCertificate(certificate);
+      const transcriptPdf = await certificateService.renderTranscript(transcript);
+
+      expect(certificatePdf.slice(0, 5).toString()).toBe('%PDF-');
+      expect(transcriptPdf.slice(0, 5).toString()).toBe('%PDF-');
+    });
+  });
+});
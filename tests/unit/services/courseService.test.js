@@ -0,0 +1,88 @@
+const courseService = require('../../../services/courseService');
+const { Case } = require('../../../models');
+
+describe('Course Service', () => {
+  let instructor, otherInstructor, student, outsider, course;
+
+  beforeEach(async () => {
+    instructor = await global.testUtils.createTestUser({ role: 'instructor', email: 'teacher@example.com' });
+    otherInstructor = await global.testUtils.createTestUser({ role: 'instructor', email: 'other@example.com' });
+    student = await global.testUtils.createTestUser({ email: 'student@example.com' });
+    outsider = await global.testUtils.createTestUser({ email: 'outsider@example.com' });
+    course = await courseService.createCourse(instructor, { title: 'Cardiology 101', code: 'CARD-101' });
+  });
+
+  describe('joinByCode', () => {
+    it('should enroll a student with the course join code', async () => {
+      const summary = await courseService.joinByCode(course.joinCode.toLowerCase(), student);
+
+      expect(summary).toMatchObject({ title: 'Cardiology 101', role: 'student', studentCount: 1 });
+      expect(summary.joinCode).toBeUndefined();
+    });
+
+    it('should reject a second enrollment', async () => {
+      await courseService.joinByCode(course.joinCode, student);
+
+      await expect(courseService.joinByCode(course.joinCode, student)).rejects.toMatchObject({ status: 409 });
+    });
+  });
+
+  describe('invitations', () => {
+    it('should only enroll the invited email address', async () => {
+      const report = await courseService.inviteStudents(course._id, instructor, ['Student@example.com']);
+      expect(report.invited).toEqual(['student@example.com']);
+
+      const { token } = course.invitations[0];
+      await expect(courseService.acceptInvitation(token, outsider)).rejects.toMatchObject({ status: 403 });
+
+      await courseService.acceptInvitation(token, student);
+      const roster = await courseService.getRoster(course._id, instructor);
+      expect(roster.students[0]).toMatchObject({ email: 'student@example.com', source: 'invitation', status: 'active' });
+      expect(roster.invitations).toHaveLength(0);
+    });
+
+    it('should not let other instructors invite to the course', async () => {
+      await expect(
+        courseService.inviteStudents(course._id, otherInstructor, ['new@example.com'])
+      ).rejects.toMatchObject({ status: 403 });
+    });
+  });
+
+  describe('course visibility', () => {
+    it('should limit course-only cases to members of a course that includes them', async () => {
+      const testCase = await global.testUtils.createTestCase({
+        metadata: { status: 'published', visibility: 'course' }
+      });
+      await courseService.joinByCode(course.joinCode, student);
+
+      expect(await courseService.canAccessCase(student, testCase)).toBe(false);
+
+      await courseService.addCases(course._id, instructor, [String(testCase._id)]);
+
+      expect(await courseService.canAccessCase(student, testCase)).toBe(true);
+      expect(await courseService.canAccessCase(outsider, testCase)).toBe(false);
+
+      const visible = await Case.find({ ...(await courseService.getVisibleCaseFilter(outsider)) });
+      expect(visible).toHaveLength(0);
+    });
+  });
+
+  describe('getScopedLearnerIds', () => {
+    it('should scope instructors to the students of their own courses', async () => {
+      await courseService.joinByCode(course.joinCode, student);
+
+      expect(await courseService.getScopedLearnerIds(instructor)).toEqual([String(student._id)]);
+      expect(await courseService.getScopedLearnerIds(otherInstructor)).toEqual([]);
+      await expect(
+        courseService.getScopedLearnerIds(otherInstructor, course._id)
+      ).rejects.toMatchObject({ status: 403 });
+    });
+
+    it('should drop removed students from the scope', async () => {
+      await courseService.joinByCode(course.joinCode, student);
+      await courseService.removeStudent(course._id, instructor, student._id);
+
+      expect(await courseService.getScopedLearnerIds(instructor, course._id)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,118 @@
+const debriefService = require('../../../services/debriefService');
+
+describe('Debrief Service', () => {
+  const caseData = {
+    title: 'Chest Pain',
+    simulationSteps: [
+      {
+        stepId: 'ecg',
+        title: 'Read the ECG',
+        question: 'What does the ECG show?',
+        correctAnswer: 'a',
+        options: [
+          { optionId: 'a', text: 'Inferior ST elevation', isCorrect: true, explanation: 'ST elevation in II, III and aVF' },
+          { optionId: 'b', text: 'Normal sinus rhythm', isCorrect: false, explanation: 'Look again at the inferior leads' }
+        ],
+        clinicalReasoning: {
+          learningObjectives: ['Recognize STEMI patterns'],
+          keyPoints: ['Inferior leads are II, III and aVF'],
+          commonMistakes: ['Missing reciprocal changes'],
+          references: ['2013 ACCF/AHA STEMI guideline']
+        }
+      },
+      {
+        stepId: 'dx',
+        stepType: 'diagnosis',
+        title: 'Diagnosis',
+        question: 'What is the most likely diagnosis?',
+        correctAnswer: 'a',
+        options: [
+          { optionId: 'a', text: 'Acute inferior STEMI', isCorrect: true },
+          { optionId: 'b', text: 'Pericarditis', isCorrect: false },
+          { optionId: 'c', text: 'Costochondritis', isCorrect: false }
+        ]
+      },
+      {
+        stepId: 'orders',
+        stepType: 'order_entry',
+        title: 'Initial Orders',
+        question: 'Enter your orders',
+        clinicalReasoning: { keyPoints: ['Give aspirin early'] }
+      }
+    ],
+    diagnostics: {
+      finalDiagnosis: 'STEMI',
+      differentialDiagnosis: [
+        { diagnosis: 'Pericarditis', probability: 15, reasoning: 'Diffuse ST elevation' },
+        { diagnosis: 'Aortic dissection', probability: 5 }
+      ]
+    }
+  };
+
+  const progress = (stepPerformance) => ({
+    sessionId: 'sess_1',
+    score: 10,
+    maxPossibleScore: 30,
+    percentageScore: 33,
+    timeSpent: 600,
+    stepPerformance
+  });
+
+  describe('buildDebrief', () => {
+    it('should explain missed steps from the case teaching content', () => {
+      const debrief = debriefService.buildDebrief(progress([
+        { stepId: 'ecg', selectedOption: 'b', isCorrect: false },
+        { stepId: 'dx', selectedOption: 'a', isCorrect: true }
+      ]), caseData);
+
+      expect(debrief.missedSteps).toHaveLength(1);
+      expect(debrief.missedSteps[0].yourAnswer.explanation).toBe('Look again at the inferior leads');
+      expect(debrief.missedSteps[0].correctAnswer.explanation).toBe('ST elevation in II, III and aVF');
+      expect(debrief.missedSteps[0].keyPoints).toEqual(['Inferior leads are II, III and aVF']);
+      expect(debrief.missedSteps[0].commonMistakes).toEqual(['Missing reciprocal changes']);
+      expect(debrief.missedSteps[0].references).toEqual(['2013 ACCF/AHA STEMI guideline']);
+      expect(debrief.correctSteps).toEqual([{ stepId: 'dx', title: 'Diagnosis' }]);
+      expect(debrief.learningObjectives).toEqual(['Recognize STEMI patterns']);
+      expect(debrief.overview.accuracy).toBe(50);
+    });
+
+    it('should list missed and harmful orders for order entry steps', () => {
+      const debrief = debriefService.buildDebrief(progress([
+        {
+          stepId: 'orders',
+          isCorrect: false,
+          missedOrders: ['Aspirin'],
+          orders: [{ text: 'tPA', name: 'Alteplase', status: 'harmful' }]
+        }
+      ]), caseData);
+
+      expect(debrief.missedSteps[0].correctAnswer).toBeNull();
+      expect(debrief.missedSteps[0].missedOrders).toEqual(['Aspirin']);
+      expect(debrief.missedSteps[0].harmfulOrders).toEqual(['Alteplase']);
+      expect(debrief.missedSteps[0].keyPoints).toEqual(['Give aspirin early']);
+    });
+  });
+
+  describe('compareDifferential', () => {
+    it('should match the final diagnosis by containment', () => {
+      const differential = debriefService.compareDifferential(progress([
+        { stepId: 'dx', selectedOption: 'a', isCorrect: true }
+      ]), caseData);
+
+      expect(differential.identifiedFinalDiagnosis).toBe(true);
+      expect(differential.learnerChoices).toEqual(['Acute inferior STEMI']);
+      expect(differential.expected.every(e => !e.considered)).toBe(true);
+    });
+
+    it('should mark considered differentials and choices outside the differential', () => {
+      const differential = debriefService.compareDifferential(progress([
+        { stepId: 'dx', selectedOption: 'b', isCorrect: false },
+        { stepId: 'dx', selectedOption: 'c', isCorrect: false }
+      ]), caseData);
+
+      expect(differential.identifiedFinalDiagnosis).toBe(false);
+      expect(differential.expected.map(e => e.considered)).toEqual([true, false]);
+      expect(differential.unlistedChoices).toEqual(['Costochondritis']);
+    });
+  });
+});
@@ -0,0 +1,180 @@
+const jobQueue = require('../../../services/jobQueue');
+const { getRedisClient } = require('../../../config/redis');
+const { JOBS } = require('../../../utils/constants');
+
+// In-memory stand-in for the handful of Redis commands the queue uses
+jest.mock('../../../config/redis', () => {
+  const strings = new Map();
+  const sortedSets = new Map();
+
+  const members = (key) => {
+    if (!sortedSets.has(key)) sortedSets.set(key, new Map());
+    return sortedSets.get(key);
+  };
+  const bound = (value) => {
+    if (value === '-inf') return { score: -Infinity, exclusive: false };
+    if (value === '+inf') return { score: Infinity, exclusive: false };
+    const text = String(value);
+    return text.startsWith('(') ? { score: Number(text.slice(1)), exclusive: true } : { score: Number(text), exclusive: false };
+  };
+  const byScore = (key, min, max) => {
+    const [low, high] = [bound(min), bound(max)];
+    return [...members(key)]
+      .filter(([, score]) => (low.exclusive ? score > low.score : score >= low.score) &&
+        (high.exclusive ? score < high.score : score <= high.score))
+      .sort((a, b) => a[1] - b[1])
+      .map(([member]) => member);
+  };
+  const ordered = (key) => [...members(key)].sort((a, b) => a[1] - b[1]).map(([member]) => member);
+  const slice = (list, start, stop) => list.slice(start, stop === -1 ? undefined : stop + 1);
+
+  const client = {
+    set: jest.fn(async (key, value, ...flags) => {
+      if (flags.includes('NX') && strings.has(key)) return null;
+      strings.set(key, value);
+      return 'OK';
+    }),
+    get: jest.fn(async (key) => (strings.has(key) ? strings.get(key) : null)),
+    mget: jest.fn(async (keys) => keys.map(key => (strings.has(key) ? strings.get(key) : null))),
+    incr: jest.fn(async (key) => {
+      const value = Number(strings.get(key) || 0) + 1;
+      strings.set(key, String(value));
+      return value;
+    }),
+    zadd: jest.fn(async (key, score, member) => { members(key).set(member, Number(score)); return 1; }),
+    zrem: jest.fn(async (key, member) => (members(key).delete(member) ? 1 : 0)),
+    zcard: jest.fn(async (key) => members(key).size),
+    zcount: jest.fn(async (key, min, max) => byScore(key, min, max).length),
+    zrangebyscore: jest.fn(async (key, min, max, limit, offset, count) => {
+      const found = byScore(key, min, max);
+      return limit ? found.slice(offset, offset + count) : found;
+    }),
+    zrange: jest.fn(async (key, start, stop) => slice(ordered(key), start, stop)),
+    zrevrange: jest.fn(async (key, start, stop) => slice(ordered(key).reverse(), start, stop)),
+    publish: jest.fn(async () => 1),
+    reset: () => { strings.clear(); sortedSets.clear(); }
+  };
+
+  return {
+    redisUtils: {},
+    getRedisClient: jest.fn(() => client)
+  };
+});
+
+describe('Job Queue', () => {
+  const QUEUE = 'test';
+  const handler = jest.fn();
+  let redis;
+
+  beforeAll(() => {
+    jobQueue.define(QUEUE, 'work', (data, job) => handler(data, job));
+  });
+
+  beforeEach(() => {
+    redis = getRedisClient();
+    redis.reset();
+    handler.mockReset();
+  });
+
+  describe('add and poll', () => {
+    it('should run a queued job once, when it is due', async () => {
+      const now = new Date('2026-03-02T09:00:00Z');
+      await jobQueue.add(QUEUE, 'work', { userId: 'u1' }, { delay: 60 * 1000 }, now);
+
+      expect(await jobQueue.poll(QUEUE, now)).toBe(0);
+
+      const later = new Date(now.getTime() + 60 * 1000);
+      expect(await jobQueue.poll(QUEUE, later)).toBe(1);
+      expect(await jobQueue.poll(QUEUE, later)).toBe(0);
+
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(handler.mock.calls[0][0]).toEqual({ userId: 'u1' });
+
+      const status = await jobQueue.getStatus(later);
+      expect(status.queues.find(queue => queue.queue === QUEUE)).toMatchObject({ waiting: 0, active: 0, completed: 1 });
+    });
+
+    it('should queue a job id only once', async () => {
+      const first = await jobQueue.add(QUEUE, 'work', {}, { jobId: 'slot-1' });
+      const second = await jobQueue.add(QUEUE, 'work', {}, { jobId: 'slot-1' });
+
+      expect(first.id).toBe('slot-1');
+      expect(second).toBeNull();
+      expect(await jobQueue.poll(QUEUE)).toBe(1);
+    });
+  });
+
+  describe('retries', () => {
+    it('should back off after each failure and dead-letter after the last attempt', async () => {
+      handler.mockRejectedValue(new Error('SMTP down'));
+      let now = new Date('2026-03-02T09:00:00Z');
+      const job = await jobQueue.add(QUEUE, 'work', {}, { attempts: 3 }, now);
+
+      await jobQueue.poll(QUEUE, now);
+      let stored = JSON.parse(await redis.get(`jobs:job:${job.id}`));
+      expect(stored).toMatchObject({ status: 'waiting', attempts: 1, lastError: 'SMTP down' });
+      expect(new Date(stored.runAt).getTime()).toBe(now.getTime() + JOBS.BACKOFF_BASE_MS);
+
+      now = new Date(stored.runAt);
+      await jobQueue.poll(QUEUE, now);
+      stored = JSON.parse(await redis.get(`jobs:job:${job.id}`));
+      expect(new Date(stored.runAt).getTime()).toBe(now.getTime() + JOBS.BACKOFF_BASE_MS * 2);
+
+      await jobQueue.poll(QUEUE, new Date(stored.runAt));
+
+      const dead = await jobQueue.listDeadLetters(QUEUE);
+      expect(dead.total).toBe(1);
+      expect(dead.jobs[0]).toMatchObject({ id: job.id, status: 'dead', attempts: 3 });
+
+      handler.mockResolvedValue();
+      expect(await jobQueue.retryDeadLetters(QUEUE)).toBe(1);
+      expect(await jobQueue.poll(QUEUE)).toBe(1);
+      expect((await jobQueue.listDeadLetters(QUEUE)).total).toBe(0);
+    });
+
+    it('should give a job back to the queue when its worker stops mid-run', async () => {
+      const now = new Date('2026-03-02T09:00:00Z');
+      const job = await jobQueue.add(QUEUE, 'work', {}, {}, now);
+
+      // Claimed by a worker that never finished
+      await redis.zrem('jobs:test:scheduled', job.id);
+      await redis.zadd('jobs:test:active', now.getTime() + JOBS.LEASE_MS, job.id);
+      await redis.set(`jobs:job:${job.id}`, JSON.stringify({ ...job, status: 'active', attempts: 1 }));
+
+      const expired = new Date(now.getTime() + JOBS.LEASE_MS);
+      await jobQueue.recoverExpired(QUEUE, expired);
+
+      const stored = JSON.parse(await redis.get(`jobs:job:${job.id}`));
+      expect(stored).toMatchObject({ status: 'waiting', attempts: 1, lastError: 'Worker stopped before the job finished' });
+      expect(await redis.zcard('jobs:test:active')).toBe(0);
+    });
+  });
+
+  describe('without Redis', () => {
+    it('should run the job straight away in this process', async () => {
+      getRedisClient.mockReturnValueOnce(null);
+
+      const job = await jobQueue.add(QUEUE, 'work', { userId: 'u1' });
+
+      expect(handler).toHaveBeenCalledWith({ userId: 'u1' }, job);
+      expect(job.status).toBe('completed');
+    });
+  });
+
+  describe('nextCronTime', () => {
+    it('should find the next matching minute in UTC', () => {
+      const after = new Date('2026-03-02T09:15:30Z'); // a Monday
+
+      expect(jobQueue.nextCronTime('*/20 * * * *', after).toISOString()).toBe('2026-03-02T09:20:00.000Z');
+      expect(jobQueue.nextCronTime('0 3 * * *', after).toISOString()).toBe('2026-03-03T03:00:00.000Z');
+      expect(jobQueue.nextCronTime('30 8 * * 1-5', new Date('2026-03-06T09:00:00Z')).toISOString())
+        .toBe('2026-03-09T08:30:00.000Z');
+      expect(jobQueue.nextCronTime('0 0 29 2 *', after).toISOString()).toBe('2028-02-29T00:00:00.000Z');
+    });
+
+    it('should reject malformed expressions', () => {
+      expect(() => jobQueue.parseCron('* * *')).toThrow(/five fields/);
+      expect(() => jobQueue.parseCron('61 * * * *')).toThrow(/Invalid cron field/);
+    });
+  });
+});
@@ -0,0 +1,212 @@
+const leaderboardService = require('../../../services/leaderboardService');
+const courseService = require('../../../services/courseService');
+const { getRedisClient } = require('../../../config/redis');
+const { Progress, Course } = require('../../../models');
+
+// In-memory stand-in for the sorted-set and hash commands the leaderboards use
+jest.mock('../../../config/redis', () => {
+  const sortedSets = new Map();
+  const hashes = new Map();
+
+  const members = (key) => {
+    if (!sortedSets.has(key)) sortedSets.set(key, new Map());
+    return sortedSets.get(key);
+  };
+  const fields = (key) => {
+    if (!hashes.has(key)) hashes.set(key, new Map());
+    return hashes.get(key);
+  };
+  // Highest score first, ties to the higher member, as ZREVRANGE orders them
+  const descending = (key) => [...members(key)]
+    .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? 1 : -1));
+
+  const commands = {
+    del: async (...keys) => keys.forEach(key => { sortedSets.delete(key); hashes.delete(key); }),
+    zadd: async (key, ...pairs) => {
+      for (let i = 0; i < pairs.length; i += 2) members(key).set(pairs[i + 1], Number(pairs[i]));
+    },
+    zincrby: async (key, by, member) => members(key).set(member, (members(key).get(member) || 0) + Number(by)),
+    hset: async (key, ...pairs) => {
+      for (let i = 0; i < pairs.length; i += 2) fields(key).set(pairs[i], String(pairs[i + 1]));
+    },
+    hincrby: async (key, field, by) => fields(key).set(field, String(Number(fields(key).get(field) || 0) + by)),
+    expire: async () => 1
+  };
+
+  const client = {
+    ...commands,
+    exists: jest.fn(async (key) => ((hashes.has(key) || sortedSets.has(key)) ? 1 : 0)),
+    multi: () => {
+      const queued = [];
+      const chain = { exec: async () => { for (const [name, args] of queued) await commands[name](...args); } };
+      Object.keys(commands).forEach(name => {
+        chain[name] = (...args) => { queued.push([name, args]); return chain; };
+      });
+      return chain;
+    },
+    zrevrange: jest.fn(async (key, start, stop) => {
+      const list = descending(key);
+      return list.slice(start, stop === -1 ? undefined : stop + 1).flatMap(([member, score]) => [member, String(score)]);
+    }),
+    zcard: jest.fn(async (key) => members(key).size),
+    zrevrank: jest.fn(async (key, member) => {
+      const index = descending(key).findIndex(([candidate]) => candidate === member);
+      return index === -1 ? null : index;
+    }),
+    zscore: jest.fn(async (key, member) => (members(key).has(member) ? String(members(key).get(member)) : null)),
+    hmget: jest.fn(async (key, ...names) => names.map(name => (fields(key).has(name) ? fields(key).get(name) : null))),
+    hgetall: jest.fn(async (key) => Object.fromEntries(fields(key))),
+    // The board increment script: count the session on a built board it ended after the build of
+    eval: jest.fn(async (script, numKeys, scores, cases, member, points, endedAt) => {
+      if (!hashes.has(cases) || Number(endedAt) < Number(fields(cases).get('_built'))) return 0;
+      await commands.zincrby(scores, points, member);
+      await commands.hincrby(cases, member, 1);
+      return 1;
+    }),
+    publish: jest.fn(async () => 1),
+    reset: () => { sortedSets.clear(); hashes.clear(); }
+  };
+
+  return {
+    redisUtils: {},
+    getRedisClient: jest.fn(() => client)
+  };
+});
+
+describe('Leaderboard Service', () => {
+  const now = new Date('2026-03-11T12:00:00Z'); // a Wednesday; the week began Monday 9 March
+  let redis, testCase, alice, bruno, chen;
+
+  const complete = (user, percentageScore, endDate = '2026-03-10T09:00:00Z', caseDoc = testCase) => Progress.create({
+    userId: user._id,
+    caseId: caseDoc._id,
+    sessionId: `session-${user._id}-${endDate}-${percentageScore}`,
+    status: 'completed',
+    maxPossibleScore: 100,
+    percentageScore,
+    totalSteps: 5,
+    endDate: new Date(endDate)
+  });
+
+  beforeEach(async () => {
+    redis = getRedisClient();
+    redis.reset();
+    redis.publish.mockClear();
+
+    testCase = await global.testUtils.createTestCase({ specialty: 'Cardiology' });
+    alice = await global.testUtils.createTestUser({ email: 'alice@example.com', profile: { firstName: 'Alice', lastName: 'Ng' } });
+    bruno = await global.testUtils.createTestUser({
+      email: 'bruno@example.com',
+      profile: { firstName: 'Bruno', lastName: 'Diaz' },
+      preferences: { privacy: { profileVisibility: 'private' } }
+    });
+    chen = await global.testUtils.createTestUser({ email: 'chen@example.com', profile: { firstName: 'Chen', lastName: 'Li' } });
+  });
+
+  describe('getLeaderboard', () => {
+    it('should rank the window\'s completions and keep private profiles anonymous', async () => {
+      await complete(alice, 80);
+      await complete(alice, 90);
+      await complete(bruno, 100);
+      await complete(chen, 60);
+      await complete(chen, 100, '2026-03-06T09:00:00Z'); // last week
+
+      const weekly = await leaderboardService.getLeaderboard(chen, { window: 'weekly' }, now);
+
+      expect(weekly).toMatchObject({ scope: 'global', window: 'weekly', period: '2026-03-09', total: 3 });
+      expect(weekly.entries.map(({ rank, points, cases, averageScore }) => ({ rank, points, cases, averageScore })))
+        .toEqual([
+          { rank: 1, points: 170, cases: 2, averageScore: 85 },
+          { rank: 2, points: 100, cases: 1, averageScore: 100 },
+          { rank: 3, points: 60, cases: 1, averageScore: 60 }
+        ]);
+      expect(weekly.entries[0].user).toMatchObject({ id: String(alice._id), firstName: 'Alice' });
+      expect(weekly.entries[1].user).toBeNull();
+      expect(weekly.me).toMatchObject({ rank: 3, isSelf: true, user: { firstName: 'Chen' } });
+
+      // Learners always see themselves, private or not
+      const own = await leaderboardService.getLeaderboard(bruno, { window: 'all_time', limit: 1 }, now);
+      expect(own.entries).toHaveLength(1);
+      expect(own.me).toMatchObject({ rank: 3, points: 100, user: { firstName: 'Bruno' } });
+    });
+
+    it('should reject an unknown window or scope', async () => {
+      await expect(leaderboardService.getLeaderboard(alice, { window: 'daily' }, now))
+        .rejects.toMatchObject({ status: 400 });
+      await expect(leaderboardService.getLeaderboard(alice, { scope: 'specialty' }, now))
+        .rejects.toMatchObject({ status: 400 });
+    });
+
+    it('should rank a course\'s active students for its members only', async () => {
+      const course = await Course.create({
+        title: 'Cardiology Clerkship',
+        owner: testCase.metadata.author,
+        instructors: [testCase.metadata.author],
+        students: [
+          { userId: alice._id, source: 'join_code' },
+          { userId: bruno._id, source: 'join_code', status: 'dropped' }
+        ]
+      });
+      await complete(alice, 70);
+      await complete(bruno, 100);
+
+      const board = await leaderboardService.getLeaderboard(alice, { scope: 'course', courseId: String(course._id) }, now);
+      expect(board.total).toBe(1);
+      expect(board.me).toMatchObject({ rank: 1, points: 70 });
+
+      await expect(leaderboardService.getLeaderboard(chen, { scope: 'course', courseId: String(course._id) }, now))
+        .rejects.toMatchObject({ status: 403 });
+    });
+  });
+
+  describe('recordCompletion', () => {
+    it('should add a completion to boards already built and tell their watchers', async () => {
+      await complete(alice, 80);
+      await leaderboardService.getLeaderboard(alice, { window: 'weekly' }, now);
+
+      const progress = await complete(alice, 90, now.toISOString());
+      await leaderboardService.recordCompletion(progress, testCase, now);
+
+      const weekly = await leaderboardService.getLeaderboard(alice, { window: 'weekly' }, now);
+      expect(weekly.me).toMatchObject({ points: 170, cases: 2 });
+
+      // The monthly board wasn't built yet, so its first read counts the session from Progress, once
+      const monthly = await leaderboardService.getLeaderboard(alice, { window: 'monthly' }, now);
+      expect(monthly.me).toMatchObject({ points: 170, cases: 2 });
+
+      const rooms = redis.publish.mock.calls.map(([, message]) => JSON.parse(message))
+        .filter(message => message.event === 'leaderboard_updated')
+        .map(message => message.room);
+      expect(rooms).toEqual(['leaderboard_global', 'leaderboard_specialty:Cardiology']);
+    });
+
+    it('should not count a session the board was built with', async () => {
+      // Saved as completed, then ranked by a read before completeSimulation recorded it
+      const progress = await complete(alice, 90, '2026-03-11T11:59:00Z');
+      await leaderboardService.getLeaderboard(alice, { window: 'weekly' }, now);
+      await leaderboardService.recordCompletion(progress, testCase, now);
+
+      const weekly = await leaderboardService.getLeaderboard(alice, { window: 'weekly' }, now);
+      expect(weekly.me).toMatchObject({ points: 90, cases: 1 });
+    });
+
+    it('should not recreate a board that expired before the increment', async () => {
+      await leaderboardService.getLeaderboard(alice, { window: 'weekly' }, now);
+      const keys = leaderboardService.keysFor({ scope: 'global' }, leaderboardService.getPeriod('weekly', now));
+      await redis.del(keys.scores, keys.cases);
+
+      const progress = await complete(alice, 90, now.toISOString());
+      await leaderboardService.recordCompletion(progress, testCase, now);
+
+      expect(await redis.exists(keys.cases)).toBe(0);
+      expect(await redis.exists(keys.scores)).toBe(0);
+    });
+
+    it('should never throw', async () => {
+      jest.spyOn(courseService, 'getEnrolledCourseIds').mockRejectedValueOnce(new Error('Database down'));
+
+      await expect(leaderboardService.recordCompletion({ userId: alice._id }, testCase)).resolves.toBeUndefined();
+      jest.restoreAllMocks();
+    });
+  });
+});
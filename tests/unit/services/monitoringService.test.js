@@ -0,0 +1,126 @@
+const monitoringService = require('../../../services/monitoringService');
+const simulationService = require('../../../services/simulationService');
+const courseService = require('../../../services/courseService');
+const { Progress } = require('../../../models');
+
+// In-memory stand-in for the Redis session cache
+jest.mock('../../../config/redis', () => {
+  const store = new Map();
+  return {
+    redisUtils: {
+      set: jest.fn(async (key, value) => { store.set(key, JSON.parse(JSON.stringify(value))); return true; }),
+      get: jest.fn(async (key) => (store.has(key) ? store.get(key) : null)),
+      del: jest.fn(async (key) => store.delete(key))
+    },
+    getRedisClient: jest.fn(() => null)
+  };
+});
+
+describe('Monitoring Service', () => {
+  let instructor, learner, testCase, session;
+
+  const options = [
+    { optionId: 'a', text: '12-lead ECG', isCorrect: true },
+    { optionId: 'b', text: 'Discharge', isCorrect: false }
+  ];
+
+  beforeEach(async () => {
+    testCase = await global.testUtils.createTestCase({
+      metadata: { status: 'published' },
+      simulationSteps: ['step1', 'step2', 'step3'].map(stepId => ({
+        stepId,
+        title: `Step ${stepId}`,
+        description: 'Assessment',
+        question: 'What next?',
+        options,
+        correctAnswer: 'a',
+        score: 10
+      }))
+    });
+    instructor = await global.testUtils.createTestUser({ role: 'instructor', email: 'monitor@example.com' });
+    learner = await global.testUtils.createTestUser({ email: 'learner@example.com' });
+    const course = await courseService.createCourse(instructor, { title: 'Cardiology 101' });
+    await courseService.joinByCode(course.joinCode, learner);
+    session = await simulationService.createSimulationSession(learner._id, testCase._id);
+  });
+
+  describe('getLiveSessions', () => {
+    it('should flag learners with repeated wrong answers', async () => {
+      await simulationService.processSimulationStep(session.sessionId, 'step1', 'b');
+      await simulationService.processSimulationStep(session.sessionId, 'step2', 'b');
+
+      const feed = await monitoringService.getLiveSessions({ caseId: String(testCase._id) });
+
+      expect(feed.summary).toMatchObject({ sessions: 1, struggling: 1 });
+      expect(feed.sessions[0]).toMatchObject({
+        currentStep: { stepId: 'step3' },
+        wrongStreak: 2,
+        flags: [expect.objectContaining({ type: 'repeated_wrong' })]
+      });
+    });
+
+    it('should flag learners stalled on a step', async () => {
+      await simulationService.processSimulationStep(session.sessionId);
+      const later = new Date(Date.now() + 10 * 60 * 1000);
+
+      const feed = await monitoringService.getLiveSessions({ learnerIds: String(learner._id) }, later);
+
+      expect(feed.sessions[0].flags.map(flag => flag.type)).toContain('stalled');
+    });
+
+    it('should only show instructors the students of their courses', async () => {
+      const otherInstructor = await global.testUtils.createTestUser({ role: 'instructor', email: 'other@example.com' });
+
+      expect((await monitoringService.getLiveSessions({}, new Date(), instructor)).sessions).toHaveLength(1);
+      expect((await monitoringService.getLiveSessions({}, new Date(), otherInstructor)).sessions).toHaveLength(0);
+    });
+  });
+
+  describe('intervene', () => {
+    it('should count an instructor hint toward the hint penalty', async () => {
+      await monitoringService.intervene(null, instructor, session.sessionId, { type: 'hint', message: 'Check the ECG' });
+
+      await simulationService.processSimulationStep(session.sessionId, 'step1', 'a');
+
+      const progress = await Progress.findOne({ sessionId: session.sessionId });
+      expect(progress.interventions[0]).toMatchObject({ type: 'hint', stepId: 'step1' });
+      expect(progress.stepPerformance[0]).toMatchObject({ hintsUsed: 1, instructorHints: 1, score: 9 });
+    });
+
+    it('should pause and resume the session', async () => {
+      await monitoringService.intervene(null, instructor, session.sessionId, { type: 'pause' });
+      expect((await Progress.findOne({ sessionId: session.sessionId })).status).toBe('paused');
+
+      await monitoringService.intervene(null, instructor, session.sessionId, { type: 'resume' });
+
+      const progress = await Progress.findOne({ sessionId: session.sessionId });
+      expect(progress.status).toBe('started');
+      expect(progress.interventions.map(i => i.type)).toEqual(['pause', 'resume']);
+    });
+
+    it('should move the learner past an unlocked step without credit', async () => {
+      const { result } = await monitoringService.intervene(null, instructor, session.sessionId, { type: 'unlock_step' });
+
+      expect(result.step.stepId).toBe('step2');
+      const progress = await Progress.findOne({ sessionId: session.sessionId });
+      expect(progress.stepPerformance[0]).toMatchObject({ stepId: 'step1', score: 0, isCorrect: false });
+      expect(String(progress.stepPerformance[0].unlockedBy)).toBe(String(instructor._id));
+    });
+
+    it('should reject interventions on learners outside the instructor\'s courses', async () => {
+      const otherInstructor = await global.testUtils.createTestUser({ role: 'instructor', email: 'other@example.com' });
+
+      await expect(
+        monitoringService.intervene(null, otherInstructor, session.sessionId, { type: 'message', message: 'Hello' })
+      ).rejects.toMatchObject({ status: 403 });
+    });
+
+    it('should reject interventions on finished sessions', async () => {
+      await simulationService.abandonSimulation(session.sessionId, learner._id);
+
+      await expect(
+        monitoringService.intervene(null, instructor, session.sessionId, { type: 'message', message: 'Hello' })
+      ).rejects.toMatchObject({ status: 409 });
+    });
+  });
+});
@@ -0,0 +1,106 @@
+const notificationService = require('../../../services/notificationService');
+const { Notification } = require('../../../models');
+
+describe('Notification Service', () => {
+  let user, other, io, emit;
+
+  const reminder = (title = 'Assignment Due Soon') => ({
+    type: 'reminder',
+    title,
+    message: '"Week 3" is due tomorrow',
+    data: { actionUrl: '/assignments/1' }
+  });
+
+  beforeEach(async () => {
+    user = await global.testUtils.createTestUser({ email: 'student@example.com' });
+    other = await global.testUtils.createTestUser({ email: 'classmate@example.com' });
+
+    emit = jest.fn();
+    io = { to: jest.fn(() => ({ emit })) };
+  });
+
+  describe('sendRealTimeNotification', () => {
+    it('should store the notification and push the stored copy to the user', async () => {
+      expect(await notificationService.sendRealTimeNotification(io, user._id, reminder())).toBe(true);
+
+      const [stored] = await Notification.find({ user: user._id });
+      expect(stored).toMatchObject({ type: 'reminder', title: 'Assignment Due Soon', read: false });
+
+      expect(io.to).toHaveBeenCalledWith(`user_${user._id}`);
+      const [event, payload] = emit.mock.calls[0];
+      expect(event).toBe('notification');
+      expect(String(payload.id)).toBe(String(stored._id));
+      expect(payload.timestamp).toEqual(stored.createdAt);
+    });
+
+    it('should skip a type the user muted and keep push-off notifications in the inbox only', async () => {
+      await notificationService.updatePreferences(user._id, { push: false, types: { reminder: { inApp: false } } });
+
+      expect(await notificationService.sendRealTimeNotification(io, user._id, reminder())).toBe(true);
+      expect(await Notification.countDocuments()).toBe(0);
+
+      await notificationService.sendRealTimeNotification(io, user._id, { ...reminder(), type: 'case_review' });
+      expect(await Notification.countDocuments({ type: 'case_review' })).toBe(1);
+      expect(emit).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('inbox', () => {
+    beforeEach(async () => {
+      for (const title of ['First', 'Second', 'Third']) {
+        await notificationService.sendRealTimeNotification(io, user._id, reminder(title));
+      }
+      await notificationService.sendRealTimeNotification(io, other._id, reminder('Not yours'));
+    });
+
+    it('should page through the newest notifications first', async () => {
+      const page = await notificationService.listNotifications(user._id, { page: 1, limit: 2 });
+
+      expect(page).toMatchObject({ total: 3, unread: 3, page: 1, pages: 2 });
+      expect(page.notifications.map(n => n.title)).toEqual(['Third', 'Second']);
+    });
+
+    it('should mark the user\'s own notifications read', async () => {
+      const [first] = await Notification.find({ user: user._id, title: 'First' });
+      const [foreign] = await Notification.find({ user: other._id });
+
+      expect(await notificationService.markAsRead(user._id, foreign._id)).toBeNull();
+      expect(await notificationService.markAsRead(user._id, 'not-an-id')).toBeNull();
+
+      const marked = await notificationService.markAsRead(user._id, first._id);
+      expect(marked.read).toBe(true);
+      expect(marked.readAt).toBeInstanceOf(Date);
+      expect(await notificationService.getUnreadCount(user._id)).toBe(2);
+
+      const unread = await notificationService.listNotifications(user._id, { unreadOnly: true });
+      expect(unread.notifications.map(n => n.title)).toEqual(['Third', 'Second']);
+
+      expect(await notificationService.markAllAsRead(user._id)).toBe(2);
+      expect(await notificationService.getUnreadCount(user._id)).toBe(0);
+      expect(await notificationService.getUnreadCount(other._id)).toBe(1);
+    });
+
+    it('should delete only the user\'s own notifications', async () => {
+      const [foreign] = await Notification.find({ user: other._id });
+      const [own] = await Notification.find({ user: user._id });
+
+      expect(await notificationService.deleteNotification(user._id, foreign._id)).toBe(false);
+      expect(await notificationService.deleteNotification(user._id, own._id)).toBe(true);
+      expect(await Notification.countDocuments({ user: user._id })).toBe(2);
+    });
+  });
+
+  describe('preferences', () => {
+    it('should merge per-type settings and fall back to the general switches', async () => {
+      await notificationService.updatePreferences(user._id, { types: { achievement: { email: false } } });
+      const preferences = await notificationService.updatePreferences(user._id, { types: { achievement: { inApp: false } } });
+
+      expect(preferences.types.achievement).toEqual({ inApp: false, email: false });
+      expect(preferences.types.discussion).toEqual({ inApp: true, email: true });
+
+      const updated = await notificationService.updatePreferences(user._id, { email: false });
+      expect(updated.types.discussion.email).toBe(false);
+      expect(updated.types.achievement.email).toBe(false);
+    });
+  });
+});
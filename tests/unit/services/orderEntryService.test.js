@@ -0,0 +1,88 @@
+const orderEntryService = require('../../../services/orderEntryService');
+
+describe('Order Entry Service', () => {
+  const step = {
+    stepId: 'orders',
+    stepType: 'order_entry',
+    score: 10,
+    orderSet: {
+      items: [
+        {
+          itemId: 'asa',
+          name: 'Aspirin',
+          synonyms: ['ASA', 'acetylsalicylic acid'],
+          category: 'medication',
+          requirement: 'required',
+          points: 2,
+          dose: '325 mg',
+          route: 'PO'
+        },
+        { itemId: 'ecg', name: 'ECG', synonyms: ['EKG', 'electrocardiogram'], requirement: 'required', points: 2 },
+        { itemId: 'troponin', name: 'Troponin', category: 'lab', requirement: 'optional', points: 1 },
+        { itemId: 'tpa', name: 'Alteplase', synonyms: ['tPA'], requirement: 'harmful', points: 2 }
+      ]
+    }
+  };
+
+  describe('normalizeOrder', () => {
+    it('should parse dose and route from free text', () => {
+      const order = orderEntryService.normalizeOrder('Aspirin 0.325 g orally');
+
+      expect(order.dose).toEqual({ value: 325, unit: 'mg' });
+      expect(order.route).toBe('po');
+    });
+
+    it('should accept structured orders', () => {
+      const order = orderEntryService.normalizeOrder({ name: 'Aspirin', dose: '325 mg', route: 'PO' });
+
+      expect(order.normalized).toBe('aspirin 325 mg po');
+    });
+  });
+
+  describe('scoreOrders', () => {
+    it('should give full credit for the complete order set', () => {
+      const result = orderEntryService.scoreOrders(step, ['ASA 325mg PO', '12 lead EKG', 'troponin']);
+
+      expect(result.score).toBe(10);
+      expect(result.isCorrect).toBe(true);
+      expect(result.missing).toEqual([]);
+      expect(result.orders.map(o => o.status)).toEqual(['matched', 'matched', 'acceptable']);
+    });
+
+    it('should give partial credit for a wrong dose', () => {
+      const result = orderEntryService.scoreOrders(step, ['aspirin 81 mg PO', 'ECG']);
+
+      expect(result.orders[0].status).toBe('partial');
+      expect(result.score).toBe(7.5);
+      expect(result.isCorrect).toBe(false);
+    });
+
+    it('should report missing required orders', () => {
+      const result = orderEntryService.scoreOrders(step, ['ECG']);
+
+      expect(result.missing).toEqual(['Aspirin']);
+      expect(result.score).toBe(5);
+    });
+
+    it('should penalize harmful orders', () => {
+      const result = orderEntryService.scoreOrders(step, ['aspirin 325 mg po', 'ecg', 'tPA 90 mg IV']);
+
+      expect(result.harmful).toEqual(['Alteplase']);
+      expect(result.score).toBe(5);
+      expect(result.isCorrect).toBe(false);
+    });
+
+    it('should flag unrecognized and duplicate orders without scoring them', () => {
+      const result = orderEntryService.scoreOrders(step, ['ECG', 'EKG', 'chest x-ray']);
+
+      expect(result.orders.map(o => o.status)).toEqual(['matched', 'duplicate', 'unrecognized']);
+      expect(result.earned).toBe(2);
+    });
+
+    it('should not score below zero', () => {
+      const result = orderEntryService.scoreOrders(step, ['alteplase']);
+
+      expect(result.score).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,111 @@
+const physiologyService = require('../../../services/physiologyService');
+
+describe('Physiology Service', () => {
+  const caseData = {
+    physiology: {
+      vitals: { heartRate: 120, systolicBP: 90 },
+      symptoms: { bleeding: true },
+      driftRules: [
+        { parameter: 'vitals.systolicBP', ratePerMinute: -2, min: 50, whileSymptom: 'bleeding' },
+        { parameter: 'labs.other.lactate', ratePerMinute: 0.1, startAfter: 120 }
+      ]
+    },
+    diagnostics: {
+      labResults: { other: { lactate: 3 } }
+    }
+  };
+
+  describe('initializeState', () => {
+    it('should merge authored vitals with defaults and copy lab results', () => {
+      const state = physiologyService.initializeState(caseData);
+
+      expect(state.vitals.heartRate).toBe(120);
+      expect(state.vitals.systolicBP).toBe(90);
+      expect(state.vitals.respiratoryRate).toBe(16);
+      expect(state.labs.other.lactate).toBe(3);
+      expect(state.symptoms.bleeding).toBe(true);
+      expect(state.elapsedSeconds).toBe(0);
+    });
+  });
+
+  describe('applyDrift', () => {
+    it('should drift parameters over elapsed time', () => {
+      const state = physiologyService.initializeState(caseData);
+      const drifted = physiologyService.applyDrift(state, caseData.physiology.driftRules, 300);
+
+      expect(drifted.vitals.systolicBP).toBe(80);
+      expect(drifted.labs.other.lactate).toBe(3.3);
+      expect(drifted.elapsedSeconds).toBe(300);
+    });
+
+    it('should respect rule bounds', () => {
+      const state = physiologyService.initializeState(caseData);
+      const drifted = physiologyService.applyDrift(state, caseData.physiology.driftRules, 3600);
+
+      expect(drifted.vitals.systolicBP).toBe(50);
+    });
+
+    it('should stop drifting once the symptom clears', () => {
+      const state = physiologyService.initializeState(caseData);
+      state.symptoms.bleeding = false;
+      const drifted = physiologyService.applyDrift(state, caseData.physiology.driftRules, 300);
+
+      expect(drifted.vitals.systolicBP).toBe(90);
+    });
+
+    it('should not modify the original state', () => {
+      const state = physiologyService.initializeState(caseData);
+      physiologyService.applyDrift(state, caseData.physiology.driftRules, 300);
+
+      expect(state.vitals.systolicBP).toBe(90);
+    });
+  });
+
+  describe('applyEffects', () => {
+    it('should apply deltas and absolute values', () => {
+      const state = physiologyService.initializeState(caseData);
+      const treated = physiologyService.applyEffects(state, [
+        { parameter: 'vitals.heartRate', delta: -30 },
+        { parameter: 'symptoms.bleeding', value: false }
+      ]);
+
+      expect(treated.vitals.heartRate).toBe(90);
+      expect(treated.symptoms.bleeding).toBe(false);
+    });
+
+    it('should clamp vitals to physiological limits', () => {
+      const state = physiologyService.initializeState(caseData);
+      const treated = physiologyService.applyEffects(state, [
+        { parameter: 'vitals.oxygenSaturation', delta: 10 }
+      ]);
+
+      expect(treated.vitals.oxygenSaturation).toBe(100);
+    });
+
+    it('should ignore parameters outside the patient state', () => {
+      const state = physiologyService.initializeState(caseData);
+      const treated = physiologyService.applyEffects(state, [
+        { parameter: '__proto__.polluted', value: true },
+        { parameter: 'metadata.score', value: 100 }
+      ]);
+
+      expect({}.polluted).toBeUndefined();
+      expect(treated.metadata).toBeUndefined();
+    });
+  });
+
+  describe('getMonitorView', () => {
+    it('should raise alarms for vitals outside the normal range', () => {
+      const state = physiologyService.initializeState(caseData);
+      const view = physiologyService.getMonitorView(state);
+
+      expect(view.alarms).toEqual([
+        { parameter: 'heartRate', value: 120, unit: 'bpm', direction: 'high' }
+      ]);
+    });
+
+    it('should return null without a state', () => {
+      expect(physiologyService.getMonitorView(null)).toBeNull();
+    });
+  });
+});
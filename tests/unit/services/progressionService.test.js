@@ -0,0 +1,159 @@
+const progressionService = require('../../../services/progressionService');
+const notificationService = require('../../../services/notificationService');
+const jobQueue = require('../../../services/jobQueue');
+const { User, Progress, XpTransaction } = require('../../../models');
+const { PROGRESSION } = require('../../../utils/constants');
+
+describe('Progression Service', () => {
+  let student, instructor;
+
+  const createCase = (difficulty, overrides = {}) => global.testUtils.createTestCase({
+    author: instructor,
+    specialty: 'Cardiology',
+    bodySystem: ['Cardiovascular'],
+    difficulty,
+    ...overrides
+  });
+
+  let sessionCount = 0;
+  const complete = (caseDoc, percentageScore, user = student) => Progress.create({
+    userId: user._id,
+    caseId: caseDoc._id,
+    sessionId: `session-${++sessionCount}`,
+    status: 'completed',
+    maxPossibleScore: 100,
+    percentageScore,
+    totalSteps: 5,
+    startDate: new Date(Date.UTC(2026, 2, 1, 0, sessionCount)),
+    endDate: new Date(Date.UTC(2026, 2, 1, 1, sessionCount))
+  });
+
+  beforeEach(async () => {
+    student = await global.testUtils.createTestUser({ email: 'student@example.com', role: 'student' });
+    instructor = await global.testUtils.createTestUser({ email: 'instructor@example.com', role: 'instructor' });
+  });
+
+  describe('calculateXp', () => {
+    it('should weight XP by difficulty, score and first attempt', () => {
+      expect(progressionService.calculateXp({ percentageScore: 100 }, { difficulty: 'beginner' }, true).amount).toBe(75);
+      expect(progressionService.calculateXp({ percentageScore: 100 }, { difficulty: 'beginner' }, false).amount).toBe(50);
+      expect(progressionService.calculateXp({ percentageScore: 50 }, { difficulty: 'advanced' }, false).amount).toBe(100);
+    });
+  });
+
+  describe('getLevel', () => {
+    it('should derive the level from total XP', () => {
+      expect(progressionService.getLevel(0)).toMatchObject({ level: 1, nextLevelXp: 100, progress: 0 });
+      expect(progressionService.getLevel(250)).toMatchObject({ level: 2, levelXp: 100, nextLevelXp: 400, progress: 50 });
+      expect(progressionService.getLevel(400).level).toBe(3);
+    });
+  });
+
+  describe('recordCompletion', () => {
+    let io;
+
+    beforeEach(() => {
+      io = { to: jest.fn(() => ({ emit: jest.fn() })) };
+      jobQueue.setSocketServer(io);
+      jest.spyOn(notificationService, 'sendRealTimeNotification');
+    });
+
+    afterEach(() => {
+      jobQueue.setSocketServer(null);
+      jest.restoreAllMocks();
+    });
+
+    it('should award each session once, with the first-attempt bonus on the first only', async () => {
+      const caseDoc = await createCase('intermediate');
+      const first = await complete(caseDoc, 80);
+      const second = await complete(caseDoc, 80);
+
+      expect(await progressionService.recordCompletion(first, caseDoc)).toMatchObject({ awarded: 120, xp: 120, level: 2 });
+      expect(await progressionService.recordCompletion(first, caseDoc)).toBeNull();
+      expect(await progressionService.recordCompletion(second, caseDoc)).toMatchObject({ awarded: 80, xp: 200 });
+
+      const entries = await XpTransaction.find({ userId: student._id }).sort({ createdAt: 1 });
+      expect(entries.map(entry => [entry.type, entry.amount, entry.breakdown.firstAttempt])).toEqual([
+        ['completion', 120, true],
+        ['completion', 80, false]
+      ]);
+      expect((await User.findById(student._id)).statistics).toMatchObject({ xp: 200, level: 2 });
+
+      // Reaching level 2 is announced once
+      expect(notificationService.sendRealTimeNotification).toHaveBeenCalledTimes(1);
+      expect(notificationService.sendRealTimeNotification.mock.calls[0][2]).toMatchObject({ data: { level: 2 } });
+    });
+  });
+
+  describe('skill tree', () => {
+    let beginnerCases, intermediateCase;
+
+    beforeEach(async () => {
+      beginnerCases = [];
+      for (let i = 0; i < PROGRESSION.MASTERED_TO_UNLOCK; i++) {
+        beginnerCases.push(await createCase('beginner', { title: `Chest Pain ${i + 1}` }));
+      }
+      intermediateCase = await createCase('intermediate');
+    });
+
+    it('should lock harder cases until enough easier ones are mastered', async () => {
+      await expect(progressionService.assertCaseUnlocked(student._id, intermediateCase)).rejects.toMatchObject({
+        status: 403,
+        details: {
+          requirements: [
+            { type: 'specialty', name: 'Cardiology', locked: 'intermediate', master: 'beginner', mastered: 0, required: 3 },
+            { type: 'bodySystem', name: 'Cardiovascular', locked: 'intermediate', master: 'beginner', mastered: 0, required: 3 }
+          ]
+        }
+      });
+
+      // A score under MASTERY_SCORE doesn't count
+      await complete(beginnerCases[0], 90);
+      await complete(beginnerCases[1], 85);
+      await complete(beginnerCases[2], 60);
+      await expect(progressionService.assertCaseUnlocked(student._id, intermediateCase)).rejects.toMatchObject({ status: 403 });
+
+      await complete(beginnerCases[2], 95);
+      await expect(progressionService.assertCaseUnlocked(student._id, intermediateCase)).resolves.toBeUndefined();
+
+      const tree = await progressionService.getSkillTree(student._id);
+      const cardiology = tree.specialties.find(node => node.name === 'Cardiology');
+      expect(cardiology.tiers.map(tier => [tier.difficulty, tier.mastered, tier.unlocked])).toEqual([
+        ['beginner', 3, true],
+        ['intermediate', 0, true],
+        ['advanced', 0, false] // needs the published intermediate case mastered
+      ]);
+    });
+
+    it('should not gate instructors', async () => {
+      await expect(progressionService.assertCaseUnlocked(instructor._id, intermediateCase)).resolves.toBeUndefined();
+    });
+  });
+
+  describe('recompute', () => {
+    const baseXp = { ...PROGRESSION.BASE_XP };
+
+    afterEach(() => {
+      Object.assign(PROGRESSION.BASE_XP, baseXp);
+    });
+
+    it('should add adjustments for changed rules and awards for sessions never scored', async () => {
+      const caseDoc = await createCase('beginner');
+      const scored = await complete(caseDoc, 100);
+      await progressionService.recordCompletion(scored, caseDoc);
+      await complete(caseDoc, 100); // completed before XP was tracked
+
+      PROGRESSION.BASE_XP.beginner = 60;
+      expect(await progressionService.recompute()).toMatchObject({ entriesAdded: 2, usersUpdated: 1 });
+
+      // The first session is now worth 90 and the second, a repeat, 60
+      const entries = await XpTransaction.find({ userId: student._id });
+      expect(entries.map(entry => `${entry.type} ${entry.amount}`).sort())
+        .toEqual(['adjustment 15', 'completion 60', 'completion 75']);
+      expect((await User.findById(student._id)).statistics.xp).toBe(150);
+
+      // Nothing left to change
+      expect(await progressionService.recompute()).toMatchObject({ entriesAdded: 0, usersUpdated: 0 });
+    });
+  });
+});
@@ -1,6 +1,19 @@
 const simulationService = require('../../../services/simulationService');
 const { Case, Progress, User } = require('../../../models');
 
+// In-memory stand-in for the Redis session cache
+jest.mock('../../../config/redis', () => {
+  const store = new Map();
+  return {
+    redisUtils: {
+      set: jest.fn(async (key, value) => { store.set(key, JSON.parse(JSON.stringify(value))); return true; }),
+      get: jest.fn(async (key) => (store.has(key) ? store.get(key) : null)),
+      del: jest.fn(async (key) => store.delete(key))
+    },
+    getRedisClient: jest.fn(() => null)
+  };
+});
+
 describe('Simulation Service', () => {
   let user, testCase;
 
@@ -95,6 +108,7 @@ describe('Simulation Service', () => {
       // Verify progress is marked as completed
       const completedProgress = await Progress.findOne({ sessionId });
       expect(completedProgress.status).toBe('completed');
+      expect(completedProgress.endDate).toBeInstanceOf(Date);
     });
 
     it('should handle incorrect answers', async () => {
@@ -118,6 +132,477 @@ describe('Simulation Service', () => {
       expect(updatedProgress.stepPerformance[0].isCorrect).toBe(false);
       expect(updatedProgress.stepPerformance[0].score).toBe(0);
     });
+
+    it('should score and complete only one of two answers sent together', async () => {
+      const answers = await Promise.allSettled([
+        simulationService.processSimulationStep(sessionId, 'step1', 'a', 30),
+        simulationService.processSimulationStep(sessionId, 'step1', 'a', 30)
+      ]);
+
+      expect(answers.filter(answer => answer.status === 'fulfilled')).toHaveLength(1);
+      expect(answers.find(answer => answer.status === 'rejected').reason).toMatchObject({ status: 409 });
+
+      const completedProgress = await Progress.findOne({ sessionId });
+      expect(completedProgress.stepPerformance).toHaveLength(1);
+      expect(completedProgress.score).toBe(10);
+
+      const updatedUser = await User.findById(user._id);
+      expect(updatedUser.statistics.casesCompleted).toBe(1);
+    });
+  });
+
+  describe('branching', () => {
+    let branchingCase;
+
+    beforeEach(async () => {
+      branchingCase = await global.testUtils.createTestCase({
+        author: user,
+        endings: [
+          { endingId: 'arrest', title: 'Cardiac arrest', outcome: 'unfavorable' }
+        ],
+        simulationSteps: [
+          {
+            stepId: 'triage',
+            title: 'Triage',
+            description: 'Initial triage',
+            question: 'What do you do first?',
+            options: [
+              { optionId: 'a', text: 'Obtain ECG', isCorrect: true },
+              { optionId: 'b', text: 'Send to waiting room', isCorrect: false, triggersDeterioration: true }
+            ],
+            correctAnswer: 'a',
+            score: 10
+          },
+          {
+            stepId: 'treat',
+            title: 'Treatment',
+            description: 'Initial treatment',
+            question: 'What treatment do you start?',
+            options: [
+              { optionId: 'a', text: 'Aspirin', isCorrect: true },
+              { optionId: 'b', text: 'Discharge home', isCorrect: false, endingId: 'arrest' }
+            ],
+            correctAnswer: 'a',
+            score: 10
+          },
+          {
+            stepId: 'collapse',
+            title: 'Patient collapses',
+            description: 'The patient becomes unresponsive',
+            question: 'What do you do?',
+            branch: 'deterioration',
+            options: [
+              { optionId: 'a', text: 'Start CPR', isCorrect: true, nextStepId: 'treat' },
+              { optionId: 'b', text: 'Wait', isCorrect: false, endingId: 'arrest' }
+            ],
+            correctAnswer: 'a',
+            score: 5
+          }
+        ]
+      });
+    });
+
+    it('should size the session from the best path', async () => {
+      const session = await simulationService.createSimulationSession(user._id, branchingCase._id);
+      const progress = await Progress.findOne({ sessionId: session.sessionId });
+
+      expect(progress.totalSteps).toBe(2);
+      expect(progress.maxPossibleScore).toBe(20);
+      expect(progress.currentStepId).toBe('triage');
+    });
+
+    it('should size a case with too many routes to list one by one', async () => {
+      // Skipping ahead is explored first but scores less, so the best route is the last one found
+      const count = 16;
+      const steps = Array.from({ length: count }, (_, i) => ({
+        stepId: `s${i + 1}`,
+        title: `Step ${i + 1}`,
+        description: 'Workup',
+        question: 'Next?',
+        options: [
+          { optionId: 'a', text: 'Skip ahead', isCorrect: false, points: 1, ...(i + 2 < count ? { nextStepId: `s${i + 3}` } : {}) },
+          { optionId: 'b', text: 'Work it up', isCorrect: true, points: 10, ...(i + 1 < count ? { nextStepId: `s${i + 2}` } : {}) }
+        ],
+        correctAnswer: 'b',
+        score: 10
+      }));
+      const largeCase = await global.testUtils.createTestCase({ author: user, simulationSteps: steps });
+
+      const session = await simulationService.createSimulationSession(user._id, largeCase._id);
+      const started = await Progress.findOne({ sessionId: session.sessionId });
+      expect(started.maxPossibleScore).toBe(160);
+      expect(started.totalSteps).toBe(count);
+
+      let result;
+      for (const step of steps) {
+        result = await simulationService.processSimulationStep(session.sessionId, step.stepId, 'b', 10);
+      }
+
+      expect(result.completed).toBe(true);
+      const progress = await Progress.findOne({ sessionId: session.sessionId });
+      expect(progress.percentageScore).toBe(100);
+    });
+
+    it('should skip deterioration steps on the main path', async () => {
+      const session = await simulationService.createSimulationSession(user._id, branchingCase._id);
+      const result = await simulationService.processSimulationStep(session.sessionId, 'triage', 'a', 10);
+
+      expect(result.step.stepId).toBe('treat');
+      expect(result.progress.branch).toBe('main');
+    });
+
+    it('should route into the deterioration branch and back', async () => {
+      const session = await simulationService.createSimulationSession(user._id, branchingCase._id);
+
+      const collapse = await simulationService.processSimulationStep(session.sessionId, 'triage', 'b', 10);
+      expect(collapse.step.stepId).toBe('collapse');
+      expect(collapse.progress.branch).toBe('deterioration');
+      expect(collapse.progress.totalSteps).toBe(3);
+      expect(collapse.progress.maxAchievableScore).toBe(15);
+
+      const treat = await simulationService.processSimulationStep(session.sessionId, 'collapse', 'a', 10);
+      expect(treat.step.stepId).toBe('treat');
+
+      const progress = await Progress.findOne({ sessionId: session.sessionId });
+      expect(progress.deteriorationEvents).toHaveLength(1);
+      expect(progress.deteriorationEvents[0].stepId).toBe('triage');
+    });
+
+    it('should finish with the ending an option routes to', async () => {
+      const session = await simulationService.createSimulationSession(user._id, branchingCase._id);
+      await simulationService.processSimulationStep(session.sessionId, 'triage', 'a', 10);
+      const result = await simulationService.processSimulationStep(session.sessionId, 'treat', 'b', 10);
+
+      expect(result.completed).toBe(true);
+      expect(result.summary.ending.endingId).toBe('arrest');
+      expect(result.summary.path).toEqual(['triage', 'treat']);
+
+      const progress = await Progress.findOne({ sessionId: session.sessionId });
+      expect(progress.ending.outcome).toBe('unfavorable');
+    });
+
+    it('should reject answers to steps off the current path', async () => {
+      const session = await simulationService.createSimulationSession(user._id, branchingCase._id);
+
+      await expect(
+        simulationService.processSimulationStep(session.sessionId, 'collapse', 'a', 10)
+      ).rejects.toThrow('Step is not the current step for this session');
+    });
+
+    it('should reject routing to unknown steps', async () => {
+      branchingCase.simulationSteps[0].options[0].nextStepId = 'missing';
+
+      await expect(branchingCase.save()).rejects.toThrow('routes to unknown step missing');
+    });
+  });
+
+  describe('orderDiagnosticTests', () => {
+    const servedAt = new Date('2026-03-02T10:00:00Z');
+    const at = (seconds) => new Date(servedAt.getTime() + seconds * 1000);
+    let sessionId;
+
+    beforeEach(async () => {
+      testCase.diagnostics.diagnosticTests = [
+        { name: 'Troponin', type: 'lab', results: '0.8 ng/mL', cost: 50, urgency: 'stat' },
+        { name: 'MRI Brain', type: 'imaging', results: 'Normal', cost: 1200, urgency: 'routine', indicated: false },
+        { name: 'PET', type: 'imaging', cost: 3000, availability: 'unavailable' }
+      ];
+      await testCase.save();
+
+      const session = await simulationService.createSimulationSession(user._id, testCase._id);
+      sessionId = session.sessionId;
+      await Progress.updateOne({ sessionId }, { stepServedAt: servedAt });
+    });
+
+    it('should track cost and hold results until the turnaround passes', async () => {
+      // Troponin is stat: 10 simulated minutes, 50 seconds of session time
+      const workup = await simulationService.orderDiagnosticTests(sessionId, user._id, ['troponin'], at(10));
+
+      expect(workup.totalCost).toBe(50);
+      expect(workup.ordered[0]).toMatchObject({ status: 'pending', orderedAt: 120, availableAt: 720, minutesRemaining: 10 });
+      expect(workup.ordered[0].results).toBeUndefined();
+
+      // Polling moves the clock while the learner stays on the step
+      const waiting = await simulationService.getDiagnosticTests(sessionId, user._id, at(40));
+      expect(waiting.ordered[0]).toMatchObject({ status: 'pending', minutesRemaining: 4 });
+
+      const released = await simulationService.getDiagnosticTests(sessionId, user._id, at(60));
+      expect(released.ordered[0].status).toBe('resulted');
+      expect(released.ordered[0].results).toBe('0.8 ng/mL');
+    });
+
+    it('should run the clock across answered steps but not while paused', async () => {
+      // MRI Brain is routine: 60 simulated minutes, 5 minutes of session time
+      await simulationService.orderDiagnosticTests(sessionId, user._id, ['MRI Brain'], at(0));
+
+      await Progress.updateOne({ sessionId }, { status: 'paused', $push: { pauseHistory: { pausedAt: at(120) } } });
+      const paused = await simulationService.getDiagnosticTests(sessionId, user._id, at(3600));
+      expect(paused.ordered[0]).toMatchObject({ status: 'pending', minutesRemaining: 36 });
+
+      // Resumed with the step answered after 3 minutes and the next one served
+      await Progress.updateOne({ sessionId }, { status: 'started', timeSpent: 180, stepServedAt: at(3600) });
+      const released = await simulationService.getDiagnosticTests(sessionId, user._id, at(3720));
+      expect(released.ordered[0]).toMatchObject({ status: 'resulted', results: 'Normal' });
+    });
+
+    it('should count tests that are not indicated or repeated as unnecessary', async () => {
+      await simulationService.orderDiagnosticTests(sessionId, user._id, ['MRI Brain', 'Troponin']);
+      await simulationService.orderDiagnosticTests(sessionId, user._id, ['Troponin']);
+
+      const progress = await Progress.findOne({ sessionId });
+      expect(progress.diagnosticCost).toBe(1300);
+      expect(progress.unnecessaryTests).toBe(2);
+
+      const summary = simulationService.generateCompletionSummary(progress, testCase);
+      expect(summary.diagnosticWorkup.unnecessaryCost).toBe(1250);
+      expect(summary.diagnosticWorkup.unnecessary.map(t => t.reason)).toEqual(['not_indicated', 'duplicate']);
+    });
+
+    it('should reject unavailable or unknown tests', async () => {
+      await expect(
+        simulationService.orderDiagnosticTests(sessionId, user._id, ['PET'])
+      ).rejects.toThrow('Diagnostic test not available: PET');
+
+      await expect(
+        simulationService.orderDiagnosticTests(sessionId, user._id, ['Biopsy'])
+      ).rejects.toThrow('Diagnostic test not found: Biopsy');
+    });
+
+    it('should return null for another user\'s session', async () => {
+      const other = await global.testUtils.createTestUser({ email: 'other@example.com' });
+
+      const workup = await simulationService.orderDiagnosticTests(sessionId, other._id, ['Troponin']);
+      expect(workup).toBeNull();
+    });
+  });
+
+  describe('step timers', () => {
+    let sessionId;
+
+    beforeEach(async () => {
+      testCase.simulationSteps[0].timeLimit = 60;
+      testCase.simulationSteps.push({
+        stepId: 'step2',
+        title: 'Timed Step',
+        description: 'Answer before the time runs out',
+        question: 'What next?',
+        options: [{ optionId: 'a', text: 'Correct Option', isCorrect: true }],
+        correctAnswer: 'a',
+        score: 10,
+        timeLimit: 60,
+        timeLimitPolicy: 'reject'
+      });
+      await testCase.save();
+
+      const session = await simulationService.createSimulationSession(user._id, testCase._id);
+      sessionId = session.sessionId;
+    });
+
+    it('should time answers from when the step was served', async () => {
+      const served = await simulationService.processSimulationStep(sessionId);
+      expect(served.timer.timeLimit).toBe(60);
+      expect(served.timer.policy).toBe('penalize');
+
+      await Progress.updateOne({ sessionId }, { stepServedAt: new Date(Date.now() - 20000) });
+      await simulationService.processSimulationStep(sessionId, 'step1', 'a', 500);
+
+      const progress = await Progress.findOne({ sessionId });
+      expect(progress.stepPerformance[0].timeSpent).toBeGreaterThanOrEqual(20);
+      expect(progress.stepPerformance[0].timeSpent).toBeLessThan(30);
+      expect(progress.stepPerformance[0].reportedTimeSpent).toBe(500);
+      expect(progress.stepPerformance[0].late).toBe(false);
+      expect(progress.score).toBe(10);
+    });
+
+    it('should penalize late answers', async () => {
+      await Progress.updateOne({ sessionId }, { stepServedAt: new Date(Date.now() - 90000) });
+      await simulationService.processSimulationStep(sessionId, 'step1', 'a');
+
+      const progress = await Progress.findOne({ sessionId });
+      expect(progress.stepPerformance[0].late).toBe(true);
+      expect(progress.stepPerformance[0].overtimeSeconds).toBeGreaterThanOrEqual(30);
+      expect(progress.score).toBe(5);
+    });
+
+    it('should reject late answers when the step says so', async () => {
+      await simulationService.processSimulationStep(sessionId, 'step1', 'a');
+      await Progress.updateOne({ sessionId }, { stepServedAt: new Date(Date.now() - 90000) });
+
+      const result = await simulationService.processSimulationStep(sessionId, 'step2', 'a');
+
+      const progress = await Progress.findOne({ sessionId });
+      expect(result.completed).toBe(true);
+      expect(progress.stepPerformance[1].timedOut).toBe(true);
+      expect(progress.stepPerformance[1].isCorrect).toBe(false);
+      expect(progress.score).toBe(10);
+    });
+
+    it('should not count paused time against the step', async () => {
+      await simulationService.processSimulationStep(sessionId);
+      await simulationService.pauseSimulation(sessionId, user._id);
+
+      await expect(
+        simulationService.processSimulationStep(sessionId, 'step1', 'a')
+      ).rejects.toThrow('Session is paused');
+
+      const paused = await Progress.findOne({ sessionId });
+      paused.pauseHistory[0].pausedAt = new Date(paused.pauseHistory[0].pausedAt.getTime() - 120000);
+      paused.stepServedAt = new Date(paused.stepServedAt.getTime() - 120000);
+      await paused.save();
+
+      await simulationService.resumeSimulation(sessionId, user._id);
+      await simulationService.processSimulationStep(sessionId, 'step1', 'a');
+
+      const progress = await Progress.findOne({ sessionId });
+      expect(progress.pauseHistory[0].resumedAt).toBeTruthy();
+      expect(progress.stepPerformance[0].late).toBe(false);
+    });
+  });
+
+  describe('hints', () => {
+    let sessionId;
+
+    beforeEach(async () => {
+      testCase.simulationSteps[0].hints = ['Think about the ECG', 'Look at the ST segments'];
+      testCase.scoring = { hintPenalties: [0.2, 0.5] };
+      await testCase.save();
+
+      const session = await simulationService.createSimulationSession(user._id, testCase._id);
+      sessionId = session.sessionId;
+    });
+
+    it('should keep hints hidden until revealed', async () => {
+      const served = await simulationService.processSimulationStep(sessionId);
+
+      expect(served.step.hints).toEqual([]);
+      expect(served.step.hintsAvailable).toBe(2);
+    });
+
+    it('should reveal hints one at a time', async () => {
+      const first = await simulationService.revealHint(sessionId, user._id);
+      expect(first.hint).toBe('Think about the ECG');
+      expect(first.penalty).toBe(0.2);
+      expect(first.nextPenalty).toBe(0.5);
+
+      const second = await simulationService.revealHint(sessionId, user._id);
+      expect(second.hintNumber).toBe(2);
+      expect(second.hintsRemaining).toBe(0);
+
+      await expect(
+        simulationService.revealHint(sessionId, user._id)
+      ).rejects.toThrow('No more hints available for this step');
+    });
+
+    it('should apply the case penalty curve to the step score', async () => {
+      await simulationService.revealHint(sessionId, user._id);
+      const result = await simulationService.processSimulationStep(sessionId, 'step1', 'a');
+
+      const progress = await Progress.findOne({ sessionId });
+      expect(progress.stepPerformance[0].hintsUsed).toBe(1);
+      expect(progress.stepPerformance[0].hintPenalty).toBe(2);
+      expect(progress.score).toBe(8);
+      expect(result.summary.hints).toEqual({ totalUsed: 1, stepsWithHints: 1, pointsLost: 2 });
+    });
+
+    it('should fall back to the default curve', () => {
+      expect(simulationService.getHintPenalty({}, 1)).toBe(0.1);
+      expect(simulationService.getHintPenalty({}, 5)).toBe(0.5);
+      expect(simulationService.getHintPenalty({}, 0)).toBe(0);
+    });
+
+    it('should return null for another user\'s session', async () => {
+      const other = await global.testUtils.createTestUser({ email: 'other@example.com' });
+
+      expect(await simulationService.revealHint(sessionId, other._id)).toBeNull();
+    });
+  });
+
+  describe('getDebrief', () => {
+    it('should store the debrief at completion', async () => {
+      const session = await simulationService.createSimulationSession(user._id, testCase._id);
+
+      await expect(
+        simulationService.getDebrief(session.sessionId, user._id)
+      ).rejects.toThrow('Debrief is available once the simulation is completed');
+
+      const result = await simulationService.processSimulationStep(session.sessionId, 'step1', 'a');
+      expect(result.debrief.correctSteps).toEqual([{ stepId: 'step1', title: 'Assessment' }]);
+
+      const debrief = await simulationService.getDebrief(session.sessionId, user._id);
+      expect(debrief.sessionId).toBe(session.sessionId);
+      expect(debrief.overview.percentageScore).toBe(100);
+    });
+
+    it('should return null for another user\'s session', async () => {
+      const session = await simulationService.createSimulationSession(user._id, testCase._id);
+      const other = await global.testUtils.createTestUser({ email: 'other@example.com' });
+
+      expect(await simulationService.getDebrief(session.sessionId, other._id)).toBeNull();
+    });
+  });
+
+  describe('updateCaseStatistics', () => {
+    it('should count every completion folded in at the same time', async () => {
+      await Promise.all([
+        simulationService.updateCaseStatistics(testCase._id, 80, 600),
+        simulationService.updateCaseStatistics(testCase._id, 40, 300),
+        simulationService.updateCaseStatistics(testCase._id, 61, 301)
+      ]);
+
+      const updated = await Case.findById(testCase._id);
+      expect(updated.metadata).toMatchObject({ completionCount: 3, averageScore: 60, averageTime: 400 });
+    });
+  });
+
+  describe('expireStaleSessions', () => {
+    it('should expire idle sessions and clear their cache', async () => {
+      const { redisUtils } = require('../../../config/redis');
+      const session = await simulationService.createSimulationSession(user._id, testCase._id);
+      const later = new Date(Date.now() + 3 * 60 * 60 * 1000);
+
+      expect(await simulationService.expireStaleSessions(later)).toBe(1);
+
+      const progress = await Progress.findOne({ sessionId: session.sessionId });
+      expect(progress.status).toBe('expired');
+      expect(progress.endDate).toBeTruthy();
+      expect(await redisUtils.get(`session_${session.sessionId}`)).toBeNull();
+
+      // Already expired sessions are not swept again
+      expect(await simulationService.expireStaleSessions(later)).toBe(0);
+    });
+
+    it('should leave recently active sessions alone', async () => {
+      const session = await simulationService.createSimulationSession(user._id, testCase._id);
+
+      expect(await simulationService.expireStaleSessions()).toBe(0);
+
+      const progress = await Progress.findOne({ sessionId: session.sessionId });
+      expect(progress.status).toBe('started');
+    });
+  });
+
+  describe('case versions', () => {
+    it('should keep a session on the version it started with', async () => {
+      const caseVersionService = require('../../../services/caseVersionService');
+      const draftCase = await global.testUtils.createTestCase({ metadata: { status: 'draft' } });
+      await caseVersionService.publish(draftCase, draftCase.metadata.author);
+
+      const session = await simulationService.createSimulationSession(user._id, draftCase._id);
+
+      const steps = draftCase.toObject().simulationSteps;
+      steps[0].options[0].isCorrect = false;
+      steps[0].options.push({ optionId: 'b', text: 'Option B', isCorrect: true });
+      steps[0].correctAnswer = 'b';
+      const revision = await caseVersionService.saveDraftRevision(draftCase, { simulationSteps: steps });
+      await caseVersionService.publish(revision, draftCase.metadata.author);
+
+      const result = await simulationService.processSimulationStep(session.sessionId, 'step1', 'a');
+
+      const progress = await Progress.findOne({ sessionId: session.sessionId });
+      expect(progress.caseVersion).toBe(1);
+      expect(result.completed).toBe(true);
+      expect(progress.stepPerformance[0].isCorrect).toBe(true);
+    });
   });
 
   describe('pauseSimulation', () => {
@@ -176,7 +661,7 @@ describe('Simulation Service', () => {
 
       const progress = await Progress.findOne({ sessionId: session.sessionId });
       expect(progress.status).toBe('abandoned');
-      expect(progress.endTime).toBeTruthy();
+      expect(progress.endDate).toBeTruthy();
     });
   });
 
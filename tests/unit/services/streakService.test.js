@@ -0,0 +1,134 @@
+const streakService = require('../../../services/streakService');
+const notificationService = require('../../../services/notificationService');
+const { User, Progress } = require('../../../models');
+
+describe('Streak Service', () => {
+  const days = (...list) => new Set(list);
+
+  describe('computeStreak', () => {
+    it('should count consecutive days and keep the streak alive until today ends', () => {
+      const activeDays = days('2026-03-01', '2026-03-02', '2026-03-03');
+
+      expect(streakService.computeStreak({ activeDays, today: '2026-03-03' }))
+        .toMatchObject({ current: 3, activeToday: true });
+      expect(streakService.computeStreak({ activeDays, today: '2026-03-04' }))
+        .toMatchObject({ current: 3, activeToday: false });
+      expect(streakService.computeStreak({ activeDays, today: '2026-03-05' }).current).toBe(0);
+    });
+
+    it('should bridge missed days with freezes without counting them', () => {
+      const activeDays = days('2026-03-01', '2026-03-02', '2026-03-05');
+
+      const bridged = streakService.computeStreak({ activeDays, today: '2026-03-05', freezes: 2 });
+      expect(bridged).toMatchObject({ current: 3, freezes: 0, newlyFrozen: ['2026-03-04', '2026-03-03'] });
+
+      expect(streakService.computeStreak({ activeDays, today: '2026-03-05', freezes: 1 }))
+        .toMatchObject({ current: 1, freezes: 1, newlyFrozen: [] });
+      expect(streakService.computeStreak({ activeDays, today: '2026-03-05', freezes: 2, useFreezes: false }).current)
+        .toBe(1);
+
+      // Days frozen earlier stay frozen
+      expect(streakService.computeStreak({
+        activeDays,
+        frozenDays: days('2026-03-03', '2026-03-04'),
+        today: '2026-03-05'
+      }).current).toBe(3);
+    });
+  });
+
+  describe('refresh', () => {
+    let user, testCase;
+
+    const complete = (endDate, timeSpent = 600) => Progress.create({
+      userId: user._id,
+      caseId: testCase._id,
+      sessionId: `session-${endDate}`,
+      status: 'completed',
+      maxPossibleScore: 100,
+      totalSteps: 5,
+      timeSpent,
+      endDate: new Date(endDate)
+    });
+
+    beforeEach(async () => {
+      user = await global.testUtils.createTestUser({
+        email: 'resident@example.com',
+        preferences: { timezone: 'America/New_York' }
+      });
+      testCase = await global.testUtils.createTestCase();
+    });
+
+    it('should group sessions by the user\'s local day and earn a freeze every 7 days', async () => {
+      // 02:00 UTC is still the previous evening in New York
+      for (let day = 1; day <= 7; day++) {
+        await complete(`2026-03-${String(day + 1).padStart(2, '0')}T02:00:00Z`);
+      }
+
+      const streak = await streakService.refresh(user._id, new Date('2026-03-07T20:00:00Z'));
+
+      expect(streak).toMatchObject({ current: 7, longest: 7, activeToday: true, freezesAvailable: 1 });
+      expect(streak.lastActivityDay).toBe('2026-03-07');
+
+      const { statistics } = await User.findById(user._id);
+      expect(statistics).toMatchObject({ streakDays: 7, longestStreak: 7, streakFreezes: 1 });
+    });
+
+    it('should list cases and minutes per local day on the activity calendar', async () => {
+      await complete('2026-03-02T02:00:00Z', 900);
+      await complete('2026-03-02T15:00:00Z', 300);
+
+      const calendar = await streakService.getActivityCalendar(
+        user._id,
+        { from: '2026-03-01', to: '2026-03-03' }
+      );
+
+      expect(calendar.timezone).toBe('America/New_York');
+      expect(calendar.days).toEqual([
+        { date: '2026-03-01', cases: 1, minutes: 15, frozen: false },
+        { date: '2026-03-02', cases: 1, minutes: 5, frozen: false },
+        { date: '2026-03-03', cases: 0, minutes: 0, frozen: false }
+      ]);
+      expect(calendar.totals).toEqual({ activeDays: 2, cases: 2, minutes: 20 });
+
+      await expect(streakService.getActivityCalendar(user._id, { from: '2026-03-03', to: '2026-03-01' }))
+        .rejects.toMatchObject({ status: 400 });
+    });
+
+    describe('sweep', () => {
+      let io;
+
+      beforeEach(async () => {
+        io = { to: jest.fn(() => ({ emit: jest.fn() })) };
+        jest.spyOn(notificationService, 'sendRealTimeNotification');
+
+        await complete('2026-03-02T15:00:00Z');
+        await complete('2026-03-03T15:00:00Z');
+        await streakService.refresh(user._id, new Date('2026-03-03T16:00:00Z'));
+      });
+
+      afterEach(() => {
+        jest.restoreAllMocks();
+      });
+
+      it('should remind an at-risk streak once, in the local evening', async () => {
+        // 12:00 in New York: too early
+        expect(await streakService.sweep(io, new Date('2026-03-04T17:00:00Z'))).toBe(0);
+
+        // 19:00 in New York, nothing done today yet
+        expect(await streakService.sweep(io, new Date('2026-03-05T00:00:00Z'))).toBe(1);
+        expect(await streakService.sweep(io, new Date('2026-03-05T01:00:00Z'))).toBe(0);
+
+        const [, userId, notification] = notificationService.sendRealTimeNotification.mock.calls[0];
+        expect(String(userId)).toBe(String(user._id));
+        expect(notification).toMatchObject({ type: 'reminder', data: { streakDays: 2 } });
+      });
+
+      it('should reset a streak once a whole day was missed', async () => {
+        await streakService.sweep(io, new Date('2026-03-05T12:00:00Z'));
+
+        expect((await User.findById(user._id)).statistics.streakDays).toBe(0);
+        expect(notificationService.sendRealTimeNotification).not.toHaveBeenCalled();
+      });
+    });
+  });
+});
@@ -0,0 +1,134 @@
+const teamSessionService = require('../../../services/teamSessionService');
+const simulationService = require('../../../services/simulationService');
+const { Progress } = require('../../../models');
+
+// In-memory stand-in for the Redis session cache
+jest.mock('../../../config/redis', () => {
+  const store = new Map();
+  return {
+    redisUtils: {
+      set: jest.fn(async (key, value) => { store.set(key, JSON.parse(JSON.stringify(value))); return true; }),
+      get: jest.fn(async (key) => (store.has(key) ? store.get(key) : null)),
+      del: jest.fn(async (key) => store.delete(key))
+    },
+    getRedisClient: jest.fn(() => null)
+  };
+});
+
+describe('Team Session Service', () => {
+  let host, airway, medications, observer, testCase;
+
+  beforeEach(async () => {
+    testCase = await global.testUtils.createTestCase({
+      metadata: { status: 'published' },
+      simulationSteps: [{
+        stepId: 'step1',
+        title: 'Assessment',
+        description: 'Initial assessment',
+        question: 'What is your first action?',
+        options: [
+          { optionId: 'a', text: '12-lead ECG', isCorrect: true },
+          { optionId: 'b', text: 'Discharge', isCorrect: false }
+        ],
+        correctAnswer: 'a',
+        score: 10
+      }]
+    });
+    host = await global.testUtils.createTestUser({ email: 'host@example.com' });
+    airway = await global.testUtils.createTestUser({ email: 'airway@example.com' });
+    medications = await global.testUtils.createTestUser({ email: 'meds@example.com' });
+    observer = await global.testUtils.createTestUser({ email: 'observer@example.com' });
+  });
+
+  const startTeam = async (decisionRule) => {
+    const session = await teamSessionService.createTeamSession(host, testCase._id, { decisionRule });
+    await teamSessionService.joinTeamSession(session.joinCode, airway, 'airway');
+    await teamSessionService.joinTeamSession(session.joinCode, medications, 'medications');
+    await teamSessionService.joinTeamSession(session.joinCode, observer, 'observer');
+    return session;
+  };
+
+  describe('joinTeamSession', () => {
+    it('should not give a taken role to a second member', async () => {
+      const session = await startTeam('vote');
+      const late = await global.testUtils.createTestUser({ email: 'late@example.com' });
+
+      await expect(
+        teamSessionService.joinTeamSession(session.joinCode, late, 'airway')
+      ).rejects.toMatchObject({ status: 409 });
+    });
+  });
+
+  describe('propose', () => {
+    it('should submit the answer once a majority agrees', async () => {
+      const session = await startTeam('vote');
+
+      const first = await teamSessionService.propose(session.sessionId, airway, { stepId: 'step1', selectedOption: 'b' });
+      expect(first.decided).toBe(false);
+      await teamSessionService.propose(session.sessionId, medications, { stepId: 'step1', selectedOption: 'a' });
+
+      const outcome = await teamSessionService.propose(session.sessionId, host, { stepId: 'step1', selectedOption: 'a' });
+
+      expect(outcome.decided).toBe(true);
+      expect(outcome.result.completed).toBe(true);
+
+      const progress = await Progress.findOne({ sessionId: session.sessionId });
+      expect(progress.stepPerformance[0]).toMatchObject({ selectedOption: 'a', decisionRule: 'vote' });
+      expect(progress.team.contributions.map(c => [c.role, c.accepted])).toEqual([
+        ['airway', false],
+        ['medications', true],
+        ['team_leader', true]
+      ]);
+    });
+
+    it('should not let observers propose', async () => {
+      const session = await startTeam('vote');
+
+      await expect(
+        teamSessionService.propose(session.sessionId, observer, { stepId: 'step1', selectedOption: 'a' })
+      ).rejects.toMatchObject({ status: 403 });
+    });
+
+    it('should keep members from answering through the solo endpoint', async () => {
+      const session = await startTeam('vote');
+
+      await expect(
+        simulationService.processSimulationStep(session.sessionId, 'step1', 'a')
+      ).rejects.toMatchObject({ status: 409 });
+    });
+  });
+
+  describe('confirm', () => {
+    it('should let only the team leader decide under the leader rule', async () => {
+      const session = await startTeam('leader');
+      await teamSessionService.propose(session.sessionId, airway, { stepId: 'step1', selectedOption: 'a' });
+
+      await expect(
+        teamSessionService.confirm(session.sessionId, airway, { stepId: 'step1', selectedOption: 'a' })
+      ).rejects.toMatchObject({ status: 403 });
+
+      const outcome = await teamSessionService.confirm(session.sessionId, host, { stepId: 'step1', selectedOption: 'a' });
+
+      expect(outcome.decision.decisionRule).toBe('leader');
+      expect(String(outcome.decision.decidedBy)).toBe(String(host._id));
+      expect(outcome.state.contributions.find(c => c.role === 'team_leader').confirmations).toBe(1);
+    });
+
+    it('should score a step once when two API workers decide it together', async () => {
+      const session = await startTeam('leader');
+      const progress = await Progress.findOne({ sessionId: session.sessionId });
+      const answer = { stepId: 'step1', selectedOption: 'a' };
+
+      // Each worker's in-process lock is its own, so both reach decide()
+      const outcomes = await Promise.all([
+        teamSessionService.decide(progress, answer, host._id),
+        teamSessionService.decide(progress, answer, host._id)
+      ]);
+
+      expect(outcomes.filter(Boolean)).toHaveLength(1);
+      const decided = await Progress.findOne({ sessionId: session.sessionId });
+      expect(decided.stepPerformance).toHaveLength(1);
+      expect(decided.team.contributions.filter(c => c.action === 'confirmed')).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,80 @@
+const http = require('http');
+const webhookService = require('../../../services/webhookService');
+const { WebhookDelivery } = require('../../../models');
+
+describe('Webhook Service', () => {
+  let server, url, statuses, requests, admin;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      req.resume();
+      req.on('end', () => {
+        requests.push(req.headers);
+        res.writeHead(statuses.shift() || 200);
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(async () => {
+    statuses = [];
+    requests = [];
+    admin = await global.testUtils.createTestUser({ email: 'admin@example.com', role: 'admin' });
+  });
+
+  describe('sign', () => {
+    it('should sign the timestamp and body together', () => {
+      const signature = webhookService.sign('{"a":1}', 1700000000, 'secret');
+
+      expect(signature).toMatch(/^sha256=[0-9a-f]{64}$/);
+      expect(webhookService.sign('{"a":1}', 1700000001, 'secret')).not.toBe(signature);
+    });
+  });
+
+  describe('emit', () => {
+    it('should create one delivery per subscribed endpoint with a shared event id', async () => {
+      await webhookService.createEndpoint({ url, events: ['simulation.completed'] }, admin);
+      await webhookService.createEndpoint({ url, events: ['simulation.completed', 'case.published'] }, admin);
+      await webhookService.createEndpoint({ url, events: ['case.published'] }, admin);
+
+      const deliveries = await webhookService.emit('simulation.completed', { sessionId: 's1' });
+
+      expect(deliveries).toHaveLength(2);
+      expect(new Set(deliveries.map(delivery => delivery.payload.id)).size).toBe(1);
+      expect(requests).toHaveLength(2);
+    });
+
+    it('should resolve to no deliveries when nobody is subscribed', async () => {
+      expect(await webhookService.emit('case.published', {})).toEqual([]);
+    });
+  });
+
+  describe('attemptDelivery', () => {
+    it('should throw for a retry until the final attempt marks the delivery failed', async () => {
+      const { endpoint } = await webhookService.createEndpoint({ url, events: ['case.published'] }, admin);
+      const delivery = await WebhookDelivery.create({
+        endpoint: endpoint._id,
+        event: 'case.published',
+        payload: { id: 'evt-1', type: 'case.published', data: {} }
+      });
+      statuses.push(500, 500);
+
+      await expect(webhookService.attemptDelivery(delivery._id)).rejects.toThrow('Endpoint responded 500');
+      expect((await WebhookDelivery.findById(delivery._id)).status).toBe('pending');
+
+      const failed = await webhookService.attemptDelivery(delivery._id, { final: true });
+      expect(failed.status).toBe('failed');
+      expect(failed.attempts).toHaveLength(2);
+
+      // Finished deliveries are left alone until an admin redelivers them
+      await webhookService.attemptDelivery(delivery._id);
+      expect(requests).toHaveLength(2);
+    });
+  });
+});
@@ -0,0 +1,141 @@
+process.env.ENABLE_XAPI = 'true';
+process.env.XAPI_LRS_ENDPOINT = 'https://lrs.example.com/xapi';
+process.env.XAPI_ACTIVITY_BASE_URL = 'https://sim.example.com';
+
+const xapiService = require('../../../services/xapiService');
+const simulationService = require('../../../services/simulationService');
+const { XapiStatement } = require('../../../models');
+const { XAPI } = require('../../../utils/constants');
+
+// In-memory stand-in for the Redis session cache
+jest.mock('../../../config/redis', () => {
+  const store = new Map();
+  return {
+    redisUtils: {
+      set: jest.fn(async (key, value) => { store.set(key, JSON.parse(JSON.stringify(value))); return true; }),
+      get: jest.fn(async (key) => (store.has(key) ? store.get(key) : null)),
+      del: jest.fn(async (key) => store.delete(key))
+    },
+    getRedisClient: jest.fn(() => null)
+  };
+});
+
+describe('xAPI Service', () => {
+  let student, testCase, realFetch;
+
+  const lrsResponds = (status, body = '') => jest.fn(async () => ({ ok: status < 300, status, text: async () => body }));
+
+  beforeEach(async () => {
+    realFetch = global.fetch;
+    global.fetch = lrsResponds(200, '[]');
+
+    student = await global.testUtils.createTestUser({ email: 'student@example.com' });
+    testCase = await global.testUtils.createTestCase({
+      metadata: { status: 'published' },
+      simulationSteps: [{
+        stepId: 'step1',
+        title: 'Assessment',
+        description: 'Initial assessment',
+        question: 'What is your first action?',
+        options: [
+          { optionId: 'a', text: '12-lead ECG', isCorrect: true },
+          { optionId: 'b', text: 'Discharge', isCorrect: false }
+        ],
+        hints: ['Think about the heart'],
+        correctAnswer: 'a',
+        score: 10
+      }]
+    });
+  });
+
+  afterEach(() => {
+    global.fetch = realFetch;
+  });
+
+  const playCase = async () => {
+    const session = await simulationService.createSimulationSession(student._id, testCase._id);
+    await simulationService.processSimulationStep(session.sessionId);
+    await simulationService.revealHint(session.sessionId, student._id);
+    await simulationService.processSimulationStep(session.sessionId, 'step1', 'a');
+    return session;
+  };
+
+  describe('record', () => {
+    it('should queue a statement for each simulation event', async () => {
+      await playCase();
+
+      const queued = await XapiStatement.find().sort({ 'statement.timestamp': 1 });
+      expect(queued.map(doc => doc.verb)).toEqual(['initialized', 'hinted', 'answered', 'completed']);
+
+      const answered = queued[2].statement;
+      expect(answered.actor.account).toEqual({ homePage: 'https://sim.example.com', name: String(student._id) });
+      expect(answered.object.id).toBe(`https://sim.example.com/cases/${testCase._id}/steps/step1`);
+      expect(answered.context.contextActivities.parent[0].id).toBe(`https://sim.example.com/cases/${testCase._id}`);
+      expect(answered.result).toMatchObject({ success: true, response: 'a' });
+
+      expect(queued[3].statement.result).toMatchObject({ completion: true, score: { scaled: 0.9 } });
+    });
+  });
+
+  describe('replay', () => {
+    it('should not queue statements for events already sent live', async () => {
+      await playCase();
+
+      const totals = await xapiService.replay();
+
+      expect(totals).toMatchObject({ sessions: 1, statements: 4, queued: 0 });
+      expect(await XapiStatement.countDocuments()).toBe(4);
+    });
+  });
+
+  describe('flush', () => {
+    it('should send due statements to the LRS in one batch', async () => {
+      await playCase();
+
+      expect(await xapiService.flush()).toBe(4);
+
+      const [url, request] = global.fetch.mock.calls[0];
+      expect(url).toBe('https://lrs.example.com/xapi/statements');
+      expect(request.headers['X-Experience-API-Version']).toBe(XAPI.VERSION);
+      expect(JSON.parse(request.body)).toHaveLength(4);
+      expect(await XapiStatement.countDocuments({ status: 'sent' })).toBe(4);
+    });
+
+    it('should back off while the LRS is down and dead-letter after the last retry', async () => {
+      await playCase();
+      global.fetch = lrsResponds(503);
+
+      let now = new Date();
+      await xapiService.flush(now);
+
+      const [retrying] = await XapiStatement.find({ status: 'pending' });
+      expect(retrying.attempts).toBe(1);
+      expect(retrying.nextAttemptAt.getTime()).toBe(now.getTime() + XAPI.RETRY_DELAYS_SECONDS[0] * 1000);
+
+      for (const delay of XAPI.RETRY_DELAYS_SECONDS) {
+        now = new Date(now.getTime() + delay * 1000);
+        await xapiService.flush(now);
+      }
+
+      expect(await XapiStatement.countDocuments({ status: 'dead' })).toBe(4);
+
+      expect(await xapiService.requeueDeadLetters()).toBe(4);
+      global.fetch = lrsResponds(200, '[]');
+      expect(await xapiService.flush()).toBe(4);
+    });
+
+    it('should dead-letter only the statements the LRS rejects', async () => {
+      await playCase();
+      global.fetch = jest.fn(async (url, request) => {
+        const rejected = JSON.parse(request.body).some(statement => statement.verb.id === XAPI.VERBS.hinted.id);
+        return { ok: !rejected, status: rejected ? 400 : 200, text: async () => '' };
+      });
+
+      expect(await xapiService.flush()).toBe(3);
+
+      const [dead] = await XapiStatement.find({ status: 'dead' });
+      expect(dead.verb).toBe('hinted');
+      expect(dead.lastError).toMatch(/400/);
+    });
+  });
+});
@@ -7,7 +7,8 @@ jest.mock('../../config/redis', () => ({
     set: jest.fn().mockResolvedValue(true),
     get: jest.fn().mockResolvedValue(null),
     del: jest.fn().mockResolvedValue(true)
-  }
+  },
+  getRedisClient: jest.fn(() => null)
 }));
 
 describe('Simulation Service', () => {
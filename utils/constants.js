@@ -78,9 +78,222 @@ module.exports = {
     'decision',
     'assessment',
     'intervention',
-    'diagnosis'
+    'diagnosis',
+    'order_entry'
   ],
 
+  // Patient monitor parameters: starting value, normal adult range and hard physiological limits
+  VITAL_SIGNS: {
+    heartRate: { unit: 'bpm', default: 80, normal: [60, 100], limits: [0, 300] },
+    systolicBP: { unit: 'mmHg', default: 120, normal: [90, 140], limits: [0, 300] },
+    diastolicBP: { unit: 'mmHg', default: 80, normal: [60, 90], limits: [0, 200] },
+    respiratoryRate: { unit: 'breaths/min', default: 16, normal: [12, 20], limits: [0, 80] },
+    oxygenSaturation: { unit: '%', default: 98, normal: [94, 100], limits: [0, 100] },
+    temperature: { unit: '°C', default: 37, normal: [36.1, 38], limits: [25, 45] }
+  },
+
+  // Simulated minutes before a diagnostic test result is released, by urgency (see SESSION_TIMING.SIMULATED_TIME_SCALE)
+  TEST_TURNAROUND_MINUTES: {
+    stat: 10,
+    urgent: 30,
+    routine: 60
+  },
+
+  // Server-side session timing
+  SESSION_TIMING: {
+    GRACE_SECONDS: 5, // allowance for network latency before an answer counts as late
+    LATE_ANSWER_PENALTY: 0.5, // share of the step score lost for a late answer
+    IDLE_EXPIRY_SECONDS: 7200, // matches the session cache TTL
+    SIMULATED_TIME_SCALE: 12, // simulated seconds per session second, so a routine test resulted in 60 minutes takes 5
+    SWEEP_INTERVAL_MS: 5 * 60 * 1000
+  },
+
+  TIME_LIMIT_POLICIES: ['penalize', 'reject'],
+
+  // Share of a step's score lost after 1, 2, 3+ hints, for cases that don't set their own curve
+  HINT_PENALTY_CURVE: [0.1, 0.25, 0.5],
+
+  // Editorial lifecycle: the statuses a case in each status may move to
+  CASE_TRANSITIONS: {
+    draft: ['review', 'archived'],
+    review: ['approved', 'draft'],
+    approved: ['published', 'draft'],
+    published: ['archived'],
+    archived: ['draft']
+  },
+
+  // Reviewer approvals needed before a case is approved, for cases that don't set their own
+  REQUIRED_APPROVALS: 1,
+
+  // Courses (classes/cohorts): rosters, invitations and course-only case visibility
+  COURSE: {
+    JOIN_CODE_LENGTH: 8,
+    INVITATION_TTL_DAYS: 14,
+    MAX_INVITATIONS: 100 // emails per invitation request
+  },
+
+  // Course assignments: which completed attempts count toward the grade, and when reminders go out
+  ASSIGNMENT: {
+    GRADING_POLICIES: ['best', 'last', 'average'],
+    DUE_SOON_HOURS: 24, // "due soon" reminder window before the due date
+    OVERDUE_REMINDER_DAYS: 7, // missing work is chased for this long after the due date
+    REMINDER_SWEEP_MS: 15 * 60 * 1000
+  },
+
+  // LTI 1.3 tool: IMS claim names and how LMS roles map onto ours
+  LTI: {
+    VERSION: '1.3.0',
+    CLAIMS: {
+      MESSAGE_TYPE: 'https://purl.imsglobal.org/spec/lti/claim/message_type',
+      VERSION: 'https://purl.imsglobal.org/spec/lti/claim/version',
+      DEPLOYMENT_ID: 'https://purl.imsglobal.org/spec/lti/claim/deployment_id',
+      RESOURCE_LINK: 'https://purl.imsglobal.org/spec/lti/claim/resource_link',
+      ROLES: 'https://purl.imsglobal.org/spec/lti/claim/roles',
+      CONTEXT: 'https://purl.imsglobal.org/spec/lti/claim/context',
+      CUSTOM: 'https://purl.imsglobal.org/spec/lti/claim/custom',
+      DEEP_LINKING_SETTINGS: 'https://purl.imsglobal.org/spec/lti-dl/claim/deep_linking_settings',
+      CONTENT_ITEMS: 'https://purl.imsglobal.org/spec/lti-dl/claim/content_items',
+      DEEP_LINKING_DATA: 'https://purl.imsglobal.org/spec/lti-dl/claim/data',
+      AGS_ENDPOINT: 'https://purl.imsglobal.org/spec/lti-ags/claim/endpoint'
+    },
+    MESSAGE_TYPES: {
+      RESOURCE_LINK: 'LtiResourceLinkRequest',
+      DEEP_LINKING: 'LtiDeepLinkingRequest',
+      DEEP_LINKING_RESPONSE: 'LtiDeepLinkingResponse'
+    },
+    SCORE_SCOPE: 'https://purl.imsglobal.org/spec/lti-ags/scope/score',
+    // Keyed by the part of the LIS role URI after '#'. LMS administrators only get instructor rights here.
+    ROLE_MAP: {
+      Administrator: 'instructor',
+      Instructor: 'instructor',
+      TeachingAssistant: 'instructor',
+      ContentDeveloper: 'instructor',
+      Mentor: 'attending',
+      Learner: 'student'
+    },
+    STATE_TTL_SECONDS: 10 * 60, // OIDC login to launch
+    DEEP_LINK_TTL_SECONDS: 60 * 60, // time an instructor has to pick cases
+    JWKS_CACHE_SECONDS: 60 * 60,
+    HTTP_TIMEOUT_MS: 10 * 1000,
+    SCORE_MAXIMUM: 100
+  },
+
+  // xAPI statements sent to the Learning Record Store for simulation lifecycle events
+  XAPI: {
+    VERSION: '1.0.3',
+    VERBS: {
+      initialized: { id: 'http://adlnet.gov/expapi/verbs/initialized', display: 'initialized' },
+      answered: { id: 'http://adlnet.gov/expapi/verbs/answered', display: 'answered' },
+      hinted: { id: 'http://id.tincanapi.com/verb/viewed', display: 'viewed hint' },
+      suspended: { id: 'http://adlnet.gov/expapi/verbs/suspended', display: 'paused' },
+      resumed: { id: 'http://adlnet.gov/expapi/verbs/resumed', display: 'resumed' },
+      completed: { id: 'http://adlnet.gov/expapi/verbs/completed', display: 'completed' },
+      abandoned: { id: 'https://w3id.org/xapi/adl/verbs/abandoned', display: 'abandoned' }
+    },
+    ACTIVITY_TYPES: {
+      CASE: 'http://adlnet.gov/expapi/activities/simulation',
+      STEP: 'http://adlnet.gov/expapi/activities/cmi.interaction',
+      HINT: 'http://id.tincanapi.com/activitytype/resource'
+    },
+    BATCH_SIZE: 50,
+    FLUSH_INTERVAL_MS: 30 * 1000,
+    HTTP_TIMEOUT_MS: 10 * 1000,
+    // Wait before each retry; a statement still failing after the last one is dead-lettered
+    RETRY_DELAYS_SECONDS: [60, 5 * 60, 30 * 60, 2 * 60 * 60, 12 * 60 * 60]
+  },
+
+  // Background jobs: named Redis queues worked by workers/ in the API process or the worker app
+  JOBS: {
+    QUEUES: {
+      EMAIL: 'email',
+      NOTIFICATION: 'notification',
+      ANALYTICS: 'analytics',
+      WEBHOOK: 'webhook',
+      ACHIEVEMENT: 'achievement',
+      PROGRESSION: 'progression'
+    },
+    KEY_PREFIX: 'jobs',
+    MAX_ATTEMPTS: 5, // a job still failing after this many runs is dead-lettered
+    BACKOFF_BASE_MS: 30 * 1000, // doubles after each failed attempt
+    BACKOFF_MAX_MS: 60 * 60 * 1000,
+    POLL_INTERVAL_MS: 1000,
+    BATCH_SIZE: 10, // jobs claimed per queue per poll
+    LEASE_MS: 5 * 60 * 1000, // a claimed job not finished by then goes back to the queue
+    COMPLETED_TTL_SECONDS: 24 * 60 * 60, // finished jobs are kept this long, which also dedupes repeat runs
+    SOCKET_CHANNEL: 'jobs:socket-events',
+    SYSTEM_ANALYTICS_REFRESH_MS: 10 * 60 * 1000,
+    SYSTEM_ANALYTICS_CACHE_SECONDS: 20 * 60
+  },
+
+  // Daily learning streaks, counted in each user's own timezone
+  STREAK: {
+    FREEZE_EVERY_DAYS: 7, // a streak freeze is earned at every multiple of this many days
+    MAX_FREEZES: 2,
+    FROZEN_DAYS_KEPT: 60, // most recent frozen days remembered for the streak and calendar
+    REMINDER_HOUR: 18, // local hour from which an at-risk streak gets its reminder
+    SWEEP_MS: 60 * 60 * 1000, // how often streaks are checked for reminders and resets
+    CALENDAR_DEFAULT_DAYS: 365,
+    CALENDAR_MAX_DAYS: 366
+  },
+
+  // Leaderboards: Redis sorted sets per scope and window, scored by the percentage scores of completed sessions
+  LEADERBOARD: {
+    WINDOWS: ['weekly', 'monthly', 'all_time'], // weeks start on Monday; weeks and months follow UTC
+    SCOPES: ['global', 'specialty', 'course'],
+    REBUILD_AFTER_SECONDS: 6 * 60 * 60, // boards are rebuilt from Progress this often, which also clears any drift
+    PAGE_SIZE: 20,
+    MAX_PAGE_SIZE: 100
+  },
+
+  // XP for completed cases, levels, and the skill tree that unlocks harder cases
+  PROGRESSION: {
+    RULES_VERSION: 1, // bump with any change to the XP rules below, then recompute the ledger
+    BASE_XP: { beginner: 50, intermediate: 100, advanced: 200 }, // scaled by the percentage score
+    FIRST_ATTEMPT_MULTIPLIER: 1.5, // the user's first session on a case
+    LEVEL_XP: 100, // level n starts at LEVEL_XP * (n - 1)^2 XP
+    MASTERY_SCORE: 80, // a case is mastered once completed with at least this percentage score
+    MASTERED_TO_UNLOCK: 3, // mastered cases of one difficulty that unlock the next, per specialty or body system
+    LEDGER_PAGE_SIZE: 20,
+    LEDGER_MAX_PAGE_SIZE: 100
+  },
+
+  // Outgoing webhooks: events admins can subscribe external systems to
+  WEBHOOK: {
+    EVENTS: ['case.published', 'simulation.completed', 'achievement.earned', 'discussion.created'],
+    SIGNATURE_HEADER: 'X-Webhook-Signature', // sha256=HMAC of "<timestamp>.<body>" with the endpoint secret
+    HTTP_TIMEOUT_MS: 10 * 1000,
+    MAX_ATTEMPTS: 6, // the job queue backoff spaces retries from 30s up to 8min apart
+    RESPONSE_BODY_LIMIT: 1000, // characters of the receiver's answer kept in the delivery log
+    DELIVERY_RETENTION_DAYS: 30
+  },
+
+  CASE_VISIBILITY: {
+    PUBLIC: 'public',
+    COURSE: 'course' // only members of courses whose case library includes the case
+  },
+
+  // Live monitoring: what an instructor can do to a running session
+  INTERVENTION_TYPES: ['hint', 'message', 'pause', 'resume', 'unlock_step'],
+
+  MONITORING: {
+    WRONG_STREAK: 2, // consecutive wrong answers that flag a learner as struggling
+    STALL_SECONDS: 180, // time on one step before a learner counts as stalled
+    LOW_SCORE_PERCENT: 50, // running score below this after MIN_STEPS_FOR_SCORE steps
+    MIN_STEPS_FOR_SCORE: 3,
+    REFRESH_MS: 10 * 1000, // how often subscribed instructors get a fresh snapshot
+    MAX_SESSIONS: 200
+  },
+
+  // Multiplayer sessions: each role except observer is held by one member at a time
+  TEAM_ROLES: ['team_leader', 'airway', 'circulation', 'medications', 'documentation', 'observer'],
+
+  TEAM_SESSION: {
+    DECISION_RULES: ['vote', 'leader'], // majority of voting members, or the team leader confirms
+    MAX_MEMBERS: 8,
+    JOIN_CODE_LENGTH: 6,
+    DECISION_CLAIM_SECONDS: 30 // a step claimed by a worker that never finished scoring it can be decided again after this
+  },
+
   DISCUSSION_TYPES: [
     'question',
     'comment',
@@ -98,6 +311,14 @@ module.exports = {
     'reminder'
   ],
 
+  // Notification inbox kept in the notifications collection
+  NOTIFICATION: {
+    RETENTION_DAYS: 180,
+    PAGE_SIZE: 20,
+    MAX_PAGE_SIZE: 100,
+    SOCKET_BACKLOG: 50 // unread notifications sent to a socket when it connects
+  },
+
   ACHIEVEMENTS: [
     {
       name: 'First Steps',
@@ -139,7 +360,7 @@ module.exports = {
       description: 'Complete a case in under 10 minutes',
       icon: '⚡',
       category: 'performance',
-      condition: (stats) => stats.fastestTime <= 600
+      condition: (stats) => stats.fastestTime != null && stats.fastestTime <= 600 // unset until a first completion
     },
     {
       name: 'Streak Master',
@@ -241,6 +462,23 @@ module.exports = {
     ALL_ALLOWED: ['image/jpeg', 'image/png', 'image/gif', 'video/mp4', 'application/pdf']
   },
 
+  // Portable case bundles (zip) for moving cases between deployments
+  CASE_BUNDLE: {
+    FORMAT: 'medical-case-bundle',
+    SCHEMA_VERSION: 1, // bump when the case JSON layout changes incompatibly
+    MAX_CASES: 500,
+    MAX_BUNDLE_BYTES: 100 * 1024 * 1024, // uploaded zip
+    MAX_UNPACKED_BYTES: 250 * 1024 * 1024, // guards against zip bombs
+    MEDIA_EXTENSIONS: ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.mp4', '.webm', '.mp3', '.wav', '.pdf']
+  },
+
+  // Spreadsheet (CSV/XLSX) authoring import; column layout in services/caseSpreadsheetService.js
+  CASE_SPREADSHEET: {
+    MAX_ROWS: 2000,
+    MAX_FILE_BYTES: 5 * 1024 * 1024,
+    OPTION_LETTERS: ['a', 'b', 'c', 'd', 'e', 'f']
+  },
+
   CACHE_KEYS: {
     USER_PERFORMANCE: 'user_performance',
     CASE_ANALYTICS: 'case_analytics',
@@ -259,6 +497,24 @@ module.exports = {
     LEAVE_SIMULATION: 'leave_simulation',
     SIMULATION_STEP_UPDATE: 'simulation_step_update',
     STEP_COMPLETED: 'step_completed',
+
+    // Team simulation
+    JOIN_TEAM_SESSION: 'join_team_session',
+    LEAVE_TEAM_SESSION: 'leave_team_session',
+    TEAM_PROPOSE: 'team_propose',
+    TEAM_CONFIRM: 'team_confirm',
+    TEAM_CHANGE_ROLE: 'team_change_role',
+    TEAM_STATE: 'team_state',
+    TEAM_STEP_DECIDED: 'team_step_decided',
+    TEAM_ERROR: 'team_error',
+
+    // Instructor monitoring
+    MONITOR_SUBSCRIBE: 'monitor_subscribe',
+    MONITOR_UNSUBSCRIBE: 'monitor_unsubscribe',
+    MONITOR_SNAPSHOT: 'monitor_snapshot',
+    INSTRUCTOR_INTERVENTION: 'instructor_intervention',
+    INSTRUCTOR_MESSAGE: 'instructor_message',
+    SESSION_INTERVENTION: 'session_intervention',
     
     // Discussion
     JOIN_DISCUSSION: 'join_discussion',
@@ -269,6 +525,15 @@ module.exports = {
     TYPING_STOP: 'typing_stop',
     USER_TYPING: 'user_typing',
     USER_STOPPED_TYPING: 'user_stopped_typing',
+    JOIN_COURSE: 'join_course',
+    LEAVE_COURSE: 'leave_course',
+    COURSE_ERROR: 'course_error',
+
+    // Leaderboards
+    JOIN_LEADERBOARD: 'join_leaderboard',
+    LEAVE_LEADERBOARD: 'leave_leaderboard',
+    LEADERBOARD_UPDATED: 'leaderboard_updated',
+    LEADERBOARD_ERROR: 'leaderboard_error',
     
     // Notifications
     NOTIFICATION: 'notification',
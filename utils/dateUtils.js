@@ -196,6 +196,37 @@ const dateUtils = {
     return calendar;
   },
 
+  // Whether an IANA timezone name (e.g. 'America/Chicago') is known to the runtime
+  isValidTimezone(timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  },
+
+  // Calendar day (YYYY-MM-DD) and hour a moment falls on in the given timezone
+  getLocalDay(date = new Date(), timezone = 'UTC') {
+    const parts = Object.fromEntries(
+      new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        hourCycle: 'h23'
+      }).formatToParts(date).map(part => [part.type, part.value])
+    );
+
+    return { day: `${parts.year}-${parts.month}-${parts.day}`, hour: Number(parts.hour) };
+  },
+
+  // Move a YYYY-MM-DD day by whole days
+  shiftDay(day, days) {
+    return moment.utc(day, 'YYYY-MM-DD').add(days, 'days').format('YYYY-MM-DD');
+  },
+
   // Calculate learning streak
   calculateStreak(dates) {
     if (!dates.length) return 0;
@@ -0,0 +1,17 @@
+// workers/achievementWorker.js
+const jobQueue = require('../services/jobQueue');
+const achievementService = require('../services/achievementService');
+const { JOBS } = require('../utils/constants');
+
+const { ACHIEVEMENT } = JOBS.QUEUES;
+
+// Queued after every counter change; awarding is idempotent, so retries and duplicates are harmless
+jobQueue.define(ACHIEVEMENT, 'evaluate', async ({ userId }) => {
+  await achievementService.evaluate(userId);
+});
+
+jobQueue.define(ACHIEVEMENT, 'backfill', async ({ notify }) => {
+  await achievementService.backfill({ notify });
+});
+
+module.exports = { queue: ACHIEVEMENT };
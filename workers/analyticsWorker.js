@@ -0,0 +1,19 @@
+// workers/analyticsWorker.js
+const jobQueue = require('../services/jobQueue');
+const analyticsService = require('../services/analyticsService');
+const simulationService = require('../services/simulationService');
+const { JOBS } = require('../utils/constants');
+
+const { ANALYTICS } = JOBS.QUEUES;
+
+jobQueue.define(ANALYTICS, 'case-statistics', async ({ caseId, score, timeSpent }) => {
+  await simulationService.updateCaseStatistics(caseId, score, timeSpent);
+});
+
+jobQueue.define(ANALYTICS, 'system-snapshot', async () => {
+  await analyticsService.refreshSystemAnalytics();
+});
+
+jobQueue.repeat(ANALYTICS, 'system-snapshot', { every: JOBS.SYSTEM_ANALYTICS_REFRESH_MS });
+
+module.exports = { queue: ANALYTICS };
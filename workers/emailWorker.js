@@ -0,0 +1,35 @@
+// workers/emailWorker.js
+const jobQueue = require('../services/jobQueue');
+const emailService = require('../services/emailService');
+const { User, Course } = require('../models');
+const { JOBS } = require('../utils/constants');
+
+const { EMAIL } = JOBS.QUEUES;
+
+// Jobs carry ids rather than documents, so each email reflects the account as it is when sent
+
+jobQueue.define(EMAIL, 'welcome', async ({ userId }) => {
+  const user = await User.findById(userId).select('email profile');
+  if (!user) return;
+
+  await emailService.sendWelcomeEmail(user);
+});
+
+jobQueue.define(EMAIL, 'password-reset', async ({ userId }) => {
+  const user = await User.findById(userId).select('email profile passwordResetToken passwordResetExpires');
+
+  // A completed reset or an expired token leaves nothing worth sending
+  if (!user || !user.passwordResetToken || user.passwordResetExpires < Date.now()) return;
+
+  await emailService.sendPasswordResetEmail(user, user.passwordResetToken);
+});
+
+jobQueue.define(EMAIL, 'course-invitation', async ({ courseId, email }) => {
+  const course = await Course.findById(courseId).select('title invitations');
+  const invitation = course && course.invitations.find(invite => invite.email === email && !invite.acceptedAt);
+  if (!invitation || invitation.expiresAt < new Date()) return;
+
+  await emailService.sendCourseInvitation(email, course, invitation);
+});
+
+module.exports = { queue: EMAIL };
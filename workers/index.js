@@ -0,0 +1,60 @@
+// workers/index.js
+// Requiring this registers every job handler. Run directly (npm run worker) it is the
+// standalone worker app that deployment/ecosystem.config.js starts next to the API.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const jobQueue = require('../services/jobQueue');
+const jobsConfig = require('../config/jobs');
+const logger = require('../utils/logger');
+
+require('./emailWorker');
+require('./notificationWorker');
+require('./analyticsWorker');
+require('./webhookWorker');
+require('./achievementWorker');
+require('./progressionWorker');
+
+const start = ({ queues = jobsConfig.QUEUES } = {}) => jobQueue.start({ queues });
+
+const stop = () => jobQueue.stop();
+
+const main = async () => {
+  const { connectDB } = require('../config/database');
+  const { connectRedis } = require('../config/redis');
+
+  await connectDB();
+
+  // Jobs are queued by the API processes, so without a shared Redis there is nothing to work
+  const redisClient = connectRedis();
+  if (!redisClient) {
+    logger.error('❌ Worker app needs REDIS_URL to share queues with the API');
+    process.exit(1);
+  }
+
+  start();
+
+  const shutdown = async (signal) => {
+    logger.info(`📴 Worker received ${signal}. Finishing running jobs...`);
+    try {
+      await stop();
+      await mongoose.connection.close();
+      await redisClient.quit();
+      process.exit(0);
+    } catch (error) {
+      logger.error('Worker shutdown error:', error);
+      process.exit(1);
+    }
+  };
+
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+};
+
+if (require.main === module) {
+  main().catch((error) => {
+    logger.error('❌ Failed to start worker:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { start, stop };
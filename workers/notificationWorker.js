@@ -0,0 +1,57 @@
+// workers/notificationWorker.js
+const jobQueue = require('../services/jobQueue');
+const notificationService = require('../services/notificationService');
+const assignmentService = require('../services/assignmentService');
+const streakService = require('../services/streakService');
+const { User } = require('../models');
+const { JOBS, ASSIGNMENT, STREAK } = require('../utils/constants');
+
+const { NOTIFICATION } = JOBS.QUEUES;
+
+// Real-time notifications go out through jobQueue.socketEmitter(), which reaches the
+// browser whether the job runs in an API process or in the worker app
+
+jobQueue.define(NOTIFICATION, 'system', async (notification) => {
+  const io = jobQueue.socketEmitter();
+  if (!io) return;
+
+  await notificationService.sendSystemNotification(io, notification);
+});
+
+jobQueue.define(NOTIFICATION, 'case-review-decision', async ({ caseId, title, status, authorId }) => {
+  const io = jobQueue.socketEmitter();
+  const author = await User.findById(authorId).select('email profile preferences');
+  if (!io || !author) return;
+
+  await notificationService.sendCaseReviewNotification(io, author, { _id: caseId, title }, { _id: caseId, status });
+});
+
+jobQueue.define(NOTIFICATION, 'reviewers-assigned', async ({ caseId, title, reviewerIds }) => {
+  const io = jobQueue.socketEmitter();
+  if (!io) return;
+
+  await notificationService.sendGroupNotification(io, reviewerIds, {
+    type: 'case_review',
+    title: 'Case Review Assigned',
+    message: `You have been asked to review "${title}"`,
+    data: { caseId }
+  });
+});
+
+jobQueue.define(NOTIFICATION, 'assignment-reminders', async () => {
+  const io = jobQueue.socketEmitter();
+  if (!io) return;
+
+  await assignmentService.sendReminders(io);
+});
+
+jobQueue.repeat(NOTIFICATION, 'assignment-reminders', { every: ASSIGNMENT.REMINDER_SWEEP_MS });
+
+// Also resets broken streaks, so it runs even when there is no socket server to remind through
+jobQueue.define(NOTIFICATION, 'streak-reminders', async () => {
+  await streakService.sweep(jobQueue.socketEmitter());
+});
+
+jobQueue.repeat(NOTIFICATION, 'streak-reminders', { every: STREAK.SWEEP_MS });
+
+module.exports = { queue: NOTIFICATION };
@@ -0,0 +1,13 @@
+// workers/progressionWorker.js
+const jobQueue = require('../services/jobQueue');
+const progressionService = require('../services/progressionService');
+const { JOBS } = require('../utils/constants');
+
+const { PROGRESSION } = JOBS.QUEUES;
+
+// Safe to repeat: only the differences from the ledger are added
+jobQueue.define(PROGRESSION, 'recompute', async ({ userId }) => {
+  await progressionService.recompute({ userId });
+});
+
+module.exports = { queue: PROGRESSION };
@@ -0,0 +1,14 @@
+// workers/webhookWorker.js
+const jobQueue = require('../services/jobQueue');
+const webhookService = require('../services/webhookService');
+const { JOBS } = require('../utils/constants');
+
+const { WEBHOOK } = JOBS.QUEUES;
+
+jobQueue.define(WEBHOOK, 'deliver', async ({ deliveryId }, job) => {
+  // Jobs run inline (no Redis) are never retried, so their one attempt is also the last
+  const final = job.status !== 'active' || job.attempts >= job.maxAttempts;
+  await webhookService.attemptDelivery(deliveryId, { final });
+});
+
+module.exports = { queue: WEBHOOK };